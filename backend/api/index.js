@@ -7,6 +7,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { existsSync } from 'fs';
 import multer from 'multer';
+import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -15,6 +16,8 @@ dotenv.config();
 // Import database
 import db from '../lib/db.js';
 import supabase, { supabaseAdmin } from '../lib/supabase.js';
+import ImageService from '../services/image-service.js';
+import getStorage from '../lib/storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -70,30 +73,36 @@ app.use(compression());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files from uploads directory with CORS headers
-app.use('/uploads', (req, res, next) => {
+// Serve uploads with CORS headers. Originals are never exposed here: old
+// /uploads/<filename> URLs get the watermarked detail variant instead.
+app.get('/uploads/:filename', async (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
   res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-  next();
-}, express.static(path.join(__dirname, '../uploads')));
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads'));
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `image-${uniqueSuffix}${ext}`);
+  try {
+    const format = ImageService.negotiateFormat(req.headers.accept);
+    const variant = await ImageService.getVariant(req.params.filename, { width: 1280, format });
+
+    res.header('Cache-Control', 'public, max-age=31536000');
+    res.header('Vary', 'Accept');
+    res.type(ImageService.getMimeType(format));
+    res.send(variant.body);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('❌ Error serving upload:', error);
+    res.status(500).json({ error: 'Failed to serve image' });
   }
 });
 
+// Configure multer for file uploads. Files are kept in memory and written
+// through the storage driver (local disk or S3, see lib/storage.js).
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
@@ -361,29 +370,157 @@ app.get('/api/auth/me', async (req, res) => {
   }
 });
 
-// Image serving endpoint with proper CORS headers
-app.get('/api/images/:filename', (req, res) => {
+// =============================================================================
+// PROTECTED ORIGINALS (signed URLs)
+// =============================================================================
+
+// Orders in these states count as a purchase of their artworks
+const PURCHASED_ORDER_STATUSES = ['PAID', 'PACKED', 'SHIPPED', 'DELIVERED'];
+
+const ORIGINAL_URL_TTL_SECONDS = parseInt(process.env.ORIGINAL_URL_TTL_SECONDS) || 300; // 5 minutes
+
+// Admins (JWT from /api/auth/admin/login) may download any original; customers
+// (Supabase session) only originals of artworks they bought.
+// Returns { status, error } when access is refused.
+const checkOriginalAccess = async (token, filename) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    if (decoded.role === 'admin') {
+      return { allowed: true };
+    }
+  } catch (error) {
+    // Not an admin token, try a customer session below
+  }
+
+  const { data: userData, error } = await supabase.auth.getUser(token);
+  if (error || !userData.user) {
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  const image = await db.image.findFirst({
+    where: { filename },
+    select: { artworkId: true }
+  });
+
+  if (!image) {
+    return { status: 404, error: 'Image not found' };
+  }
+
+  const purchase = await db.orderItem.findFirst({
+    where: {
+      artworkId: image.artworkId,
+      order: {
+        userId: userData.user.id,
+        status: { in: PURCHASED_ORDER_STATUSES }
+      }
+    },
+    select: { id: true }
+  });
+
+  if (!purchase) {
+    return { status: 403, error: 'Only buyers of this artwork can download the original' };
+  }
+
+  return { allowed: true };
+};
+
+// Issue a signed download URL for an original
+app.post('/api/images/:filename/download-url', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const { filename } = req.params;
+    const access = await checkOriginalAccess(authHeader.substring(7), filename);
+
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    // Make sure the file is there before handing out a URL. With the S3
+    // driver this is a presigned bucket URL, locally one of /api/files below.
+    const key = await ImageService.getOriginal(filename);
+
+    res.json({
+      success: true,
+      data: await getStorage().signedUrl(key, { expiresIn: ORIGINAL_URL_TTL_SECONDS, downloadName: filename })
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('❌ Error signing image URL:', error);
+    res.status(500).json({ error: 'Failed to create download URL' });
+  }
+});
+
+// Download a file through a signed URL of the local storage driver
+// (/api/images/:filename/original is the URL format used before /api/files)
+app.get(['/api/files/*', '/api/images/:filename/original'], async (req, res) => {
+  try {
+    const key = req.params.filename || req.params[0];
+    const { expires, signature, download } = req.query;
+    const storage = getStorage();
+
+    if (!storage.verifySignedUrl || !storage.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+
+    const file = await storage.get(key);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.header('Cache-Control', 'private, no-store');
+    res.attachment(download || path.basename(key));
+    res.send(file);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('❌ Error serving original image:', error);
+    res.status(500).json({ error: 'Failed to serve image' });
+  }
+});
+
+// Image serving endpoint with proper CORS headers.
+// Serves the closest watermarked variant, e.g. /api/images/<imageId>?w=640&fmt=webp
+// (the detail variant when ?w= is omitted). Originals need a signed URL, see above.
+app.get('/api/images/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
-    const imagePath = path.join(__dirname, '../uploads', filename);
-    
-    console.log(`🖼️ Image request: ${filename}`);
-    console.log(`📁 Looking for: ${imagePath}`);
     
     // Set CORS headers for images
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Cross-Origin-Resource-Policy', 'cross-origin');
     res.header('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
-    
-    // Check if file exists and serve it
-    if (existsSync(imagePath)) {
-      console.log(`✅ Image found and serving: ${filename}`);
-      res.sendFile(imagePath);
-    } else {
-      console.log(`❌ Image not found: ${filename}`);
-      res.status(404).json({ error: 'Image not found' });
+
+    const format = req.query.fmt
+      ? ImageService.normalizeFormat(req.query.fmt)
+      : ImageService.negotiateFormat(req.headers.accept);
+
+    if (!format) {
+      return res.status(400).json({ error: 'Unsupported image format. Use avif, webp or jpeg.' });
+    }
+
+    if (!req.query.fmt) {
+      res.header('Vary', 'Accept');
     }
+
+    const variant = await ImageService.getVariant(filename, { width: req.query.w, format });
+    console.log(`🖼️ Variant ${variant.variant.name}.${format} for ${filename}${variant.generated ? ' (generated)' : ''}`);
+
+    res.type(ImageService.getMimeType(format));
+    res.send(variant.body);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     console.error('❌ Error serving image:', error);
     res.status(500).json({ error: 'Failed to serve image' });
   }
@@ -391,9 +528,13 @@ app.get('/api/images/:filename', (req, res) => {
 
 // Image upload endpoint
 app.post('/api/upload/image', upload.single('image'), async (req, res) => {
+  // Generate unique filename with timestamp
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = `image-${uniqueSuffix}${path.extname(req.file?.originalname || '').toLowerCase()}`;
+
   try {
     console.log('📤 Image upload request received');
-    console.log('File:', req.file);
+    console.log('File:', req.file && { originalname: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size });
     
     if (!req.file) {
       return res.status(400).json({
@@ -402,14 +543,18 @@ app.post('/api/upload/image', upload.single('image'), async (req, res) => {
       });
     }
 
+    // Strip EXIF/GPS, store the original, analyse it (palette, blurhash, LQIP)
+    // and render the responsive variants (thumbnail, card, detail, zoom × AVIF/WebP/JPEG)
+    const processed = await ImageService.processUpload(filename, req.file.buffer);
+
     // Create multiple URL formats for maximum compatibility
     const imageRecord = {
       id: `img_${Date.now()}`,
-      filename: req.file.filename,
+      filename,
       originalName: req.file.originalname,
       mimeType: req.file.mimetype,
-      size: req.file.size,
-      url: `/uploads/${req.file.filename}`,
+      size: processed.size,
+      url: `/uploads/${filename}`,
       isPrimary: false
     };
 
@@ -420,14 +565,18 @@ app.post('/api/upload/image', upload.single('image'), async (req, res) => {
       message: 'Image uploaded successfully',
       data: {
         id: imageRecord.id,
-        url: `/uploads/${req.file.filename}`,
-        apiUrl: `/api/images/${req.file.filename}`,
-        directUrl: `http://localhost:3000/uploads/${req.file.filename}`,
-        proxyUrl: `http://localhost:3000/api/images/${req.file.filename}`,
-        filename: req.file.filename,
+        url: `/uploads/${filename}`,
+        apiUrl: `/api/images/${filename}`,
+        directUrl: `http://localhost:3000/uploads/${filename}`,
+        proxyUrl: `http://localhost:3000/api/images/${filename}`,
+        filename,
         originalName: req.file.originalname,
         mimeType: req.file.mimetype,
-        size: req.file.size
+        size: processed.size,
+        imageId: processed.imageId,
+        ...ImageService.pickMetadata(processed),
+        variants: processed.variants,
+        srcset: processed.srcset
       }
     });
 
@@ -437,8 +586,7 @@ app.post('/api/upload/image', upload.single('image'), async (req, res) => {
     // Clean up uploaded file if there was an error
     if (req.file) {
       try {
-        const fs = await import('fs/promises');
-        await fs.unlink(req.file.path);
+        await ImageService.deleteUpload(filename);
       } catch (unlinkError) {
         console.error('Failed to clean up uploaded file:', unlinkError);
       }
@@ -678,7 +826,9 @@ app.post('/api/artworks', async (req, res) => {
               filename: filename,
               url: image,
               isPrimary: true,
-              artworkId: artwork.id
+              artworkId: artwork.id,
+              // Dimensions, palette and placeholders recorded at upload
+              ...await ImageService.getStoredMetadata(filename)
             }
           });
           
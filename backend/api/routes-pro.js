@@ -6,14 +6,22 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import multer from 'multer';
-import sharp from 'sharp';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { promises as fs } from 'fs';
 import crypto from 'crypto';
 
 import AuthenticationService from '../services/auth-pro.js';
+import MfaService from '../services/mfa-service.js';
+import ImageService from '../services/image-service.js';
 import cache, { getCacheMiddleware } from '../lib/cache-pro.js';
+import { passwordResetRateLimit, magicLinkRateLimit, magicLinkEmailRateLimit } from '../middleware/security.js';
+import {
+  CURSOR_SORT_FIELDS,
+  parseCursorParams,
+  buildKeysetPrisma,
+  buildCursorPage,
+  encodeCursor
+} from '../lib/pagination.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -64,6 +72,7 @@ const authenticate = async (req, res, next) => {
     req.user = user;
     req.userId = user.id;
     req.userRole = decoded.role || 'USER';
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
@@ -76,6 +85,17 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Admin-only routes (after authenticate)
+const requireAdmin = (req, res, next) => {
+  if (req.userRole !== 'ADMIN') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+  next();
+};
+
 // Optional authentication
 const optionalAuth = async (req, res, next) => {
   try {
@@ -249,11 +269,167 @@ router.post('/auth/admin/login', async (req, res) => {
       userAgent: req.get('User-Agent')
     });
     
-    res.json(createResponse(true, result, 'Admin login successful'));
+    const message = result.mfaRequired
+      ? 'Enter the code from your authenticator app'
+      : result.mfaEnrollmentRequired
+        ? 'Two-factor authentication must be set up to continue'
+        : 'Admin login successful';
+
+    res.json(createResponse(true, result, message));
     
   } catch (error) {
     console.error('Admin login error:', error);
-    res.status(401).json(createResponse(false, null, '', error.message));
+    res.status(error.statusCode || 401).json(createResponse(false, null, '', error.message));
+  }
+});
+
+// Second admin login step: { mfaToken, code } (authenticator or backup code)
+router.post('/auth/admin/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json(createResponse(false, null, '', 'MFA token and code are required'));
+    }
+
+    const result = await AuthenticationService.completeAdminMfaLogin(mfaToken, code, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json(createResponse(true, result, 'Admin login successful'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Admin MFA login error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Two-factor verification failed'));
+  }
+});
+
+// MFA setup during login when it is required: { mfaToken } from the login answer
+router.post('/auth/admin/login/mfa/setup', async (req, res) => {
+  try {
+    const result = await AuthenticationService.startAdminMfaEnrollment(req.body.mfaToken);
+
+    res.json(createResponse(true, result, 'Scan the QR code with your authenticator app'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Admin MFA setup error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to start two-factor setup'));
+  }
+});
+
+// Confirms that setup and signs in: { mfaToken, code }
+router.post('/auth/admin/login/mfa/confirm', async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json(createResponse(false, null, '', 'MFA token and code are required'));
+    }
+
+    const result = await AuthenticationService.completeAdminMfaEnrollment(mfaToken, code, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json(createResponse(true, result, 'Two-factor authentication enabled. Store your backup codes safely.'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Admin MFA confirm error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to confirm two-factor setup'));
+  }
+});
+
+// Two-factor status of the signed-in admin
+router.get('/auth/admin/mfa', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const status = await MfaService.getStatus(req.userId);
+
+    res.json(createResponse(true, status, 'Two-factor status retrieved'));
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to get two-factor status'));
+  }
+});
+
+// Start setup: { secret, otpauthUri } for the QR code
+router.post('/auth/admin/mfa/setup', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await MfaService.startEnrollment({ id: req.userId, email: req.user.email });
+
+    res.json(createResponse(true, result, 'Scan the QR code with your authenticator app'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('MFA setup error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to start two-factor setup'));
+  }
+});
+
+// Confirm setup with a first code: { code }; returns the backup codes
+router.post('/auth/admin/mfa/confirm', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await AuthenticationService.confirmMfaEnrollment(req.userId, req.body.code);
+
+    res.json(createResponse(true, result, 'Two-factor authentication enabled. Store your backup codes safely.'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('MFA confirm error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to confirm two-factor setup'));
+  }
+});
+
+// New set of backup codes (the old ones stop working): { code }
+router.post('/auth/admin/mfa/backup-codes', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const backupCodes = await MfaService.regenerateBackupCodes(req.userId, req.body.code);
+
+    res.json(createResponse(true, { backupCodes }, 'Backup codes regenerated'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Backup codes error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to regenerate backup codes'));
+  }
+});
+
+// Turn MFA off: { password, code }
+router.post('/auth/admin/mfa/disable', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const result = await AuthenticationService.disableMfa(req.userId, password, code);
+
+    res.json(createResponse(true, null, result.message));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('MFA disable error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to disable two-factor authentication'));
+  }
+});
+
+// Require MFA for every admin: { required: true|false, password, code }
+router.put('/auth/admin/mfa/policy', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { required, password, code } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json(createResponse(false, null, '', 'required must be true or false'));
+    }
+
+    const result = await AuthenticationService.setAdminMfaPolicy(req.userId, required, password, code);
+
+    res.json(createResponse(true, { requiredForAdmins: result.requiredForAdmins }, result.message));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('MFA policy error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to update two-factor policy'));
   }
 });
 
@@ -380,10 +556,58 @@ router.post('/auth/login', async (req, res) => {
       rememberMe
     });
     
-    res.json(createResponse(true, result, 'Login successful'));
+    res.json(createResponse(true, result, result.mfaRequired ? 'Enter the code from your authenticator app' : 'Login successful'));
   } catch (error) {
     console.error('Login error:', error);
-    res.status(401).json(createResponse(false, null, '', error.message));
+    res.status(error.statusCode || 401).json(createResponse(false, null, '', error.message));
+  }
+});
+
+// Second login step of a customer with two-factor authentication: { mfaToken, code }
+router.post('/auth/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json(createResponse(false, null, '', 'MFA token and code are required'));
+    }
+
+    const result = await AuthenticationService.completeMfaLogin(mfaToken, code, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json(createResponse(true, result, 'Login successful'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('MFA login error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Two-factor verification failed'));
+  }
+});
+
+// Verify an email address with the link from the verification email
+router.get('/auth/verify-email', async (req, res) => {
+  try {
+    const result = await AuthenticationService.verifyEmail(req.query.token);
+
+    res.json(createResponse(true, result, 'Email verified successfully'));
+  } catch (error) {
+    res.status(error.statusCode || 400).json(createResponse(false, null, '', error.message));
+  }
+});
+
+// Send a new verification link (throttled)
+router.post('/auth/verify-email/resend', authenticate, async (req, res) => {
+  try {
+    const result = await AuthenticationService.sendVerificationEmail(req.userId);
+
+    res.json(createResponse(true, result, 'Verification email sent'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Verification email error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to send verification email'));
   }
 });
 
@@ -396,7 +620,10 @@ router.post('/auth/refresh', async (req, res) => {
       return res.status(400).json(createResponse(false, null, '', 'Refresh token required'));
     }
 
-    const tokens = await AuthenticationService.refreshToken(refreshToken);
+    const tokens = await AuthenticationService.refreshToken(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
     
     res.json(createResponse(true, tokens, 'Token refreshed successfully'));
   } catch (error) {
@@ -404,13 +631,10 @@ router.post('/auth/refresh', async (req, res) => {
   }
 });
 
-// User logout
+// User logout (this device's session)
 router.post('/auth/logout', authenticate, async (req, res) => {
   try {
-    const tokenId = req.headers.authorization?.split(' ')[1];
-    const decoded = await AuthenticationService.verifyToken(tokenId);
-    
-    await AuthenticationService.logout(req.userId, decoded.jti);
+    await AuthenticationService.logout(req.userId, req.sessionId);
     
     res.json(createResponse(true, null, 'Logout successful'));
   } catch (error) {
@@ -418,6 +642,43 @@ router.post('/auth/logout', authenticate, async (req, res) => {
   }
 });
 
+// Log out everywhere: every access and refresh token of the user stops working
+router.post('/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const result = await AuthenticationService.logoutAllDevices(req.userId);
+    
+    res.json(createResponse(true, { revokedSessions: result.revokedSessions }, result.message));
+  } catch (error) {
+    res.status(500).json(createResponse(false, null, '', 'Logout from all devices failed'));
+  }
+});
+
+// Signed-in devices
+router.get('/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await AuthenticationService.getUserSessions(req.userId, req.sessionId);
+    
+    res.json(createResponse(true, { sessions }, 'Sessions retrieved'));
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to get sessions'));
+  }
+});
+
+// Sign one device out
+router.delete('/auth/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const result = await AuthenticationService.revokeSession(req.userId, req.params.id);
+    
+    res.json(createResponse(true, null, result.message));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Session revoke error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to revoke session'));
+  }
+});
+
 // Get user profile
 router.get('/auth/profile', authenticate, async (req, res) => {
   try {
@@ -453,6 +714,63 @@ router.post('/auth/change-password', authenticate, async (req, res) => {
   }
 });
 
+// Request a password reset link (same answer whether the account exists or not)
+router.post('/auth/password-reset/initiate', passwordResetRateLimit, async (req, res) => {
+  try {
+    const result = await AuthenticationService.initiatePasswordReset(req.body.email);
+
+    res.json(createResponse(true, null, result.message));
+  } catch (error) {
+    console.error('Password reset initiation error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to initiate password reset'));
+  }
+});
+
+// Set a new password with the emailed link: { token, newPassword }
+router.post('/auth/password-reset/complete', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const result = await AuthenticationService.completePasswordReset(token, newPassword);
+
+    res.json(createResponse(true, null, result.message));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Password reset completion error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to reset password'));
+  }
+});
+
+// Email a single-use sign-in link: { email } (same answer whether the account exists or not)
+router.post('/auth/magic-link', magicLinkRateLimit, magicLinkEmailRateLimit, async (req, res) => {
+  try {
+    const result = await AuthenticationService.requestMagicLink(req.body.email);
+
+    res.json(createResponse(true, null, result.message));
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to send sign-in link'));
+  }
+});
+
+// Exchange the emailed link for a session: ?token=
+router.get('/auth/magic-link/callback', async (req, res) => {
+  try {
+    const result = await AuthenticationService.completeMagicLink(req.query.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json(createResponse(true, result, result.mfaRequired ? 'Enter the code from your authenticator app' : 'Login successful'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Magic link login error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Sign-in failed'));
+  }
+});
+
 // =============================================================================
 // CATEGORIES ENDPOINTS
 // =============================================================================
@@ -548,6 +866,15 @@ router.get('/artworks', optionalAuth, getCacheMiddleware()(180), async (req, res
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = Math.min(parseInt(limit), 50); // Max 50 items per page
 
+    // ?after= / ?before= switch to cursor pagination (createdAt or price only)
+    let cursorParams;
+    try {
+      cursorParams = parseCursorParams(req.query);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json(createResponse(false, null, '', error.message));
+    }
+    const cursorMode = Boolean(cursorParams.cursor);
+
     // Build filter conditions
     const where = {
       isActive: true,
@@ -579,10 +906,12 @@ router.get('/artworks', optionalAuth, getCacheMiddleware()(180), async (req, res
     const validSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'createdAt';
     const validSortOrder = ['asc', 'desc'].includes(sortOrder) ? sortOrder : 'desc';
 
-    // Execute queries in parallel
-    const [artworks, total] = await Promise.all([
+    const keyset = cursorMode ? buildKeysetPrisma(cursorParams) : null;
+
+    // Execute queries in parallel (counting is optional in cursor mode)
+    const [rows, total] = await Promise.all([
       prisma.artwork.findMany({
-        where,
+        where: keyset ? { AND: [where, keyset.where] } : where,
         include: {
           category: {
             select: { id: true, name: true, color: true }
@@ -593,23 +922,40 @@ router.get('/artworks', optionalAuth, getCacheMiddleware()(180), async (req, res
           images: {
             where: { isPrimary: true },
             take: 1,
-            select: { url: true, filename: true, mimeType: true }
+            select: {
+              url: true,
+              filename: true,
+              mimeType: true,
+              width: true,
+              height: true,
+              aspectRatio: true,
+              dominantColors: true,
+              blurhash: true,
+              lqip: true
+            }
           },
           _count: {
             select: { orderItems: true }
           }
         },
-        orderBy: { [validSortBy]: validSortOrder },
-        skip,
-        take
+        orderBy: keyset ? keyset.orderBy : [{ [validSortBy]: validSortOrder }, { id: validSortOrder }],
+        skip: cursorMode ? 0 : skip,
+        take: cursorMode ? take + 1 : take
       }),
-      prisma.artwork.count({ where })
+      !cursorMode || cursorParams.withTotal ? prisma.artwork.count({ where }) : null
     ]);
 
+    const cursorPage = cursorMode
+      ? buildCursorPage(rows, { ...cursorParams, limit: take })
+      : null;
+    const artworks = cursorPage ? cursorPage.rows : rows;
+
     // Enhance artworks with computed fields
     const enhancedArtworks = artworks.map(artwork => ({
       ...artwork,
       primaryImage: artwork.images[0]?.url || null,
+      // Placeholder data for the grid (blurhash/LQIP while the image loads)
+      primaryImageMeta: artwork.images[0] ? ImageService.pickMetadata(artwork.images[0]) : null,
       artist: `${artwork.user.firstName} ${artwork.user.lastName}`,
       salesCount: artwork._count.orderItems,
       // Remove private fields
@@ -619,14 +965,30 @@ router.get('/artworks', optionalAuth, getCacheMiddleware()(180), async (req, res
       }
     }));
 
-    const pagination = {
-      page: parseInt(page),
-      limit: take,
-      total,
-      pages: Math.ceil(total / take),
-      hasNext: skip + take < total,
-      hasPrev: page > 1
-    };
+    const canUseCursor = CURSOR_SORT_FIELDS.includes(validSortBy);
+    const pagination = cursorPage
+      ? {
+          limit: take,
+          nextCursor: cursorPage.nextCursor,
+          prevCursor: cursorPage.prevCursor,
+          hasNext: Boolean(cursorPage.nextCursor),
+          hasPrev: Boolean(cursorPage.prevCursor),
+          ...(total !== null && { total })
+        }
+      : {
+          page: parseInt(page),
+          limit: take,
+          total,
+          pages: Math.ceil(total / take),
+          hasNext: skip + take < total,
+          hasPrev: page > 1,
+          nextCursor: canUseCursor && skip + take < total && artworks.length > 0
+            ? encodeCursor(artworks[artworks.length - 1], validSortBy)
+            : null,
+          prevCursor: canUseCursor && page > 1 && artworks.length > 0
+            ? encodeCursor(artworks[0], validSortBy)
+            : null
+        };
 
     res.json(createResponse(true, {
       artworks: enhancedArtworks,
@@ -671,7 +1033,13 @@ router.get('/artworks/:id', optionalAuth, async (req, res) => {
             filename: true,
             mimeType: true,
             size: true,
-            isPrimary: true
+            isPrimary: true,
+            width: true,
+            height: true,
+            aspectRatio: true,
+            dominantColors: true,
+            blurhash: true,
+            lqip: true
           }
         }
       }
@@ -730,6 +1098,11 @@ router.get('/artworks/:id', optionalAuth, async (req, res) => {
 
     const enhancedArtwork = {
       ...artwork,
+      // srcset-ready variants per image
+      images: artwork.images.map(image => ({
+        ...image,
+        ...ImageService.describeVariants(image.filename, image)
+      })),
       artist: {
         ...artwork.user,
         name: `${artwork.user.firstName} ${artwork.user.lastName}`,
@@ -862,36 +1235,17 @@ router.post('/artworks/:id/images', authenticate, upload.array('images', 10), as
     }
 
     const uploadedImages = [];
-    const uploadDir = path.join(__dirname, '../uploads');
-
-    // Ensure upload directory exists
-    await fs.mkdir(uploadDir, { recursive: true });
 
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
       const fileId = crypto.randomUUID();
-      const ext = path.extname(file.originalname);
+      const ext = path.extname(file.originalname).toLowerCase();
       const filename = `${fileId}${ext}`;
-      const filepath = path.join(uploadDir, filename);
-
-      // Process image with Sharp
-      let processedBuffer = file.buffer;
-
-      if (file.mimetype !== 'image/gif') {
-        processedBuffer = await sharp(file.buffer)
-          .resize(2000, 2000, { 
-            fit: 'inside', 
-            withoutEnlargement: true 
-          })
-          .jpeg({ 
-            quality: 90, 
-            progressive: true 
-          })
-          .toBuffer();
-      }
 
-      // Save file
-      await fs.writeFile(filepath, processedBuffer);
+      // Strip EXIF/GPS, store the original through the storage driver, analyse
+      // it (palette, blurhash, LQIP) and render the responsive variants
+      // (thumbnail, card, detail, zoom × AVIF/WebP/JPEG)
+      const processed = await ImageService.processUpload(filename, file.buffer);
 
       // Create database record
       const image = await prisma.artworkImage.create({
@@ -899,14 +1253,20 @@ router.post('/artworks/:id/images', authenticate, upload.array('images', 10), as
           filename,
           originalName: file.originalname,
           mimeType: file.mimetype,
-          size: processedBuffer.length,
+          size: processed.size,
           url: `/uploads/${filename}`,
           isPrimary: i === 0, // First image is primary
-          artworkId
+          artworkId,
+          ...ImageService.pickMetadata(processed)
         }
       });
 
-      uploadedImages.push(image);
+      uploadedImages.push({
+        ...image,
+        imageId: processed.imageId,
+        variants: processed.variants,
+        srcset: processed.srcset
+      });
     }
 
     res.status(201).json(createResponse(true, { images: uploadedImages }, 'Images uploaded successfully'));
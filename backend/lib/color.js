@@ -0,0 +1,73 @@
+/**
+ * 🎨 ELOUARATE ART - Color Helpers
+ * Hex/RGB/CIELAB conversion and perceptual distance (CIE76 ΔE)
+ *
+ * CIELAB is used for palettes and "shop by color": a ΔE around 2 is barely
+ * visible, 10 is clearly different, 50+ are unrelated colors.
+ */
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// "#c0392b" / "c0392b" / "#c32" → { r, g, b }; null when invalid
+export const hexToRgb = (hex) => {
+  const match = HEX_COLOR.exec(String(hex || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const digits = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1];
+
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16)
+  };
+};
+
+export const rgbToHex = ({ r, g, b }) => `#${[r, g, b]
+  .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+  .join('')}`;
+
+// sRGB (D65) → CIELAB
+export const rgbToLab = ({ r, g, b }) => {
+  const linear = (channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+
+  const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+  // Reference white D65
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / 1.0;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (841 / 108) * t + 4 / 29);
+  const [fx, fy, fz] = [f(x), f(y), f(z)];
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+};
+
+export const hexToLab = (hex) => {
+  const rgb = hexToRgb(hex);
+  return rgb ? rgbToLab(rgb) : null;
+};
+
+// CIE76 color difference
+export const deltaE = (lab1, lab2) => Math.sqrt(
+  (lab1.l - lab2.l) ** 2 + (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2
+);
+
+export default {
+  hexToRgb,
+  rgbToHex,
+  rgbToLab,
+  hexToLab,
+  deltaE
+};
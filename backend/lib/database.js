@@ -0,0 +1,98 @@
+/**
+ * 🗄️ ELOUARATE ART - PostgreSQL Access Layer
+ * Shared connection pool, query and transaction helpers (no Prisma)
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+const { Pool } = pg;
+
+// Load environment variables (this module is imported before server.js runs its own config)
+dotenv.config();
+
+// =============================================================================
+// CONNECTION POOL
+// =============================================================================
+
+export const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 2000,
+});
+
+// Test database connection
+pool.on('connect', () => {
+  console.log('✅ Connected to PostgreSQL database');
+});
+
+pool.on('error', (err) => {
+  console.error('❌ PostgreSQL connection error:', err);
+});
+
+// =============================================================================
+// QUERY HELPERS
+// =============================================================================
+
+// Database query helper with error handling
+export const query = async (text, params = []) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(text, params);
+    return result;
+  } catch (error) {
+    console.error('Database query error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Run a callback inside BEGIN/COMMIT on a dedicated client.
+// The callback receives the client; any thrown error rolls everything back.
+export const transaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch((rollbackError) => {
+      console.error('Database rollback error:', rollbackError);
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Row-level locks for read-check-write sequences; call inside transaction().
+// Rows are locked in id order, so transactions locking overlapping sets (two
+// checkouts of the same artworks) wait for each other instead of deadlocking.
+// With `skipLocked`, rows held by another transaction are left out instead of
+// waited for (background jobs). Returns the locked rows.
+export const lockRows = async (client, table, ids, { columns = 'id', skipLocked = false } = {}) => {
+  if (!/^[a-z_]+$/.test(table)) {
+    throw new Error(`Invalid table name: ${table}`);
+  }
+
+  const result = await client.query(
+    `SELECT ${columns} FROM ${table} WHERE id = ANY($1::text[]) ORDER BY id FOR UPDATE${skipLocked ? ' SKIP LOCKED' : ''}`,
+    [ids]
+  );
+  return result.rows;
+};
+
+// Unique ID generator (same format as user IDs)
+export const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+export default {
+  pool,
+  query,
+  transaction,
+  lockRows,
+  generateId
+};
@@ -0,0 +1,175 @@
+/**
+ * 📑 ELOUARATE ART - Cursor Pagination Helpers
+ * Opaque keyset cursors over (createdAt, id) or (price, id)
+ *
+ * A cursor is the base64url JSON of the sort key and id of a boundary row.
+ * `?after=` returns the rows following it in the current order, `?before=`
+ * the rows preceding it. Unlike OFFSET, pages do not shift when artworks are
+ * added or removed while a visitor scrolls.
+ */
+
+export const CURSOR_SORT_FIELDS = ['createdAt', 'price'];
+
+// Largest page a listing returns, whatever ?limit= asks for
+export const MAX_PAGE_SIZE = 50;
+
+const createPaginationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Prices may be Prisma Decimals, cursors always carry plain numbers
+export const encodeCursor = (row, sortBy) => {
+  const value = row[sortBy] instanceof Date ? row[sortBy].toISOString() : Number(row[sortBy]);
+  return Buffer.from(JSON.stringify({ s: sortBy, v: value, id: row.id })).toString('base64url');
+};
+
+// Returns { value, id }; throws a 400 error for malformed cursors or cursors
+// created for another sort order
+export const decodeCursor = (cursor, sortBy) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createPaginationError('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || decoded.v === undefined) {
+    throw createPaginationError('Invalid cursor');
+  }
+
+  if (decoded.s !== sortBy) {
+    throw createPaginationError('Cursor does not match the requested sort order');
+  }
+
+  if (sortBy === 'createdAt') {
+    const date = new Date(decoded.v);
+    if (Number.isNaN(date.getTime())) {
+      throw createPaginationError('Invalid cursor');
+    }
+    return { value: date, id: decoded.id };
+  }
+
+  if (!Number.isFinite(decoded.v)) {
+    throw createPaginationError('Invalid cursor');
+  }
+
+  return { value: decoded.v, id: decoded.id };
+};
+
+// Reads page/limit from req.query: { page, limit, offset }. Throws a 400
+// error unless both are whole numbers of at least 1; limit is capped at
+// `maxLimit`.
+export const parsePageParams = (queryParams = {}, { defaultLimit = 12, maxLimit = MAX_PAGE_SIZE } = {}) => {
+  const readPositive = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+      return fallback;
+    }
+    if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+      throw createPaginationError(`${name} must be a whole number of at least 1`);
+    }
+    return Number(value);
+  };
+
+  const page = readPositive(queryParams.page, 'page', 1);
+  const limit = Math.min(readPositive(queryParams.limit, 'limit', defaultLimit), maxLimit);
+
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// Reads sortBy/sortOrder/after/before/withTotal from req.query.
+// `cursor` is null in offset mode (no after/before given).
+export const parseCursorParams = (queryParams = {}, { defaultSortBy = 'createdAt' } = {}) => {
+  const { after, before, withTotal } = queryParams;
+  const sortBy = queryParams.sortBy || defaultSortBy;
+  const sortOrder = String(queryParams.sortOrder).toLowerCase() === 'asc' ? 'asc' : 'desc';
+
+  if (after && before) {
+    throw createPaginationError('Use either after or before, not both');
+  }
+
+  const cursorParam = after || before;
+  if (cursorParam && !CURSOR_SORT_FIELDS.includes(sortBy)) {
+    throw createPaginationError(`Cursor pagination supports sortBy: ${CURSOR_SORT_FIELDS.join(', ')}`);
+  }
+
+  return {
+    sortBy,
+    sortOrder,
+    direction: before ? 'before' : 'after',
+    cursor: cursorParam ? decodeCursor(cursorParam, sortBy) : null,
+    withTotal: withTotal === 'true'
+  };
+};
+
+// Keyset ORDER BY and condition builder for raw SQL. `condition(param)` is
+// null without a cursor; `param` binds a value and returns its placeholder.
+// `before` walks the list backwards.
+export const buildKeysetSql = ({ column, idColumn, sortOrder, direction, cursor }) => {
+  const descending = (sortOrder === 'desc') !== (direction === 'before');
+  const order = descending ? 'DESC' : 'ASC';
+
+  return {
+    condition: cursor
+      ? (param) => `(${column}, ${idColumn}) ${descending ? '<' : '>'} (${param(cursor.value)}, ${param(cursor.id)})`
+      : null,
+    orderBy: `${column} ${order}, ${idColumn} ${order}`
+  };
+};
+
+// Same as buildKeysetSql for Prisma: { where, orderBy }
+export const buildKeysetPrisma = ({ sortBy, sortOrder, direction, cursor }) => {
+  const descending = (sortOrder === 'desc') !== (direction === 'before');
+  const order = descending ? 'desc' : 'asc';
+  const comparison = descending ? 'lt' : 'gt';
+
+  return {
+    where: cursor
+      ? {
+          OR: [
+            { [sortBy]: { [comparison]: cursor.value } },
+            { [sortBy]: cursor.value, id: { [comparison]: cursor.id } }
+          ]
+        }
+      : null,
+    orderBy: [{ [sortBy]: order }, { id: order }]
+  };
+};
+
+// Keyset page from rows fetched with LIMIT limit + 1 (in reversed order for `before`).
+// Returns the rows in display order with next/prev cursors.
+export const buildCursorPage = (rows, { limit, sortBy, direction, cursor }) => {
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+
+  if (direction === 'before') {
+    pageRows.reverse();
+  }
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  // Coming from a cursor means there is at least one row on the other side
+  const hasNext = direction === 'before' ? Boolean(cursor) : hasMore;
+  const hasPrev = direction === 'before' ? hasMore : Boolean(cursor);
+
+  return {
+    rows: pageRows,
+    nextCursor: hasNext && last ? encodeCursor(last, sortBy) : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, sortBy) : null
+  };
+};
+
+export default {
+  CURSOR_SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  parseCursorParams,
+  buildKeysetSql,
+  buildKeysetPrisma,
+  buildCursorPage
+};
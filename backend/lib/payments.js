@@ -0,0 +1,366 @@
+/**
+ * 💳 ELOUARATE ART - Payment Providers
+ * Card payments through Stripe, or through an offline fake for tests and local dev
+ *
+ * PAYMENT_PROVIDER selects the provider:
+ *   stripe  Stripe PaymentIntents (STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET)
+ *   fake    in-memory intents and HMAC-signed webhooks, no network access
+ *
+ * Both providers implement the same interface, in store amounts (350.5 EUR,
+ * never minor units) and with provider-neutral statuses and events:
+ *   createIntent({ amount, currency, orderId, customerEmail, idempotencyKey })
+ *   confirmIntent(intentId, { paymentMethod })
+ *   refund(intentId, { amount, currency, idempotencyKey })  (amount omitted: the rest)
+ *   verifyWebhook(rawBody, headers)  → { id, type, intentId, ... } or 400
+ */
+
+import crypto from 'crypto';
+import Stripe from 'stripe';
+
+export const PAYMENT_PROVIDERS = ['stripe', 'fake'];
+
+export const PAYMENT_STATUSES = {
+  REQUIRES_PAYMENT: 'REQUIRES_PAYMENT',
+  REQUIRES_ACTION: 'REQUIRES_ACTION',
+  PROCESSING: 'PROCESSING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+// Webhook events the shop reacts to; anything else is acknowledged and ignored
+export const PAYMENT_EVENTS = {
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  REFUNDED: 'payment.refunded'
+};
+
+// Webhooks older than this are refused (replayed requests)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const createPaymentError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Currencies without cents (Stripe amounts are in the smallest unit)
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+]);
+
+const toMinorUnits = (amount, currency) => (
+  ZERO_DECIMAL_CURRENCIES.has(currency.toUpperCase()) ? Math.round(amount) : Math.round(amount * 100)
+);
+
+const fromMinorUnits = (amount, currency) => (
+  ZERO_DECIMAL_CURRENCIES.has(currency.toUpperCase()) ? amount : amount / 100
+);
+
+// Headers arrive lower-cased from Node
+const getHeader = (headers, name) => {
+  const value = headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+// =============================================================================
+// STRIPE
+// =============================================================================
+
+// Stripe errors carry Stripe's HTTP status (401 for a bad key...), which must
+// not leak to the shop's clients as-is
+const toStripeError = (error) => createPaymentError(`Stripe: ${error.message}`, error.statusCode === 404 ? 404 : 502);
+
+const STRIPE_STATUSES = {
+  requires_payment_method: PAYMENT_STATUSES.REQUIRES_PAYMENT,
+  requires_confirmation: PAYMENT_STATUSES.REQUIRES_PAYMENT,
+  requires_action: PAYMENT_STATUSES.REQUIRES_ACTION,
+  requires_capture: PAYMENT_STATUSES.PROCESSING,
+  processing: PAYMENT_STATUSES.PROCESSING,
+  succeeded: PAYMENT_STATUSES.SUCCEEDED,
+  canceled: PAYMENT_STATUSES.FAILED
+};
+
+export class StripePaymentProvider {
+  constructor({ secretKey, publishableKey = null, webhookSecret } = {}) {
+    if (!secretKey) {
+      throw createPaymentError('STRIPE_SECRET_KEY is required for the stripe payment provider', 500);
+    }
+
+    this.name = 'stripe';
+    this.publishableKey = publishableKey;
+    this.webhookSecret = webhookSecret;
+    this.client = new Stripe(secretKey);
+  }
+
+  formatIntent(intent) {
+    return {
+      id: intent.id,
+      clientSecret: intent.client_secret,
+      status: STRIPE_STATUSES[intent.status] || PAYMENT_STATUSES.PROCESSING,
+      amount: fromMinorUnits(intent.amount, intent.currency),
+      currency: intent.currency.toUpperCase(),
+      failureMessage: intent.last_payment_error?.message || null
+    };
+  }
+
+  async createIntent({ amount, currency, orderId, customerEmail = null, idempotencyKey }) {
+    try {
+      const intent = await this.client.paymentIntents.create({
+        amount: toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        automatic_payment_methods: { enabled: true },
+        receipt_email: customerEmail || undefined,
+        metadata: { orderId }
+      }, { idempotencyKey });
+
+      return this.formatIntent(intent);
+    } catch (error) {
+      throw toStripeError(error);
+    }
+  }
+
+  async confirmIntent(intentId, { paymentMethod } = {}) {
+    try {
+      const intent = await this.client.paymentIntents.confirm(intentId, {
+        payment_method: paymentMethod || undefined
+      });
+      return this.formatIntent(intent);
+    } catch (error) {
+      // Declined cards are an outcome, not an error of the shop
+      if (error.type === 'StripeCardError' && error.payment_intent) {
+        return { ...this.formatIntent(error.payment_intent), status: PAYMENT_STATUSES.FAILED, failureMessage: error.message };
+      }
+      throw toStripeError(error);
+    }
+  }
+
+  async refund(intentId, { amount, currency, idempotencyKey }) {
+    try {
+      const refund = await this.client.refunds.create({
+        payment_intent: intentId,
+        amount: amount === undefined ? undefined : toMinorUnits(amount, currency)
+      }, { idempotencyKey });
+
+      return {
+        id: refund.id,
+        status: refund.status,
+        amount: fromMinorUnits(refund.amount, refund.currency)
+      };
+    } catch (error) {
+      throw toStripeError(error);
+    }
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw createPaymentError('STRIPE_WEBHOOK_SECRET is not configured', 500);
+    }
+
+    let event;
+    try {
+      event = this.client.webhooks.constructEvent(
+        rawBody, getHeader(headers, 'stripe-signature'), this.webhookSecret, WEBHOOK_TOLERANCE_SECONDS
+      );
+    } catch (error) {
+      throw createPaymentError(`Invalid webhook signature: ${error.message}`, 400);
+    }
+
+    const object = event.data.object;
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return { id: event.id, type: PAYMENT_EVENTS.SUCCEEDED, intentId: object.id, payload: event };
+      case 'payment_intent.payment_failed':
+        return {
+          id: event.id,
+          type: PAYMENT_EVENTS.FAILED,
+          intentId: object.id,
+          failureMessage: object.last_payment_error?.message || null,
+          payload: event
+        };
+      case 'charge.refunded':
+        return {
+          id: event.id,
+          type: PAYMENT_EVENTS.REFUNDED,
+          intentId: object.payment_intent,
+          // Total refunded so far, not only this refund
+          refundedAmount: fromMinorUnits(object.amount_refunded, object.currency),
+          payload: event
+        };
+      default:
+        return { id: event.id, type: null, intentId: object?.id || null, payload: event };
+    }
+  }
+}
+
+// =============================================================================
+// FAKE (offline)
+// =============================================================================
+
+// Mirrors Stripe's test payment methods: this one is declined, any other succeeds
+export const FAKE_DECLINED_PAYMENT_METHOD = 'pm_card_declined';
+
+export class FakePaymentProvider {
+  constructor({ webhookSecret } = {}) {
+    this.name = 'fake';
+    this.publishableKey = 'pk_fake';
+    this.webhookSecret = webhookSecret;
+    this.intents = new Map();
+  }
+
+  getIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw createPaymentError(`No such payment intent: ${intentId}`, 404);
+    }
+    return intent;
+  }
+
+  async createIntent({ amount, currency, orderId, idempotencyKey }) {
+    const existing = [...this.intents.values()].find(intent => idempotencyKey && intent.idempotencyKey === idempotencyKey);
+    if (existing) {
+      return { ...existing };
+    }
+
+    const id = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+    const intent = {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      status: PAYMENT_STATUSES.REQUIRES_PAYMENT,
+      amount,
+      currency: currency.toUpperCase(),
+      refundedAmount: 0,
+      failureMessage: null,
+      orderId,
+      idempotencyKey
+    };
+
+    this.intents.set(id, intent);
+    return { ...intent };
+  }
+
+  async confirmIntent(intentId, { paymentMethod } = {}) {
+    const intent = this.getIntent(intentId);
+
+    if (intent.status !== PAYMENT_STATUSES.SUCCEEDED) {
+      const declined = paymentMethod === FAKE_DECLINED_PAYMENT_METHOD;
+      intent.status = declined ? PAYMENT_STATUSES.FAILED : PAYMENT_STATUSES.SUCCEEDED;
+      intent.failureMessage = declined ? 'Your card was declined.' : null;
+    }
+
+    return { ...intent };
+  }
+
+  async refund(intentId, { amount }) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== PAYMENT_STATUSES.SUCCEEDED) {
+      throw createPaymentError('Only succeeded payments can be refunded', 409);
+    }
+
+    const refundAmount = amount === undefined ? intent.amount - intent.refundedAmount : amount;
+    if (refundAmount <= 0 || intent.refundedAmount + refundAmount > intent.amount + 1e-9) {
+      throw createPaymentError('Refund exceeds the captured amount', 409);
+    }
+
+    intent.refundedAmount += refundAmount;
+    return { id: `fake_re_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded', amount: refundAmount };
+  }
+
+  // Stripe-style "t=<timestamp>,v1=<hmac of timestamp.body>" header, so tests
+  // and local tools can send webhooks the way Stripe would
+  signWebhook(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+    return { body, header: `t=${timestamp},v1=${signature}` };
+  }
+
+  // Payload: { id, type: "payment.succeeded" | ..., data: { intentId, refundedAmount?, failureMessage? } }
+  verifyWebhook(rawBody, headers) {
+    const header = getHeader(headers, 'x-fake-signature') || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw createPaymentError('Invalid webhook signature: missing X-Fake-Signature', 400);
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw createPaymentError('Invalid webhook signature: timestamp outside the tolerance zone', 400);
+    }
+
+    const expected = Buffer.from(this.signWebhook(rawBody.toString('utf8'), timestamp).header.split('v1=')[1]);
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw createPaymentError('Invalid webhook signature', 400);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw createPaymentError('Invalid webhook payload', 400);
+    }
+
+    if (!event.id) {
+      throw createPaymentError('Invalid webhook payload: missing event id', 400);
+    }
+
+    return {
+      id: event.id,
+      type: Object.values(PAYMENT_EVENTS).includes(event.type) ? event.type : null,
+      intentId: event.data?.intentId || null,
+      refundedAmount: event.data?.refundedAmount,
+      failureMessage: event.data?.failureMessage || null,
+      payload: event
+    };
+  }
+}
+
+// =============================================================================
+// PROVIDER SELECTION
+// =============================================================================
+
+// Provider configured by the environment variables documented in .env.example.
+// Stripe unless PAYMENT_PROVIDER=fake, which production refuses: the fake
+// accepts any test card, so customers could mark their own orders paid.
+export const createPaymentProvider = (env = process.env) => {
+  const provider = (env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+
+  if (provider === 'stripe') {
+    return new StripePaymentProvider({
+      secretKey: env.STRIPE_SECRET_KEY,
+      publishableKey: env.STRIPE_PUBLISHABLE_KEY || null,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET
+    });
+  }
+
+  if (provider === 'fake') {
+    if (env.NODE_ENV === 'production') {
+      throw createPaymentError('PAYMENT_PROVIDER "fake" cannot be used in production', 500);
+    }
+
+    return new FakePaymentProvider({
+      webhookSecret: env.PAYMENT_WEBHOOK_SECRET || env.JWT_SECRET || 'your-secret-key'
+    });
+  }
+
+  throw createPaymentError(`Unknown PAYMENT_PROVIDER "${provider}" (expected ${PAYMENT_PROVIDERS.join(' or ')})`, 500);
+};
+
+// Created on first use (env is loaded by the app after this module is imported).
+// A configuration error is logged and reaches customers as a plain 503: its
+// message names settings, not something they can act on.
+let paymentProvider = null;
+
+export const getPaymentProvider = () => {
+  if (!paymentProvider) {
+    try {
+      paymentProvider = createPaymentProvider();
+    } catch (error) {
+      console.error('Payment provider configuration error:', error.message);
+      throw createPaymentError('Payments are currently unavailable', 503);
+    }
+    console.log(`💳 Payment provider: ${paymentProvider.name}`);
+  }
+  return paymentProvider;
+};
+
+export default getPaymentProvider;
@@ -0,0 +1,346 @@
+/**
+ * 🗄️ ELOUARATE ART - File Storage
+ * Uploads and image variants on local disk or in an S3-compatible bucket
+ *
+ * Every file is addressed by a key relative to the storage root, using the
+ * same layout as the historical uploads/ folder:
+ *   <filename>                               original upload
+ *   variants/<imageId>/<variant>.<sig>.<fmt> rendered variant
+ *   variants/<imageId>/manifest.json         variant manifest
+ *
+ * STORAGE_DRIVER selects the driver:
+ *   local  files under UPLOAD_PATH (default backend/uploads)
+ *   s3     S3_BUCKET on AWS S3, or on MinIO/R2/Spaces through S3_ENDPOINT
+ *
+ * Both drivers implement put/get/exists/delete/deletePrefix/list/signedUrl.
+ * Local signed URLs point back at this API (see verifySignedUrl); S3 signed
+ * URLs are presigned GETs served by the bucket itself.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORAGE_DRIVERS = ['local', 's3'];
+
+const BACKEND_DIR = path.join(__dirname, '..');
+export const DEFAULT_UPLOADS_DIR = path.join(BACKEND_DIR, 'uploads');
+
+// UPLOAD_PATH is relative to backend/
+export const getUploadsDir = (env = process.env) => (
+  env.UPLOAD_PATH ? path.resolve(BACKEND_DIR, env.UPLOAD_PATH) : DEFAULT_UPLOADS_DIR
+);
+
+// Keys are relative paths whose segments have no leading dot (so no "..")
+const SAFE_SEGMENT = /^[\w-][\w.-]*$/;
+
+const createStorageError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const assertKey = (key) => {
+  if (typeof key !== 'string' || !key.split('/').every(segment => SAFE_SEGMENT.test(segment))) {
+    throw createStorageError(`Invalid storage key: ${key}`, 400);
+  }
+  return key;
+};
+
+// "attachment; filename=..." with a plain ASCII fallback for old clients
+const contentDisposition = (downloadName) => {
+  const fallback = downloadName.replace(/[^\w.-]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(downloadName)}`;
+};
+
+// =============================================================================
+// LOCAL DISK
+// =============================================================================
+
+export class LocalStorageDriver {
+  constructor({ root = DEFAULT_UPLOADS_DIR, signingSecret, signedUrlPath = '/api/files' } = {}) {
+    this.name = 'local';
+    this.root = root;
+    this.signingSecret = signingSecret;
+    this.signedUrlPath = signedUrlPath;
+  }
+
+  resolve(key) {
+    return path.join(this.root, assertKey(key));
+  }
+
+  // Written to a temp file and renamed, so a half-written file is never read
+  async put(key, body) {
+    const target = this.resolve(key);
+    const temporary = `${target}.${crypto.randomUUID()}.tmp`;
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(temporary, body);
+    await fs.rename(temporary, target);
+  }
+
+  // Buffer, or null when the key does not exist
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return stats.isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  // Removes every key under "<prefix>/"
+  async deletePrefix(prefix) {
+    await fs.rm(this.resolve(prefix.replace(/\/$/, '')), { recursive: true, force: true });
+  }
+
+  // Yields { key, size } for every file under the prefix (all files without one)
+  async *list(prefix = '') {
+    const start = prefix ? this.resolve(prefix.replace(/\/$/, '')) : this.root;
+    const walk = async function* (directory) {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(fullPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+          const stats = await fs.stat(fullPath);
+          yield { key: path.relative(this.root, fullPath).split(path.sep).join('/'), size: stats.size };
+        }
+      }
+    }.bind(this);
+
+    yield* walk(start);
+  }
+
+  sign(key, expires) {
+    if (!this.signingSecret) {
+      throw createStorageError('A signing secret is required for signed URLs');
+    }
+
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('base64url');
+  }
+
+  // Short-lived URL on this API; the route serving it checks verifySignedUrl
+  async signedUrl(key, { expiresIn = 300, downloadName } = {}) {
+    assertKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires), signature: this.sign(key, expires) });
+
+    if (downloadName) {
+      query.set('download', downloadName);
+    }
+
+    return {
+      url: `${this.signedUrlPath}/${key.split('/').map(encodeURIComponent).join('/')}?${query}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  verifySignedUrl(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+// =============================================================================
+// S3-COMPATIBLE BUCKET
+// =============================================================================
+
+const isNotFound = (error) => error?.name === 'NoSuchKey'
+  || error?.name === 'NotFound'
+  || error?.$metadata?.httpStatusCode === 404;
+
+export class S3StorageDriver {
+  constructor({ bucket, prefix = '', client, ...clientConfig }) {
+    if (!bucket) {
+      throw createStorageError('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix ? `${prefix.replace(/\/$/, '')}/` : '';
+    this.client = client || new S3Client(clientConfig);
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${assertKey(key)}`;
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+
+  async deletePrefix(prefix) {
+    const keys = [];
+    for await (const item of this.list(`${prefix.replace(/\/$/, '')}/`)) {
+      keys.push(item.key);
+    }
+
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let i = 0; i < keys.length; i += 1000) {
+      await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: { Objects: keys.slice(i, i + 1000).map(key => ({ Key: this.objectKey(key) })), Quiet: true }
+      }));
+    }
+  }
+
+  async *list(prefix = '') {
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${this.prefix}${prefix}`,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        yield { key: object.Key.slice(this.prefix.length), size: object.Size };
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  // Presigned GET straight from the bucket
+  async signedUrl(key, { expiresIn = 300, downloadName } = {}) {
+    const url = await getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ResponseContentDisposition: downloadName ? contentDisposition(downloadName) : undefined
+    }), { expiresIn });
+
+    return {
+      url,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+}
+
+// =============================================================================
+// DRIVER SELECTION
+// =============================================================================
+
+// Driver configured by the environment variables documented in .env.example
+export const createStorage = (env = process.env) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 'local') {
+    return new LocalStorageDriver({
+      root: getUploadsDir(env),
+      signingSecret: env.IMAGE_SIGNING_SECRET || env.JWT_SECRET || 'your-secret-key'
+    });
+  }
+
+  if (driver === 's3') {
+    return new S3StorageDriver({
+      bucket: env.S3_BUCKET,
+      prefix: env.S3_PREFIX || '',
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted endpoints only support path-style URLs
+      forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(env.S3_ENDPOINT),
+      credentials: env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+
+  throw createStorageError(`Unknown STORAGE_DRIVER "${driver}" (expected ${STORAGE_DRIVERS.join(' or ')})`);
+};
+
+// Created on first use (env is loaded by the app after this module is imported)
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`🗄️ File storage: ${storage.name}${storage.bucket ? ` (bucket ${storage.bucket})` : ` (${storage.root})`}`);
+  }
+  return storage;
+};
+
+export default getStorage;
@@ -0,0 +1,103 @@
+/**
+ * 🔢 ELOUARATE ART - TOTP Helpers
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ *
+ * Same parameters as Google Authenticator, 1Password, Authy...: SHA-1, 6
+ * digits, 30-second steps, base32 secrets. A code is accepted one step
+ * before or after the current one to absorb clock drift; callers pass the
+ * last step they accepted so a code cannot be used twice.
+ */
+
+import crypto from 'crypto';
+
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (value) => {
+  let bits = '';
+  for (const char of value.replace(/[\s=]/g, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 (what authenticator apps expect)
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+export const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Step the code belongs to, or null. Steps up to `afterStep` are refused.
+export const verifyCode = (secret, code, { afterStep = -1, window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Provisioning URI for authenticator apps; the frontend renders it as a QR code
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export default {
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri
+};
@@ -3,6 +3,8 @@
  * Enterprise-grade performance optimization for Railway deployment
  */
 
+import { FILTER_PARAMS } from '../services/artwork-filter-service.js';
+
 // =============================================================================
 // IN-MEMORY CACHE SYSTEM
 // =============================================================================
@@ -126,17 +128,20 @@ export const cacheMiddleware = (ttlSeconds = 300, keyGenerator = null) => {
     // Try to get from cache
     const cachedResponse = cache.get(cacheKey);
     
+    // Header values must be ASCII (search terms can be French or Arabic)
+    const cacheKeyHeader = encodeURIComponent(cacheKey);
+
     if (cachedResponse) {
       console.log(`💾 Cache HIT: ${cacheKey}`);
       res.setHeader('X-Cache', 'HIT');
-      res.setHeader('X-Cache-Key', cacheKey);
+      res.setHeader('X-Cache-Key', cacheKeyHeader);
       return res.json(cachedResponse);
     }
 
     // Cache miss - intercept response
     console.log(`📥 Cache MISS: ${cacheKey}`);
     res.setHeader('X-Cache', 'MISS');
-    res.setHeader('X-Cache-Key', cacheKey);
+    res.setHeader('X-Cache-Key', cacheKeyHeader);
 
     // Store original json method
     const originalJson = res.json;
@@ -165,10 +170,12 @@ export const longCache = cacheMiddleware(900); // 15 minutes
 // Categories cache (rarely change)
 export const categoriesCache = cacheMiddleware(1800, (req) => 'categories:all'); // 30 minutes
 
-// Artworks cache with query parameters
+// Artworks cache with query parameters (every listing filter is part of the key)
 export const artworksCache = cacheMiddleware(300, (req) => {
-  const { page = 1, limit = 12, category, search, minPrice, maxPrice } = req.query;
-  return `artworks:${page}:${limit}:${category || 'all'}:${search || 'none'}:${minPrice || '0'}:${maxPrice || 'max'}`;
+  const { page = 1, limit = 12, q, search, sortBy, sortOrder, after, before, withTotal } = req.query;
+  const filters = FILTER_PARAMS.map(name => `${name}=${[].concat(req.query[name] ?? '').join(',')}`);
+  const paging = `${sortBy || 'default'}:${sortOrder || 'desc'}:${after || ''}:${before || ''}:${withTotal === 'true'}`;
+  return `artworks:${page}:${limit}:${paging}:${q || search || 'none'}:${filters.join(':')}`;
 });
 
 // Health check cache (very short)
@@ -250,7 +257,9 @@ export const compressionConfig = {
       'audio/',
       'application/pdf',
       'application/zip',
-      'application/gzip'
+      'application/gzip',
+      // Live streams must reach the client event by event
+      'text/event-stream'
     ];
     
     return !skipTypes.some(type => contentType.includes(type));
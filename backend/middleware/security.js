@@ -5,6 +5,7 @@
 
 import rateLimit from 'express-rate-limit';
 import validator from 'validator';
+import { normalizeCountryCode } from '../lib/countries.js';
 
 // =============================================================================
 // ADVANCED RATE LIMITING
@@ -42,6 +43,76 @@ export const registrationRateLimit = rateLimit({
   keyGenerator: (req) => `registration-${req.ip}`
 });
 
+// Password reset requests (the response is the same whether the account exists)
+export const passwordResetRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 reset requests per hour per IP
+  message: {
+    success: false,
+    error: 'Too many password reset requests. Please try again in 1 hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `password-reset-${req.ip}`
+});
+
+// Verification email resends (accounts are also throttled individually)
+export const verificationEmailRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 resend requests per hour per IP
+  message: {
+    success: false,
+    error: 'Too many verification email requests. Please try again in 1 hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `verification-email-${req.ip}`
+});
+
+// Magic-link sign-in requests, per IP and per email address. Every request
+// counts: the answer is the same whether the account exists or not.
+export const magicLinkRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 links per 15 minutes per IP
+  message: {
+    success: false,
+    error: 'Too many sign-in link requests. Please try again in 15 minutes.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `magic-link-${req.ip}`
+});
+
+export const magicLinkEmailRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 links per 15 minutes per email address
+  message: {
+    success: false,
+    error: 'Too many sign-in links were requested for this email. Please try again in 15 minutes.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `magic-link-email-${String(req.body?.email || '').toLowerCase().trim()}`
+});
+
+// Artwork inquiries: open to guests, so kept low per IP
+export const inquiryRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 inquiries per hour per IP
+  message: {
+    success: false,
+    error: 'Too many inquiries. Please try again in 1 hour.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `inquiry-${req.ip}`
+});
+
 // API general rate limiting
 export const apiRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -194,6 +265,79 @@ export const validatePhone = (phone) => {
   };
 };
 
+// Free text validation (artwork names, descriptions, mediums...)
+export const validateText = (value, fieldName = 'Field', { required = true, maxLength = 255 } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    return required
+      ? { valid: false, error: `${fieldName} is required` }
+      : { valid: true, sanitized: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { valid: false, error: `${fieldName} must be text` };
+  }
+
+  const trimmed = value.trim();
+  if (required && trimmed.length === 0) {
+    return { valid: false, error: `${fieldName} cannot be empty` };
+  }
+
+  if (trimmed.length > maxLength) {
+    return { valid: false, error: `${fieldName} too long (max ${maxLength} characters)` };
+  }
+
+  // Check for dangerous patterns (accents and punctuation are fine here)
+  const dangerousPatterns = [
+    /<script/i,
+    /<\/script/i,
+    /javascript:/i,
+    /on\w+\s*=/i,
+    /<iframe/i,
+    /<object/i,
+    /<embed/i
+  ];
+
+  for (const pattern of dangerousPatterns) {
+    if (pattern.test(trimmed)) {
+      return { valid: false, error: `${fieldName} contains invalid characters` };
+    }
+  }
+
+  return { valid: true, sanitized: trimmed };
+};
+
+// Price validation (positive amount, max 2 decimals)
+export const validatePrice = (value, fieldName = 'Price') => {
+  if (value === undefined || value === null || value === '') {
+    return { valid: false, error: `${fieldName} is required` };
+  }
+
+  const price = typeof value === 'string' ? Number(value.trim()) : value;
+
+  if (typeof price !== 'number' || !Number.isFinite(price)) {
+    return { valid: false, error: `${fieldName} must be a number` };
+  }
+
+  if (price <= 0 || price > 10000000) {
+    return { valid: false, error: `${fieldName} must be between 0 and 10,000,000` };
+  }
+
+  return { valid: true, sanitized: Math.round(price * 100) / 100 };
+};
+
+// Boolean flag validation ("true"/"false" strings come from form posts)
+export const validateBoolean = (value, fieldName = 'Flag') => {
+  if (typeof value === 'boolean') {
+    return { valid: true, sanitized: value };
+  }
+
+  if (value === 'true' || value === 'false') {
+    return { valid: true, sanitized: value === 'true' };
+  }
+
+  return { valid: false, error: `${fieldName} must be true or false` };
+};
+
 // =============================================================================
 // SECURITY MIDDLEWARE FUNCTIONS
 // =============================================================================
@@ -334,6 +478,34 @@ export const enhancedAuth = (req, res, next) => {
   }
 };
 
+// =============================================================================
+// EMAIL VERIFICATION POLICY
+// =============================================================================
+
+// What an account with an unverified email cannot do until it verifies it.
+// EMAIL_VERIFICATION_REQUIRED_FOR lists the restricted actions
+// ("login,comment,buy"); by default nothing is restricted.
+export const EMAIL_VERIFICATION_ACTIONS = ['login', 'comment', 'buy'];
+
+export const isEmailVerificationRequired = (action) => (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(value => value.trim().toLowerCase())
+  .includes(action);
+
+// Use after authentication (req.user with isEmailVerified); anonymous
+// requests pass through
+export const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (req.user && req.user.isEmailVerified === false && isEmailVerificationRequired(action)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Email verification required',
+      message: 'Please verify your email address first (see the link we emailed you, or request a new one)',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
 // =============================================================================
 // VALIDATION MIDDLEWARE CREATORS
 // =============================================================================
@@ -424,18 +596,1124 @@ export const validateLogin = (req, res, next) => {
   next();
 };
 
+// AUCTION is set while an auction runs (services/auction-service.js)
+export const ARTWORK_STATUSES = ['AVAILABLE', 'RESERVED', 'SOLD', 'AUCTION'];
+
+// What admins can set by hand: only auctions move artworks in and out of AUCTION
+export const ARTWORK_EDITABLE_STATUSES = ARTWORK_STATUSES.filter(status => status !== 'AUCTION');
+
+export const ARTWORK_FIELDS = [
+  'name', 'description', 'price', 'originalPrice', 'medium', 'dimensions',
+  'width', 'height', 'depth', 'dimensionUnit', 'weightKg',
+  'year', 'categoryId', 'status', 'isFeatured', 'isActive'
+];
+
+export const DIMENSION_UNITS = ['cm', 'in'];
+
+// Artwork validation middleware factory.
+// `partial` skips required checks for fields that are not present (PATCH).
+const createArtworkValidator = ({ partial = false } = {}) => (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+  const required = (field) => !partial || has(field);
+
+  // Width and height can stand in for the dimensions text, which is then
+  // generated from them (see migrations/010_artwork_shipping.sql)
+  const structuredSize = has('width') && has('height');
+  if (structuredSize && (body.dimensions === undefined || body.dimensions === null || body.dimensions === '')) {
+    delete body.dimensions;
+  }
+
+  const textFields = [
+    { field: 'name', label: 'Name', maxLength: 200 },
+    { field: 'description', label: 'Description', maxLength: 5000 },
+    { field: 'medium', label: 'Medium', maxLength: 100 },
+    { field: 'dimensions', label: 'Dimensions', maxLength: 100 },
+    { field: 'categoryId', label: 'Category', maxLength: 100 }
+  ];
+
+  for (const { field, label, maxLength } of textFields) {
+    if (!required(field)) continue;
+    if (field === 'dimensions' && structuredSize && !has(field)) continue;
+
+    const check = validateText(body[field], label, { maxLength });
+    if (!check.valid) {
+      errors.push(check.error);
+    } else {
+      body[field] = check.sanitized;
+    }
+  }
+
+  // Validate price
+  if (required('price')) {
+    const priceCheck = validatePrice(body.price);
+    if (!priceCheck.valid) {
+      errors.push(priceCheck.error);
+    } else {
+      body.price = priceCheck.sanitized;
+    }
+  }
+
+  // Validate original price (optional, null clears it)
+  if (has('originalPrice')) {
+    if (body.originalPrice === null || body.originalPrice === '') {
+      body.originalPrice = null;
+    } else {
+      const originalPriceCheck = validatePrice(body.originalPrice, 'Original price');
+      if (!originalPriceCheck.valid) {
+        errors.push(originalPriceCheck.error);
+      } else {
+        body.originalPrice = originalPriceCheck.sanitized;
+      }
+    }
+  }
+
+  // Validate year
+  if (required('year')) {
+    const year = Number(body.year);
+    const maxYear = new Date().getFullYear() + 1;
+    if (!Number.isInteger(year) || year < 1000 || year > maxYear) {
+      errors.push(`Year must be a whole number between 1000 and ${maxYear}`);
+    } else {
+      body.year = year;
+    }
+  }
+
+  // Validate structured size and weight (optional, null clears depth and weight)
+  const measures = [
+    ['width', 'Width', false],
+    ['height', 'Height', false],
+    ['depth', 'Depth', true],
+    ['weightKg', 'Weight', true]
+  ];
+
+  for (const [field, label, nullable] of measures) {
+    if (!has(field)) continue;
+
+    if (nullable && (body[field] === null || body[field] === '')) {
+      body[field] = null;
+      continue;
+    }
+
+    const value = typeof body[field] === 'string' ? Number(body[field].trim()) : body[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > 10000) {
+      errors.push(`${label} must be a positive number up to 10,000`);
+    } else {
+      body[field] = Math.round(value * 100) / 100;
+    }
+  }
+
+  if (has('dimensionUnit')) {
+    const unit = typeof body.dimensionUnit === 'string' ? body.dimensionUnit.trim().toLowerCase() : body.dimensionUnit;
+    if (!DIMENSION_UNITS.includes(unit)) {
+      errors.push(`Dimension unit must be one of: ${DIMENSION_UNITS.join(', ')}`);
+    } else {
+      body.dimensionUnit = unit;
+    }
+  }
+
+  // Validate status (optional)
+  if (has('status')) {
+    const status = typeof body.status === 'string' ? body.status.trim().toUpperCase() : body.status;
+    if (!ARTWORK_EDITABLE_STATUSES.includes(status)) {
+      errors.push(`Status must be one of: ${ARTWORK_EDITABLE_STATUSES.join(', ')}`);
+    } else {
+      body.status = status;
+    }
+  }
+
+  // Validate flags (optional)
+  for (const [field, label] of [['isFeatured', 'Featured'], ['isActive', 'Active']]) {
+    if (!has(field)) continue;
+
+    const flagCheck = validateBoolean(body[field], label);
+    if (!flagCheck.valid) {
+      errors.push(flagCheck.error);
+    } else {
+      body[field] = flagCheck.sanitized;
+    }
+  }
+
+  if (partial && errors.length === 0 && !Object.keys(body).some(field => ARTWORK_FIELDS.includes(field))) {
+    errors.push('No valid fields to update');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = body;
+  next();
+};
+
+// Artwork creation / full replacement validation middleware
+export const validateArtwork = createArtworkValidator();
+
+// Artwork partial update validation middleware
+export const validateArtworkUpdate = createArtworkValidator({ partial: true });
+
+export const CATEGORY_FIELDS = ['name', 'description', 'color', 'sortOrder', 'parentId'];
+
+// Category validation middleware factory (same conventions as artworks)
+const createCategoryValidator = ({ partial = false } = {}) => (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+
+  // Validate name
+  if (!partial || has('name')) {
+    const nameCheck = validateText(body.name, 'Name', { maxLength: 100 });
+    if (!nameCheck.valid) {
+      errors.push(nameCheck.error);
+    } else {
+      body.name = nameCheck.sanitized;
+    }
+  }
+
+  // Validate description (optional)
+  if (has('description')) {
+    const descriptionCheck = validateText(body.description, 'Description', { required: false, maxLength: 1000 });
+    if (!descriptionCheck.valid) {
+      errors.push(descriptionCheck.error);
+    } else {
+      body.description = descriptionCheck.sanitized;
+    }
+  }
+
+  // Validate color (hex)
+  if (has('color') && !/^#[0-9a-fA-F]{6}$/.test(body.color)) {
+    errors.push('Color must be a hex value like #6366f1');
+  }
+
+  // Validate sort order
+  if (has('sortOrder')) {
+    const sortOrder = Number(body.sortOrder);
+    if (!Number.isInteger(sortOrder) || sortOrder < 0) {
+      errors.push('Sort order must be a positive whole number');
+    } else {
+      body.sortOrder = sortOrder;
+    }
+  }
+
+  // Validate parent (null or '' moves the category to the top level)
+  if (has('parentId')) {
+    if (body.parentId === null || body.parentId === '') {
+      body.parentId = null;
+    } else {
+      const parentCheck = validateText(body.parentId, 'Parent category', { maxLength: 100 });
+      if (!parentCheck.valid) {
+        errors.push(parentCheck.error);
+      } else {
+        body.parentId = parentCheck.sanitized;
+      }
+    }
+  }
+
+  if (partial && errors.length === 0 && !Object.keys(body).some(field => CATEGORY_FIELDS.includes(field))) {
+    errors.push('No valid fields to update');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = body;
+  next();
+};
+
+// Category creation / full replacement validation middleware
+export const validateCategory = createCategoryValidator();
+
+// Category partial update validation middleware
+export const validateCategoryUpdate = createCategoryValidator({ partial: true });
+
+// Bulk category order validation: { categories: [{ id, sortOrder, parentId? }] }
+export const validateCategoryOrder = (req, res, next) => {
+  const { categories } = req.body || {};
+  const errors = [];
+
+  if (!Array.isArray(categories) || categories.length === 0) {
+    errors.push('Categories must be a non-empty array');
+  } else if (categories.length > 500) {
+    errors.push('Too many categories (max 500)');
+  } else {
+    const seen = new Set();
+
+    categories.forEach((item, index) => {
+      if (!item || typeof item.id !== 'string' || item.id.trim() === '') {
+        errors.push(`Item ${index + 1}: id is required`);
+        return;
+      }
+
+      if (seen.has(item.id)) {
+        errors.push(`Item ${index + 1}: duplicate id ${item.id}`);
+      }
+      seen.add(item.id);
+
+      if (!Number.isInteger(Number(item.sortOrder)) || Number(item.sortOrder) < 0) {
+        errors.push(`Item ${index + 1}: sortOrder must be a positive whole number`);
+      }
+
+      if (item.parentId !== undefined && item.parentId !== null && typeof item.parentId !== 'string') {
+        errors.push(`Item ${index + 1}: parentId must be a category id or null`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body.categories = categories.map(item => ({
+    id: item.id.trim(),
+    sortOrder: Number(item.sortOrder),
+    parentId: item.parentId === '' ? null : item.parentId
+  }));
+  next();
+};
+
+// Cart item validation: { artworkId, quantity? } to add, { quantity } to update
+const createCartItemValidator = ({ partial = false } = {}) => (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  if (!partial) {
+    const artworkCheck = validateText(body.artworkId, 'Artwork', { maxLength: 100 });
+    if (!artworkCheck.valid) {
+      errors.push(artworkCheck.error);
+    } else {
+      body.artworkId = artworkCheck.sanitized;
+    }
+  }
+
+  if (partial || body.quantity !== undefined) {
+    const quantity = Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push('Quantity must be a whole number of at least 1');
+    } else {
+      body.quantity = quantity;
+    }
+  } else {
+    body.quantity = 1;
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = body;
+  next();
+};
+
+// Add to cart validation middleware
+export const validateCartItem = createCartItemValidator();
+
+// Cart quantity update validation middleware
+export const validateCartItemUpdate = createCartItemValidator({ partial: true });
+
+// Shipping address fields: [field, label, required, maxLength]
+const ADDRESS_FIELDS = [
+  ['fullName', 'Full name', true, 100],
+  ['line1', 'Address line 1', true, 200],
+  ['line2', 'Address line 2', false, 200],
+  ['city', 'City', true, 100],
+  ['region', 'Region', false, 100],
+  ['postalCode', 'Postal code', false, 20]
+];
+
+// Checkout validation: { shippingAddress: { fullName, line1, line2?, city, region?,
+// postalCode?, country, phone? }, notes? }
+export const validateCheckout = (req, res, next) => {
+  const body = req.body || {};
+  const address = body.shippingAddress;
+  const errors = [];
+  const sanitized = {};
+
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    errors.push('Shipping address is required');
+  } else {
+    for (const [field, label, required, maxLength] of ADDRESS_FIELDS) {
+      const check = validateText(address[field], label, { required, maxLength });
+      if (!check.valid) {
+        errors.push(check.error);
+      } else {
+        sanitized[field] = check.sanitized;
+      }
+    }
+
+    // ISO 3166-1 alpha-2 (shipping zones are looked up by country code)
+    const country = normalizeCountryCode(address.country);
+    if (!country) {
+      errors.push('Country must be a two-letter ISO country code such as MA or FR');
+    } else {
+      sanitized.country = country;
+    }
+
+    const phoneCheck = validatePhone(address.phone);
+    if (!phoneCheck.valid) {
+      errors.push(phoneCheck.error);
+    } else {
+      sanitized.phone = phoneCheck.sanitized;
+    }
+  }
+
+  const notesCheck = validateText(body.notes, 'Notes', { required: false, maxLength: 1000 });
+  if (!notesCheck.valid) {
+    errors.push(notesCheck.error);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { ...body, shippingAddress: sanitized, notes: notesCheck.sanitized };
+  next();
+};
+
+// Shipping quote validation: { country, items?: [{ artworkId, quantity? }] }
+// (without items the request's cart is quoted)
+export const validateShippingQuote = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  const country = normalizeCountryCode(body.country);
+  if (!country) {
+    errors.push('Country must be a two-letter ISO country code such as MA or FR');
+  }
+
+  let items;
+  if (body.items !== undefined && body.items !== null) {
+    if (!Array.isArray(body.items) || body.items.length === 0 || body.items.length > 50) {
+      errors.push('Items must be a list of 1 to 50 artworks');
+    } else {
+      items = [];
+      body.items.forEach((item, index) => {
+        const artworkCheck = validateText(item?.artworkId, `Item ${index + 1} artwork`, { maxLength: 100 });
+        const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+
+        if (!artworkCheck.valid) {
+          errors.push(artworkCheck.error);
+        } else if (!Number.isInteger(quantity) || quantity < 1) {
+          errors.push(`Item ${index + 1} quantity must be a whole number of at least 1`);
+        } else {
+          items.push({ artworkId: artworkCheck.sanitized, quantity });
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { country, items };
+  next();
+};
+
+// Admin order status change: { status, note?, trackingNumber? }
+// (whether the change is allowed is checked by the order state machine)
+export const validateOrderStatus = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  const status = typeof body.status === 'string' ? body.status.trim().toUpperCase() : '';
+  if (!status) {
+    errors.push('Status is required');
+  }
+
+  const noteCheck = validateText(body.note, 'Note', { required: false, maxLength: 500 });
+  if (!noteCheck.valid) {
+    errors.push(noteCheck.error);
+  }
+
+  const trackingCheck = validateText(body.trackingNumber, 'Tracking number', { required: false, maxLength: 100 });
+  if (!trackingCheck.valid) {
+    errors.push(trackingCheck.error);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { status, note: noteCheck.sanitized, trackingNumber: trackingCheck.sanitized };
+  next();
+};
+
+// Payment confirmation: { paymentMethod? } (a provider payment method id)
+export const validatePaymentConfirm = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  const methodCheck = validateText(body.paymentMethod, 'Payment method', { required: false, maxLength: 255 });
+  if (!methodCheck.valid) {
+    errors.push(methodCheck.error);
+  } else if (methodCheck.sanitized && !/^[\w-]+$/.test(methodCheck.sanitized)) {
+    errors.push('Payment method must be a provider payment method id');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { paymentMethod: methodCheck.sanitized || undefined };
+  next();
+};
+
+// Refund: { amount?, note? }; without an amount the whole payment is refunded
+export const validateRefund = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  let amount;
+
+  if (body.amount !== undefined && body.amount !== null && body.amount !== '') {
+    const amountCheck = validatePrice(body.amount, 'Amount');
+    if (amountCheck.valid) {
+      amount = amountCheck.sanitized;
+    } else {
+      errors.push(amountCheck.error);
+    }
+  }
+
+  const noteCheck = validateText(body.note, 'Note', { required: false, maxLength: 500 });
+  if (!noteCheck.valid) {
+    errors.push(noteCheck.error);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { amount, note: noteCheck.sanitized };
+  next();
+};
+
+export const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+
+export const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'minOrderAmount', 'maxUses', 'maxUsesPerUser',
+  'startsAt', 'endsAt', 'categoryIds', 'artworkIds', 'isActive'
+];
+
+export const CATEGORY_SALE_FIELDS = ['name', 'categoryId', 'discountType', 'value', 'startsAt', 'endsAt', 'isActive'];
+
+// Coupon codes are case-insensitive: SUMMER-24 and summer-24 are the same coupon
+const normalizeCouponCode = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '');
+
+// Shared checks of coupons and category sales. `required` lists the fields a
+// creation must carry; dates accept ISO strings, null clears an optional one.
+const validatePromotionFields = (body, errors, { required = [] } = {}) => {
+  const has = (field) => body[field] !== undefined;
+  const needs = (field) => required.includes(field) || has(field);
+
+  if (needs('discountType')) {
+    const type = typeof body.discountType === 'string' ? body.discountType.trim().toUpperCase() : body.discountType;
+    if (!DISCOUNT_TYPES.includes(type)) {
+      errors.push(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    } else {
+      body.discountType = type;
+    }
+  }
+
+  if (needs('value')) {
+    const valueCheck = validatePrice(body.value, 'Value');
+    if (!valueCheck.valid) {
+      errors.push(valueCheck.error);
+    } else if (body.discountType === 'PERCENTAGE' && valueCheck.sanitized > 100) {
+      errors.push('A percentage discount cannot exceed 100');
+    } else {
+      body.value = valueCheck.sanitized;
+    }
+  }
+
+  for (const [field, label] of [['startsAt', 'Start date'], ['endsAt', 'End date']]) {
+    if (!has(field)) continue;
+
+    if (body[field] === null || body[field] === '') {
+      body[field] = null;
+      continue;
+    }
+
+    const date = new Date(body[field]);
+    if (typeof body[field] !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push(`${label} must be an ISO date such as 2026-12-01T00:00:00Z`);
+    } else {
+      body[field] = date;
+    }
+  }
+
+  if (body.startsAt instanceof Date && body.endsAt instanceof Date && body.endsAt <= body.startsAt) {
+    errors.push('End date must be after the start date');
+  }
+
+  if (has('isActive')) {
+    const flagCheck = validateBoolean(body.isActive, 'Active');
+    if (!flagCheck.valid) {
+      errors.push(flagCheck.error);
+    } else {
+      body.isActive = flagCheck.sanitized;
+    }
+  }
+};
+
+// Coupon validation middleware factory (admin). Optional limits and the
+// minimum order accept null to remove them.
+const createCouponValidator = ({ partial = false } = {}) => (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('code')) {
+    const code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9][A-Z0-9_-]{2,39}$/.test(code)) {
+      errors.push('Code must be 3 to 40 letters, digits, dashes or underscores');
+    } else {
+      body.code = code;
+    }
+  }
+
+  if (has('description')) {
+    const descriptionCheck = validateText(body.description, 'Description', { required: false, maxLength: 500 });
+    if (!descriptionCheck.valid) {
+      errors.push(descriptionCheck.error);
+    } else {
+      body.description = descriptionCheck.sanitized;
+    }
+  }
+
+  validatePromotionFields(body, errors, { required: partial ? [] : ['discountType', 'value'] });
+
+  if (has('minOrderAmount')) {
+    if (body.minOrderAmount === null || body.minOrderAmount === '') {
+      body.minOrderAmount = null;
+    } else {
+      const minCheck = validatePrice(body.minOrderAmount, 'Minimum order');
+      if (!minCheck.valid) {
+        errors.push(minCheck.error);
+      } else {
+        body.minOrderAmount = minCheck.sanitized;
+      }
+    }
+  }
+
+  for (const [field, label] of [['maxUses', 'Maximum uses'], ['maxUsesPerUser', 'Maximum uses per customer']]) {
+    if (!has(field)) continue;
+
+    if (body[field] === null || body[field] === '') {
+      body[field] = null;
+      continue;
+    }
+
+    const limit = Number(body[field]);
+    if (!Number.isInteger(limit) || limit < 1) {
+      errors.push(`${label} must be a whole number of at least 1`);
+    } else {
+      body[field] = limit;
+    }
+  }
+
+  for (const [field, label] of [['categoryIds', 'Categories'], ['artworkIds', 'Artworks']]) {
+    if (!has(field)) continue;
+
+    const ids = body[field] === null ? [] : body[field];
+    if (!Array.isArray(ids) || ids.length > 100 || ids.some(id => typeof id !== 'string' || !id.trim() || id.length > 100)) {
+      errors.push(`${label} must be a list of ids`);
+    } else {
+      body[field] = [...new Set(ids.map(id => id.trim()))];
+    }
+  }
+
+  if (partial && errors.length === 0 && !Object.keys(body).some(field => COUPON_FIELDS.includes(field))) {
+    errors.push('No valid fields to update');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = body;
+  next();
+};
+
+// Coupon creation validation middleware
+export const validateCoupon = createCouponValidator();
+
+// Coupon partial update validation middleware
+export const validateCouponUpdate = createCouponValidator({ partial: true });
+
+// Category sale validation middleware factory (admin)
+const createCategorySaleValidator = ({ partial = false } = {}) => (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+
+  for (const [field, label, maxLength] of [['name', 'Name', 100], ['categoryId', 'Category', 100]]) {
+    if (partial && !has(field)) continue;
+
+    const check = validateText(body[field], label, { maxLength });
+    if (!check.valid) {
+      errors.push(check.error);
+    } else {
+      body[field] = check.sanitized;
+    }
+  }
+
+  validatePromotionFields(body, errors, { required: partial ? [] : ['discountType', 'value'] });
+
+  if (body.startsAt === null) {
+    errors.push('Start date cannot be removed');
+  }
+
+  if (partial && errors.length === 0 && !Object.keys(body).some(field => CATEGORY_SALE_FIELDS.includes(field))) {
+    errors.push('No valid fields to update');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = body;
+  next();
+};
+
+// Category sale creation validation middleware
+export const validateCategorySale = createCategorySaleValidator();
+
+// Category sale partial update validation middleware
+export const validateCategorySaleUpdate = createCategorySaleValidator({ partial: true });
+
+// Cart coupon: { code }
+export const validateCouponCode = (req, res, next) => {
+  const code = normalizeCouponCode(req.body?.code);
+  const errors = [];
+
+  if (!code) {
+    errors.push('Coupon code is required');
+  } else if (code.length > 40) {
+    errors.push('Coupon code too long (max 40 characters)');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { code };
+  next();
+};
+
+// Offer on an artwork (POST /api/artworks/:id/offers)
+export const validateOffer = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  const amountCheck = validatePrice(body.amount, 'Amount');
+  if (!amountCheck.valid) {
+    errors.push(amountCheck.error);
+  }
+
+  const messageCheck = validateText(body.message, 'Message', { required: false, maxLength: 1000 });
+  if (!messageCheck.valid) {
+    errors.push(messageCheck.error);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { amount: amountCheck.sanitized, message: messageCheck.sanitized };
+  next();
+};
+
+// Answer to an offer (POST /api/offers/:id/:action and the admin
+// equivalent): a counter needs an amount, an admin acceptance may set how
+// many hours the price stays reserved
+export const validateOfferResponse = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  let amount;
+  let validHours;
+
+  if (req.params.action === 'counter') {
+    const amountCheck = validatePrice(body.amount, 'Amount');
+    if (amountCheck.valid) {
+      amount = amountCheck.sanitized;
+    } else {
+      errors.push(amountCheck.error);
+    }
+  }
+
+  if (req.params.action === 'accept' && body.validHours !== undefined && body.validHours !== null && body.validHours !== '') {
+    validHours = Number(body.validHours);
+    if (!Number.isInteger(validHours) || validHours < 1 || validHours > 720) {
+      errors.push('Valid hours must be a whole number between 1 and 720');
+    }
+  }
+
+  const messageCheck = validateText(body.message, 'Message', { required: false, maxLength: 1000 });
+  if (!messageCheck.valid) {
+    errors.push(messageCheck.error);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { amount, validHours, message: messageCheck.sanitized };
+  next();
+};
+
+// Auction creation (admin): { artworkId, startPrice, reservePrice?, endsAt,
+// startsAt?, softCloseMinutes?, increments? }. `increments` is a table of
+// { from, increment } rows starting at 0, sorted here.
+export const validateAuction = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  const auction = {};
+
+  if (typeof body.artworkId !== 'string' || !body.artworkId.trim()) {
+    errors.push('Artwork ID is required');
+  } else {
+    auction.artworkId = body.artworkId.trim();
+  }
+
+  const startCheck = validatePrice(body.startPrice, 'Start price');
+  if (!startCheck.valid) {
+    errors.push(startCheck.error);
+  } else {
+    auction.startPrice = startCheck.sanitized;
+  }
+
+  if (body.reservePrice !== undefined && body.reservePrice !== null && body.reservePrice !== '') {
+    const reserveCheck = validatePrice(body.reservePrice, 'Reserve price');
+    if (!reserveCheck.valid) {
+      errors.push(reserveCheck.error);
+    } else if (auction.startPrice !== undefined && reserveCheck.sanitized < auction.startPrice) {
+      errors.push('Reserve price cannot be below the start price');
+    } else {
+      auction.reservePrice = reserveCheck.sanitized;
+    }
+  }
+
+  for (const [field, label, required] of [['startsAt', 'Start time', false], ['endsAt', 'End time', true]]) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+      if (required) {
+        errors.push(`${label} is required`);
+      }
+      continue;
+    }
+
+    const date = new Date(body[field]);
+    if (typeof body[field] !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push(`${label} must be an ISO date such as 2026-12-01T18:00:00Z`);
+    } else {
+      auction[field] = date;
+    }
+  }
+
+  if (auction.endsAt && auction.endsAt <= (auction.startsAt || new Date())) {
+    errors.push(auction.startsAt ? 'End time must be after the start time' : 'End time must be in the future');
+  }
+
+  if (body.softCloseMinutes !== undefined && body.softCloseMinutes !== null && body.softCloseMinutes !== '') {
+    const minutes = Number(body.softCloseMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 60) {
+      errors.push('Soft close must be a whole number of minutes between 1 and 60');
+    } else {
+      auction.softCloseMinutes = minutes;
+    }
+  }
+
+  if (body.increments !== undefined && body.increments !== null) {
+    const rows = Array.isArray(body.increments) ? body.increments : [];
+    const increments = rows
+      .map(row => ({ from: Number(row?.from), increment: Number(row?.increment) }))
+      .sort((a, b) => a.from - b.from);
+    const valid = rows.length > 0 && rows.length <= 20
+      && increments.every(row => Number.isFinite(row.from) && row.from >= 0 && Number.isFinite(row.increment) && row.increment > 0)
+      && increments[0].from === 0
+      && new Set(increments.map(row => row.from)).size === increments.length;
+
+    if (!valid) {
+      errors.push('Increments must be a list of { from, increment } rows with positive increments, starting from 0');
+    } else {
+      auction.increments = increments;
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = auction;
+  next();
+};
+
+// Bid: { amount, maxAmount? }; maxAmount is the proxy ceiling
+export const validateBid = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  let maxAmount;
+
+  const amountCheck = validatePrice(body.amount, 'Amount');
+  if (!amountCheck.valid) {
+    errors.push(amountCheck.error);
+  }
+
+  if (body.maxAmount !== undefined && body.maxAmount !== null && body.maxAmount !== '') {
+    const maxCheck = validatePrice(body.maxAmount, 'Maximum bid');
+    if (!maxCheck.valid) {
+      errors.push(maxCheck.error);
+    } else if (amountCheck.valid && maxCheck.sanitized < amountCheck.sanitized) {
+      errors.push('Maximum bid cannot be below the bid');
+    } else {
+      maxAmount = maxCheck.sanitized;
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = { amount: amountCheck.sanitized, maxAmount };
+  next();
+};
+
+// New inquiry (POST /api/artworks/:id/inquiries): { message } for signed-in
+// customers; guests add { name, email, challengeToken, challengeAnswer }
+// (see GET /api/inquiries/challenge)
+export const validateInquiry = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  const inquiry = {};
+
+  const messageCheck = validateText(body.message, 'Message', { maxLength: 2000 });
+  if (messageCheck.valid) {
+    inquiry.message = messageCheck.sanitized;
+  } else {
+    errors.push(messageCheck.error);
+  }
+
+  if (!req.user) {
+    const nameCheck = validateText(body.name, 'Name', { maxLength: 100 });
+    if (nameCheck.valid) {
+      inquiry.name = nameCheck.sanitized;
+    } else {
+      errors.push(nameCheck.error);
+    }
+
+    const emailCheck = validateEmail(body.email);
+    if (emailCheck.valid) {
+      inquiry.email = emailCheck.sanitized;
+    } else {
+      errors.push(emailCheck.error);
+    }
+
+    if (!body.challengeToken || typeof body.challengeToken !== 'string') {
+      errors.push('Challenge token is required');
+    }
+    if (body.challengeAnswer === undefined || body.challengeAnswer === null || body.challengeAnswer === '') {
+      errors.push('Challenge answer is required');
+    }
+    inquiry.challengeToken = body.challengeToken;
+    inquiry.challengeAnswer = body.challengeAnswer;
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = inquiry;
+  next();
+};
+
+// Message in an inquiry conversation: { message }
+export const validateInquiryMessage = (req, res, next) => {
+  const messageCheck = validateText((req.body || {}).message, 'Message', { maxLength: 2000 });
+
+  if (!messageCheck.valid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: messageCheck.error,
+      errors: [messageCheck.error]
+    });
+  }
+
+  req.body = { message: messageCheck.sanitized };
+  next();
+};
+
+// Admin update of an inquiry: { status?, assignedTo? } (assignedTo null unassigns)
+export const validateInquiryUpdate = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+  const update = {};
+
+  if (body.status !== undefined) {
+    const status = typeof body.status === 'string' ? body.status.trim().toUpperCase() : '';
+    if (status) {
+      update.status = status;
+    } else {
+      errors.push('Status cannot be empty');
+    }
+  }
+
+  if (body.assignedTo !== undefined) {
+    if (body.assignedTo === null || (typeof body.assignedTo === 'string' && body.assignedTo.trim() !== '')) {
+      update.assignedTo = body.assignedTo === null ? null : body.assignedTo.trim();
+    } else {
+      errors.push('assignedTo must be an admin user id or null');
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(update).length === 0) {
+    errors.push('Nothing to update (status or assignedTo)');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.join('. '),
+      errors: errors
+    });
+  }
+
+  req.body = update;
+  next();
+};
+
 export default {
   authRateLimit,
   registrationRateLimit,
+  passwordResetRateLimit,
+  verificationEmailRateLimit,
+  magicLinkRateLimit,
+  magicLinkEmailRateLimit,
+  inquiryRateLimit,
   apiRateLimit,
   validateEmail,
   validatePassword,
   validateName,
   validatePhone,
+  validateText,
+  validatePrice,
+  validateBoolean,
   requestSizeLimiter,
   securityHeaders,
   securityLogger,
   enhancedAuth,
+  isEmailVerificationRequired,
+  requireVerifiedEmail,
   validateRegistration,
-  validateLogin
+  validateLogin,
+  validateArtwork,
+  validateArtworkUpdate,
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryOrder,
+  validateCartItem,
+  validateCartItemUpdate,
+  validateCheckout,
+  validateShippingQuote,
+  validateOrderStatus,
+  validatePaymentConfirm,
+  validateRefund,
+  validateCoupon,
+  validateCouponUpdate,
+  validateCategorySale,
+  validateCategorySaleUpdate,
+  validateCouponCode,
+  validateOffer,
+  validateOfferResponse,
+  validateAuction,
+  validateBid,
+  validateInquiry,
+  validateInquiryMessage,
+  validateInquiryUpdate
 };
\ No newline at end of file
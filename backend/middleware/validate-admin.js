@@ -81,6 +81,41 @@ export const validatePasswordChange = [
   handleValidation
 ];
 
+// Validation middleware for a two-factor code (authenticator code or backup code)
+export const validateMfaCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+  handleValidation
+];
+
+// Validation middleware for the second login step
+export const validateMfaChallenge = [
+  body('mfaToken')
+    .trim()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  ...validateMfaCode
+];
+
+// Validation middleware for turning two-factor authentication off
+export const validateMfaDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...validateMfaCode
+];
+
+// Validation middleware for the admin MFA policy (re-authenticated like disabling)
+export const validateMfaPolicy = [
+  body('required')
+    .isBoolean({ strict: true })
+    .withMessage('required must be true or false')
+    .toBoolean(true),
+  ...validateMfaDisable
+];
+
 // Handle validation results
 function handleValidation(req, res, next) {
   const errors = validationResult(req);
@@ -0,0 +1,8 @@
+-- Category hierarchy: optional parent category for sub-categories.
+-- Ordering inside a parent keeps using the existing "sortOrder" column.
+
+ALTER TABLE categories
+  ADD COLUMN IF NOT EXISTS "parentId" TEXT REFERENCES categories(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS categories_parent_sort_idx
+  ON categories ("parentId", "sortOrder");
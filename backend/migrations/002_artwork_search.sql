@@ -0,0 +1,73 @@
+-- Full-text search for artworks.
+-- One weighted tsvector per artwork built from its name (A), category and
+-- artist names (B), medium (C) and description (D). The text search
+-- configuration folds accents so "Fes" matches "Fès" and stems French words.
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'artwork_search') THEN
+    CREATE TEXT SEARCH CONFIGURATION artwork_search ( COPY = french );
+    ALTER TEXT SEARCH CONFIGURATION artwork_search
+      ALTER MAPPING FOR hword, hword_part, word WITH unaccent, french_stem;
+  END IF;
+END
+$$;
+
+ALTER TABLE artworks ADD COLUMN IF NOT EXISTS "searchVector" tsvector;
+
+-- Builds the search document for one artwork row (reads category and artist names)
+CREATE OR REPLACE FUNCTION build_artwork_search_vector(a artworks) RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('artwork_search', coalesce(a.name, '')), 'A') ||
+    setweight(to_tsvector('artwork_search', coalesce((SELECT c.name FROM categories c WHERE c.id = a."categoryId"), '')), 'B') ||
+    setweight(to_tsvector('artwork_search', coalesce((SELECT concat_ws(' ', u."firstName", u."lastName") FROM users u WHERE u.id = a."userId"), '')), 'B') ||
+    setweight(to_tsvector('artwork_search', coalesce(a.medium, '')), 'C') ||
+    setweight(to_tsvector('artwork_search', coalesce(a.description, '')), 'D')
+$$ LANGUAGE sql STABLE;
+
+-- Keep the vector in sync with the artwork's own columns
+CREATE OR REPLACE FUNCTION artworks_search_vector_trigger() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" := build_artwork_search_vector(NEW);
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS artworks_search_vector_update ON artworks;
+CREATE TRIGGER artworks_search_vector_update
+  BEFORE INSERT OR UPDATE OF name, description, medium, "categoryId", "userId" ON artworks
+  FOR EACH ROW EXECUTE FUNCTION artworks_search_vector_trigger();
+
+-- Renaming a category or an artist refreshes the artworks that mention it
+CREATE OR REPLACE FUNCTION categories_search_vector_trigger() RETURNS trigger AS $$
+BEGIN
+  UPDATE artworks a SET "searchVector" = build_artwork_search_vector(a) WHERE a."categoryId" = NEW.id;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS categories_search_vector_update ON categories;
+CREATE TRIGGER categories_search_vector_update
+  AFTER UPDATE OF name ON categories
+  FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION categories_search_vector_trigger();
+
+CREATE OR REPLACE FUNCTION users_search_vector_trigger() RETURNS trigger AS $$
+BEGIN
+  UPDATE artworks a SET "searchVector" = build_artwork_search_vector(a) WHERE a."userId" = NEW.id;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS users_search_vector_update ON users;
+CREATE TRIGGER users_search_vector_update
+  AFTER UPDATE OF "firstName", "lastName" ON users
+  FOR EACH ROW WHEN (OLD."firstName" IS DISTINCT FROM NEW."firstName" OR OLD."lastName" IS DISTINCT FROM NEW."lastName")
+  EXECUTE FUNCTION users_search_vector_trigger();
+
+-- Backfill existing rows
+UPDATE artworks a SET "searchVector" = build_artwork_search_vector(a);
+
+CREATE INDEX IF NOT EXISTS artworks_search_vector_idx ON artworks USING GIN ("searchVector");
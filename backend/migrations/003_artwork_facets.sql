@@ -0,0 +1,48 @@
+-- Facets derived from the free-text "dimensions" column ("24x36 inches", "50 x 70 cm").
+-- The first number is the width, the second the height. Values without a unit
+-- are treated as inches, like the existing catalogue.
+
+-- Width and height in centimetres, NULL when the text cannot be parsed
+CREATE OR REPLACE FUNCTION artwork_dimensions_cm(dimensions TEXT) RETURNS NUMERIC[] AS $$
+  SELECT CASE
+    WHEN m IS NULL THEN NULL
+    ELSE ARRAY[
+      replace(m[1], ',', '.')::NUMERIC * factor,
+      replace(m[2], ',', '.')::NUMERIC * factor
+    ]
+  END
+  FROM (
+    SELECT
+      regexp_match(lower(dimensions), '(\d+(?:[.,]\d+)?)\s*(?:x|×|\*)\s*(\d+(?:[.,]\d+)?)') AS m,
+      CASE
+        WHEN lower(dimensions) ~ '\d\s*mm\M|\mmm\M' THEN 0.1
+        WHEN lower(dimensions) ~ '\d\s*cm\M|\mcm\M' THEN 1
+        WHEN lower(dimensions) ~ '\d\s*m\M|\mm\M' THEN 100
+        ELSE 2.54
+      END AS factor
+  ) parsed
+$$ LANGUAGE sql IMMUTABLE;
+
+-- small: longest side up to 50cm, medium: up to 100cm, large: above
+CREATE OR REPLACE FUNCTION artwork_size_bucket(dimensions TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN d IS NULL THEN NULL
+    WHEN greatest(d[1], d[2]) <= 50 THEN 'small'
+    WHEN greatest(d[1], d[2]) <= 100 THEN 'medium'
+    ELSE 'large'
+  END
+  FROM (SELECT artwork_dimensions_cm(dimensions) AS d) parsed
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Sides within 5% of each other count as square
+CREATE OR REPLACE FUNCTION artwork_orientation(dimensions TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN d IS NULL OR d[1] = 0 OR d[2] = 0 THEN NULL
+    WHEN d[1] > d[2] * 1.05 THEN 'landscape'
+    WHEN d[2] > d[1] * 1.05 THEN 'portrait'
+    ELSE 'square'
+  END
+  FROM (SELECT artwork_dimensions_cm(dimensions) AS d) parsed
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS artworks_medium_idx ON artworks (lower(medium));
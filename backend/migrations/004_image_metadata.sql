@@ -0,0 +1,26 @@
+-- Image metadata recorded at upload: dimensions, dominant colors and placeholders.
+-- artwork_images is normally created by Prisma (ArtworkImage model); it is created
+-- here too so the SQL API works against a database that never ran Prisma.
+
+CREATE TABLE IF NOT EXISTS artwork_images (
+  id TEXT PRIMARY KEY,
+  filename TEXT NOT NULL,
+  "originalName" TEXT,
+  "mimeType" TEXT,
+  size INTEGER,
+  url TEXT NOT NULL,
+  "isPrimary" BOOLEAN NOT NULL DEFAULT false,
+  "artworkId" TEXT NOT NULL REFERENCES artworks(id) ON DELETE CASCADE,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE artwork_images
+  ADD COLUMN IF NOT EXISTS width INTEGER,
+  ADD COLUMN IF NOT EXISTS height INTEGER,
+  ADD COLUMN IF NOT EXISTS "aspectRatio" DOUBLE PRECISION,
+  -- [{ "hex": "#c0392b", "ratio": 0.42, "lab": { "l": 44.1, "a": 56.2, "b": 40.3 } }, ...]
+  ADD COLUMN IF NOT EXISTS "dominantColors" JSONB,
+  ADD COLUMN IF NOT EXISTS blurhash TEXT,
+  ADD COLUMN IF NOT EXISTS lqip TEXT;
+
+CREATE INDEX IF NOT EXISTS artwork_images_artwork_idx ON artwork_images ("artworkId", "isPrimary");
@@ -0,0 +1,23 @@
+-- Shopping carts. Guest carts have no user and are found through a signed
+-- cookie; they are merged into the user's cart once the visitor authenticates.
+
+CREATE TABLE IF NOT EXISTS carts (
+  id TEXT PRIMARY KEY,
+  "userId" TEXT UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS cart_items (
+  id TEXT PRIMARY KEY,
+  "cartId" TEXT NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  "artworkId" TEXT NOT NULL REFERENCES artworks(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  -- Price last shown to the visitor, to flag price changes on the next read
+  "unitPrice" DOUBLE PRECISION NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("cartId", "artworkId")
+);
+
+CREATE INDEX IF NOT EXISTS cart_items_artwork_idx ON cart_items ("artworkId");
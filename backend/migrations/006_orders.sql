@@ -0,0 +1,60 @@
+-- Orders created by checkout, with a snapshot of what was bought and a
+-- history row for every status change (see services/order-service.js).
+-- orders/order_items may already exist from Prisma (Order/OrderItem models),
+-- so the checkout columns are added separately.
+
+CREATE TABLE IF NOT EXISTS orders (
+  id TEXT PRIMARY KEY,
+  "userId" TEXT REFERENCES users(id),
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS "orderNumber" TEXT,
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR',
+  ADD COLUMN IF NOT EXISTS subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS "shippingCost" NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS "discountAmount" NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS "totalAmount" NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  -- { fullName, line1, line2, city, region, postalCode, country, phone }
+  ADD COLUMN IF NOT EXISTS "shippingAddress" JSONB,
+  ADD COLUMN IF NOT EXISTS "customerEmail" TEXT,
+  ADD COLUMN IF NOT EXISTS notes TEXT,
+  ADD COLUMN IF NOT EXISTS "trackingNumber" TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS orders_order_number_key ON orders ("orderNumber");
+CREATE INDEX IF NOT EXISTS orders_user_idx ON orders ("userId", "createdAt" DESC);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id TEXT PRIMARY KEY,
+  "orderId" TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  "artworkId" TEXT NOT NULL REFERENCES artworks(id),
+  quantity INTEGER NOT NULL DEFAULT 1,
+  price NUMERIC(12, 2) NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Snapshot: the order keeps showing what was bought if the artwork changes
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS "artworkName" TEXT,
+  ADD COLUMN IF NOT EXISTS "imageUrl" TEXT,
+  ADD COLUMN IF NOT EXISTS "lineTotal" NUMERIC(12, 2);
+
+CREATE INDEX IF NOT EXISTS order_items_order_idx ON order_items ("orderId");
+CREATE INDEX IF NOT EXISTS order_items_artwork_idx ON order_items ("artworkId");
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id TEXT PRIMARY KEY,
+  "orderId" TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  "fromStatus" TEXT,
+  "toStatus" TEXT NOT NULL,
+  note TEXT,
+  -- User who made the change; null for system changes (payments, expiry)
+  "changedBy" TEXT REFERENCES users(id) ON DELETE SET NULL,
+  metadata JSONB,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_idx ON order_status_history ("orderId", "createdAt");
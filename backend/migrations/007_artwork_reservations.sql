@@ -0,0 +1,16 @@
+-- Checkout reservations: a PENDING order holds its artworks (status RESERVED)
+-- until it is paid (SOLD) or its reservation expires and the sweeper cancels it.
+
+ALTER TABLE artworks
+  ADD COLUMN IF NOT EXISTS "reservedByOrderId" TEXT REFERENCES orders(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "reservedUntil" TIMESTAMP(3);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS "reservationExpiresAt" TIMESTAMP(3);
+
+CREATE INDEX IF NOT EXISTS artworks_reserved_by_order_idx ON artworks ("reservedByOrderId")
+  WHERE "reservedByOrderId" IS NOT NULL;
+
+-- Sweeper lookup: unpaid orders whose reservation ran out
+CREATE INDEX IF NOT EXISTS orders_reservation_expiry_idx ON orders ("reservationExpiresAt")
+  WHERE status = 'PENDING';
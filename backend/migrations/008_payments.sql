@@ -0,0 +1,33 @@
+-- Payments of orders through the configured provider (see lib/payments.js)
+-- and the webhook events already processed, so redeliveries are ignored.
+
+CREATE TABLE IF NOT EXISTS payments (
+  id TEXT PRIMARY KEY,
+  "orderId" TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  "providerIntentId" TEXT NOT NULL,
+  "clientSecret" TEXT,
+  amount NUMERIC(12, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  -- REQUIRES_PAYMENT, REQUIRES_ACTION, PROCESSING, SUCCEEDED, FAILED,
+  -- PARTIALLY_REFUNDED, REFUNDED
+  status TEXT NOT NULL DEFAULT 'REQUIRES_PAYMENT',
+  "refundedAmount" NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  "lastError" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, "providerIntentId")
+);
+
+CREATE INDEX IF NOT EXISTS payments_order_idx ON payments ("orderId", "createdAt" DESC);
+
+CREATE TABLE IF NOT EXISTS payment_events (
+  id TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  "eventId" TEXT NOT NULL,
+  type TEXT NOT NULL,
+  "paymentId" TEXT REFERENCES payments(id) ON DELETE SET NULL,
+  payload JSONB,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, "eventId")
+);
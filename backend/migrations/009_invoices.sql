@@ -0,0 +1,18 @@
+-- Invoices of paid orders (see services/invoice-service.js). Each invoice keeps
+-- a snapshot of what it shows, so the PDF never changes once issued.
+
+-- One counter row per year: numbers are gapless and taken under the row lock,
+-- so concurrent payments never share or skip a number
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  year INTEGER PRIMARY KEY,
+  "lastNumber" INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id TEXT PRIMARY KEY,
+  "invoiceNumber" TEXT NOT NULL UNIQUE,
+  "orderId" TEXT NOT NULL UNIQUE REFERENCES orders(id),
+  -- { seller, customer, order, lines, totals }
+  data JSONB NOT NULL,
+  "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,139 @@
+-- Structured dimensions and weight for shipping quotes (services/shipping-service.js).
+-- The free-text "dimensions" column stays as the display label. A trigger keeps
+-- both in sync for every writer (this API and the Prisma admin):
+--   text changed alone        → width/height/depth/unit parsed from it
+--   structured changed alone  → text rebuilt ("60 × 90 × 3 cm")
+
+ALTER TABLE artworks
+  ADD COLUMN IF NOT EXISTS width DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS height DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS depth DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS "dimensionUnit" TEXT,
+  ADD COLUMN IF NOT EXISTS "weightKg" DOUBLE PRECISION;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'artworks_dimension_unit_check') THEN
+    ALTER TABLE artworks ADD CONSTRAINT artworks_dimension_unit_check CHECK ("dimensionUnit" IN ('cm', 'in'));
+  END IF;
+END
+$$;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS "shippingZone" TEXT;
+
+-- Unit of a free-text size: metric units become cm, anything else is inches
+-- (same convention as artwork_dimensions_cm in 003)
+CREATE OR REPLACE FUNCTION artwork_dimension_unit(dimensions TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN lower(dimensions) ~ '\d\s*(mm|cm|m)\M|\m(mm|cm|m)\M' THEN 'cm'
+    ELSE 'in'
+  END
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ARRAY[width, height, depth] in artwork_dimension_unit(dimensions); depth is
+-- NULL for "WxH" and the result NULL when the text cannot be parsed
+CREATE OR REPLACE FUNCTION artwork_parse_dimensions(dimensions TEXT) RETURNS NUMERIC[] AS $$
+  SELECT CASE
+    WHEN m IS NULL THEN NULL
+    ELSE ARRAY[
+      replace(m[1], ',', '.')::NUMERIC * factor,
+      replace(m[2], ',', '.')::NUMERIC * factor,
+      replace(m[3], ',', '.')::NUMERIC * factor
+    ]
+  END
+  FROM (
+    SELECT
+      regexp_match(
+        lower(dimensions),
+        '(\d+(?:[.,]\d+)?)\s*(?:x|×|\*)\s*(\d+(?:[.,]\d+)?)(?:\s*(?:x|×|\*)\s*(\d+(?:[.,]\d+)?))?'
+      ) AS m,
+      CASE
+        WHEN lower(dimensions) ~ '\d\s*mm\M|\mmm\M' THEN 0.1
+        WHEN lower(dimensions) ~ '\d\s*m\M|\mm\M' THEN 100
+        ELSE 1
+      END AS factor
+  ) parsed
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION artwork_format_dimensions(width DOUBLE PRECISION, height DOUBLE PRECISION, depth DOUBLE PRECISION, unit TEXT) RETURNS TEXT AS $$
+  SELECT concat_ws(' × ', trim_scale(width::NUMERIC), trim_scale(height::NUMERIC), trim_scale(depth::NUMERIC))
+    || ' ' || coalesce(unit, 'cm')
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Structured width and height in centimetres (overload of the text version in 003)
+CREATE OR REPLACE FUNCTION artwork_dimensions_cm(width DOUBLE PRECISION, height DOUBLE PRECISION, unit TEXT) RETURNS NUMERIC[] AS $$
+  SELECT CASE
+    WHEN width IS NULL OR height IS NULL THEN NULL
+    ELSE ARRAY[
+      width::NUMERIC * CASE WHEN unit = 'in' THEN 2.54 ELSE 1 END,
+      height::NUMERIC * CASE WHEN unit = 'in' THEN 2.54 ELSE 1 END
+    ]
+  END
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Size and orientation facets on the structured columns (same buckets as 003)
+CREATE OR REPLACE FUNCTION artwork_size_bucket(width DOUBLE PRECISION, height DOUBLE PRECISION, unit TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN d IS NULL THEN NULL
+    WHEN greatest(d[1], d[2]) <= 50 THEN 'small'
+    WHEN greatest(d[1], d[2]) <= 100 THEN 'medium'
+    ELSE 'large'
+  END
+  FROM (SELECT artwork_dimensions_cm(width, height, unit) AS d) parsed
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION artwork_orientation(width DOUBLE PRECISION, height DOUBLE PRECISION) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN width IS NULL OR height IS NULL OR width = 0 OR height = 0 THEN NULL
+    WHEN width > height * 1.05 THEN 'landscape'
+    WHEN height > width * 1.05 THEN 'portrait'
+    ELSE 'square'
+  END
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Existing catalogue: parse the free text once, leaving the text untouched
+UPDATE artworks a
+SET width = p.d[1], height = p.d[2], depth = p.d[3], "dimensionUnit" = artwork_dimension_unit(a.dimensions)
+FROM (
+  SELECT id, artwork_parse_dimensions(dimensions) AS d FROM artworks WHERE width IS NULL AND dimensions IS NOT NULL
+) p
+WHERE a.id = p.id AND p.d IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION artworks_dimensions_trigger() RETURNS trigger AS $$
+DECLARE
+  parsed NUMERIC[];
+  text_changed BOOLEAN;
+  structure_changed BOOLEAN;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    text_changed := coalesce(NEW.dimensions, '') <> '' AND NEW.width IS NULL;
+    structure_changed := NEW.width IS NOT NULL AND coalesce(NEW.dimensions, '') = '';
+  ELSE
+    text_changed := NEW.dimensions IS DISTINCT FROM OLD.dimensions;
+    structure_changed := (NEW.width, NEW.height, NEW.depth, NEW."dimensionUnit")
+      IS DISTINCT FROM (OLD.width, OLD.height, OLD.depth, OLD."dimensionUnit");
+  END IF;
+
+  IF text_changed AND NOT structure_changed THEN
+    parsed := artwork_parse_dimensions(NEW.dimensions);
+    NEW.width := parsed[1];
+    NEW.height := parsed[2];
+    NEW.depth := parsed[3];
+    NEW."dimensionUnit" := CASE WHEN parsed IS NULL THEN NULL ELSE artwork_dimension_unit(NEW.dimensions) END;
+  ELSIF structure_changed AND NOT text_changed AND NEW.width IS NOT NULL AND NEW.height IS NOT NULL THEN
+    NEW."dimensionUnit" := coalesce(NEW."dimensionUnit", 'cm');
+    NEW.dimensions := artwork_format_dimensions(NEW.width, NEW.height, NEW.depth, NEW."dimensionUnit");
+  END IF;
+
+  IF NEW.width IS NOT NULL AND NEW."dimensionUnit" IS NULL THEN
+    NEW."dimensionUnit" := 'cm';
+  END IF;
+
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS artworks_dimensions_sync ON artworks;
+CREATE TRIGGER artworks_dimensions_sync
+  BEFORE INSERT OR UPDATE OF dimensions, width, height, depth, "dimensionUnit" ON artworks
+  FOR EACH ROW EXECUTE FUNCTION artworks_dimensions_trigger();
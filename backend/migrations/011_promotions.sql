@@ -0,0 +1,79 @@
+-- Coupons and automatic category sales (services/coupon-service.js,
+-- services/category-sale-service.js).
+
+CREATE TABLE IF NOT EXISTS coupons (
+  id TEXT PRIMARY KEY,
+  -- Stored uppercase; customers may type it in any case
+  code TEXT NOT NULL UNIQUE,
+  description TEXT,
+  "discountType" TEXT NOT NULL CHECK ("discountType" IN ('PERCENTAGE', 'FIXED')),
+  value NUMERIC(12, 2) NOT NULL CHECK (value > 0),
+  "minOrderAmount" NUMERIC(12, 2),
+  -- NULL = unlimited
+  "maxUses" INTEGER,
+  "maxUsesPerUser" INTEGER,
+  "usedCount" INTEGER NOT NULL DEFAULT 0,
+  "startsAt" TIMESTAMP(3),
+  "endsAt" TIMESTAMP(3),
+  -- Empty = every artwork; otherwise the discount only applies to matching items
+  "categoryIds" TEXT[] NOT NULL DEFAULT '{}',
+  "artworkIds" TEXT[] NOT NULL DEFAULT '{}',
+  "isActive" BOOLEAN NOT NULL DEFAULT true,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- Cross-field rules also hold for partial admin updates
+  CONSTRAINT coupons_percentage_check CHECK ("discountType" <> 'PERCENTAGE' OR value <= 100),
+  CONSTRAINT coupons_window_check CHECK ("endsAt" IS NULL OR "startsAt" IS NULL OR "endsAt" > "startsAt")
+);
+
+-- One row per order that used a coupon, written in the checkout transaction
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id TEXT PRIMARY KEY,
+  "couponId" TEXT NOT NULL REFERENCES coupons(id),
+  "orderId" TEXT NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  "userId" TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS coupon_redemptions_coupon_user_idx ON coupon_redemptions ("couponId", "userId");
+
+ALTER TABLE carts ADD COLUMN IF NOT EXISTS "couponId" TEXT REFERENCES coupons(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS "couponCode" TEXT;
+
+CREATE TABLE IF NOT EXISTS category_sales (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  "categoryId" TEXT NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  "discountType" TEXT NOT NULL CHECK ("discountType" IN ('PERCENTAGE', 'FIXED')),
+  value NUMERIC(12, 2) NOT NULL CHECK (value > 0),
+  "startsAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "endsAt" TIMESTAMP(3),
+  "isActive" BOOLEAN NOT NULL DEFAULT true,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT category_sales_percentage_check CHECK ("discountType" <> 'PERCENTAGE' OR value <= 100),
+  CONSTRAINT category_sales_window_check CHECK ("endsAt" IS NULL OR "endsAt" > "startsAt")
+);
+
+CREATE INDEX IF NOT EXISTS category_sales_category_idx ON category_sales ("categoryId") WHERE "isActive" = true;
+
+-- Best running sale of an artwork's category with the price it gives
+-- (never below 0.01); no row when the category has no sale right now
+CREATE OR REPLACE FUNCTION artwork_active_sale(artwork_price DOUBLE PRECISION, category_id TEXT)
+RETURNS TABLE (id TEXT, name TEXT, "salePrice" DOUBLE PRECISION, "endsAt" TIMESTAMP(3)) AS $$
+  SELECT s.id, s.name, sale.price, s."endsAt"
+  FROM category_sales s
+  CROSS JOIN LATERAL (
+    SELECT greatest(0.01, round(CASE
+      WHEN s."discountType" = 'PERCENTAGE' THEN artwork_price::NUMERIC * (100 - s.value) / 100
+      ELSE artwork_price::NUMERIC - s.value
+    END, 2))::DOUBLE PRECISION AS price
+  ) sale
+  WHERE s."categoryId" = category_id
+    AND s."isActive" = true
+    AND s."startsAt" <= CURRENT_TIMESTAMP
+    AND (s."endsAt" IS NULL OR s."endsAt" > CURRENT_TIMESTAMP)
+  ORDER BY sale.price ASC, s.id
+  LIMIT 1
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,41 @@
+-- Make-an-offer negotiations on artworks (services/offer-service.js).
+-- `amount` is the latest proposal on the table; every step is kept in
+-- offer_events for both sides to see.
+
+CREATE TABLE IF NOT EXISTS offers (
+  id TEXT PRIMARY KEY,
+  "artworkId" TEXT NOT NULL REFERENCES artworks(id),
+  "userId" TEXT NOT NULL REFERENCES users(id),
+  -- PENDING (admin's turn), COUNTERED (customer's turn), ACCEPTED, REJECTED,
+  -- WITHDRAWN, COMPLETED (bought at the accepted price)
+  status TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  -- Private checkout price of an accepted offer, valid until "acceptedUntil"
+  "acceptedAmount" NUMERIC(12, 2),
+  "acceptedUntil" TIMESTAMP(3),
+  "orderId" TEXT REFERENCES orders(id) ON DELETE SET NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One negotiation in progress per customer and artwork
+CREATE UNIQUE INDEX IF NOT EXISTS offers_open_idx ON offers ("artworkId", "userId")
+  WHERE status IN ('PENDING', 'COUNTERED');
+CREATE INDEX IF NOT EXISTS offers_user_idx ON offers ("userId", "createdAt" DESC);
+CREATE INDEX IF NOT EXISTS offers_status_idx ON offers (status, "updatedAt" DESC);
+
+CREATE TABLE IF NOT EXISTS offer_events (
+  id TEXT PRIMARY KEY,
+  "offerId" TEXT NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+  -- OFFERED, COUNTERED, ACCEPTED, REJECTED, WITHDRAWN, COMPLETED
+  type TEXT NOT NULL,
+  -- 'customer', 'admin' or 'system'
+  actor TEXT NOT NULL,
+  amount NUMERIC(12, 2),
+  message TEXT,
+  "createdBy" TEXT REFERENCES users(id),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS offer_events_offer_idx ON offer_events ("offerId", "createdAt");
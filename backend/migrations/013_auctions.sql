@@ -0,0 +1,55 @@
+-- Timed auctions (services/auction-service.js). While an auction is open its
+-- artwork has status AUCTION, so it cannot be bought or offered on; the
+-- winner gets a PENDING order that reserves it.
+
+CREATE TABLE IF NOT EXISTS auctions (
+  id TEXT PRIMARY KEY,
+  "artworkId" TEXT NOT NULL REFERENCES artworks(id),
+  -- OPEN, SOLD (winner order created), UNSOLD (no bids or reserve not met), CANCELLED
+  status TEXT NOT NULL DEFAULT 'OPEN',
+  currency TEXT NOT NULL,
+  "startPrice" NUMERIC(12, 2) NOT NULL,
+  -- Hidden from bidders; only whether it was met is shown
+  "reservePrice" NUMERIC(12, 2),
+  -- [{ "from": 0, "increment": 5 }, { "from": 100, "increment": 10 }, ...]
+  increments JSONB NOT NULL,
+  "startsAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "endsAt" TIMESTAMP(3) NOT NULL,
+  -- endsAt as scheduled, before soft-close extensions
+  "originalEndsAt" TIMESTAMP(3) NOT NULL,
+  -- A bid in the last softCloseMinutes pushes endsAt to softCloseMinutes from the bid
+  "softCloseMinutes" INTEGER NOT NULL,
+  "currentPrice" NUMERIC(12, 2),
+  "leaderId" TEXT REFERENCES users(id),
+  -- The leader's proxy ceiling: the system bids for them up to this amount
+  "leaderMaxBid" NUMERIC(12, 2),
+  "bidCount" INTEGER NOT NULL DEFAULT 0,
+  "orderId" TEXT REFERENCES orders(id) ON DELETE SET NULL,
+  "closedAt" TIMESTAMP(3),
+  "createdBy" TEXT REFERENCES users(id),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT auctions_reserve_check CHECK ("reservePrice" IS NULL OR "reservePrice" >= "startPrice"),
+  CONSTRAINT auctions_window_check CHECK ("endsAt" > "startsAt")
+);
+
+-- One open auction per artwork
+CREATE UNIQUE INDEX IF NOT EXISTS auctions_open_artwork_idx ON auctions ("artworkId") WHERE status = 'OPEN';
+-- Sweeper lookup: open auctions past their end
+CREATE INDEX IF NOT EXISTS auctions_open_ends_idx ON auctions ("endsAt") WHERE status = 'OPEN';
+
+CREATE TABLE IF NOT EXISTS auction_bids (
+  id TEXT PRIMARY KEY,
+  "auctionId" TEXT NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  "userId" TEXT NOT NULL REFERENCES users(id),
+  -- Bid number within the auction (bids are serialized on the auction row)
+  sequence INTEGER NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  -- Ceiling the bidder entered; null for bids placed for them by the system
+  "maxAmount" NUMERIC(12, 2),
+  "isAutomatic" BOOLEAN NOT NULL DEFAULT false,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("auctionId", sequence)
+);
+
+CREATE INDEX IF NOT EXISTS auction_bids_user_idx ON auction_bids ("userId", "auctionId");
@@ -0,0 +1,37 @@
+-- Customer inquiries about artworks (services/inquiry-service.js): one row per
+-- conversation, one inquiry_messages row per message in it.
+
+CREATE TABLE IF NOT EXISTS inquiries (
+  id TEXT PRIMARY KEY,
+  "artworkId" TEXT NOT NULL REFERENCES artworks(id),
+  -- Null for guests, who follow the thread with a signed access token
+  -- (see InquiryService.getAccessToken)
+  "userId" TEXT REFERENCES users(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  -- NEW (waiting for the gallery), ANSWERED, CLOSED
+  status TEXT NOT NULL DEFAULT 'NEW',
+  "assignedTo" TEXT REFERENCES users(id) ON DELETE SET NULL,
+  -- Nonce of the solved guest challenge: each challenge opens one inquiry
+  "challengeNonce" TEXT UNIQUE,
+  "lastMessageAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS inquiries_status_idx ON inquiries (status, "lastMessageAt" DESC);
+CREATE INDEX IF NOT EXISTS inquiries_user_idx ON inquiries ("userId", "lastMessageAt" DESC);
+CREATE INDEX IF NOT EXISTS inquiries_assigned_idx ON inquiries ("assignedTo", "lastMessageAt" DESC);
+
+CREATE TABLE IF NOT EXISTS inquiry_messages (
+  id TEXT PRIMARY KEY,
+  "inquiryId" TEXT NOT NULL REFERENCES inquiries(id) ON DELETE CASCADE,
+  -- 'customer' or 'admin'
+  author TEXT NOT NULL,
+  -- Admin who replied, or the customer's account; null for guests
+  "userId" TEXT REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS inquiry_messages_inquiry_idx ON inquiry_messages ("inquiryId", "createdAt");
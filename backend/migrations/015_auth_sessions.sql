@@ -0,0 +1,25 @@
+-- Signed-in sessions of the main API (services/session-service.js) and of
+-- AuthenticationService (services/auth-pro.js): one row per refresh token
+-- family. Every access and refresh token carries its session id and stops
+-- working once the session is revoked.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id TEXT PRIMARY KEY,
+  "userId" TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- jti of the only refresh token of the family that may still be used;
+  -- presenting an older one revokes the session (token reuse)
+  "refreshTokenId" TEXT NOT NULL,
+  -- Readable label derived from the user agent, e.g. "Chrome on Windows"
+  device TEXT,
+  "ipAddress" TEXT,
+  "userAgent" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "lastUsedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- Moves forward with every refresh
+  "expiresAt" TIMESTAMP(3) NOT NULL,
+  "revokedAt" TIMESTAMP(3),
+  -- logout, logout_all, revoked, password_changed, refresh_token_reuse
+  "revokedReason" TEXT
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_user_idx ON auth_sessions ("userId", "lastUsedAt" DESC);
@@ -0,0 +1,41 @@
+-- Two-factor authentication (services/mfa-service.js): TOTP secrets and backup
+-- codes of admin and customer accounts, the pending second step of their
+-- logins, and the gallery-wide "MFA required for admins" switch.
+
+CREATE TABLE IF NOT EXISTS mfa_factors (
+  -- No foreign key: admins of routes/admin.js and users (admins and
+  -- customers) both enroll here
+  "userId" TEXT PRIMARY KEY,
+  -- AES-256-GCM encrypted base32 secret (iv.tag.ciphertext)
+  secret TEXT NOT NULL,
+  -- Null until the first code is confirmed
+  "enabledAt" TIMESTAMP(3),
+  -- Last accepted TOTP time step: a code works once
+  "lastUsedStep" BIGINT,
+  -- sha256 hashes of the unused backup codes
+  "backupCodes" JSONB NOT NULL DEFAULT '[]',
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mfa_challenges (
+  id TEXT PRIMARY KEY,
+  -- sha256 of the token returned by the first login step
+  "tokenHash" TEXT NOT NULL UNIQUE,
+  "userId" TEXT NOT NULL,
+  -- 'login' (enter a code) or 'enroll' (MFA is required but not set up yet)
+  purpose TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  "expiresAt" TIMESTAMP(3) NOT NULL,
+  "consumedAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS mfa_challenges_expires_idx ON mfa_challenges ("expiresAt");
+
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  "updatedBy" TEXT,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,5 @@
+-- Auctions whose reserve was met but whose winner order could not be created
+-- (artwork sold or deactivated meanwhile) close as FAILED with the reason,
+-- instead of being retried by the sweeper forever.
+
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS "closeError" TEXT;
@@ -0,0 +1,9 @@
+-- Deleted categories are only deactivated, so a unique name over every row
+-- kept their names taken. Names are now unique among active categories.
+
+-- Unique constraint or plain unique index, depending on how the table was created
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_name_key;
+DROP INDEX IF EXISTS categories_name_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS categories_active_name_key ON categories (name)
+  WHERE "isActive";
@@ -9,9 +9,14 @@ import {
   validateAdminRegistration,
   validatePasswordResetRequest,
   validatePasswordResetCompletion,
-  validatePasswordChange
+  validatePasswordChange,
+  validateMfaCode,
+  validateMfaChallenge,
+  validateMfaDisable,
+  validateMfaPolicy
 } from '../middleware/validate-admin.js';
 import { verifyAdminToken, verifyAdminRefreshToken } from '../middleware/auth-admin.js';
+import MfaService from '../services/mfa-service.js';
 
 const router = express.Router();
 const adminService = new AdminService();
@@ -130,6 +135,22 @@ router.post('/login', adminRateLimit, validateAdminLogin, handleValidationErrors
       ));
     }
 
+    // With two-factor authentication, the password only earns a challenge
+    const mfaEnabled = await MfaService.isEnabled(result.admin.id);
+    if (mfaEnabled || await MfaService.isRequiredForAdmins()) {
+      const challenge = await MfaService.createChallenge(result.admin.id, mfaEnabled ? 'login' : 'enroll');
+
+      return res.json(formatResponse(
+        true,
+        mfaEnabled
+          ? { mfaRequired: true, ...challenge }
+          : { mfaEnrollmentRequired: true, ...challenge },
+        mfaEnabled
+          ? 'Enter the code from your authenticator app'
+          : 'Two-factor authentication must be set up to continue'
+      ));
+    }
+
     res.json(formatResponse(
       true,
       {
@@ -142,6 +163,10 @@ router.post('/login', adminRateLimit, validateAdminLogin, handleValidationErrors
       'Login successful'
     ));
   } catch (error) {
+    // MfaService refuses new challenges for a while after too many wrong codes
+    if (error.statusCode) {
+      return sendMfaError(res, error, 'Login failed');
+    }
     console.error('Admin login error:', error);
     res.status(500).json(formatResponse(
       false,
@@ -375,6 +400,228 @@ router.post('/logout', verifyAdminToken, handleAsync(async (req, res) => {
   }
 }));
 
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// =============================================================================
+
+const MFA_ERROR_CODES = {
+  400: 'INVALID_MFA_CODE',
+  401: 'MFA_CHALLENGE_INVALID',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMIT_EXCEEDED'
+};
+
+// MfaService errors carry a statusCode; anything else is unexpected
+const sendMfaError = (res, error, fallbackMessage) => {
+  if (!error.statusCode) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json(formatResponse(
+    false,
+    null,
+    error.statusCode ? error.message : fallbackMessage,
+    MFA_ERROR_CODES[statusCode] || 'INTERNAL_SERVER_ERROR',
+    statusCode
+  ));
+};
+
+// Tokens for an admin who passed the second factor
+const issueAdminTokens = async (adminId) => {
+  const admin = await adminService.findAdminById(adminId);
+
+  if (!admin || !admin.isActive) {
+    const error = new Error('Admin not found or inactive');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  return {
+    admin: {
+      id: admin.id,
+      username: admin.username,
+      email: admin.email
+    },
+    tokens: adminService.generateTokens(admin)
+  };
+};
+
+// Second login step: { mfaToken, code } (authenticator or backup code)
+router.post('/login/mfa', validateMfaChallenge, handleAsync(async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    const { userId, result: method } = await MfaService.completeChallenge(
+      mfaToken,
+      'login',
+      (adminId) => MfaService.verifyCode(adminId, code)
+    );
+    const login = await issueAdminTokens(userId);
+    const { backupCodesRemaining } = await MfaService.getStatus(userId);
+
+    res.json(formatResponse(
+      true,
+      { ...login, mfa: { method, backupCodesRemaining } },
+      'Login successful'
+    ));
+  } catch (error) {
+    sendMfaError(res, error, 'Two-factor verification failed');
+  }
+}));
+
+// MFA setup during login when it is required: { mfaToken } from /login
+router.post('/login/mfa/setup', handleAsync(async (req, res) => {
+  try {
+    const adminId = await MfaService.peekChallenge(req.body.mfaToken, 'enroll');
+    const admin = await adminService.findAdminById(adminId);
+
+    const result = await MfaService.startEnrollment({ id: admin.id, email: admin.email });
+
+    res.json(formatResponse(true, result, 'Scan the QR code with your authenticator app'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to start two-factor setup');
+  }
+}));
+
+// Confirms that setup and signs in: { mfaToken, code }
+router.post('/login/mfa/confirm', validateMfaChallenge, handleAsync(async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    const { userId, result: backupCodes } = await MfaService.completeChallenge(
+      mfaToken,
+      'enroll',
+      (adminId) => MfaService.confirmEnrollment(adminId, code)
+    );
+    const login = await issueAdminTokens(userId);
+
+    res.json(formatResponse(
+      true,
+      { ...login, backupCodes },
+      'Two-factor authentication enabled. Store your backup codes safely.'
+    ));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to confirm two-factor setup');
+  }
+}));
+
+// Two-factor status of the signed-in admin
+router.get('/mfa', verifyAdminToken, handleAsync(async (req, res) => {
+  try {
+    const status = await MfaService.getStatus(req.admin.id);
+
+    res.json(formatResponse(true, status, 'Two-factor status retrieved'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to get two-factor status');
+  }
+}));
+
+// Start setup: { secret, otpauthUri } for the QR code
+router.post('/mfa/setup', verifyAdminToken, handleAsync(async (req, res) => {
+  try {
+    const result = await MfaService.startEnrollment(req.admin);
+
+    res.json(formatResponse(true, result, 'Scan the QR code with your authenticator app'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to start two-factor setup');
+  }
+}));
+
+// Confirm setup with a first code: { code }; returns the backup codes
+router.post('/mfa/confirm', verifyAdminToken, validateMfaCode, handleAsync(async (req, res) => {
+  try {
+    const backupCodes = await MfaService.confirmEnrollment(req.admin.id, req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json(formatResponse(
+        false,
+        null,
+        'Invalid authentication code',
+        'INVALID_MFA_CODE',
+        400
+      ));
+    }
+
+    console.log(`🔐 Two-factor authentication enabled: ${req.admin.username}`);
+
+    res.json(formatResponse(
+      true,
+      { backupCodes },
+      'Two-factor authentication enabled. Store your backup codes safely.'
+    ));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to confirm two-factor setup');
+  }
+}));
+
+// New set of backup codes (the old ones stop working): { code }
+router.post('/mfa/backup-codes', verifyAdminToken, validateMfaCode, handleAsync(async (req, res) => {
+  try {
+    const backupCodes = await MfaService.regenerateBackupCodes(req.admin.id, req.body.code);
+
+    res.json(formatResponse(true, { backupCodes }, 'Backup codes regenerated'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to regenerate backup codes');
+  }
+}));
+
+// Turn MFA off: { password, code }. Both are checked again, whatever the
+// age of the session.
+router.post('/mfa/disable', verifyAdminToken, validateMfaDisable, handleAsync(async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const reauth = await adminService.authenticateAdmin(req.admin.email, password);
+    if (!reauth.success) {
+      return res.status(401).json(formatResponse(
+        false,
+        null,
+        'Password is incorrect',
+        'INVALID_CREDENTIALS',
+        401
+      ));
+    }
+
+    await MfaService.disable(req.admin.id, code);
+
+    res.json(formatResponse(true, null, 'Two-factor authentication disabled'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to disable two-factor authentication');
+  }
+}));
+
+// Require MFA for every admin: { required: true|false, password, code }
+router.put('/mfa/policy', verifyAdminToken, validateMfaPolicy, handleAsync(async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const reauth = await adminService.authenticateAdmin(req.admin.email, password);
+    if (!reauth.success) {
+      return res.status(401).json(formatResponse(
+        false,
+        null,
+        'Password is incorrect',
+        'INVALID_CREDENTIALS',
+        401
+      ));
+    }
+
+    const required = await MfaService.setRequiredForAdmins(req.body.required, req.admin.id, code);
+
+    res.json(formatResponse(
+      true,
+      { requiredForAdmins: required },
+      required
+        ? 'Two-factor authentication is now required for all admins'
+        : 'Two-factor authentication is now optional for admins'
+    ));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to update two-factor policy');
+  }
+}));
+
 // =============================================================================
 // ADMIN MANAGEMENT ENDPOINTS
 // =============================================================================
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Storage migration script for Elouarate Art API
+ * Copies the files of the local uploads folder to the configured storage
+ * driver (STORAGE_DRIVER=s3), keeping their keys. Files already present in the
+ * target are skipped unless --overwrite is given.
+ *
+ * Usage: npm run storage:migrate -- [--dry-run] [--overwrite] [--skip-variants]
+ *   --skip-variants  copy originals and manifests only; the other variants are
+ *                    rendered again on first request
+ */
+
+import path from 'path';
+import dotenv from 'dotenv';
+import { createStorage, LocalStorageDriver, getUploadsDir } from '../lib/storage.js';
+
+dotenv.config();
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.json': 'application/json'
+};
+
+async function migrateStorage() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const overwrite = args.includes('--overwrite');
+  const skipVariants = args.includes('--skip-variants');
+
+  const source = new LocalStorageDriver({ root: getUploadsDir() });
+  const target = createStorage();
+
+  console.log('🗄️ Migrating Uploads to Storage');
+  console.log('═'.repeat(50));
+  console.log(`   From: ${source.root}`);
+  console.log(`   To:   ${target.name}${target.bucket ? ` (bucket ${target.bucket})` : ` (${target.root})`}`);
+
+  if (target.name === 'local' && target.root === source.root) {
+    throw new Error('Source and target are the same folder. Set STORAGE_DRIVER=s3 and the S3_* variables first.');
+  }
+
+  if (dryRun) {
+    console.log('   (dry run, nothing is written)');
+  }
+
+  const start = Date.now();
+  const stats = { copied: 0, skipped: 0, failed: 0, bytes: 0 };
+
+  for await (const { key, size } of source.list()) {
+    const isVariant = key.startsWith('variants/') && !key.endsWith('/manifest.json');
+
+    if (skipVariants && isVariant) {
+      stats.skipped += 1;
+      continue;
+    }
+
+    try {
+      if (!overwrite && await target.exists(key)) {
+        stats.skipped += 1;
+        continue;
+      }
+
+      if (!dryRun) {
+        await target.put(key, await source.get(key), { contentType: MIME_TYPES[path.extname(key).toLowerCase()] });
+      }
+
+      stats.copied += 1;
+      stats.bytes += size;
+
+      if (stats.copied % 100 === 0) {
+        console.log(`   📦 ${stats.copied} files copied...`);
+      }
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`   ❌ ${key}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n✅ ${dryRun ? 'Would copy' : 'Copied'} ${stats.copied} files (${(stats.bytes / 1024 / 1024).toFixed(1)} MB), skipped ${stats.skipped} in ${Date.now() - start}ms`);
+
+  if (stats.failed > 0) {
+    console.error(`⚠️ ${stats.failed} files failed, run the command again to retry them`);
+    process.exitCode = 1;
+  }
+}
+
+migrateStorage().catch((error) => {
+  console.error('❌ Storage migration failed:', error.message);
+  process.exitCode = 1;
+});
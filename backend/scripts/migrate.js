@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Database migration runner for Elouarate Art API
+ * Applies backend/migrations/*.sql in filename order, once each.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promises as fs } from 'fs';
+import { pool, query, transaction } from '../lib/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+async function ensureMigrationsTable() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      "appliedAt" TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getPendingMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+
+  const applied = await query('SELECT name FROM schema_migrations');
+  const appliedNames = new Set(applied.rows.map(row => row.name));
+
+  return files.filter(file => !appliedNames.has(file));
+}
+
+async function runMigrations() {
+  console.log('🗄️ Running Database Migrations');
+  console.log('═'.repeat(50));
+
+  await ensureMigrationsTable();
+  const pending = await getPendingMigrations();
+
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+
+  for (const file of pending) {
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+    // Each migration and its bookkeeping row commit (or roll back) together
+    await transaction(async (client) => {
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+    });
+
+    console.log(`✅ Applied ${file}`);
+  }
+
+  console.log(`\n📈 ${pending.length} migration(s) applied`);
+}
+
+runMigrations()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
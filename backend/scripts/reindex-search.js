@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * Artwork search reindex script for Elouarate Art API
+ * Rebuilds artworks."searchVector" for every artwork.
+ */
+
+import { pool, query } from '../lib/database.js';
+import SearchService from '../services/search-service.js';
+
+async function reindexSearch() {
+  console.log('🔎 Reindexing Artwork Search');
+  console.log('═'.repeat(50));
+
+  const start = Date.now();
+  const { reindexed } = await SearchService.reindex(query, {
+    onProgress: (count) => console.log(`   📝 ${count} artworks indexed...`)
+  });
+
+  console.log(`\n✅ Reindexed ${reindexed} artworks in ${Date.now() - start}ms`);
+}
+
+reindexSearch()
+  .catch((error) => {
+    console.error('❌ Reindex failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -12,16 +12,32 @@ import rateLimit from 'express-rate-limit';
 import morgan from 'morgan';
 import { body, validationResult } from 'express-validator';
 import bcryptjs from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import pg from 'pg';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import security from './middleware/security.js';
+import security, { ARTWORK_FIELDS, CATEGORY_FIELDS } from './middleware/security.js';
 import performance from './middleware/performance.js';
 import monitoring from './lib/monitoring.js';
+import SearchService from './services/search-service.js';
+import ArtworkFilterService from './services/artwork-filter-service.js';
+import CartService from './services/cart-service.js';
+import OrderService from './services/order-service.js';
+import PaymentService from './services/payment-service.js';
+import InvoiceService from './services/invoice-service.js';
+import ShippingService, { getShippingRules } from './services/shipping-service.js';
+import CouponService from './services/coupon-service.js';
+import CategorySaleService, { ARTWORK_SALE_JOIN, ARTWORK_SALE_COLUMNS } from './services/category-sale-service.js';
+import OfferService, { OFFER_STATUSES } from './services/offer-service.js';
+import AuctionService, { auctionEvents } from './services/auction-service.js';
+import InquiryService, { INQUIRY_STATUSES } from './services/inquiry-service.js';
+import EmailVerificationService from './services/email-verification-service.js';
+import SessionService from './services/session-service.js';
+import PasswordResetService from './services/password-reset-service.js';
+import MagicLinkService from './services/magic-link-service.js';
+import MfaService from './services/mfa-service.js';
+import { pool, query, transaction, generateId } from './lib/database.js';
+import { CURSOR_SORT_FIELDS, parsePageParams, parseCursorParams, buildKeysetSql, buildCursorPage, encodeCursor } from './lib/pagination.js';
 
-const { Pool } = pg;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -31,27 +47,6 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// =============================================================================
-// DATABASE CONNECTION (PostgreSQL Direct)
-// =============================================================================
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
-});
-
-// Test database connection
-pool.on('connect', () => {
-  console.log('✅ Connected to PostgreSQL database');
-});
-
-pool.on('error', (err) => {
-  console.error('❌ PostgreSQL connection error:', err);
-});
-
 // =============================================================================
 // MIDDLEWARE STACK
 // =============================================================================
@@ -76,7 +71,7 @@ app.use(cors({
     process.env.FRONTEND_URL
   ].filter(Boolean),
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
@@ -97,7 +92,8 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
-// Body parsing
+// Body parsing (payment webhooks keep the raw body: their signature covers the exact bytes)
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -105,20 +101,6 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // UTILITY FUNCTIONS
 // =============================================================================
 
-// Database query helper with error handling
-const query = async (text, params = []) => {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(text, params);
-    return result;
-  } catch (error) {
-    console.error('Database query error:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-};
-
 // Response formatter
 const createResponse = (success, data = null, message = '', error = '') => ({
   success,
@@ -128,15 +110,46 @@ const createResponse = (success, data = null, message = '', error = '') => ({
   timestamp: new Date().toISOString()
 });
 
-// JWT helper functions
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET || 'your-secret-key', {
-    expiresIn: '24h'
-  });
+// Signs in on the requesting device: a session row plus its access and
+// refresh tokens (see services/session-service.js)
+const startSession = (req, user) => SessionService.start(user, {
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent') || null
+});
+
+// A login whose first factor passed (password, magic link) still needs the
+// second one when the account uses two-factor authentication, or is an admin
+// account while the admin policy requires it: the challenge to answer, or null
+const createLoginChallenge = async (user) => {
+  const mfaEnabled = await MfaService.isEnabled(user.id);
+  if (!mfaEnabled && !(user.role === 'ADMIN' && await MfaService.isRequiredForAdmins())) {
+    return null;
+  }
+
+  const challenge = await MfaService.createChallenge(user.id, mfaEnabled ? 'login' : 'enroll');
+  console.log(`🔐 First factor accepted, awaiting second factor: ${user.email}`);
+
+  return mfaEnabled
+    ? { mfaRequired: true, ...challenge }
+    : { mfaEnrollmentRequired: true, ...challenge };
 };
 
-const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+const sendLoginChallenge = (res, challenge) => res.json(createResponse(
+  true,
+  challenge,
+  challenge.mfaRequired
+    ? 'Enter the code from your authenticator app'
+    : 'Two-factor authentication must be set up to continue'
+));
+
+// Last step of every login: records it and opens the session
+const completeLogin = async (req, user) => {
+  await query(
+    'UPDATE users SET "lastLogin" = NOW(), "updatedAt" = NOW() WHERE id = $1',
+    [user.id]
+  );
+
+  return startSession(req, user);
 };
 
 // Authentication middleware
@@ -149,11 +162,14 @@ const authenticate = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
-    
+    const decoded = SessionService.verify(token);
+    await SessionService.assertActive(decoded.sid);
+
     // Get user from database
     const userResult = await query(
-      'SELECT id, email, "firstName", "lastName", "isActive", role FROM users WHERE id = $1',
+      `SELECT id, email, "firstName", "lastName", "isActive", "isEmailVerified", role,
+        metadata->>'tokensValidAfter' AS "tokensValidAfter"
+       FROM users WHERE id = $1`,
       [decoded.userId]
     );
     
@@ -161,13 +177,51 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json(createResponse(false, null, '', 'User not found or inactive'));
     }
 
-    req.user = userResult.rows[0];
-    req.userId = userResult.rows[0].id;
+    // Signed out everywhere (password reset, logout-all) after this token was
+    // issued. iat has one-second resolution: a token from the same second as
+    // the sign-out counts as older.
+    const { tokensValidAfter, ...user } = userResult.rows[0];
+    if (tokensValidAfter && decoded.iat <= Number(tokensValidAfter)) {
+      return res.status(401).json(createResponse(false, null, '', 'Session has been revoked, please log in again'));
+    }
+
+    req.user = user;
+    req.userId = user.id;
+    req.sessionId = decoded.sid;
+
+    // A guest cart started before login joins the user's cart
+    if (CartService.getGuestCartId(req)) {
+      try {
+        await CartService.mergeGuestCart(req, res, req.userId);
+      } catch (mergeError) {
+        console.error('Cart merge error:', mergeError);
+      }
+    }
+
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
-    res.status(401).json(createResponse(false, null, '', 'Invalid or expired token'));
+    if (!error.statusCode) {
+      console.error('Authentication error:', error);
+    }
+    res.status(401).json(createResponse(false, null, '', error.statusCode ? error.message : 'Invalid or expired token'));
+  }
+};
+
+// Authenticates when a Bearer token is sent, lets anonymous requests through
+const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+// Role guard (use after authenticate, checks users.role)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json(createResponse(false, null, '', 'Insufficient permissions'));
   }
+  next();
 };
 
 // =============================================================================
@@ -248,22 +302,38 @@ app.post('/api/auth/register', [
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user.id,
+    // Email the verification link (the account exists even if sending fails;
+    // the user can ask for a new link)
+    let verificationEmailSent = false;
+    try {
+      await EmailVerificationService.send(user.id);
+      verificationEmailSent = true;
+    } catch (emailError) {
+      console.error(`Verification email for ${user.email} failed:`, emailError);
+    }
+
+    const userData = {
+      id: user.id,
       email: user.email,
-      role: 'USER'
-    });
+      firstName: user.firstName,
+      lastName: user.lastName,
+      createdAt: user.createdAt
+    };
+
+    // No token until the email is verified when the policy requires it for login
+    if (security.isEmailVerificationRequired('login')) {
+      return res.status(201).json(createResponse(true, {
+        user: userData,
+        verificationEmailSent
+      }, 'User registered successfully. Please verify your email address to log in.'));
+    }
+
+    const tokens = await startSession(req, { ...user, role: 'USER' });
 
     res.status(201).json(createResponse(true, {
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        createdAt: user.createdAt
-      },
-      token
+      user: userData,
+      ...tokens,
+      verificationEmailSent
     }, 'User registered successfully'));
 
   } catch (error) {
@@ -287,7 +357,7 @@ app.post('/api/auth/login', [
 
     // Get user from database
     const result = await query(
-      'SELECT id, email, password, "firstName", "lastName", "isActive", role FROM users WHERE email = $1',
+      'SELECT id, email, password, "firstName", "lastName", "isActive", "isEmailVerified", role FROM users WHERE email = $1',
       [email]
     );
 
@@ -307,18 +377,16 @@ app.post('/api/auth/login', [
       return res.status(401).json(createResponse(false, null, '', 'Invalid email or password'));
     }
 
-    // Update last login
-    await query(
-      'UPDATE users SET "lastLogin" = NOW(), "updatedAt" = NOW() WHERE id = $1',
-      [user.id]
-    );
+    if (user.role !== 'ADMIN' && !user.isEmailVerified && security.isEmailVerificationRequired('login')) {
+      return res.status(403).json(createResponse(false, { code: 'EMAIL_NOT_VERIFIED' }, '', 'Please verify your email address before logging in (POST /api/auth/verify-email/resend sends a new link)'));
+    }
 
-    // Generate token
-    const token = generateToken({
-      userId: user.id,
-      email: user.email,
-      role: user.role || 'USER'
-    });
+    const challenge = await createLoginChallenge(user);
+    if (challenge) {
+      return sendLoginChallenge(res, challenge);
+    }
+
+    const tokens = await completeLogin(req, user);
 
     res.json(createResponse(true, {
       user: {
@@ -328,12 +396,48 @@ app.post('/api/auth/login', [
         lastName: user.lastName,
         role: user.role
       },
-      token
+      ...tokens
     }, 'Login successful'));
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json(createResponse(false, null, '', 'Login failed'));
+    if (!error.statusCode) {
+      console.error('Login error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Login failed'));
+  }
+});
+
+// Verify an email address with the link from the verification email
+app.get('/api/auth/verify-email', async (req, res) => {
+  try {
+    const result = await EmailVerificationService.verify(req.query.token);
+
+    res.json(createResponse(true, result, 'Email verified successfully'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Email verification error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Email verification failed'));
+  }
+});
+
+// Send a new verification link: to the signed-in user, or to { email } for
+// users who cannot sign in before verifying (same answer whether it exists)
+app.post('/api/auth/verify-email/resend', security.verificationEmailRateLimit, optionalAuthenticate, async (req, res) => {
+  try {
+    if (!req.user) {
+      const result = await EmailVerificationService.resendByEmail(req.body.email);
+      return res.json(createResponse(true, null, result.message));
+    }
+
+    const result = await EmailVerificationService.send(req.userId);
+
+    res.json(createResponse(true, result, 'Verification email sent'));
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Verification email error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to send verification email'));
   }
 });
 
@@ -356,223 +460,1984 @@ app.get('/api/auth/me', authenticate, async (req, res) => {
   }
 });
 
-// =============================================================================
-// CATEGORIES ENDPOINTS
-// =============================================================================
-
-// Get all categories
-app.get('/api/categories', performance.categoriesCache, async (req, res) => {
+// New access/refresh pair for a refresh token (each refresh token works once)
+app.post('/api/auth/refresh', security.authRateLimit, async (req, res) => {
   try {
-    const result = await query(`
-      SELECT id, name, description, color, "isActive", "sortOrder", "createdAt"
-      FROM categories 
-      WHERE "isActive" = true 
-      ORDER BY "sortOrder" ASC, name ASC
-    `);
+    const { refreshToken } = req.body;
 
-    res.json(createResponse(true, result.rows, 'Categories retrieved successfully'));
+    if (!refreshToken) {
+      return res.status(400).json(createResponse(false, null, '', 'Refresh token required'));
+    }
+
+    const tokens = await SessionService.refresh(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || null
+    });
+
+    res.json(createResponse(true, tokens, 'Token refreshed successfully'));
   } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json(createResponse(false, null, '', 'Failed to get categories'));
+    if (!error.statusCode) {
+      console.error('Token refresh error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Token refresh failed'));
   }
 });
 
-// =============================================================================
-// ARTWORKS ENDPOINTS  
-// =============================================================================
+// Log out this device
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+  try {
+    await SessionService.revoke(req.userId, { sessionId: req.sessionId, reason: 'logout' });
 
-// Get all artworks
-app.get('/api/artworks', performance.artworksCache, async (req, res) => {
-    try {
-    const { page = 1, limit = 12, category, search, minPrice, maxPrice } = req.query;
-    const offset = (page - 1) * limit;
+    res.json(createResponse(true, null, 'Logout successful'));
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Logout failed'));
+  }
+});
 
-    let whereClause = 'WHERE a."isActive" = true';
-    let params = [];
-    let paramCount = 0;
+// Log out everywhere: every access and refresh token of the user stops working
+app.post('/api/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const revokedSessions = await SessionService.revokeAll(req.userId);
 
-    // Add filters
-    if (category) {
-      paramCount++;
-      whereClause += ` AND a."categoryId" = $${paramCount}`;
-      params.push(category);
-    }
+    res.json(createResponse(true, { revokedSessions }, 'Logged out from all devices'));
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Logout from all devices failed'));
+  }
+});
 
-    if (search) {
-      paramCount++;
-      whereClause += ` AND (a.name ILIKE $${paramCount} OR a.description ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
-    }
+// Signed-in devices
+app.get('/api/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await SessionService.list(req.userId, req.sessionId);
 
-    if (minPrice) {
-      paramCount++;
-      whereClause += ` AND a.price >= $${paramCount}`;
-      params.push(parseFloat(minPrice));
-    }
+    res.json(createResponse(true, { sessions }, 'Sessions retrieved'));
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to get sessions'));
+  }
+});
+
+// Log one device out
+app.delete('/api/auth/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const revoked = await SessionService.revoke(req.userId, { sessionId: req.params.id, reason: 'revoked' });
 
-    if (maxPrice) {
-      paramCount++;
-      whereClause += ` AND a.price <= $${paramCount}`;
-      params.push(parseFloat(maxPrice));
+    if (revoked === 0) {
+      return res.status(404).json(createResponse(false, null, '', 'Session not found'));
     }
 
-    const query_text = `
-      SELECT 
-        a.id, a.name, a.description, a.price, a."originalPrice",
-        a.dimensions, a.medium, a.year, a."isActive", a."createdAt",
-        c.name as "categoryName", c.color as "categoryColor"
-      FROM artworks a
-      LEFT JOIN categories c ON a."categoryId" = c.id
-      ${whereClause}
-      ORDER BY a."createdAt" DESC
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-    `;
+    res.json(createResponse(true, null, 'Session revoked'));
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to revoke session'));
+  }
+});
 
-    params.push(parseInt(limit), offset);
+// Request a password reset link (same answer whether the account exists or not)
+app.post('/api/auth/password-reset/initiate', security.passwordResetRateLimit, async (req, res) => {
+  try {
+    const result = await PasswordResetService.initiate(req.body.email);
 
-    const result = await query(query_text, params);
+    res.json(createResponse(true, null, result.message));
+  } catch (error) {
+    console.error('Password reset initiation error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to initiate password reset'));
+  }
+});
 
-    // Get total count for pagination
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM artworks a
-      ${whereClause}
-    `;
-    const countResult = await query(countQuery, params.slice(0, paramCount));
-    const total = parseInt(countResult.rows[0].total);
+// Set a new password with the emailed link: { token, newPassword }
+app.post('/api/auth/password-reset/complete', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
 
-    res.json(createResponse(true, {
-      artworks: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
-    }, 'Artworks retrieved successfully'));
+    const result = await PasswordResetService.complete(token, newPassword);
 
+    res.json(createResponse(true, null, result.message));
   } catch (error) {
-    console.error('Get artworks error:', error);
-    res.status(500).json(createResponse(false, null, '', 'Failed to get artworks'));
+    if (!error.statusCode) {
+      console.error('Password reset completion error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Failed to reset password'));
   }
 });
 
-// Get single artwork
-app.get('/api/artworks/:id', async (req, res) => {
+// Email a single-use sign-in link: { email } (same answer whether the account exists or not)
+app.post('/api/auth/magic-link', security.magicLinkRateLimit, security.magicLinkEmailRateLimit, async (req, res) => {
   try {
-    const { id } = req.params;
+    const result = await MagicLinkService.request(req.body.email);
 
-    const result = await query(`
-      SELECT 
-        a.id, a.name, a.description, a.price, a."originalPrice",
-        a.dimensions, a.medium, a.year, a."isActive", a."createdAt",
-        c.name as "categoryName", c.color as "categoryColor"
-      FROM artworks a
-      LEFT JOIN categories c ON a."categoryId" = c.id
-      WHERE a.id = $1 AND a."isActive" = true
-    `, [id]);
+    res.json(createResponse(true, null, result.message));
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to send sign-in link'));
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json(createResponse(false, null, '', 'Artwork not found'));
+// Exchange the emailed link for a session: ?token= (answers like /api/auth/login)
+app.get('/api/auth/magic-link/callback', async (req, res) => {
+  try {
+    const user = await MagicLinkService.complete(req.query.token);
+
+    const challenge = await createLoginChallenge(user);
+    if (challenge) {
+      return sendLoginChallenge(res, challenge);
     }
 
-    res.json(createResponse(true, result.rows[0], 'Artwork retrieved successfully'));
+    const tokens = await completeLogin(req, user);
+
+    console.log(`✅ User logged in with magic link: ${user.email} (${user.id})`);
+    res.json(createResponse(true, { user, ...tokens }, 'Login successful'));
   } catch (error) {
-    console.error('Get artwork error:', error);
-    res.status(500).json(createResponse(false, null, '', 'Failed to get artwork'));
+    if (!error.statusCode) {
+      console.error('Magic link login error:', error);
+    }
+    res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : 'Sign-in failed'));
   }
 });
 
-// =============================================================================
-// FRONTEND SERVING (for production)
-// =============================================================================
+// MfaService errors carry a statusCode; anything else is unexpected
+const sendMfaError = (res, error, fallbackMessage) => {
+  if (!error.statusCode) {
+    console.error(`${fallbackMessage}:`, error);
+  }
+  res.status(error.statusCode || 500).json(createResponse(false, null, '', error.statusCode ? error.message : fallbackMessage));
+};
 
-// Serve static files from frontend build
-const frontendPath = path.join(__dirname, '../Frontend/dist');
-app.use(express.static(frontendPath));
+// Account behind a challenge, as the login answer shows it
+const findLoginUser = async (userId) => {
+  const result = await query(
+    'SELECT id, email, "firstName", "lastName", role, "isActive" FROM users WHERE id = $1',
+    [userId]
+  );
+  const { isActive, ...user } = result.rows[0] || {};
+
+  if (!user.id || !isActive) {
+    const error = new Error('User not found or inactive');
+    error.statusCode = 401;
+    throw error;
+  }
+  return user;
+};
 
-// API documentation page
-app.get('/api', (req, res) => {
-  res.json({
-    name: '🎨 ELOUARATE ART API',
-    version: '2.0.0',
-    description: 'Professional art gallery API with direct PostgreSQL',
-    endpoints: {
-      system: {
-        'GET /api/health': 'Server health check',
-        'GET /api/test-db': 'Database connection test'
-      },
-      auth: {
-        'POST /api/auth/register': 'User registration',
-        'POST /api/auth/login': 'User login',
-        'GET /api/auth/me': 'Get current user (requires auth)'
-      },
-      categories: {
-        'GET /api/categories': 'Get all categories'
-      },
-      artworks: {
-        'GET /api/artworks': 'Get all artworks (with filters)',
-        'GET /api/artworks/:id': 'Get single artwork'
-      }
-    },
-    database: 'PostgreSQL (direct connection)',
-    deployment: 'Railway ready'
-  });
+// Second login step: { mfaToken, code } (authenticator or backup code)
+app.post('/api/auth/login/mfa', security.authRateLimit, async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    const { userId, result: method } = await MfaService.completeChallenge(
+      mfaToken,
+      'login',
+      (challengeUserId) => MfaService.verifyCode(challengeUserId, code)
+    );
+    const user = await findLoginUser(userId);
+    const tokens = await completeLogin(req, user);
+    const { backupCodesRemaining } = await MfaService.getStatus(userId);
+
+    res.json(createResponse(true, { user, ...tokens, mfa: { method, backupCodesRemaining } }, 'Login successful'));
+  } catch (error) {
+    sendMfaError(res, error, 'Two-factor verification failed');
+  }
 });
 
-// Performance statistics endpoint
-app.get('/api/performance', performance.performanceEndpoint);
+// MFA setup during login when it is required (admins): { mfaToken } from the login answer
+app.post('/api/auth/login/mfa/setup', async (req, res) => {
+  try {
+    const user = await findLoginUser(await MfaService.peekChallenge(req.body.mfaToken, 'enroll'));
 
-// Performance statistics endpoint
-app.get('/api/performance', performance.performanceEndpoint);
+    const result = await MfaService.startEnrollment(user);
 
-// Health monitoring endpoints
-app.get('/api/health/detailed', async (req, res) => {
+    res.json(createResponse(true, result, 'Scan the QR code with your authenticator app'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+// Confirms that setup and signs in: { mfaToken, code }
+app.post('/api/auth/login/mfa/confirm', security.authRateLimit, async (req, res) => {
   try {
-    const healthStatus = await monitoring.healthMonitor.runAllChecks();
-    res.json({
-      success: true,
-      message: 'Detailed health status',
-      data: healthStatus,
-      timestamp: new Date().toISOString()
-    });
+    const { mfaToken, code } = req.body;
+
+    const { userId, result: backupCodes } = await MfaService.completeChallenge(
+      mfaToken,
+      'enroll',
+      (challengeUserId) => MfaService.confirmEnrollment(challengeUserId, code)
+    );
+    const user = await findLoginUser(userId);
+    const tokens = await completeLogin(req, user);
+
+    res.json(createResponse(true, { user, ...tokens, backupCodes }, 'Two-factor authentication enabled. Store your backup codes safely.'));
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Health check failed',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendMfaError(res, error, 'Failed to confirm two-factor setup');
   }
 });
 
-// System overview endpoint
-app.get('/api/system', (req, res) => {
-  const overview = monitoring.healthMonitor.getSystemOverview();
-  const errorStats = monitoring.errorLogger.getErrorStats();
-  res.json({
-    success: true,
-    message: 'System overview',
-    data: {
-      health: overview,
-      errors: errorStats,
-      performance: performance.getPerformanceStats()
-    },
-    timestamp: new Date().toISOString()
-  });
+// Two-factor status of the signed-in account
+app.get('/api/auth/mfa', authenticate, async (req, res) => {
+  try {
+    const status = await MfaService.getStatus(req.userId);
+
+    res.json(createResponse(true, status, 'Two-factor status retrieved'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to get two-factor status');
+  }
 });
 
-// Error logs endpoint (for debugging)
-app.get('/api/errors', (req, res) => {
-  const { limit = 50 } = req.query;
-  const errors = monitoring.errorLogger.getRecentErrors(parseInt(limit));
-  res.json({
-    success: true,
-    message: 'Recent errors',
-    data: errors,
-    count: errors.length,
-    timestamp: new Date().toISOString()
-  });
+// Start setup: { secret, otpauthUri } for the QR code
+app.post('/api/auth/mfa/setup', authenticate, async (req, res) => {
+  try {
+    const result = await MfaService.startEnrollment(req.user);
+
+    res.json(createResponse(true, result, 'Scan the QR code with your authenticator app'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+// Confirm setup with a first code: { code }; returns the backup codes (shown once)
+app.post('/api/auth/mfa/confirm', authenticate, async (req, res) => {
+  try {
+    const backupCodes = await MfaService.confirmEnrollment(req.userId, req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json(createResponse(false, null, '', 'Invalid authentication code'));
+    }
+
+    console.log(`🔐 Two-factor authentication enabled: ${req.user.email}`);
+    res.json(createResponse(true, { backupCodes }, 'Two-factor authentication enabled. Store your backup codes safely.'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to confirm two-factor setup');
+  }
+});
+
+// New set of backup codes (the old ones stop working): { code }
+app.post('/api/auth/mfa/backup-codes', authenticate, async (req, res) => {
+  try {
+    const backupCodes = await MfaService.regenerateBackupCodes(req.userId, req.body.code);
+
+    res.json(createResponse(true, { backupCodes }, 'Backup codes regenerated'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to regenerate backup codes');
+  }
+});
+
+// Turn MFA off: { password, code }. Both are checked again, whatever the age
+// of the session.
+app.post('/api/auth/mfa/disable', authenticate, security.authRateLimit, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const result = await query('SELECT password FROM users WHERE id = $1', [req.userId]);
+    if (typeof password !== 'string' || !await bcryptjs.compare(password, result.rows[0].password)) {
+      return res.status(401).json(createResponse(false, null, '', 'Password is incorrect'));
+    }
+
+    await MfaService.disable(req.userId, code, { admin: req.user.role === 'ADMIN' });
+
+    res.json(createResponse(true, null, 'Two-factor authentication disabled'));
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// =============================================================================
+// CATEGORIES ENDPOINTS
+// =============================================================================
+
+// Get all categories (flat list, clients build the tree from parentId)
+app.get('/api/categories', performance.categoriesCache, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, name, description, color, "parentId", "isActive", "sortOrder", "createdAt"
+      FROM categories 
+      WHERE "isActive" = true 
+      ORDER BY "sortOrder" ASC, name ASC
+    `);
+
+    res.json(createResponse(true, result.rows, 'Categories retrieved successfully'));
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to get categories'));
+  }
+});
+
+// Category cache must be cleared on every change; listings show category names too
+const invalidateCategoryCaches = () => {
+  performance.invalidateCache.categories();
+  performance.invalidateCache.artworks();
+};
+
+// Fails if any parentId chain loops back on itself (run inside the write transaction)
+const assertCategoryTreeIsAcyclic = async (client) => {
+  const result = await client.query(`
+    WITH RECURSIVE walk AS (
+      SELECT id, "parentId", ARRAY[id] AS path, false AS cycle
+      FROM categories
+      WHERE "parentId" IS NOT NULL
+      UNION ALL
+      SELECT w.id, c."parentId", w.path || c.id, c.id = ANY(w.path)
+      FROM walk w
+      JOIN categories c ON c.id = w."parentId"
+      WHERE NOT w.cycle
+    )
+    SELECT id FROM walk WHERE cycle LIMIT 1
+  `);
+
+  if (result.rows.length > 0) {
+    const error = new Error('A category cannot be moved inside one of its own sub-categories');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Parent check for category writes
+const assertParentCategory = async (client, parentId, categoryId = null) => {
+  if (parentId === null || parentId === undefined) return;
+
+  if (parentId === categoryId) {
+    const error = new Error('A category cannot be its own parent');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const result = await client.query(
+    'SELECT id FROM categories WHERE id = $1 AND "isActive" = true',
+    [parentId]
+  );
+
+  if (result.rows.length === 0) {
+    const error = new Error('Parent category not found');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Maps errors thrown by the category helpers (and unique name violations) to responses
+const sendCategoryError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(createResponse(false, null, '', error.message));
+  }
+
+  if (error.code === '23505') {
+    return res.status(400).json(createResponse(false, null, '', 'Category name already exists'));
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json(createResponse(false, null, '', fallbackMessage));
+};
+
+// Get single category with its direct sub-categories
+app.get('/api/categories/:id', async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT c.id, c.name, c.description, c.color, c."parentId", c."isActive", c."sortOrder", c."createdAt",
+        (SELECT COUNT(*)::int FROM artworks a WHERE a."categoryId" = c.id AND a."isActive" = true) AS "artworkCount"
+      FROM categories c
+      WHERE c.id = $1 AND c."isActive" = true
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json(createResponse(false, null, '', 'Category not found'));
+    }
+
+    const children = await query(`
+      SELECT id, name, description, color, "parentId", "sortOrder"
+      FROM categories
+      WHERE "parentId" = $1 AND "isActive" = true
+      ORDER BY "sortOrder" ASC, name ASC
+    `, [req.params.id]);
+
+    res.json(createResponse(true, { ...result.rows[0], children: children.rows }, 'Category retrieved successfully'));
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to get category'));
+  }
+});
+
+// Create category (admin only)
+app.post('/api/categories', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCategory
+], async (req, res) => {
+  try {
+    const { name, description = null, color = '#6366f1', parentId = null } = req.body;
+
+    const category = await transaction(async (client) => {
+      await assertParentCategory(client, parentId);
+
+      // New categories go to the end of their siblings unless told otherwise
+      let { sortOrder } = req.body;
+      if (sortOrder === undefined) {
+        const last = await client.query(
+          'SELECT COALESCE(MAX("sortOrder") + 1, 0) AS next FROM categories WHERE "parentId" IS NOT DISTINCT FROM $1',
+          [parentId]
+        );
+        sortOrder = last.rows[0].next;
+      }
+
+      const result = await client.query(`
+        INSERT INTO categories (id, name, description, color, "parentId", "sortOrder", "isActive", "createdAt", "updatedAt")
+        VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())
+        RETURNING id, name, description, color, "parentId", "isActive", "sortOrder", "createdAt"
+      `, [generateId('category'), name, description, color, parentId, sortOrder]);
+
+      return result.rows[0];
+    });
+
+    invalidateCategoryCaches();
+
+    res.status(201).json(createResponse(true, category, 'Category created successfully'));
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to create category');
+  }
+});
+
+// Bulk reorder (drag and drop): { categories: [{ id, sortOrder, parentId? }] }
+// Declared before /:id so "order" is not taken for a category id
+app.put('/api/categories/order', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCategoryOrder
+], async (req, res) => {
+  try {
+    const { categories } = req.body;
+    const ids = categories.map(item => item.id);
+
+    await transaction(async (client) => {
+      const locked = await client.query(
+        'SELECT id FROM categories WHERE id = ANY($1::text[]) AND "isActive" = true FOR UPDATE',
+        [ids]
+      );
+
+      if (locked.rows.length !== ids.length) {
+        const found = new Set(locked.rows.map(row => row.id));
+        const error = new Error(`Category not found: ${ids.filter(id => !found.has(id)).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const parentIds = [...new Set(categories.map(item => item.parentId).filter(Boolean))];
+      for (const parentId of parentIds) {
+        await assertParentCategory(client, parentId);
+      }
+
+      // parentId omitted = keep the current parent, null = move to the top level
+      await client.query(`
+        UPDATE categories c
+        SET "sortOrder" = o."sortOrder",
+            "parentId" = CASE WHEN o."moveParent" THEN o."parentId" ELSE c."parentId" END,
+            "updatedAt" = NOW()
+        FROM unnest($1::text[], $2::int[], $3::boolean[], $4::text[]) AS o(id, "sortOrder", "moveParent", "parentId")
+        WHERE c.id = o.id
+      `, [
+        ids,
+        categories.map(item => item.sortOrder),
+        categories.map(item => item.parentId !== undefined),
+        categories.map(item => item.parentId ?? null)
+      ]);
+
+      await assertCategoryTreeIsAcyclic(client);
+    });
+
+    invalidateCategoryCaches();
+
+    res.json(createResponse(true, { updated: ids.length }, 'Category order updated successfully'));
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to update category order');
+  }
+});
+
+// Update category (PUT requires the name, PATCH only the changed fields)
+const updateCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT id FROM categories WHERE id = $1 AND "isActive" = true FOR UPDATE',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      if (req.body.parentId !== undefined) {
+        await assertParentCategory(client, req.body.parentId, id);
+      }
+
+      // Column names come from the whitelist, values are always parameterized
+      const fields = CATEGORY_FIELDS.filter(field => req.body[field] !== undefined);
+      const params = fields.map(field => req.body[field]);
+      const setClause = fields.map((field, index) => `"${field}" = $${index + 1}`).join(', ');
+
+      params.push(id);
+      const result = await client.query(`
+        UPDATE categories SET ${setClause}, "updatedAt" = NOW()
+        WHERE id = $${params.length}
+        RETURNING id, name, description, color, "parentId", "isActive", "sortOrder", "createdAt"
+      `, params);
+
+      if (req.body.parentId) {
+        await assertCategoryTreeIsAcyclic(client);
+      }
+
+      return result.rows[0];
+    });
+
+    if (!category) {
+      return res.status(404).json(createResponse(false, null, '', 'Category not found'));
+    }
+
+    invalidateCategoryCaches();
+
+    res.json(createResponse(true, category, 'Category updated successfully'));
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to update category');
+  }
+};
+
+app.put('/api/categories/:id', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCategory
+], updateCategory);
+
+app.patch('/api/categories/:id', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCategoryUpdate
+], updateCategory);
+
+// Delete category (admin only)
+// Artworks still in the category must be moved (?reassignTo=<categoryId>)
+// or archived (?archiveArtworks=true). Sub-categories move up to the parent.
+app.delete('/api/categories/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const options = { ...req.query, ...(req.body || {}) };
+    const reassignTo = options.reassignTo || null;
+    const archiveArtworks = options.archiveArtworks === true || options.archiveArtworks === 'true';
+
+    if (reassignTo && archiveArtworks) {
+      return res.status(400).json(createResponse(false, null, '', 'Use either reassignTo or archiveArtworks, not both'));
+    }
+
+    const outcome = await transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT id, "parentId" FROM categories WHERE id = $1 AND "isActive" = true FOR UPDATE',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        return { status: 404, error: 'Category not found' };
+      }
+
+      const count = await client.query(
+        'SELECT COUNT(*)::int AS total FROM artworks WHERE "categoryId" = $1 AND "isActive" = true',
+        [id]
+      );
+      const artworkCount = count.rows[0].total;
+
+      if (artworkCount > 0 && !reassignTo && !archiveArtworks) {
+        return {
+          status: 409,
+          error: `Category still has ${artworkCount} artwork(s). Pass reassignTo or archiveArtworks=true.`
+        };
+      }
+
+      let movedArtworks = 0;
+      let archivedArtworks = 0;
+
+      if (reassignTo) {
+        const target = await client.query(
+          'SELECT id FROM categories WHERE id = $1 AND id <> $2 AND "isActive" = true',
+          [reassignTo, id]
+        );
+
+        if (target.rows.length === 0) {
+          return { status: 400, error: 'Target category not found' };
+        }
+
+        const moved = await client.query(
+          'UPDATE artworks SET "categoryId" = $2, "updatedAt" = NOW() WHERE "categoryId" = $1',
+          [id, reassignTo]
+        );
+        movedArtworks = moved.rowCount;
+      } else if (archiveArtworks) {
+        const archived = await client.query(
+          'UPDATE artworks SET "isActive" = false, "updatedAt" = NOW() WHERE "categoryId" = $1 AND "isActive" = true',
+          [id]
+        );
+        archivedArtworks = archived.rowCount;
+      }
+
+      const children = await client.query(
+        'UPDATE categories SET "parentId" = $2, "updatedAt" = NOW() WHERE "parentId" = $1',
+        [id, existing.rows[0].parentId]
+      );
+
+      // Soft delete: archived artworks keep pointing at the category row
+      await client.query(
+        'UPDATE categories SET "isActive" = false, "updatedAt" = NOW() WHERE id = $1',
+        [id]
+      );
+
+      return {
+        status: 200,
+        data: { id, movedArtworks, archivedArtworks, movedSubcategories: children.rowCount }
+      };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json(createResponse(false, null, '', outcome.error));
+    }
+
+    invalidateCategoryCaches();
+
+    res.json(createResponse(true, outcome.data, 'Category deleted successfully'));
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to delete category');
+  }
+});
+
+// =============================================================================
+// ARTWORKS ENDPOINTS  
+// =============================================================================
+
+// Image fields returned with artworks (placeholders and palette for the gallery)
+const ARTWORK_IMAGE_JSON = `json_build_object(
+  'id', i.id, 'url', i.url, 'filename', i.filename, 'isPrimary', i."isPrimary",
+  'width', i.width, 'height', i.height, 'aspectRatio', i."aspectRatio",
+  'dominantColors', i."dominantColors", 'blurhash', i.blurhash, 'lqip', i.lqip
+)`;
+
+const PRIMARY_IMAGE_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT ${ARTWORK_IMAGE_JSON} AS "primaryImage"
+    FROM artwork_images i
+    WHERE i."artworkId" = a.id
+    ORDER BY i."isPrimary" DESC, i."createdAt" ASC
+    LIMIT 1
+  ) pi ON true`;
+
+// Keyset columns (createdAt is compared at millisecond precision, like JS dates in cursors)
+const ARTWORK_SORT_COLUMNS = {
+  createdAt: 'date_trunc(\'milliseconds\', a."createdAt")',
+  price: 'a.price'
+};
+
+// Offset mode: ?page= (default). Cursor mode: ?after= / ?before= with nextCursor/prevCursor.
+app.get('/api/artworks', performance.artworksCache, async (req, res) => {
+    try {
+    const { q, search } = req.query;
+    const { page, limit: pageSize, offset } = parsePageParams(req.query);
+
+    // `search` is kept as an alias of `q` for older clients
+    const searchText = SearchService.normalizeQuery(q ?? search);
+    // ?color=#c0392b&tolerance=20 matches artworks by their image palettes
+    const colorQuery = ArtworkFilterService.parseColorQuery(req.query);
+
+    // Full-text and color search bind the first placeholders so the rank,
+    // highlight and distance expressions can reuse them; facet filters are
+    // numbered after them
+    const base = { conditions: ['a."isActive" = true'], params: [] };
+    let searchSql = null;
+    let colorSql = null;
+
+    if (searchText) {
+      searchSql = SearchService.buildArtworkSearch(base.params.length + 1);
+      base.conditions.push(searchSql.where);
+      base.params.push(searchText);
+    }
+
+    if (colorQuery) {
+      colorSql = ArtworkFilterService.buildColorSearch(base.params.length + 1);
+      base.conditions.push(colorSql.where);
+      base.params.push(...ArtworkFilterService.colorSearchParams(colorQuery));
+    }
+
+    // Ranked orders (closest color, relevance) cannot be paged with cursors
+    const rankedSorts = {
+      ...(colorSql && { color: colorSql }),
+      ...(searchSql && { relevance: searchSql })
+    };
+    const defaultSortBy = Object.keys(rankedSorts)[0] || 'createdAt';
+
+    const pagination = parseCursorParams(req.query, { defaultSortBy });
+    const sortFields = [...Object.keys(rankedSorts), ...CURSOR_SORT_FIELDS];
+    if (!sortFields.includes(pagination.sortBy)) {
+      return res.status(400).json(createResponse(false, null, '', `sortBy must be one of: ${sortFields.join(', ')}`));
+    }
+
+    const cursorMode = Boolean(pagination.cursor);
+    const rankedSort = rankedSorts[pagination.sortBy];
+    const keyset = rankedSort
+      ? null
+      : buildKeysetSql({ ...pagination, column: ARTWORK_SORT_COLUMNS[pagination.sortBy], idColumn: 'a.id' });
+    const extraColumns = [searchSql, colorSql].filter(Boolean).map(fragment => `,${fragment.select}`).join('');
+
+    const filters = ArtworkFilterService.parseFilters(req.query);
+    const { whereClause, params } = ArtworkFilterService.buildWhere(filters, base);
+
+    // The cursor only narrows the page, not the counts
+    const pageFilters = keyset?.condition ? [...filters, { build: keyset.condition }] : filters;
+    const pageWhere = ArtworkFilterService.buildWhere(pageFilters, base);
+    const paramCount = pageWhere.params.length;
+
+    const query_text = `
+      SELECT 
+        a.id, a.name, a.description, a.price, a."originalPrice",
+        a.dimensions, a.width, a.height, a.depth, a."dimensionUnit", a."weightKg",
+        a.medium, a.year, a.status, a."isFeatured", a."isActive", a."createdAt",
+        c.name as "categoryName", c.color as "categoryColor", pi."primaryImage",
+        ${ARTWORK_SALE_COLUMNS}${extraColumns}
+      FROM artworks a
+      LEFT JOIN categories c ON a."categoryId" = c.id
+      ${PRIMARY_IMAGE_JOIN}
+      ${ARTWORK_SALE_JOIN}
+      ${pageWhere.whereClause}
+      ORDER BY ${keyset ? keyset.orderBy : rankedSort.orderBy}
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+
+    // Cursor mode fetches one extra row to know whether another page exists
+    const pageParams = cursorMode
+      ? [...pageWhere.params, pageSize + 1, 0]
+      : [...pageWhere.params, pageSize, offset];
+
+    const [result, countResult, facets] = await Promise.all([
+      query(query_text, pageParams),
+      // Exact counts are optional in cursor mode
+      !cursorMode || pagination.withTotal
+        ? query(`
+          SELECT COUNT(*) as total
+          FROM artworks a
+          ${whereClause}
+        `, params)
+        : null,
+      // Per-facet counts for the gallery sidebar
+      ArtworkFilterService.getFacetCounts(query, filters, base)
+    ]);
+    const total = countResult ? parseInt(countResult.rows[0].total) : undefined;
+
+    let artworks = result.rows;
+    let pageInfo;
+
+    if (cursorMode) {
+      const cursorPage = buildCursorPage(result.rows, { ...pagination, limit: pageSize });
+      artworks = cursorPage.rows;
+      pageInfo = {
+        limit: pageSize,
+        nextCursor: cursorPage.nextCursor,
+        prevCursor: cursorPage.prevCursor,
+        ...(total !== undefined && { total })
+      };
+    } else {
+      // Cursors let infinite scroll switch to keyset paging after the first page
+      const first = artworks[0];
+      const last = artworks[artworks.length - 1];
+      pageInfo = {
+        page,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        nextCursor: keyset && last && offset + artworks.length < total ? encodeCursor(last, pagination.sortBy) : null,
+        prevCursor: keyset && first && offset > 0 ? encodeCursor(first, pagination.sortBy) : null
+      };
+    }
+
+    res.json(createResponse(true, {
+      artworks,
+      facets,
+      pagination: pageInfo
+    }, 'Artworks retrieved successfully'));
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(createResponse(false, null, '', error.message));
+    }
+
+    console.error('Get artworks error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to get artworks'));
+  }
+});
+
+// Artwork lookup shared by the read and write endpoints
+const findArtwork = async (id, { includeInactive = false } = {}) => {
+  const result = await query(`
+    SELECT 
+      a.id, a.name, a.description, a.price, a."originalPrice",
+      a.dimensions, a.width, a.height, a.depth, a."dimensionUnit", a."weightKg",
+      a.medium, a.year, a.status, a."isFeatured",
+      a."isActive", a."categoryId", a."createdAt", a."updatedAt",
+      c.name as "categoryName", c.color as "categoryColor", ${ARTWORK_SALE_COLUMNS},
+      COALESCE((
+        SELECT json_agg(${ARTWORK_IMAGE_JSON} ORDER BY i."isPrimary" DESC, i."createdAt" ASC)
+        FROM artwork_images i
+        WHERE i."artworkId" = a.id
+      ), '[]') as images
+    FROM artworks a
+    LEFT JOIN categories c ON a."categoryId" = c.id
+    ${ARTWORK_SALE_JOIN}
+    WHERE a.id = $1 ${includeInactive ? '' : 'AND a."isActive" = true'}
+  `, [id]);
+
+  return result.rows[0] || null;
+};
+
+// Get single artwork
+app.get('/api/artworks/:id', async (req, res) => {
+  try {
+    const artwork = await findArtwork(req.params.id);
+
+    if (!artwork) {
+      return res.status(404).json(createResponse(false, null, '', 'Artwork not found'));
+    }
+
+    res.json(createResponse(true, artwork, 'Artwork retrieved successfully'));
+  } catch (error) {
+    console.error('Get artwork error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to get artwork'));
+  }
+});
+
+// Category check for artwork writes
+const categoryExists = async (categoryId) => {
+  const result = await query(
+    'SELECT id FROM categories WHERE id = $1 AND "isActive" = true',
+    [categoryId]
+  );
+  return result.rows.length > 0;
+};
+
+// Create artwork (admin only)
+app.post('/api/artworks', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateArtwork
+], async (req, res) => {
+  try {
+    const {
+      name, description, price, originalPrice = null, medium, dimensions = null,
+      width = null, height = null, depth = null, dimensionUnit = null, weightKg = null,
+      year, categoryId, status = 'AVAILABLE', isFeatured = false, isActive = true
+    } = req.body;
+
+    if (!(await categoryExists(categoryId))) {
+      return res.status(400).json(createResponse(false, null, '', 'Category not found'));
+    }
+
+    const artworkId = generateId('artwork');
+
+    await query(`
+      INSERT INTO artworks (
+        id, name, description, price, "originalPrice", medium, dimensions,
+        width, height, depth, "dimensionUnit", "weightKg", year,
+        "categoryId", "userId", status, "isFeatured", "isActive", "createdAt", "updatedAt"
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW(), NOW())
+    `, [
+      artworkId, name, description, price, originalPrice, medium, dimensions,
+      width, height, depth, dimensionUnit, weightKg, year,
+      categoryId, req.userId, status, isFeatured, isActive
+    ]);
+
+    performance.invalidateCache.artworks();
+
+    const artwork = await findArtwork(artworkId, { includeInactive: true });
+    res.status(201).json(createResponse(true, artwork, 'Artwork created successfully'));
+  } catch (error) {
+    console.error('Create artwork error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to create artwork'));
+  }
+});
+
+// Update artwork (PUT requires every editable field, PATCH only the changed ones)
+const updateArtwork = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await findArtwork(id, { includeInactive: true });
+    if (!existing) {
+      return res.status(404).json(createResponse(false, null, '', 'Artwork not found'));
+    }
+
+    if (req.body.categoryId && !(await categoryExists(req.body.categoryId))) {
+      return res.status(400).json(createResponse(false, null, '', 'Category not found'));
+    }
+
+    // The auction owns the status until it closes
+    const changesAvailability = req.body.status !== undefined || req.body.isActive === false;
+    if (changesAvailability && await AuctionService.hasOpenAuction(id)) {
+      return res.status(409).json(createResponse(false, null, '', 'This artwork is in an open auction, cancel the auction before changing its status'));
+    }
+
+    // Column names come from the whitelist, values are always parameterized
+    const fields = ARTWORK_FIELDS.filter(field => req.body[field] !== undefined);
+    const params = fields.map(field => req.body[field]);
+    let setClause = fields.map((field, index) => `"${field}" = $${index + 1}`).join(', ');
+
+    // A status set by hand ends any checkout reservation on the artwork
+    if (fields.includes('status')) {
+      const statusParam = `$${fields.indexOf('status') + 1}`;
+      setClause += `, "reservedByOrderId" = CASE WHEN status = ${statusParam} THEN "reservedByOrderId" END` +
+        `, "reservedUntil" = CASE WHEN status = ${statusParam} THEN "reservedUntil" END`;
+    }
+
+    params.push(id);
+    await query(
+      `UPDATE artworks SET ${setClause}, "updatedAt" = NOW() WHERE id = $${params.length}`,
+      params
+    );
+
+    performance.invalidateCache.artworks();
+
+    const artwork = await findArtwork(id, { includeInactive: true });
+    res.json(createResponse(true, artwork, 'Artwork updated successfully'));
+  } catch (error) {
+    console.error('Update artwork error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to update artwork'));
+  }
+};
+
+app.put('/api/artworks/:id', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateArtwork
+], updateArtwork);
+
+app.patch('/api/artworks/:id', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateArtworkUpdate
+], updateArtwork);
+
+// Delete artwork (admin only)
+// Soft delete: order items keep pointing at the artwork row
+app.delete('/api/artworks/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    if (await AuctionService.hasOpenAuction(req.params.id)) {
+      return res.status(409).json(createResponse(false, null, '', 'This artwork is in an open auction, cancel the auction before deleting it'));
+    }
+
+    const result = await query(
+      'UPDATE artworks SET "isActive" = false, "updatedAt" = NOW() WHERE id = $1 AND "isActive" = true RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json(createResponse(false, null, '', 'Artwork not found'));
+    }
+
+    performance.invalidateCache.artworks();
+
+    res.json(createResponse(true, { id: result.rows[0].id }, 'Artwork deleted successfully'));
+  } catch (error) {
+    console.error('Delete artwork error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to delete artwork'));
+  }
+});
+
+// =============================================================================
+// CART ENDPOINTS
+// =============================================================================
+
+// Guests are identified by the signed cart_id cookie (send requests with
+// credentials), customers by their token. Every response carries the cart
+// revalidated against current artwork status and prices.
+
+const sendCartError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(createResponse(false, null, '', error.message));
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json(createResponse(false, null, '', fallbackMessage));
+};
+
+// Get the current cart
+app.get('/api/cart/items', optionalAuthenticate, async (req, res) => {
+  try {
+    const cartId = await CartService.resolveCartId(req, res);
+    res.json(createResponse(true, await CartService.getCart(cartId), 'Cart retrieved successfully'));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to get cart');
+  }
+});
+
+// Add an artwork: { artworkId, quantity? }
+app.post('/api/cart/items', [
+  optionalAuthenticate,
+  security.validateCartItem
+], async (req, res) => {
+  try {
+    const cartId = await CartService.resolveCartId(req, res, { create: true });
+    await CartService.addItem(cartId, req.body.artworkId, req.body.quantity);
+
+    res.status(201).json(createResponse(true, await CartService.getCart(cartId), 'Item added to cart'));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to add item to cart');
+  }
+});
+
+// Change the quantity of an artwork: { quantity }
+app.patch('/api/cart/items/:artworkId', [
+  optionalAuthenticate,
+  security.validateCartItemUpdate
+], async (req, res) => {
+  try {
+    const cartId = await CartService.resolveCartId(req, res);
+    if (!cartId) {
+      return res.status(404).json(createResponse(false, null, '', 'Item not found in cart'));
+    }
+
+    await CartService.updateItem(cartId, req.params.artworkId, req.body.quantity);
+
+    res.json(createResponse(true, await CartService.getCart(cartId), 'Cart updated successfully'));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to update cart');
+  }
+});
+
+// Remove an artwork
+app.delete('/api/cart/items/:artworkId', optionalAuthenticate, async (req, res) => {
+  try {
+    const cartId = await CartService.resolveCartId(req, res);
+    if (!cartId) {
+      return res.status(404).json(createResponse(false, null, '', 'Item not found in cart'));
+    }
+
+    await CartService.removeItem(cartId, req.params.artworkId);
+
+    res.json(createResponse(true, await CartService.getCart(cartId), 'Item removed from cart'));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to remove item from cart');
+  }
+});
+
+// Empty the cart
+app.delete('/api/cart/items', optionalAuthenticate, async (req, res) => {
+  try {
+    const cartId = await CartService.resolveCartId(req, res);
+    if (cartId) {
+      await CartService.clear(cartId);
+    }
+
+    res.json(createResponse(true, await CartService.getCart(cartId), 'Cart cleared successfully'));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to clear cart');
+  }
+});
+
+// Apply a coupon to the cart: { code }. The cart keeps it and checks it again
+// on every read; checkout redeems it.
+app.post('/api/cart/coupon', [
+  optionalAuthenticate,
+  security.validateCouponCode
+], async (req, res) => {
+  try {
+    const cartId = await CartService.resolveCartId(req, res);
+    await CouponService.applyToCart(await CartService.getCart(cartId), req.body.code, req.userId || null);
+
+    res.json(createResponse(true, await CartService.getCart(cartId), 'Coupon applied'));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to apply coupon');
+  }
+});
+
+// Remove the cart's coupon
+app.delete('/api/cart/coupon', optionalAuthenticate, async (req, res) => {
+  try {
+    const cartId = await CartService.resolveCartId(req, res);
+    if (cartId) {
+      await CouponService.removeFromCart(cartId);
+    }
+
+    res.json(createResponse(true, await CartService.getCart(cartId), 'Coupon removed'));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to remove coupon');
+  }
+});
+
+// =============================================================================
+// SHIPPING ENDPOINTS
+// =============================================================================
+
+// Quote shipping to a country: { country, items?: [{ artworkId, quantity? }] }.
+// Without items the current cart is quoted, as checkout will price it.
+app.post('/api/shipping/quote', [
+  optionalAuthenticate,
+  security.validateShippingQuote
+], async (req, res) => {
+  try {
+    const { country, items } = req.body;
+    let quote;
+
+    if (items) {
+      quote = await ShippingService.quote({ country, items });
+    } else {
+      const cartId = await CartService.resolveCartId(req, res);
+      quote = await ShippingService.quoteCart(await CartService.getCart(cartId), country);
+    }
+
+    res.json(createResponse(true, quote, 'Shipping quote calculated successfully'));
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json(createResponse(false, error.details || null, '', error.message));
+    }
+
+    console.error('Shipping quote error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to calculate shipping'));
+  }
+});
+
+// =============================================================================
+// CHECKOUT & ORDERS ENDPOINTS
+// =============================================================================
+
+// Maps order errors to responses; checkout conflicts carry the affected cart items as data
+const sendOrderError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(createResponse(false, error.details || null, '', error.message));
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json(createResponse(false, null, '', fallbackMessage));
+};
+
+// Customers see their own orders, admins every order (404 otherwise, so
+// order ids cannot be probed)
+const findAccessibleOrder = async (req) => {
+  const order = await OrderService.getOrder(req.params.id);
+  if (!order || (order.userId !== req.userId && req.user.role !== 'ADMIN')) {
+    return null;
+  }
+  return order;
+};
+
+// Turn the cart into a PENDING order
+app.post('/api/checkout', [
+  authenticate,
+  security.requireVerifiedEmail('buy'),
+  security.validateCheckout
+], async (req, res) => {
+  try {
+    const order = await OrderService.checkout(req.user, req.body);
+    performance.invalidateCache.artworks();
+    res.status(201).json(createResponse(true, order, 'Order created successfully'));
+  } catch (error) {
+    sendOrderError(res, error, 'Checkout failed');
+  }
+});
+
+// Get a single order with its items
+app.get('/api/orders/:id', authenticate, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json(createResponse(false, null, '', 'Order not found'));
+    }
+
+    res.json(createResponse(true, order, 'Order retrieved successfully'));
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to get order');
+  }
+});
+
+// Status history of an order, oldest first
+app.get('/api/orders/:id/timeline', authenticate, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json(createResponse(false, null, '', 'Order not found'));
+    }
+
+    res.json(createResponse(true, {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      timeline: await OrderService.getTimeline(order.id)
+    }, 'Order timeline retrieved successfully'));
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to get order timeline');
+  }
+});
+
+// Move an order along its lifecycle (admin only): { status, note?, trackingNumber? }
+app.patch('/api/admin/orders/:id/status', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateOrderStatus
+], async (req, res) => {
+  try {
+    const { status, note, trackingNumber } = req.body;
+    const order = await OrderService.transition(req.params.id, status, {
+      changedBy: req.userId,
+      note,
+      trackingNumber
+    });
+
+    // Paying or cancelling changes the status of the order's artworks
+    if (status === 'PAID' || status === 'CANCELLED') {
+      performance.invalidateCache.artworks();
+    }
+
+    // Payments recorded by hand (bank transfer...) get the same email as card payments
+    if (status === 'PAID') {
+      InvoiceService.sendOrderPaidEmail(order.id);
+    }
+
+    res.json(createResponse(true, order, `Order marked as ${status}`));
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to update order status');
+  }
+});
+
+// Invoice of a paid order as a PDF (issued on first download for older orders)
+app.get('/api/orders/:id/invoice.pdf', authenticate, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json(createResponse(false, null, '', 'Order not found'));
+    }
+
+    const invoice = await InvoiceService.getForOrder(order);
+    const pdf = await InvoiceService.renderPdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${invoice.invoiceNumber}.pdf"`,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(pdf);
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to generate invoice');
+  }
+});
+
+// =============================================================================
+// PROMOTIONS ENDPOINTS (admin)
+// =============================================================================
+
+// Coupons and category sales. Sales change the prices shown in listings, so
+// every sale write drops the artworks cache.
+
+const sendPromotionError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(createResponse(false, null, '', error.message));
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json(createResponse(false, null, '', fallbackMessage));
+};
+
+app.get('/api/admin/coupons', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    res.json(createResponse(true, await CouponService.list(), 'Coupons retrieved successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to get coupons');
+  }
+});
+
+app.post('/api/admin/coupons', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCoupon
+], async (req, res) => {
+  try {
+    const coupon = await CouponService.create(req.body);
+    res.status(201).json(createResponse(true, coupon, 'Coupon created successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to create coupon');
+  }
+});
+
+app.patch('/api/admin/coupons/:id', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCouponUpdate
+], async (req, res) => {
+  try {
+    const coupon = await CouponService.update(req.params.id, req.body);
+    if (!coupon) {
+      return res.status(404).json(createResponse(false, null, '', 'Coupon not found'));
+    }
+
+    res.json(createResponse(true, coupon, 'Coupon updated successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to update coupon');
+  }
+});
+
+// Deactivates the coupon (orders that used it keep their discount)
+app.delete('/api/admin/coupons/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const coupon = await CouponService.deactivate(req.params.id);
+    if (!coupon) {
+      return res.status(404).json(createResponse(false, null, '', 'Coupon not found'));
+    }
+
+    res.json(createResponse(true, coupon, 'Coupon deactivated successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to delete coupon');
+  }
+});
+
+app.get('/api/admin/category-sales', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    res.json(createResponse(true, await CategorySaleService.list(), 'Category sales retrieved successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to get category sales');
+  }
+});
+
+app.post('/api/admin/category-sales', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCategorySale
+], async (req, res) => {
+  try {
+    const sale = await CategorySaleService.create(req.body);
+    performance.invalidateCache.artworks();
+    res.status(201).json(createResponse(true, sale, 'Category sale created successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to create category sale');
+  }
+});
+
+app.patch('/api/admin/category-sales/:id', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateCategorySaleUpdate
+], async (req, res) => {
+  try {
+    const sale = await CategorySaleService.update(req.params.id, req.body);
+    if (!sale) {
+      return res.status(404).json(createResponse(false, null, '', 'Category sale not found'));
+    }
+
+    performance.invalidateCache.artworks();
+    res.json(createResponse(true, sale, 'Category sale updated successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to update category sale');
+  }
+});
+
+app.delete('/api/admin/category-sales/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    if (!(await CategorySaleService.remove(req.params.id))) {
+      return res.status(404).json(createResponse(false, null, '', 'Category sale not found'));
+    }
+
+    performance.invalidateCache.artworks();
+    res.json(createResponse(true, { id: req.params.id }, 'Category sale deleted successfully'));
+  } catch (error) {
+    sendPromotionError(res, error, 'Failed to delete category sale');
+  }
+});
+
+// =============================================================================
+// OFFERS ENDPOINTS
+// =============================================================================
+
+// Make-an-offer negotiations (see services/offer-service.js). Customers see
+// their own offers only; an accepted offer becomes their private cart price.
+
+const sendOfferError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(createResponse(false, null, '', error.message));
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json(createResponse(false, null, '', fallbackMessage));
+};
+
+app.post('/api/artworks/:id/offers', [
+  authenticate,
+  security.requireVerifiedEmail('buy'),
+  security.validateOffer
+], async (req, res) => {
+  try {
+    const offer = await OfferService.create(req.user, req.params.id, req.body);
+    res.status(201).json(createResponse(true, offer, 'Offer submitted successfully'));
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to submit offer');
+  }
+});
+
+app.get('/api/offers', authenticate, async (req, res) => {
+  try {
+    res.json(createResponse(true, await OfferService.listForUser(req.userId), 'Offers retrieved successfully'));
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to get offers');
+  }
+});
+
+app.get('/api/offers/:id', authenticate, async (req, res) => {
+  try {
+    const offer = await OfferService.getOffer(req.params.id);
+    if (!offer || (offer.userId !== req.userId && req.user.role !== 'ADMIN')) {
+      return res.status(404).json(createResponse(false, null, '', 'Offer not found'));
+    }
+
+    res.json(createResponse(true, offer, 'Offer retrieved successfully'));
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to get offer');
+  }
+});
+
+// Accept or answer the gallery's counter-offer, or withdraw
+app.post('/api/offers/:id/:action(accept|counter|withdraw)', [
+  authenticate,
+  security.validateOfferResponse
+], async (req, res) => {
+  try {
+    const offer = await OfferService.respond(req.params.id, 'customer', req.params.action, {
+      userId: req.userId,
+      amount: req.body.amount,
+      message: req.body.message
+    });
+    res.json(createResponse(true, offer, 'Offer updated successfully'));
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to update offer');
+  }
+});
+
+app.get('/api/admin/offers', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+    if (status && !OFFER_STATUSES.includes(status)) {
+      return res.status(400).json(createResponse(false, null, '', `Status must be one of: ${OFFER_STATUSES.join(', ')}`));
+    }
+
+    res.json(createResponse(true, await OfferService.list({ status }), 'Offers retrieved successfully'));
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to get offers');
+  }
+});
+
+app.get('/api/admin/offers/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const offer = await OfferService.getOffer(req.params.id);
+    if (!offer) {
+      return res.status(404).json(createResponse(false, null, '', 'Offer not found'));
+    }
+
+    res.json(createResponse(true, offer, 'Offer retrieved successfully'));
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to get offer');
+  }
+});
+
+app.post('/api/admin/offers/:id/:action(accept|reject|counter)', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateOfferResponse
+], async (req, res) => {
+  try {
+    const offer = await OfferService.respond(req.params.id, 'admin', req.params.action, {
+      userId: req.userId,
+      ...req.body
+    });
+    res.json(createResponse(true, offer, 'Offer updated successfully'));
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to update offer');
+  }
+});
+
+// =============================================================================
+// AUCTIONS ENDPOINTS
+// =============================================================================
+
+// Timed auctions (see services/auction-service.js). Bidders see bids under
+// "Bidder N" labels; admins see identities, ceilings and the reserve price.
+
+const sendAuctionError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(createResponse(false, error.details || null, '', error.message));
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json(createResponse(false, null, '', fallbackMessage));
+};
+
+app.get('/api/auctions', async (req, res) => {
+  try {
+    res.json(createResponse(true, await AuctionService.listPublic(), 'Auctions retrieved successfully'));
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to get auctions');
+  }
+});
+
+app.get('/api/auctions/:id', optionalAuthenticate, async (req, res) => {
+  try {
+    const auction = await AuctionService.getPublic(req.params.id, req.userId || null);
+    if (!auction) {
+      return res.status(404).json(createResponse(false, null, '', 'Auction not found'));
+    }
+
+    res.json(createResponse(true, auction, 'Auction retrieved successfully'));
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to get auction');
+  }
+});
+
+app.post('/api/auctions/:id/bids', [
+  authenticate,
+  security.requireVerifiedEmail('buy'),
+  security.validateBid
+], async (req, res) => {
+  try {
+    const auction = await AuctionService.placeBid(req.params.id, req.user, req.body);
+    res.status(201).json(createResponse(
+      true,
+      auction,
+      auction.you.leading ? 'You are the highest bidder' : 'You have been outbid by an automatic bid'
+    ));
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to place bid');
+  }
+});
+
+// Server-sent events: a `snapshot` of the auction, then `bid`, `closed` or
+// `cancelled` with the updated auction. Comments keep proxies from timing out.
+app.get('/api/auctions/:id/stream', optionalAuthenticate, async (req, res) => {
+  try {
+    const auction = await AuctionService.getPublic(req.params.id, req.userId || null);
+    if (!auction) {
+      return res.status(404).json(createResponse(false, null, '', 'Auction not found'));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('snapshot', auction);
+
+    const onEvent = (event) => {
+      if (event.auctionId === req.params.id) {
+        send(event.type, event.auction);
+      }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    auctionEvents.on('event', onEvent);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      auctionEvents.off('event', onEvent);
+    });
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to open auction stream');
+  }
+});
+
+app.get('/api/admin/auctions', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    res.json(createResponse(true, await AuctionService.listForAdmin(), 'Auctions retrieved successfully'));
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to get auctions');
+  }
+});
+
+app.get('/api/admin/auctions/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const auction = await AuctionService.getForAdmin(req.params.id);
+    if (!auction) {
+      return res.status(404).json(createResponse(false, null, '', 'Auction not found'));
+    }
+
+    res.json(createResponse(true, auction, 'Auction retrieved successfully'));
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to get auction');
+  }
+});
+
+app.post('/api/admin/auctions', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateAuction
+], async (req, res) => {
+  try {
+    const auction = await AuctionService.create(req.body, req.userId);
+    performance.invalidateCache.artworks();
+    res.status(201).json(createResponse(true, auction, 'Auction created successfully'));
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to create auction');
+  }
+});
+
+// Cancels an open auction; the artwork goes back on sale
+app.delete('/api/admin/auctions/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const auction = await AuctionService.cancel(req.params.id);
+    if (!auction) {
+      return res.status(404).json(createResponse(false, null, '', 'Auction not found'));
+    }
+
+    performance.invalidateCache.artworks();
+    res.json(createResponse(true, auction, 'Auction cancelled successfully'));
+  } catch (error) {
+    sendAuctionError(res, error, 'Failed to cancel auction');
+  }
+});
+
+// =============================================================================
+// INQUIRIES ENDPOINTS
+// =============================================================================
+
+// Questions about artworks, as conversations with the gallery (see
+// services/inquiry-service.js). Guests solve a challenge to ask, then follow
+// their inquiry with the access token they get back (`?token=` or the
+// X-Inquiry-Token header).
+
+const sendInquiryError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(createResponse(false, null, '', error.message));
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json(createResponse(false, null, '', fallbackMessage));
+};
+
+const getInquiryAccess = (req) => ({
+  userId: req.userId || null,
+  accessToken: req.get('X-Inquiry-Token') || (typeof req.query.token === 'string' ? req.query.token : null)
+});
+
+// Challenge guests answer when opening an inquiry: { question, token, expiresAt }
+app.get('/api/inquiries/challenge', (req, res) => {
+  res.json(createResponse(true, InquiryService.createChallenge(), 'Challenge created'));
+});
+
+app.post('/api/artworks/:id/inquiries', [
+  security.inquiryRateLimit,
+  optionalAuthenticate,
+  security.requireVerifiedEmail('comment'),
+  security.validateInquiry
+], async (req, res) => {
+  try {
+    const inquiry = await InquiryService.create(req.params.id, { ...req.body, user: req.user || null });
+    res.status(201).json(createResponse(true, inquiry, 'Inquiry sent successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to send inquiry');
+  }
+});
+
+// The signed-in customer's inquiries
+app.get('/api/inquiries', authenticate, async (req, res) => {
+  try {
+    res.json(createResponse(true, await InquiryService.listForUser(req.userId), 'Inquiries retrieved successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to get inquiries');
+  }
+});
+
+app.get('/api/inquiries/:id', optionalAuthenticate, async (req, res) => {
+  try {
+    const inquiry = await InquiryService.getForCustomer(req.params.id, getInquiryAccess(req));
+    if (!inquiry) {
+      return res.status(404).json(createResponse(false, null, '', 'Inquiry not found'));
+    }
+
+    res.json(createResponse(true, inquiry, 'Inquiry retrieved successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to get inquiry');
+  }
+});
+
+app.post('/api/inquiries/:id/messages', [
+  optionalAuthenticate,
+  security.requireVerifiedEmail('comment'),
+  security.validateInquiryMessage
+], async (req, res) => {
+  try {
+    const inquiry = await InquiryService.addCustomerMessage(req.params.id, getInquiryAccess(req), req.body.message);
+    res.status(201).json(createResponse(true, inquiry, 'Message sent successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to send message');
+  }
+});
+
+// Admin inbox: ?status=NEW|ANSWERED|CLOSED&assignedTo=<admin id>|none
+app.get('/api/admin/inquiries', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const status = typeof req.query.status === 'string' ? req.query.status.toUpperCase() : undefined;
+    if (status && !INQUIRY_STATUSES.includes(status)) {
+      return res.status(400).json(createResponse(false, null, '', `Status must be one of: ${INQUIRY_STATUSES.join(', ')}`));
+    }
+
+    const assignedTo = typeof req.query.assignedTo === 'string' ? req.query.assignedTo : undefined;
+    res.json(createResponse(true, await InquiryService.list({ status, assignedTo }), 'Inquiries retrieved successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to get inquiries');
+  }
+});
+
+app.get('/api/admin/inquiries/:id', authenticate, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const inquiry = await InquiryService.getThread(req.params.id);
+    if (!inquiry) {
+      return res.status(404).json(createResponse(false, null, '', 'Inquiry not found'));
+    }
+
+    res.json(createResponse(true, inquiry, 'Inquiry retrieved successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to get inquiry');
+  }
+});
+
+// Reply to the customer (marks the inquiry ANSWERED and emails them)
+app.post('/api/admin/inquiries/:id/messages', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateInquiryMessage
+], async (req, res) => {
+  try {
+    const inquiry = await InquiryService.reply(req.params.id, req.user, req.body.message);
+    if (!inquiry) {
+      return res.status(404).json(createResponse(false, null, '', 'Inquiry not found'));
+    }
+
+    res.status(201).json(createResponse(true, inquiry, 'Reply sent successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to send reply');
+  }
+});
+
+// Status and assignment: { status?, assignedTo? }
+app.patch('/api/admin/inquiries/:id', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateInquiryUpdate
+], async (req, res) => {
+  try {
+    const inquiry = await InquiryService.update(req.params.id, req.body, req.userId);
+    if (!inquiry) {
+      return res.status(404).json(createResponse(false, null, '', 'Inquiry not found'));
+    }
+
+    res.json(createResponse(true, inquiry, 'Inquiry updated successfully'));
+  } catch (error) {
+    sendInquiryError(res, error, 'Failed to update inquiry');
+  }
+});
+
+// =============================================================================
+// PAYMENTS
+// =============================================================================
+
+// Open (or reuse) the payment of a PENDING order: { clientSecret, publishableKey, ... }
+app.post('/api/orders/:id/payment', authenticate, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json(createResponse(false, null, '', 'Order not found'));
+    }
+
+    const payment = await PaymentService.startPayment(order);
+    res.status(201).json(createResponse(true, payment, 'Payment started'));
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to start payment');
+  }
+});
+
+// Confirm the payment server-side: { paymentMethod? }
+app.post('/api/orders/:id/payment/confirm', [
+  authenticate,
+  security.validatePaymentConfirm
+], async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json(createResponse(false, null, '', 'Order not found'));
+    }
+
+    const payment = await PaymentService.confirmPayment(order, req.body);
+    if (payment.status === 'SUCCEEDED') {
+      performance.invalidateCache.artworks();
+    }
+
+    res.json(createResponse(true, payment, payment.status === 'FAILED' ? (payment.lastError || 'Payment failed') : 'Payment confirmed'));
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to confirm payment');
+  }
+});
+
+// Payments of an order, newest first
+app.get('/api/orders/:id/payments', authenticate, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json(createResponse(false, null, '', 'Order not found'));
+    }
+
+    res.json(createResponse(true, await PaymentService.getPayments(order.id), 'Payments retrieved successfully'));
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to get payments');
+  }
+});
+
+// Refund an order's payment (admin only): { amount?, note? }
+app.post('/api/admin/orders/:id/refund', [
+  authenticate,
+  requireRole('ADMIN'),
+  security.validateRefund
+], async (req, res) => {
+  try {
+    const order = await OrderService.getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json(createResponse(false, null, '', 'Order not found'));
+    }
+
+    const payment = await PaymentService.refundOrder(order, { ...req.body, changedBy: req.userId });
+    res.json(createResponse(true, payment, 'Refund issued'));
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to refund order');
+  }
+});
+
+// Provider webhook (raw body, see body parsing). Redeliveries are acknowledged
+// without effect; anything but a 2xx makes the provider retry.
+app.post('/api/payments/webhook', async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const result = await PaymentService.handleWebhook(rawBody, req.headers);
+
+    if (result.type === 'payment.succeeded' && !result.duplicate) {
+      performance.invalidateCache.artworks();
+    }
+
+    res.json(createResponse(true, { received: true, ...result }, result.duplicate ? 'Event already processed' : 'Event processed'));
+  } catch (error) {
+    // Bad signature or payload: retrying will not help
+    if (error.statusCode === 400) {
+      return res.status(400).json(createResponse(false, null, '', error.message));
+    }
+
+    // Payment not committed yet: the provider retries later
+    if (error.statusCode === 409) {
+      console.warn(`Payment webhook: ${error.message}`);
+      return res.status(409).json(createResponse(false, null, '', error.message));
+    }
+
+    // Payments not configured (logged by getPaymentProvider): the provider retries later
+    if (error.statusCode === 503) {
+      return res.status(503).json(createResponse(false, null, '', error.message));
+    }
+
+    console.error('Payment webhook error:', error);
+    res.status(500).json(createResponse(false, null, '', 'Failed to process webhook'));
+  }
+});
+
+// =============================================================================
+// FRONTEND SERVING (for production)
+// =============================================================================
+
+// Serve static files from frontend build
+const frontendPath = path.join(__dirname, '../Frontend/dist');
+app.use(express.static(frontendPath));
+
+// API documentation page
+app.get('/api', (req, res) => {
+  res.json({
+    name: '🎨 ELOUARATE ART API',
+    version: '2.0.0',
+    description: 'Professional art gallery API with direct PostgreSQL',
+    endpoints: {
+      system: {
+        'GET /api/health': 'Server health check',
+        'GET /api/test-db': 'Database connection test'
+      },
+      auth: {
+        'POST /api/auth/register': 'User registration',
+        'POST /api/auth/login': 'User login',
+        'GET /api/auth/me': 'Get current user (requires auth)'
+      },
+      categories: {
+        'GET /api/categories': 'Get all categories',
+        'GET /api/categories/:id': 'Get single category with sub-categories',
+        'POST /api/categories': 'Create category (admin)',
+        'PUT /api/categories/order': 'Reorder / re-parent categories in bulk (admin)',
+        'PUT /api/categories/:id': 'Replace category fields (admin)',
+        'PATCH /api/categories/:id': 'Update some category fields (admin)',
+        'DELETE /api/categories/:id': 'Delete category, reassigning or archiving its artworks (admin)'
+      },
+      artworks: {
+        'GET /api/artworks': 'Get all artworks (with filters and ?q= full-text search)',
+        'GET /api/artworks/:id': 'Get single artwork',
+        'POST /api/artworks': 'Create artwork (admin)',
+        'PUT /api/artworks/:id': 'Replace artwork fields (admin)',
+        'PATCH /api/artworks/:id': 'Update some artwork fields (admin)',
+        'DELETE /api/artworks/:id': 'Delete artwork (admin)'
+      }
+    },
+    database: 'PostgreSQL (direct connection)',
+    deployment: 'Railway ready'
+  });
+});
+
+// Performance statistics endpoint
+app.get('/api/performance', performance.performanceEndpoint);
+
+// Performance statistics endpoint
+app.get('/api/performance', performance.performanceEndpoint);
+
+// Health monitoring endpoints
+app.get('/api/health/detailed', async (req, res) => {
+  try {
+    const healthStatus = await monitoring.healthMonitor.runAllChecks();
+    res.json({
+      success: true,
+      message: 'Detailed health status',
+      data: healthStatus,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Health check failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// System overview endpoint
+app.get('/api/system', (req, res) => {
+  const overview = monitoring.healthMonitor.getSystemOverview();
+  const errorStats = monitoring.errorLogger.getErrorStats();
+  res.json({
+    success: true,
+    message: 'System overview',
+    data: {
+      health: overview,
+      errors: errorStats,
+      performance: performance.getPerformanceStats()
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Error logs endpoint (for debugging)
+app.get('/api/errors', (req, res) => {
+  const { limit = 50 } = req.query;
+  const errors = monitoring.errorLogger.getRecentErrors(parseInt(limit));
+  res.json({
+    success: true,
+    message: 'Recent errors',
+    data: errors,
+    count: errors.length,
+    timestamp: new Date().toISOString()
+  });
 });
 
 // Catch-all for frontend routes (SPA support)
@@ -605,14 +2470,69 @@ app.use((error, req, res, next) => {
 // SERVER STARTUP
 // =============================================================================
 
+// Cancels unpaid orders whose reservation expired so their artworks go back on
+// sale, and drops two-factor login challenges expired for a day
+let reservationSweeper = null;
+
+const startReservationSweeper = () => {
+  const intervalSeconds = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60;
+
+  reservationSweeper = setInterval(async () => {
+    try {
+      const expired = await OrderService.expireReservations();
+      if (expired > 0) {
+        performance.invalidateCache.artworks();
+        console.log(`⏳ Released reservations of ${expired} expired order(s)`);
+      }
+    } catch (error) {
+      console.error('Reservation sweep error:', error);
+    }
+
+    try {
+      await MfaService.purgeExpiredChallenges();
+    } catch (error) {
+      console.error('MFA challenge sweep error:', error);
+    }
+  }, intervalSeconds * 1000);
+
+  // Never keeps the process alive on its own
+  reservationSweeper.unref();
+};
+
+// Closes auctions past their end time, creating the winners' orders
+let auctionSweeper = null;
+
+const startAuctionSweeper = () => {
+  const intervalSeconds = parseInt(process.env.AUCTION_SWEEP_INTERVAL_SECONDS) || 15;
+
+  auctionSweeper = setInterval(async () => {
+    try {
+      const closed = await AuctionService.closeEnded();
+      if (closed > 0) {
+        performance.invalidateCache.artworks();
+        console.log(`🔨 Closed ${closed} auction(s)`);
+      }
+    } catch (error) {
+      console.error('Auction sweep error:', error);
+    }
+  }, intervalSeconds * 1000);
+
+  auctionSweeper.unref();
+};
+
 const startServer = async () => {
   try {
+    // Refuse to start with shipping rules that would break every quote
+    getShippingRules();
+
     // Test database connection on startup
     await query('SELECT 1');
     console.log('✅ Database connection verified');
     
     // Initialize monitoring system
     monitoring.initializeMonitoring(query);
+    startReservationSweeper();
+    startAuctionSweeper();
 
 
 
@@ -635,12 +2555,16 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(reservationSweeper);
+  clearInterval(auctionSweeper);
   await pool.end();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('\nSIGINT received, shutting down gracefully');
+  clearInterval(reservationSweeper);
+  clearInterval(auctionSweeper);
   await pool.end();
   process.exit(0);
 });
@@ -0,0 +1,270 @@
+/**
+ * 🧭 ELOUARATE ART - Artwork Filter Service
+ * Listing filters and facet counts for the gallery sidebar
+ *
+ * Each filter belongs to a facet. Facet counts are computed with every active
+ * filter except the facet's own, so the sidebar keeps showing the other
+ * options of a facet the visitor has already narrowed down.
+ * Size and orientation come from SQL helpers over the structured dimensions
+ * (migrations/003_artwork_facets.sql, 010_artwork_shipping.sql).
+ */
+
+import { ARTWORK_STATUSES } from '../middleware/security.js';
+import { hexToLab } from '../lib/color.js';
+
+export const SIZE_BUCKETS = ['small', 'medium', 'large'];
+export const ORIENTATIONS = ['portrait', 'landscape', 'square'];
+
+// Query parameters understood by GET /api/artworks besides paging and search
+export const FILTER_PARAMS = [
+  'category', 'minPrice', 'maxPrice', 'medium', 'minYear', 'maxYear',
+  'status', 'size', 'featured', 'onSale', 'orientation', 'color', 'tolerance'
+];
+
+// Color search: maximum CIELAB ΔE (20 ≈ "same color family")
+const DEFAULT_COLOR_TOLERANCE = 20;
+const MAX_COLOR_TOLERANCE = 100;
+
+// Palette colors covering less of the image than this are ignored
+const MIN_COLOR_RATIO = 0.05;
+
+// Marked down by hand (originalPrice) or by a running category sale
+const ON_SALE_SQL = '(coalesce(a."originalPrice" > a.price, false) OR EXISTS (SELECT 1 FROM artwork_active_sale(a.price, a."categoryId")))';
+
+// value/label/count queries per facet (rows with no value are left out)
+const FACETS = {
+  category: {
+    value: 'a."categoryId"',
+    label: 'c.name',
+    orderBy: 'count DESC, label'
+  },
+  medium: {
+    value: 'a.medium',
+    orderBy: 'count DESC, value'
+  },
+  year: {
+    value: 'a.year',
+    orderBy: 'value DESC'
+  },
+  status: {
+    value: 'a.status',
+    orderBy: 'value'
+  },
+  size: {
+    value: 'artwork_size_bucket(a.width, a.height, a."dimensionUnit")',
+    orderBy: `array_position(ARRAY['small', 'medium', 'large'], artwork_size_bucket(a.width, a.height, a."dimensionUnit"))`
+  },
+  orientation: {
+    value: 'artwork_orientation(a.width, a.height)',
+    orderBy: 'value'
+  },
+  featured: {
+    value: 'a."isFeatured"',
+    orderBy: 'value DESC'
+  },
+  onSale: {
+    value: ON_SALE_SQL,
+    orderBy: 'value DESC'
+  }
+};
+
+const createFilterError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// "Oil, Acrylic" → ['oil', 'acrylic'] (also accepts repeated ?medium=&medium=)
+const parseList = (raw) => {
+  const values = Array.isArray(raw) ? raw : String(raw).split(',');
+  return [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+};
+
+const parseEnumList = (raw, allowed, name, normalize = (value) => value.toLowerCase()) => {
+  const values = parseList(raw).map(normalize);
+  const invalid = values.filter(value => !allowed.includes(value));
+
+  if (invalid.length > 0) {
+    throw createFilterError(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+
+  return values;
+};
+
+const parseNumber = (raw, name, { integer = false } = {}) => {
+  const value = integer ? Number.parseInt(raw, 10) : Number.parseFloat(raw);
+
+  if (!Number.isFinite(value)) {
+    throw createFilterError(`${name} must be a number`);
+  }
+
+  return value;
+};
+
+const parseFlag = (raw, name) => {
+  if (raw === 'true' || raw === '1') return true;
+  if (raw === 'false' || raw === '0') return false;
+  throw createFilterError(`${name} must be true or false`);
+};
+
+class ArtworkFilterService {
+
+  // Turns req.query into filters; throws a 400 error on invalid values
+  static parseFilters(queryParams = {}) {
+    const {
+      category, minPrice, maxPrice, medium, minYear, maxYear,
+      status, size, featured, onSale, orientation
+    } = queryParams;
+    const filters = [];
+
+    if (category) {
+      filters.push({ facet: 'category', build: (param) => `a."categoryId" = ${param(category)}` });
+    }
+
+    if (minPrice) {
+      const value = parseNumber(minPrice, 'minPrice');
+      filters.push({ facet: 'price', build: (param) => `a.price >= ${param(value)}` });
+    }
+
+    if (maxPrice) {
+      const value = parseNumber(maxPrice, 'maxPrice');
+      filters.push({ facet: 'price', build: (param) => `a.price <= ${param(value)}` });
+    }
+
+    if (medium) {
+      const values = parseList(medium).map(value => value.toLowerCase());
+      filters.push({ facet: 'medium', build: (param) => `lower(a.medium) = ANY(${param(values)}::text[])` });
+    }
+
+    if (minYear) {
+      const value = parseNumber(minYear, 'minYear', { integer: true });
+      filters.push({ facet: 'year', build: (param) => `a.year >= ${param(value)}` });
+    }
+
+    if (maxYear) {
+      const value = parseNumber(maxYear, 'maxYear', { integer: true });
+      filters.push({ facet: 'year', build: (param) => `a.year <= ${param(value)}` });
+    }
+
+    if (status) {
+      const values = parseEnumList(status, ARTWORK_STATUSES, 'status', value => value.toUpperCase());
+      filters.push({ facet: 'status', build: (param) => `a.status = ANY(${param(values)}::text[])` });
+    }
+
+    if (size) {
+      const values = parseEnumList(size, SIZE_BUCKETS, 'size');
+      filters.push({ facet: 'size', build: (param) => `artwork_size_bucket(a.width, a.height, a."dimensionUnit") = ANY(${param(values)}::text[])` });
+    }
+
+    if (orientation) {
+      const values = parseEnumList(orientation, ORIENTATIONS, 'orientation');
+      filters.push({ facet: 'orientation', build: (param) => `artwork_orientation(a.width, a.height) = ANY(${param(values)}::text[])` });
+    }
+
+    if (featured !== undefined && featured !== '') {
+      const value = parseFlag(featured, 'featured');
+      filters.push({ facet: 'featured', build: (param) => `a."isFeatured" = ${param(value)}` });
+    }
+
+    if (onSale !== undefined && onSale !== '') {
+      const value = parseFlag(onSale, 'onSale');
+      filters.push({ facet: 'onSale', build: (param) => `${ON_SALE_SQL} = ${param(value)}` });
+    }
+
+    return filters;
+  }
+
+  // ?color=#c0392b&tolerance=20 → { lab, tolerance }; null without ?color=
+  static parseColorQuery(queryParams = {}) {
+    const { color, tolerance } = queryParams;
+
+    if (!color) {
+      return null;
+    }
+
+    const lab = hexToLab(color);
+    if (!lab) {
+      throw createFilterError('color must be a hex color such as #c0392b');
+    }
+
+    const maxDistance = tolerance === undefined || tolerance === ''
+      ? DEFAULT_COLOR_TOLERANCE
+      : parseNumber(tolerance, 'tolerance');
+
+    if (maxDistance <= 0 || maxDistance > MAX_COLOR_TOLERANCE) {
+      throw createFilterError(`tolerance must be between 0 and ${MAX_COLOR_TOLERANCE}`);
+    }
+
+    return { lab, tolerance: maxDistance };
+  }
+
+  // SQL fragments for ranking artworks by their closest palette color
+  // (ΔE in CIELAB, see ImageService.extractPalette). `paramIndex` is the first
+  // of four placeholders bound to [L, a, b, tolerance] (see colorSearchParams).
+  static buildColorSearch(paramIndex) {
+    const [labL, labA, labB, tolerance] = [0, 1, 2, 3].map(offset => `$${paramIndex + offset}`);
+    const distance = `(
+      SELECT min(sqrt(
+        power((color->'lab'->>'l')::float8 - ${labL}::float8, 2) +
+        power((color->'lab'->>'a')::float8 - ${labA}::float8, 2) +
+        power((color->'lab'->>'b')::float8 - ${labB}::float8, 2)
+      ))
+      FROM artwork_images i
+      CROSS JOIN LATERAL jsonb_array_elements(coalesce(i."dominantColors", '[]'::jsonb)) AS palette(color)
+      WHERE i."artworkId" = a.id AND (color->>'ratio')::float8 >= ${MIN_COLOR_RATIO}
+    )`;
+
+    return {
+      where: `${distance} <= ${tolerance}::float8`,
+      select: `${distance} AS "colorDistance"`,
+      orderBy: '"colorDistance" ASC, a."createdAt" DESC'
+    };
+  }
+
+  static colorSearchParams(colorQuery) {
+    return [colorQuery.lab.l, colorQuery.lab.a, colorQuery.lab.b, colorQuery.tolerance];
+  }
+
+  // WHERE clause for the given filters on top of the base conditions.
+  // `params` are the values already bound ($1..$n) by the base conditions.
+  static buildWhere(filters, { conditions = [], params = [], exclude = null } = {}) {
+    const values = [...params];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const clauses = [...conditions];
+    for (const filter of filters) {
+      if (filter.facet !== exclude) {
+        clauses.push(filter.build(param));
+      }
+    }
+
+    return {
+      whereClause: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params: values
+    };
+  }
+
+  // { category: [{ value, label, count }], medium: [{ value, count }], ... }
+  static async getFacetCounts(queryFunction, filters, base = {}) {
+    const entries = await Promise.all(Object.entries(FACETS).map(async ([name, facet]) => {
+      const { whereClause, params } = this.buildWhere(filters, { ...base, exclude: name });
+      const result = await queryFunction(`
+        SELECT ${facet.value} AS value, ${facet.label ? `${facet.label} AS label, ` : ''}COUNT(*)::int AS count
+        FROM artworks a
+        LEFT JOIN categories c ON a."categoryId" = c.id
+        ${whereClause}${whereClause ? ' AND' : ' WHERE'} ${facet.value} IS NOT NULL
+        GROUP BY ${facet.label ? '1, 2' : '1'}
+        ORDER BY ${facet.orderBy}
+      `, params);
+
+      return [name, result.rows];
+    }));
+
+    return Object.fromEntries(entries);
+  }
+}
+
+export default ArtworkFilterService;
@@ -0,0 +1,529 @@
+/**
+ * 🔨 ELOUARATE ART - Auction Service
+ * Timed auctions with proxy bidding and soft close
+ *
+ * An admin puts an available artwork up for auction with a start price, an
+ * optional (hidden) reserve price, a bid increment table and an end time.
+ * The artwork's status is AUCTION until the auction closes.
+ *
+ * Bids are serialized on the auction row. A bidder can leave a maximum bid:
+ * the system then bids for them, one increment at a time, up to that
+ * ceiling (proxy bidding); the ceiling is never shown to others. A bid in
+ * the last `softCloseMinutes` moves the end time to `softCloseMinutes` after
+ * the bid, so nobody wins by sniping.
+ *
+ * closeEnded (run by the sweeper in server.js) closes auctions past their
+ * end: when the reserve is met the winner gets a PENDING order reserving the
+ * artwork, otherwise it goes back on sale. Winner, other bidders and the
+ * gallery are emailed. The artwork's status cannot be edited while its
+ * auction is open; should the order still fail, the auction closes as
+ * FAILED for the gallery to settle. Live updates go to `auctionEvents`
+ * listeners (the SSE stream); they are in-process, so streams only work with
+ * a single server.
+ */
+
+import { EventEmitter } from 'events';
+import { query, transaction, generateId, lockRows } from '../lib/database.js';
+import emailService from './email-service.js';
+import OrderService, { getStoreCurrency } from './order-service.js';
+
+// Bid increment by current price: the row with the highest `from` not above it
+export const DEFAULT_BID_INCREMENTS = [
+  { from: 0, increment: 5 },
+  { from: 100, increment: 10 },
+  { from: 500, increment: 25 },
+  { from: 1000, increment: 50 },
+  { from: 5000, increment: 100 },
+  { from: 10000, increment: 250 }
+];
+
+const createAuctionError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+export const getSoftCloseMinutes = () => parseInt(process.env.AUCTION_SOFT_CLOSE_MINUTES) || 5;
+
+// How long the winner has to pay before the order is cancelled
+export const getAuctionPaymentHours = () => parseInt(process.env.AUCTION_PAYMENT_HOURS) || 72;
+
+export const getDefaultBidIncrements = () => {
+  if (!process.env.AUCTION_INCREMENTS) {
+    return DEFAULT_BID_INCREMENTS;
+  }
+
+  try {
+    return JSON.parse(process.env.AUCTION_INCREMENTS);
+  } catch (error) {
+    throw createAuctionError(`AUCTION_INCREMENTS is not valid JSON: ${error.message}`, 500);
+  }
+};
+
+// { auctionId, type: 'bid' | 'closed' | 'cancelled', auction } for live streams
+export const auctionEvents = new EventEmitter();
+auctionEvents.setMaxListeners(0);
+
+const AUCTION_AMOUNT_FIELDS = ['startPrice', 'reservePrice', 'currentPrice', 'leaderMaxBid'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Tables start at 0 and are sorted by `from` (see validateAuction)
+export const getIncrement = (amount, increments) => increments
+  .filter(step => step.from <= amount)
+  .pop().increment;
+
+// NUMERIC columns arrive as strings from pg
+const formatAuction = (row) => ({
+  ...row,
+  ...Object.fromEntries(AUCTION_AMOUNT_FIELDS.map(field => [field, row[field] === null ? null : Number(row[field])]))
+});
+
+// OPEN splits into SCHEDULED, LIVE and CLOSING (ended, not yet closed by the sweeper)
+const displayStatus = (auction, now = new Date()) => {
+  if (auction.status !== 'OPEN') {
+    return auction.status;
+  }
+  if (new Date(auction.startsAt) > now) {
+    return 'SCHEDULED';
+  }
+  return new Date(auction.endsAt) > now ? 'LIVE' : 'CLOSING';
+};
+
+const nextMinimumBid = (auction) => (auction.currentPrice === null
+  ? auction.startPrice
+  : roundAmount(auction.currentPrice + getIncrement(auction.currentPrice, auction.increments)));
+
+const AUCTION_COLUMNS = `
+  au.*, a.name AS "artworkName",
+  (
+    SELECT i.url FROM artwork_images i
+    WHERE i."artworkId" = a.id
+    ORDER BY i."isPrimary" DESC, i."createdAt" ASC
+    LIMIT 1
+  ) AS "imageUrl"
+`;
+
+class AuctionService {
+
+  // Puts an available artwork up for auction
+  static async create(data, createdBy) {
+    const increments = data.increments || getDefaultBidIncrements();
+    const startsAt = data.startsAt ? new Date(data.startsAt) : new Date();
+
+    const auctionId = await transaction(async (client) => {
+      const [artwork] = await lockRows(client, 'artworks', [data.artworkId], { columns: 'id, status, "isActive"' });
+      if (!artwork || !artwork.isActive) {
+        throw createAuctionError('Artwork not found', 404);
+      }
+      if (artwork.status !== 'AVAILABLE') {
+        throw createAuctionError(`Only available artworks can be auctioned (this one is ${artwork.status})`, 409);
+      }
+
+      const id = generateId('auction');
+      try {
+        await client.query(`
+          INSERT INTO auctions (
+            id, "artworkId", currency, "startPrice", "reservePrice", increments,
+            "startsAt", "endsAt", "originalEndsAt", "softCloseMinutes", "createdBy"
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10)
+        `, [
+          id, data.artworkId, getStoreCurrency(), data.startPrice, data.reservePrice ?? null, JSON.stringify(increments),
+          startsAt, data.endsAt, data.softCloseMinutes || getSoftCloseMinutes(), createdBy
+        ]);
+      } catch (error) {
+        if (error.constraint === 'auctions_reserve_check') {
+          throw createAuctionError('Reserve price cannot be below the start price', 400);
+        }
+        if (error.constraint === 'auctions_window_check') {
+          throw createAuctionError('End time must be after the start time', 400);
+        }
+        throw error;
+      }
+
+      await client.query(
+        `UPDATE artworks SET status = 'AUCTION', "updatedAt" = NOW() WHERE id = $1`,
+        [data.artworkId]
+      );
+      return id;
+    });
+
+    return this.getForAdmin(auctionId);
+  }
+
+  static async findById(auctionId, client = { query }) {
+    const result = await client.query(`
+      SELECT ${AUCTION_COLUMNS}
+      FROM auctions au
+      JOIN artworks a ON a.id = au."artworkId"
+      WHERE au.id = $1
+    `, [auctionId]);
+    return result.rows[0] ? formatAuction(result.rows[0]) : null;
+  }
+
+  // Bids oldest first, bidders numbered in order of their first bid
+  static async getBids(auctionId, client = { query }) {
+    const result = await client.query(`
+      SELECT b.id, b."userId", b.sequence, b.amount, b."maxAmount", b."isAutomatic", b."createdAt",
+        u.email, concat_ws(' ', u."firstName", u."lastName") AS name
+      FROM auction_bids b
+      JOIN users u ON u.id = b."userId"
+      WHERE b."auctionId" = $1
+      ORDER BY b.sequence ASC
+    `, [auctionId]);
+
+    const labels = new Map();
+    return result.rows.map(row => {
+      if (!labels.has(row.userId)) {
+        labels.set(row.userId, `Bidder ${labels.size + 1}`);
+      }
+      return {
+        ...row,
+        amount: Number(row.amount),
+        maxAmount: row.maxAmount === null ? null : Number(row.maxAmount),
+        bidder: labels.get(row.userId)
+      };
+    });
+  }
+
+  // What bidders see: no reserve price, ceilings or identities. With
+  // `viewerId`, `you` tells that bidder where they stand.
+  static toPublic(auction, bids, viewerId = null) {
+    const leader = bids.find(bid => bid.userId === auction.leaderId);
+    const own = viewerId ? bids.filter(bid => bid.userId === viewerId) : [];
+
+    return {
+      id: auction.id,
+      artworkId: auction.artworkId,
+      artworkName: auction.artworkName,
+      imageUrl: auction.imageUrl,
+      status: displayStatus(auction),
+      currency: auction.currency,
+      startPrice: auction.startPrice,
+      currentPrice: auction.currentPrice,
+      nextMinimumBid: nextMinimumBid(auction),
+      increments: auction.increments,
+      hasReserve: auction.reservePrice !== null,
+      reserveMet: auction.reservePrice === null || (auction.currentPrice ?? 0) >= auction.reservePrice,
+      bidCount: auction.bidCount,
+      leadingBidder: leader?.bidder || null,
+      startsAt: auction.startsAt,
+      endsAt: auction.endsAt,
+      originalEndsAt: auction.originalEndsAt,
+      softCloseMinutes: auction.softCloseMinutes,
+      closedAt: auction.closedAt,
+      bids: bids.slice().reverse().map(bid => ({
+        bidder: bid.bidder,
+        amount: bid.amount,
+        isAutomatic: bid.isAutomatic,
+        createdAt: bid.createdAt
+      })),
+      ...(own.length > 0 ? {
+        you: {
+          bidder: own[0].bidder,
+          leading: auction.leaderId === viewerId,
+          maxBid: auction.leaderId === viewerId
+            ? auction.leaderMaxBid
+            : Math.max(...own.map(bid => bid.maxAmount ?? bid.amount)),
+          ...(auction.orderId && auction.leaderId === viewerId ? { orderId: auction.orderId } : {})
+        }
+      } : {})
+    };
+  }
+
+  static async getPublic(auctionId, viewerId = null) {
+    const auction = await this.findById(auctionId);
+    if (!auction) {
+      return null;
+    }
+    return this.toPublic(auction, await this.getBids(auctionId), viewerId);
+  }
+
+  // Open and recently closed auctions, ending soonest first
+  static async listPublic() {
+    const result = await query(`
+      SELECT ${AUCTION_COLUMNS}
+      FROM auctions au
+      JOIN artworks a ON a.id = au."artworkId"
+      WHERE au.status = 'OPEN' OR au."closedAt" > NOW() - INTERVAL '7 days'
+      ORDER BY (au.status = 'OPEN') DESC, au."endsAt" ASC
+    `);
+
+    return result.rows.map(row => {
+      const auction = formatAuction(row);
+      const { bids, ...summary } = this.toPublic(auction, []);
+      return summary;
+    });
+  }
+
+  // Everything, bidder identities and ceilings included
+  static async getForAdmin(auctionId) {
+    const auction = await this.findById(auctionId);
+    if (!auction) {
+      return null;
+    }
+    return { ...auction, status: displayStatus(auction), bids: await this.getBids(auctionId) };
+  }
+
+  static async listForAdmin() {
+    const result = await query(`
+      SELECT ${AUCTION_COLUMNS}
+      FROM auctions au
+      JOIN artworks a ON a.id = au."artworkId"
+      ORDER BY au."createdAt" DESC, au.id DESC
+      LIMIT 200
+    `);
+    return result.rows.map(row => {
+      const auction = formatAuction(row);
+      return { ...auction, status: displayStatus(auction) };
+    });
+  }
+
+  // Places a bid of `amount` for `user`, with an optional proxy ceiling
+  // `maxAmount`. The leader can only raise their ceiling. Returns the
+  // auction as the bidder sees it.
+  static async placeBid(auctionId, user, { amount, maxAmount }) {
+    const auction = await transaction(async (client) => {
+      const [locked] = await lockRows(client, 'auctions', [auctionId], { columns: '*' });
+      if (!locked) {
+        throw createAuctionError('Auction not found', 404);
+      }
+
+      const current = formatAuction(locked);
+      const now = new Date();
+      if (current.status !== 'OPEN' || new Date(current.endsAt) <= now) {
+        throw createAuctionError('This auction has ended', 409);
+      }
+      if (new Date(current.startsAt) > now) {
+        throw createAuctionError('This auction has not started yet', 409);
+      }
+
+      const { increments } = current;
+      const ceiling = Math.max(amount, maxAmount ?? amount);
+      const bids = [];
+      let price = current.currentPrice;
+      let leaderId = current.leaderId;
+      let leaderMaxBid = current.leaderMaxBid;
+
+      if (leaderId === user.id) {
+        if (ceiling <= leaderMaxBid) {
+          throw createAuctionError('You are already the highest bidder; raise your maximum bid to bid more', 400);
+        }
+        leaderMaxBid = ceiling;
+      } else {
+        const minimum = nextMinimumBid(current);
+        if (amount < minimum) {
+          throw createAuctionError(`Your bid must be at least ${minimum}`, 400, { minimumBid: minimum });
+        }
+
+        if (!leaderId) {
+          price = amount;
+          bids.push({ userId: user.id, amount, maxAmount: ceiling });
+          leaderId = user.id;
+          leaderMaxBid = ceiling;
+        } else if (ceiling > leaderMaxBid) {
+          // The previous leader's proxy bids up to their ceiling, then loses
+          if (leaderMaxBid > price) {
+            bids.push({ userId: leaderId, amount: leaderMaxBid, automatic: true });
+          }
+          price = roundAmount(Math.min(ceiling, Math.max(amount, leaderMaxBid + getIncrement(leaderMaxBid, increments))));
+          bids.push({ userId: user.id, amount: price, maxAmount: ceiling });
+          leaderId = user.id;
+          leaderMaxBid = ceiling;
+        } else {
+          // The leader's proxy answers; at equal ceilings the earlier bid wins
+          bids.push({ userId: user.id, amount: ceiling, maxAmount: ceiling });
+          price = roundAmount(Math.min(leaderMaxBid, ceiling + getIncrement(ceiling, increments)));
+          bids.push({ userId: leaderId, amount: price, automatic: true });
+        }
+      }
+
+      // A ceiling at or above the reserve bids the reserve right away
+      if (current.reservePrice !== null && price < current.reservePrice && leaderMaxBid >= current.reservePrice) {
+        price = current.reservePrice;
+        const last = bids[bids.length - 1];
+        if (last?.userId === leaderId) {
+          last.amount = price;
+        } else {
+          bids.push({ userId: leaderId, amount: price, automatic: true });
+        }
+      }
+
+      const softCloseMs = current.softCloseMinutes * 60 * 1000;
+      const endsAt = new Date(current.endsAt).getTime() - now.getTime() < softCloseMs && bids.length > 0
+        ? new Date(now.getTime() + softCloseMs)
+        : new Date(current.endsAt);
+
+      for (const [index, bid] of bids.entries()) {
+        await client.query(`
+          INSERT INTO auction_bids (id, "auctionId", "userId", sequence, amount, "maxAmount", "isAutomatic")
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+          generateId('bid'), auctionId, bid.userId, current.bidCount + index + 1,
+          bid.amount, bid.maxAmount ?? null, Boolean(bid.automatic)
+        ]);
+      }
+
+      await client.query(`
+        UPDATE auctions
+        SET "currentPrice" = $2, "leaderId" = $3, "leaderMaxBid" = $4, "bidCount" = "bidCount" + $5,
+          "endsAt" = $6, "updatedAt" = NOW()
+        WHERE id = $1
+      `, [auctionId, price, leaderId, leaderMaxBid, bids.length, endsAt]);
+
+      return this.findById(auctionId, client);
+    });
+
+    const bids = await this.getBids(auctionId);
+    this.publish(auction, 'bid', bids);
+    return this.toPublic(auction, bids, user.id);
+  }
+
+  // Admin: stops an open auction without a winner and puts the artwork back on sale
+  static async cancel(auctionId) {
+    const auction = await transaction(async (client) => {
+      const [locked] = await lockRows(client, 'auctions', [auctionId], { columns: 'id, "artworkId", status' });
+      if (!locked) {
+        return null;
+      }
+      if (locked.status !== 'OPEN') {
+        throw createAuctionError(`Cannot cancel an auction that is ${locked.status}`, 409);
+      }
+
+      await client.query(`UPDATE auctions SET status = 'CANCELLED', "closedAt" = NOW(), "updatedAt" = NOW() WHERE id = $1`, [auctionId]);
+      await this.releaseArtwork(client, locked.artworkId);
+      return this.findById(auctionId, client);
+    });
+
+    if (auction) {
+      this.publish(auction, 'cancelled', await this.getBids(auctionId));
+    }
+    return auction && this.getForAdmin(auctionId);
+  }
+
+  static async releaseArtwork(client, artworkId) {
+    await client.query(
+      `UPDATE artworks SET status = 'AVAILABLE', "updatedAt" = NOW() WHERE id = $1 AND status = 'AUCTION'`,
+      [artworkId]
+    );
+  }
+
+  // Closes open auctions past their end, each in its own transaction (a bid
+  // in progress finishes first). Returns the number closed.
+  static async closeEnded({ limit = 20 } = {}) {
+    const ended = await query(`
+      SELECT id FROM auctions
+      WHERE status = 'OPEN' AND "endsAt" <= NOW()
+      ORDER BY "endsAt" ASC
+      LIMIT $1
+    `, [limit]);
+
+    let closed = 0;
+    for (const { id } of ended.rows) {
+      try {
+        const outcome = await transaction(async (client) => {
+          const [locked] = await lockRows(client, 'auctions', [id], { columns: '*' });
+          // Closed by another sweeper, or extended by a last-second bid
+          if (locked.status !== 'OPEN' || new Date(locked.endsAt) > new Date()) {
+            return null;
+          }
+          return { order: await this.close(client, formatAuction(locked)) };
+        });
+
+        if (outcome) {
+          closed += 1;
+          const auction = await this.findById(id);
+          const bids = await this.getBids(id);
+          this.publish(auction, 'closed', bids);
+          this.notifyClosed(auction, bids, outcome.order);
+        }
+      } catch (error) {
+        console.error(`🔨 Closing auction ${id} failed:`, error);
+      }
+    }
+
+    return closed;
+  }
+
+  // SOLD with a winner order when the reserve is met, UNSOLD otherwise.
+  // FAILED when the reserve is met but the artwork cannot be ordered anymore
+  // (sold or deactivated meanwhile): the gallery sorts it out with the winner.
+  static async close(client, auction) {
+    await lockRows(client, 'artworks', [auction.artworkId]);
+    const sold = auction.leaderId !== null
+      && (auction.reservePrice === null || auction.currentPrice >= auction.reservePrice);
+
+    let order = null;
+    let closeError = null;
+    await this.releaseArtwork(client, auction.artworkId);
+
+    if (sold) {
+      const winner = await client.query('SELECT id, email FROM users WHERE id = $1', [auction.leaderId]);
+
+      await client.query('SAVEPOINT create_winner_order');
+      try {
+        order = await OrderService.createForArtwork(client, {
+          user: winner.rows[0],
+          artworkId: auction.artworkId,
+          price: auction.currentPrice,
+          note: `Won at auction ${auction.id}`,
+          reservationExpiresAt: new Date(Date.now() + getAuctionPaymentHours() * 60 * 60 * 1000)
+        });
+        await client.query('RELEASE SAVEPOINT create_winner_order');
+      } catch (error) {
+        if (!error.statusCode || error.statusCode >= 500) {
+          throw error;
+        }
+
+        await client.query('ROLLBACK TO SAVEPOINT create_winner_order');
+        closeError = error.message;
+        console.error(`🔨 Auction ${auction.id} was won but its order cannot be created: ${error.message}`);
+      }
+    }
+
+    const status = order ? 'SOLD' : (sold ? 'FAILED' : 'UNSOLD');
+    await client.query(`
+      UPDATE auctions SET status = $2, "orderId" = $3, "closeError" = $4, "closedAt" = NOW(), "updatedAt" = NOW()
+      WHERE id = $1
+    `, [auction.id, status, order?.id ?? null, closeError]);
+
+    return order;
+  }
+
+  // Whether the artwork is in an auction that has not closed yet
+  static async hasOpenAuction(artworkId, client = { query }) {
+    const result = await client.query(
+      `SELECT 1 FROM auctions WHERE "artworkId" = $1 AND status = 'OPEN'`,
+      [artworkId]
+    );
+    return result.rows.length > 0;
+  }
+
+  static publish(auction, type, bids) {
+    auctionEvents.emit('event', { auctionId: auction.id, type, auction: this.toPublic(auction, bids) });
+  }
+
+  // Winner, other bidders and the gallery hear how it ended. Runs in the
+  // background: failures are logged, never surfaced. A FAILED auction only
+  // goes to the gallery, which contacts the bidders itself.
+  static async notifyClosed(auction, bids, order) {
+    const bidders = new Map();
+    bids.forEach(bid => bidders.set(bid.userId, bid));
+
+    const emails = auction.status === 'FAILED' ? [] : [...bidders.values()].map(bidder => (order && bidder.userId === auction.leaderId
+      ? emailService.sendAuctionWonEmail(auction, bidder, order)
+      : emailService.sendAuctionLostEmail(auction, bidder, Boolean(order))));
+    emails.push(emailService.sendAuctionClosedEmail(auction, bidders.get(auction.leaderId) || null, order));
+
+    const results = await Promise.allSettled(emails);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error(`🔨 Auction email for ${auction.id} failed:`, result.reason));
+  }
+}
+
+export default AuctionService;
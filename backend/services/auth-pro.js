@@ -8,6 +8,10 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
 import cache from '../lib/cache-pro.js';
+import emailService from './email-service.js';
+import MfaService from './mfa-service.js';
+import { describeDevice } from './session-service.js';
+import { isEmailVerificationRequired } from '../middleware/security.js';
 
 const prisma = new PrismaClient();
 
@@ -16,11 +20,25 @@ const SECURITY_CONFIG = {
   bcryptRounds: 12,
   jwtExpiresIn: '15m',
   refreshExpiresIn: '7d',
+  refreshExpiry: 7 * 24 * 60 * 60 * 1000, // same as refreshExpiresIn, for auth_sessions.expiresAt
   maxLoginAttempts: 5,
   lockoutDuration: 15 * 60 * 1000, // 15 minutes
   passwordMinLength: 8,
   passwordMaxLength: 128,
   sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
+  emailVerificationExpiry: 24 * 60 * 60 * 1000, // 24 hours
+  emailVerificationResendInterval: 60 * 1000, // 1 minute between verification emails
+  maxVerificationEmailsPerHour: 5,
+  passwordResetExpiry: 15 * 60 * 1000, // 15 minutes
+  passwordResetInterval: 60 * 1000, // 1 minute between reset emails
+  magicLinkExpiry: 10 * 60 * 1000, // 10 minutes
+  sessionTouchInterval: 5 * 60 * 1000, // how precise auth_sessions.lastUsedAt is
+};
+
+const createAuthError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
 };
 
 class AuthenticationService {
@@ -29,10 +47,13 @@ class AuthenticationService {
   // TOKEN MANAGEMENT
   // =============================================================================
 
-  static generateSecureTokens(payload) {
+  // Access/refresh pair of a session (see startSession); `sid` ties both
+  // tokens to their auth_sessions row
+  static generateSecureTokens(payload, { sessionId, refreshTokenId = crypto.randomUUID() } = {}) {
     const accessToken = jwt.sign(
       {
         ...payload,
+        sid: sessionId,
         type: 'access',
         iat: Math.floor(Date.now() / 1000),
         jti: crypto.randomUUID()
@@ -44,9 +65,10 @@ class AuthenticationService {
     const refreshToken = jwt.sign(
       {
         userId: payload.userId,
+        sid: sessionId,
         type: 'refresh',
         iat: Math.floor(Date.now() / 1000),
-        jti: crypto.randomUUID()
+        jti: refreshTokenId
       },
       process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret-please-change-in-production',
       { expiresIn: SECURITY_CONFIG.refreshExpiresIn }
@@ -73,6 +95,11 @@ class AuthenticationService {
         throw new Error('Token has been revoked');
       }
 
+      // Refresh tokens are checked against their session in refreshToken
+      if (type === 'access') {
+        await this.assertSessionActive(decoded.sid);
+      }
+
       return decoded;
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -250,9 +277,6 @@ class AuthenticationService {
     // Hash password
     const hashedPassword = await this.hashPassword(password);
 
-    // Generate verification token
-    const emailVerificationToken = crypto.randomBytes(32).toString('hex');
-
     try {
       // Create user in transaction
       const user = await prisma.$transaction(async (tx) => {
@@ -264,7 +288,6 @@ class AuthenticationService {
             lastName: lastName.trim(),
             phone: phone?.trim() || null,
             role,
-            emailVerificationToken: role === 'ADMIN' ? null : emailVerificationToken,
             isEmailVerified: role === 'ADMIN' ? true : false,
             metadata: {
               ...metadata,
@@ -288,20 +311,41 @@ class AuthenticationService {
         return newUser;
       });
 
+      // Email the verification link (the account exists even if sending fails;
+      // the user can ask for a new link)
+      let verificationEmailSent = false;
+      if (!user.isEmailVerified) {
+        try {
+          await this.sendVerificationEmail(user.id);
+          verificationEmailSent = true;
+        } catch (emailError) {
+          console.error(`Verification email for ${user.email} failed:`, emailError);
+        }
+      }
+
+      // Log successful registration
+      console.log(`✅ User registered: ${user.email} (${user.id})`);
+
+      // No session until the email is verified when the policy requires it for login
+      if (!user.isEmailVerified && isEmailVerificationRequired('login')) {
+        return {
+          user,
+          verificationEmailSent,
+          message: 'User registered successfully. Please verify your email address to log in.'
+        };
+      }
+
       // Generate tokens
-      const tokens = this.generateSecureTokens({
+      const tokens = await this.startSession({
         userId: user.id,
         email: user.email,
         role: 'USER'
-      });
-
-      // Log successful registration
-      console.log(`✅ User registered: ${user.email} (${user.id})`);
+      }, { ipAddress, userAgent });
 
       return {
         user,
         ...tokens,
-        emailVerificationToken,
+        verificationEmailSent,
         message: 'User registered successfully'
       };
     } catch (error) {
@@ -310,6 +354,107 @@ class AuthenticationService {
     }
   }
 
+  // =============================================================================
+  // EMAIL VERIFICATION
+  // =============================================================================
+
+  // Emails a new verification link, replacing any previous one. Only the
+  // token's hash is stored (emailService.hashResetToken), its expiry goes in
+  // metadata.emailVerification.
+  static async sendVerificationEmail(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, firstName: true, isEmailVerified: true, metadata: true }
+    });
+
+    if (!user) {
+      throw createAuthError('User not found', 404);
+    }
+
+    if (user.isEmailVerified) {
+      throw createAuthError('Email is already verified', 409);
+    }
+
+    await this.checkVerificationEmailThrottle(user.id);
+
+    const token = emailService.generateResetToken();
+    const expiresAt = new Date(Date.now() + SECURITY_CONFIG.emailVerificationExpiry);
+
+    await prisma.$executeRaw`
+      UPDATE users
+      SET "emailVerificationToken" = ${emailService.hashResetToken(token)},
+          metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('emailVerification', ${JSON.stringify({
+            expiresAt: expiresAt.toISOString(),
+            sentAt: new Date().toISOString()
+          })}::jsonb),
+          "updatedAt" = NOW()
+      WHERE id = ${user.id}
+    `;
+
+    await emailService.sendEmailVerificationEmail(user, token, SECURITY_CONFIG.emailVerificationExpiry / (60 * 60 * 1000));
+
+    return { email: user.email, expiresAt };
+  }
+
+  // At most one verification email per minute and 5 per hour for an account
+  static async checkVerificationEmailThrottle(userId) {
+    const key = `verification_emails:${userId}`;
+    const sent = await cache.get(key) || { count: 0, lastSentAt: 0 };
+
+    const waitMs = sent.lastSentAt + SECURITY_CONFIG.emailVerificationResendInterval - Date.now();
+    if (waitMs > 0) {
+      throw createAuthError(`Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another verification email`, 429);
+    }
+
+    if (sent.count >= SECURITY_CONFIG.maxVerificationEmailsPerHour) {
+      throw createAuthError('Too many verification emails requested. Please try again in 1 hour', 429);
+    }
+
+    await cache.set(key, { count: sent.count + 1, lastSentAt: Date.now() }, 60 * 60);
+  }
+
+  // Consumes a verification link (single use)
+  static async verifyEmail(token) {
+    if (!token || typeof token !== 'string') {
+      throw createAuthError('Verification token is required', 400);
+    }
+
+    const tokenHash = emailService.hashResetToken(token);
+    const user = await prisma.user.findFirst({
+      where: { emailVerificationToken: tokenHash },
+      select: { id: true, email: true, metadata: true }
+    });
+
+    if (!user) {
+      throw createAuthError('Invalid or already used verification link', 400);
+    }
+
+    const emailVerification = user.metadata?.emailVerification;
+    if (!emailVerification || new Date(emailVerification.expiresAt) < new Date()) {
+      throw createAuthError('Verification link has expired, please request a new one', 400);
+    }
+
+    // Conditional on the token still being there, so a link works only once
+    const updated = await prisma.$executeRaw`
+      UPDATE users
+      SET "isEmailVerified" = true,
+          "emailVerificationToken" = NULL,
+          metadata = (COALESCE(metadata, '{}'::jsonb) - 'emailVerification')
+            || jsonb_build_object('emailVerifiedAt', to_jsonb(NOW())),
+          "updatedAt" = NOW()
+      WHERE id = ${user.id} AND "emailVerificationToken" = ${tokenHash}
+    `;
+
+    if (updated === 0) {
+      throw createAuthError('Invalid or already used verification link', 400);
+    }
+
+    await cache.delete(`verification_emails:${user.id}`);
+
+    console.log(`✅ Email verified: ${user.email} (${user.id})`);
+    return { email: user.email, isEmailVerified: true };
+  }
+
   // =============================================================================
   // USER AUTHENTICATION
   // =============================================================================
@@ -361,80 +506,176 @@ class AuthenticationService {
         throw new Error('Invalid email or password');
       }
 
-      // Update user login info
-      const loginData = {
-        lastLogin: new Date(),
-        metadata: {
-          ...user.metadata,
-          lastLoginIP: ipAddress,
-          lastLoginUserAgent: userAgent,
-          loginCount: (user.metadata?.loginCount || 0) + 1
-        }
-      };
-
-      await prisma.user.update({
-        where: { id: user.id },
-        data: loginData
-      });
+      if (!user.isEmailVerified && isEmailVerificationRequired('login')) {
+        throw createAuthError('Please verify your email address before logging in', 403);
+      }
 
       // Record successful login
       await this.recordLoginAttempt(normalizedEmail, true);
 
-      // Generate tokens
-      const tokenExpiry = rememberMe ? '30d' : SECURITY_CONFIG.jwtExpiresIn;
-      const tokens = this.generateSecureTokens({
+      // Customers who turned two-factor authentication on finish with
+      // completeMfaLogin
+      if (await MfaService.isEnabled(user.id)) {
+        console.log(`🔐 Password accepted, awaiting second factor: ${user.email}`);
+        return { mfaRequired: true, ...await MfaService.createChallenge(user.id, 'login') };
+      }
+
+      return await this.finishLogin(user, { ipAddress, userAgent, rememberMe });
+    } catch (error) {
+      console.error('Login error:', error);
+      throw error;
+    }
+  }
+
+  // Session of a customer whose login passed every factor
+  static async finishLogin(user, { ipAddress = null, userAgent = null, rememberMe = false } = {}) {
+    // Update user login info (single keys, concurrent writes to metadata stay)
+    await prisma.$executeRaw`
+      UPDATE users
+      SET "lastLogin" = NOW(),
+          metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
+            'lastLoginIP', ${ipAddress}::text,
+            'lastLoginUserAgent', ${userAgent}::text,
+            'loginCount', COALESCE((metadata->>'loginCount')::int, 0) + 1
+          ),
+          "updatedAt" = NOW()
+      WHERE id = ${user.id}
+    `;
+
+    // Generate tokens
+    const tokenExpiry = rememberMe ? '30d' : SECURITY_CONFIG.jwtExpiresIn;
+    const tokens = await this.startSession({
+      userId: user.id,
+      email: user.email,
+      role: 'USER'
+    }, { ipAddress, userAgent });
+
+    // Cache user session
+    await cache.set(
+      `session:${user.id}`,
+      {
         userId: user.id,
         email: user.email,
-        role: 'USER'
-      });
+        loginTime: Date.now(),
+        ipAddress,
+        userAgent
+      },
+      SECURITY_CONFIG.sessionTimeout / 1000
+    );
 
-      // Cache user session
-      await cache.set(
-        `session:${user.id}`,
-        {
-          userId: user.id,
-          email: user.email,
-          loginTime: Date.now(),
-          ipAddress,
-          userAgent
-        },
-        SECURITY_CONFIG.sessionTimeout / 1000
-      );
+    // Remove sensitive data
+    const { password: _, emailVerificationToken: __, ...userResponse } = user;
 
-      // Remove sensitive data
-      const { password: _, emailVerificationToken: __, ...userResponse } = user;
+    console.log(`✅ User logged in: ${user.email} (${user.id})`);
 
-      console.log(`✅ User logged in: ${user.email} (${user.id})`);
+    return {
+      user: userResponse,
+      ...tokens,
+      session: {
+        expiresAt: Date.now() + SECURITY_CONFIG.sessionTimeout,
+        rememberMe
+      },
+      message: 'Login successful'
+    };
+  }
 
-      return {
-        user: userResponse,
-        ...tokens,
-        session: {
-          expiresAt: Date.now() + SECURITY_CONFIG.sessionTimeout,
-          rememberMe
-        },
-        message: 'Login successful'
-      };
-    } catch (error) {
-      console.error('Login error:', error);
-      throw error;
+  // Second login step of a customer with two-factor authentication: an
+  // authenticator code or a backup code
+  static async completeMfaLogin(mfaToken, code, context = {}) {
+    const { userId, result: method } = await MfaService.completeChallenge(
+      mfaToken,
+      'login',
+      (challengeUserId) => MfaService.verifyCode(challengeUserId, code)
+    );
+
+    const user = await prisma.user.findFirst({
+      where: { id: userId, isActive: true },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        phone: true,
+        isActive: true,
+        isEmailVerified: true,
+        lastLogin: true,
+        metadata: true
+      }
+    });
+
+    if (!user) {
+      throw createAuthError('User not found or inactive', 401);
     }
+
+    const login = await this.finishLogin(user, context);
+    const { backupCodesRemaining } = await MfaService.getStatus(userId);
+
+    return { ...login, mfa: { method, backupCodesRemaining } };
   }
 
   // =============================================================================
   // SESSION MANAGEMENT
   // =============================================================================
 
-  static async refreshToken(refreshToken) {
+  // Opens a session (one auth_sessions row per refresh token family) and
+  // returns its token pair
+  static async startSession(payload, { ipAddress = null, userAgent = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshTokenId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + SECURITY_CONFIG.refreshExpiry);
+
+    await prisma.$executeRaw`
+      INSERT INTO auth_sessions (id, "userId", "refreshTokenId", device, "ipAddress", "userAgent", "expiresAt")
+      VALUES (${sessionId}, ${payload.userId}, ${refreshTokenId}, ${describeDevice(userAgent || '')}, ${ipAddress}, ${userAgent}, ${expiresAt})
+    `;
+
+    // Sessions over for a month are of no interest anymore
+    await prisma.$executeRaw`
+      DELETE FROM auth_sessions
+      WHERE "userId" = ${payload.userId} AND "expiresAt" < NOW() - INTERVAL '30 days'
+    `;
+
+    return this.generateSecureTokens(payload, { sessionId, refreshTokenId });
+  }
+
+  // Throws unless the session exists, is not revoked and has not expired.
+  // Tokens issued before sessions existed carry no `sid` and are refused.
+  static async assertSessionActive(sessionId) {
+    if (!sessionId) {
+      throw new Error('Session has expired, please log in again');
+    }
+
+    const [session] = await prisma.$queryRaw`
+      SELECT "revokedAt", "expiresAt", "lastUsedAt" FROM auth_sessions WHERE id = ${sessionId}
+    `;
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      throw new Error('Session has been revoked');
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > SECURITY_CONFIG.sessionTouchInterval) {
+      prisma.$executeRaw`UPDATE auth_sessions SET "lastUsedAt" = NOW() WHERE id = ${sessionId}`
+        .catch(error => console.error('Session touch error:', error));
+    }
+  }
+
+  // Rotates the refresh token of a session. Only the latest refresh token of
+  // a family is valid: presenting an older one means it leaked, so the whole
+  // session is revoked.
+  static async refreshToken(refreshToken, { ipAddress = null, userAgent = null } = {}) {
     try {
       const decoded = await this.verifyToken(refreshToken, 'refresh');
-      
+      if (!decoded.sid) {
+        throw new Error('Session has expired, please log in again');
+      }
+
       // Get user
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
           id: true,
           email: true,
+          role: true,
           isActive: true,
           isEmailVerified: true
         }
@@ -444,27 +685,54 @@ class AuthenticationService {
         throw new Error('User not found or inactive');
       }
 
-      // Revoke old refresh token
-      await this.revokeToken(decoded.jti);
+      const refreshTokenId = crypto.randomUUID();
+      const rotated = await prisma.$executeRaw`
+        UPDATE auth_sessions SET
+          "refreshTokenId" = ${refreshTokenId},
+          "lastUsedAt" = NOW(),
+          "expiresAt" = ${new Date(Date.now() + SECURITY_CONFIG.refreshExpiry)},
+          "ipAddress" = COALESCE(${ipAddress}, "ipAddress"),
+          "userAgent" = COALESCE(${userAgent}, "userAgent")
+        WHERE id = ${decoded.sid}
+          AND "userId" = ${user.id}
+          AND "refreshTokenId" = ${decoded.jti}
+          AND "revokedAt" IS NULL
+          AND "expiresAt" > NOW()
+      `;
+
+      if (rotated === 0) {
+        const revoked = await this.revokeSessions(user.id, { sessionId: decoded.sid, reason: 'refresh_token_reuse' });
+        if (revoked > 0) {
+          console.warn(`🚨 Refresh token reuse for user ${user.id}, session ${decoded.sid} revoked`);
+        }
+        throw new Error('Session has been revoked');
+      }
 
-      // Generate new tokens
-      const tokens = this.generateSecureTokens({
+      return this.generateSecureTokens({
         userId: user.id,
         email: user.email,
-        role: 'USER'
-      });
-
-      return tokens;
+        role: user.role
+      }, { sessionId: decoded.sid, refreshTokenId });
     } catch (error) {
       throw new Error('Token refresh failed: ' + error.message);
     }
   }
 
-  static async logout(userId, tokenId = null) {
+  // Revokes one session of the user, or all of them; returns how many were open
+  static async revokeSessions(userId, { sessionId = null, reason }) {
+    return prisma.$executeRaw`
+      UPDATE auth_sessions SET "revokedAt" = NOW(), "revokedReason" = ${reason}
+      WHERE "userId" = ${userId}
+        AND (${sessionId}::text IS NULL OR id = ${sessionId})
+        AND "revokedAt" IS NULL
+    `;
+  }
+
+  static async logout(userId, sessionId = null) {
     try {
-      // Revoke token if provided
-      if (tokenId) {
-        await this.revokeToken(tokenId);
+      // Revoke the session's access and refresh tokens
+      if (sessionId) {
+        await this.revokeSessions(userId, { sessionId, reason: 'logout' });
       }
 
       // Clear user session
@@ -478,25 +746,38 @@ class AuthenticationService {
     }
   }
 
-  static async logoutAllDevices(userId) {
+  // Every access and refresh token of the user stops working
+  static async logoutAllDevices(userId, reason = 'logout_all') {
     try {
-      // This would require storing all active tokens in a database
-      // For now, we'll clear the session and rely on token expiry
+      const revoked = await this.revokeSessions(userId, { reason });
+
+      // The main API (server.js) also refuses its tokens issued up to this
+      // second (whole epoch seconds, like the iat claim)
+      await prisma.$executeRaw`
+        UPDATE users
+        SET metadata = COALESCE(metadata, '{}'::jsonb)
+          || jsonb_build_object('tokensValidAfter', floor(extract(epoch FROM NOW()))::bigint)
+        WHERE id = ${userId}
+      `;
       await cache.delete(`session:${userId}`);
-      
-      // In a production system, you'd want to:
-      // 1. Store all active tokens in database
-      // 2. Add all tokens to blacklist
-      // 3. Force user to re-authenticate
-      
-      console.log(`✅ All devices logged out for user: ${userId}`);
-      return { message: 'Logged out from all devices' };
+
+      console.log(`✅ All devices logged out for user: ${userId} (${revoked} session(s))`);
+      return { message: 'Logged out from all devices', revokedSessions: revoked };
     } catch (error) {
       console.error('Logout all devices error:', error);
       throw new Error('Logout from all devices failed');
     }
   }
 
+  // Ends one of the user's sessions (e.g. a lost phone); 404 when it is not theirs
+  static async revokeSession(userId, sessionId) {
+    const revoked = await this.revokeSessions(userId, { sessionId, reason: 'revoked' });
+    if (revoked === 0) {
+      throw createAuthError('Session not found', 404);
+    }
+    return { message: 'Session revoked' };
+  }
+
   // =============================================================================
   // USER PROFILE MANAGEMENT
   // =============================================================================
@@ -613,19 +894,19 @@ class AuthenticationService {
       const hashedNewPassword = await this.hashPassword(newPassword);
 
       // Update password
-      await prisma.user.update({
-        where: { id: userId },
-        data: { 
-          password: hashedNewPassword,
-          metadata: {
-            passwordChanged: new Date(),
-            passwordStrength: passwordValidation.strength
-          }
-        }
-      });
+      await prisma.$executeRaw`
+        UPDATE users
+        SET password = ${hashedNewPassword},
+            metadata = COALESCE(metadata, '{}'::jsonb) || ${JSON.stringify({
+              passwordChanged: new Date().toISOString(),
+              passwordStrength: passwordValidation.strength
+            })}::jsonb,
+            "updatedAt" = NOW()
+        WHERE id = ${userId}
+      `;
 
       // Clear all sessions (force re-login)
-      await this.logoutAllDevices(userId);
+      await this.logoutAllDevices(userId, 'password_changed');
 
       console.log(`✅ Password changed for user: ${user.email}`);
       return { message: 'Password changed successfully' };
@@ -634,6 +915,225 @@ class AuthenticationService {
     }
   }
 
+  // =============================================================================
+  // PASSWORD RESET
+  // =============================================================================
+
+  // Starts a customer password reset. The answer never tells whether the
+  // account exists: the lookup is the only awaited work, the link is issued
+  // in the background. Admins reset through routes/admin.js.
+  static async initiatePasswordReset(email) {
+    const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+
+    const user = normalizedEmail && await prisma.user.findUnique({
+      where: { email: normalizedEmail },
+      select: { id: true, email: true, firstName: true, role: true, isActive: true, metadata: true }
+    });
+
+    if (user && user.isActive && user.role !== 'ADMIN') {
+      this.issuePasswordReset(user).catch(error => {
+        console.error(`Password reset for ${user.email} failed:`, error);
+      });
+    }
+
+    return { message: 'If an account exists for this email, a password reset link has been sent' };
+  }
+
+  // Emails a single-use link, replacing any previous one. Only the token's
+  // hash is stored, in metadata.passwordReset.
+  static async issuePasswordReset(user) {
+    const previous = user.metadata?.passwordReset;
+    if (previous && Date.now() - new Date(previous.requestedAt).getTime() < SECURITY_CONFIG.passwordResetInterval) {
+      return;
+    }
+
+    const token = emailService.generateResetToken();
+    await prisma.$executeRaw`
+      UPDATE users
+      SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('passwordReset', ${JSON.stringify({
+            tokenHash: emailService.hashResetToken(token),
+            requestedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + SECURITY_CONFIG.passwordResetExpiry).toISOString()
+          })}::jsonb),
+          "updatedAt" = NOW()
+      WHERE id = ${user.id}
+    `;
+
+    await emailService.sendUserPasswordResetEmail(user, token, SECURITY_CONFIG.passwordResetExpiry / (60 * 1000));
+    console.log(`🔑 Password reset requested: ${user.email} (${user.id})`);
+  }
+
+  // Sets the new password, consumes the link and signs the user out everywhere.
+  // Following the emailed link also proves the email address.
+  static async completePasswordReset(token, newPassword) {
+    if (!token || typeof token !== 'string') {
+      throw createAuthError('Reset token is required', 400);
+    }
+
+    const passwordValidation = this.validatePassword(newPassword);
+    if (!passwordValidation.valid) {
+      throw createAuthError(`Password validation failed: ${passwordValidation.errors.join(', ')}`, 400);
+    }
+
+    const tokenHash = emailService.hashResetToken(token);
+    const user = await prisma.user.findFirst({
+      where: { metadata: { path: ['passwordReset', 'tokenHash'], equals: tokenHash }, isActive: true },
+      select: { id: true, email: true, firstName: true, metadata: true }
+    });
+
+    if (!user) {
+      throw createAuthError('Invalid or already used reset link', 400);
+    }
+
+    if (new Date(user.metadata.passwordReset.expiresAt) < new Date()) {
+      throw createAuthError('Reset link has expired, please request a new one', 400);
+    }
+
+    // Conditional on the token still being there, so a link works only once
+    const updated = await prisma.$executeRaw`
+      UPDATE users
+      SET password = ${await this.hashPassword(newPassword)},
+          "isEmailVerified" = true,
+          "emailVerificationToken" = NULL,
+          metadata = (COALESCE(metadata, '{}'::jsonb) - 'passwordReset') || ${JSON.stringify({
+            passwordChanged: new Date().toISOString(),
+            passwordStrength: passwordValidation.strength
+          })}::jsonb,
+          "updatedAt" = NOW()
+      WHERE id = ${user.id} AND metadata->'passwordReset'->>'tokenHash' = ${tokenHash}
+    `;
+
+    if (updated === 0) {
+      throw createAuthError('Invalid or already used reset link', 400);
+    }
+
+    await this.recordLoginAttempt(user.email, true);
+    await this.logoutAllDevices(user.id, 'password_changed');
+
+    emailService.sendUserPasswordResetSuccessEmail(user).catch(error => {
+      console.error(`Password reset confirmation for ${user.email} failed:`, error);
+    });
+
+    console.log(`✅ Password reset completed: ${user.email} (${user.id})`);
+    return { message: 'Password reset successfully. Please log in with your new password.' };
+  }
+
+  // =============================================================================
+  // MAGIC LINK
+  // =============================================================================
+
+  // Emails a passwordless sign-in link. Same answer whether the account
+  // exists or not, like initiatePasswordReset. Admins sign in with their
+  // password (and second factor) only.
+  static async requestMagicLink(email) {
+    const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+
+    const user = normalizedEmail && await prisma.user.findUnique({
+      where: { email: normalizedEmail },
+      select: { id: true, email: true, firstName: true, role: true, isActive: true, metadata: true }
+    });
+
+    if (user && user.isActive && user.role !== 'ADMIN') {
+      this.issueMagicLink(user).catch(error => {
+        console.error(`Magic link for ${user.email} failed:`, error);
+      });
+    }
+
+    return { message: 'If an account exists for this email, a sign-in link has been sent' };
+  }
+
+  // Single-use link, replacing any previous one; only the token's hash is
+  // stored, in metadata.magicLink
+  static async issueMagicLink(user) {
+    const token = emailService.generateResetToken();
+    await prisma.$executeRaw`
+      UPDATE users
+      SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('magicLink', ${JSON.stringify({
+            tokenHash: emailService.hashResetToken(token),
+            requestedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + SECURITY_CONFIG.magicLinkExpiry).toISOString()
+          })}::jsonb),
+          "updatedAt" = NOW()
+      WHERE id = ${user.id}
+    `;
+
+    await emailService.sendMagicLinkEmail(user, token, SECURITY_CONFIG.magicLinkExpiry / (60 * 1000));
+    console.log(`🔗 Magic link requested: ${user.email} (${user.id})`);
+  }
+
+  // Exchanges a link for a session, with the same answer as a password login
+  // (a challenge when MFA is on). Following the link also proves the email address.
+  static async completeMagicLink(token, { ipAddress = null, userAgent = null } = {}) {
+    if (!token || typeof token !== 'string') {
+      throw createAuthError('Sign-in token is required', 400);
+    }
+
+    const tokenHash = emailService.hashResetToken(token);
+    const user = await prisma.user.findFirst({
+      where: { metadata: { path: ['magicLink', 'tokenHash'], equals: tokenHash }, isActive: true },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        phone: true,
+        role: true,
+        lastLogin: true,
+        metadata: true
+      }
+    });
+
+    if (!user || user.role === 'ADMIN') {
+      throw createAuthError('Invalid or already used sign-in link', 400);
+    }
+
+    if (new Date(user.metadata.magicLink.expiresAt) < new Date()) {
+      throw createAuthError('Sign-in link has expired, please request a new one', 400);
+    }
+
+    // Conditional on the token still being there, so a link works only once
+    const updated = await prisma.$executeRaw`
+      UPDATE users
+      SET "isEmailVerified" = true,
+          "emailVerificationToken" = NULL,
+          "lastLogin" = NOW(),
+          metadata = (COALESCE(metadata, '{}'::jsonb) - 'magicLink') || jsonb_build_object(
+            'lastLoginIP', ${ipAddress}::text,
+            'lastLoginUserAgent', ${userAgent}::text,
+            'loginCount', COALESCE((metadata->>'loginCount')::int, 0) + 1
+          ),
+          "updatedAt" = NOW()
+      WHERE id = ${user.id} AND metadata->'magicLink'->>'tokenHash' = ${tokenHash}
+    `;
+
+    if (updated === 0) {
+      throw createAuthError('Invalid or already used sign-in link', 400);
+    }
+
+    await this.recordLoginAttempt(user.email, true);
+
+    // The link stands in for the password only: a second factor is still asked
+    if (await MfaService.isEnabled(user.id)) {
+      return { mfaRequired: true, ...await MfaService.createChallenge(user.id, 'login') };
+    }
+
+    const tokens = await this.startSession({
+      userId: user.id,
+      email: user.email,
+      role: 'USER'
+    }, { ipAddress, userAgent });
+
+    const { metadata: _, role: __, ...userResponse } = user;
+
+    console.log(`✅ User logged in with magic link: ${user.email} (${user.id})`);
+
+    return {
+      user: { ...userResponse, isEmailVerified: true },
+      ...tokens,
+      message: 'Login successful'
+    };
+  }
+
   // =============================================================================
   // UTILITIES
   // =============================================================================
@@ -647,76 +1147,193 @@ class AuthenticationService {
     }
   }
 
-  static async getUserSessions(userId) {
-    try {
-      const session = await cache.get(`session:${userId}`);
-      return session ? [session] : [];
-    } catch (error) {
-      return [];
-    }
+  // Open sessions, most recently used first; `current` marks the caller's
+  static async getUserSessions(userId, currentSessionId = null) {
+    const sessions = await prisma.$queryRaw`
+      SELECT id, device, "ipAddress", "userAgent", "createdAt", "lastUsedAt", "expiresAt"
+      FROM auth_sessions
+      WHERE "userId" = ${userId} AND "revokedAt" IS NULL AND "expiresAt" > NOW()
+      ORDER BY "lastUsedAt" DESC
+    `;
+
+    return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
   }
 
   /**
    * Admin login with enhanced security
+   *
+   * With two-factor authentication on (or required for all admins), a correct
+   * password returns an MFA challenge instead of tokens: { mfaRequired,
+   * mfaToken } to finish with completeAdminMfaLogin, or { mfaEnrollmentRequired,
+   * mfaToken } to set MFA up first (startAdminMfaEnrollment).
    */
   static async adminLogin(email, password, context = {}) {
     try {
-      const { ipAddress, userAgent } = context;
-      
-      // Find admin user
-      const admin = await prisma.user.findFirst({
-        where: {
-          email: email.toLowerCase(),
-          role: 'ADMIN',
-          isActive: true
-        }
-      });
+      const admin = await this.findAdminByCredentials(email, password);
+
+      const mfaEnabled = await MfaService.isEnabled(admin.id);
+      if (mfaEnabled || await MfaService.isRequiredForAdmins()) {
+        const challenge = await MfaService.createChallenge(admin.id, mfaEnabled ? 'login' : 'enroll');
+
+        console.log(`🔐 Admin password accepted, awaiting second factor: ${admin.email}`);
 
-      if (!admin) {
-        throw new Error('Invalid admin credentials');
+        return mfaEnabled
+          ? { mfaRequired: true, ...challenge }
+          : { mfaEnrollmentRequired: true, ...challenge };
       }
 
-      // Verify password
-      const isPasswordValid = await this.verifyPassword(password, admin.password);
-      if (!isPasswordValid) {
-        throw new Error('Invalid admin credentials');
+      return await this.finishAdminLogin(admin, context);
+
+    } catch (error) {
+      console.error('Admin login error:', error);
+      throw error;
+    }
+  }
+
+  static async findAdminByCredentials(email, password) {
+    if (!email || !password) {
+      throw createAuthError('Email and password are required', 400);
+    }
+
+    const admin = await prisma.user.findFirst({
+      where: {
+        email: email.toLowerCase(),
+        role: 'ADMIN',
+        isActive: true
       }
+    });
 
-      // Generate tokens
-      const tokens = this.generateSecureTokens({
-        userId: admin.id,
+    if (!admin) {
+      throw createAuthError('Invalid admin credentials', 401);
+    }
+
+    const isPasswordValid = await this.verifyPassword(password, admin.password);
+    if (!isPasswordValid) {
+      throw createAuthError('Invalid admin credentials', 401);
+    }
+
+    return admin;
+  }
+
+  static async finishAdminLogin(admin, { ipAddress, userAgent } = {}) {
+    // Generate tokens
+    const tokens = await this.startSession({
+      userId: admin.id,
+      email: admin.email,
+      role: admin.role,
+      type: 'admin'
+    }, { ipAddress, userAgent });
+
+    // Update admin login info
+    await prisma.user.update({
+      where: { id: admin.id },
+      data: {
+        lastLogin: new Date(),
+        lastLoginIP: ipAddress,
+        lastLoginUserAgent: userAgent
+      }
+    });
+
+    console.log(`✅ Admin login successful: ${admin.email}`);
+
+    return {
+      admin: {
+        id: admin.id,
         email: admin.email,
-        role: admin.role,
-        type: 'admin'
-      });
+        firstName: admin.firstName,
+        lastName: admin.lastName,
+        role: admin.role
+      },
+      ...tokens
+    };
+  }
 
-      // Update admin login info
-      await prisma.user.update({
-        where: { id: admin.id },
-        data: {
-          lastLogin: new Date(),
-          lastLoginIP: ipAddress,
-          lastLoginUserAgent: userAgent
-        }
-      });
+  // =============================================================================
+  // TWO-FACTOR AUTHENTICATION (admins)
+  // =============================================================================
 
-      console.log(`✅ Admin login successful: ${admin.email}`);
+  static async findActiveAdmin(userId) {
+    const admin = await prisma.user.findFirst({
+      where: { id: userId, role: 'ADMIN', isActive: true }
+    });
 
-      return {
-        admin: {
-          id: admin.id,
-          email: admin.email,
-          firstName: admin.firstName,
-          lastName: admin.lastName,
-          role: admin.role
-        },
-        ...tokens
-      };
+    if (!admin) {
+      throw createAuthError('Admin not found or inactive', 401);
+    }
+    return admin;
+  }
 
-    } catch (error) {
-      console.error('Admin login error:', error);
-      throw error;
+  // Second login step: an authenticator code or a backup code
+  static async completeAdminMfaLogin(mfaToken, code, context = {}) {
+    const { userId, result: method } = await MfaService.completeChallenge(
+      mfaToken,
+      'login',
+      (adminId) => MfaService.verifyCode(adminId, code)
+    );
+
+    const login = await this.finishAdminLogin(await this.findActiveAdmin(userId), context);
+    const { backupCodesRemaining } = await MfaService.getStatus(userId);
+
+    return { ...login, mfa: { method, backupCodesRemaining } };
+  }
+
+  // Setup during login, for admins who must use MFA but have not set it up
+  static async startAdminMfaEnrollment(mfaToken) {
+    const admin = await this.findActiveAdmin(await MfaService.peekChallenge(mfaToken, 'enroll'));
+    return MfaService.startEnrollment(admin);
+  }
+
+  // Confirms that setup and signs the admin in; backup codes are shown once
+  static async completeAdminMfaEnrollment(mfaToken, code, context = {}) {
+    const { userId, result: backupCodes } = await MfaService.completeChallenge(
+      mfaToken,
+      'enroll',
+      (adminId) => MfaService.confirmEnrollment(adminId, code)
+    );
+
+    const login = await this.finishAdminLogin(await this.findActiveAdmin(userId), context);
+    return { ...login, backupCodes };
+  }
+
+  static async confirmMfaEnrollment(userId, code) {
+    const backupCodes = await MfaService.confirmEnrollment(userId, code);
+    if (!backupCodes) {
+      throw createAuthError('Invalid authentication code', 400);
+    }
+
+    console.log(`🔐 Two-factor authentication enabled for ${userId}`);
+    return { backupCodes };
+  }
+
+  // Turning MFA off needs the password and a current code again, whatever
+  // the age of the session
+  static async disableMfa(userId, password, code) {
+    const admin = await this.findActiveAdmin(userId);
+
+    if (!password || !await this.verifyPassword(password, admin.password)) {
+      throw createAuthError('Password is incorrect', 401);
     }
+
+    await MfaService.disable(userId, code);
+    return { message: 'Two-factor authentication disabled' };
+  }
+
+  // Requires MFA for every admin, or makes it optional again; needs the
+  // password and a current code like disableMfa
+  static async setAdminMfaPolicy(userId, required, password, code) {
+    const admin = await this.findActiveAdmin(userId);
+
+    if (!password || !await this.verifyPassword(password, admin.password)) {
+      throw createAuthError('Password is incorrect', 401);
+    }
+
+    const requiredForAdmins = await MfaService.setRequiredForAdmins(required, userId, code);
+    return {
+      requiredForAdmins,
+      message: requiredForAdmins
+        ? 'Two-factor authentication is now required for all admins'
+        : 'Two-factor authentication is now optional for admins'
+    };
   }
 }
 
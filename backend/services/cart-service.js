@@ -0,0 +1,381 @@
+/**
+ * 🛒 ELOUARATE ART - Cart Service
+ * Shopping carts for visitors and customers
+ *
+ * Guests get a cart as soon as they add an item; its id travels in a signed
+ * cookie (cart_id=<cartId>.<hmac>). When a request authenticates a user, the
+ * guest cart is merged into the user's cart and the cookie is cleared.
+ *
+ * Carts are revalidated on every read: items whose artwork is no longer
+ * available are flagged and left out of the totals, price changes since the
+ * last read (category sales and accepted offers included) are reported once,
+ * and the coupon the customer entered is checked again.
+ */
+
+import crypto from 'crypto';
+import { query, transaction, generateId } from '../lib/database.js';
+import CouponService from './coupon-service.js';
+import { ARTWORK_SALE_JOIN, ARTWORK_CURRENT_PRICE_SQL } from './category-sale-service.js';
+import { offerPriceJoin } from './offer-service.js';
+
+export const CART_COOKIE = 'cart_id';
+const CART_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Problems reported on cart items
+export const CART_ITEM_ISSUES = {
+  UNAVAILABLE: 'UNAVAILABLE',
+  PRICE_CHANGED: 'PRICE_CHANGED'
+};
+
+const createCartError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Artworks are originals, so one of each by default (raise for prints/editions)
+export const getMaxQuantity = () => parseInt(process.env.CART_MAX_QUANTITY) || 1;
+
+const getCookieSecret = () => process.env.CART_COOKIE_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const signCartId = (cartId) => crypto
+  .createHmac('sha256', getCookieSecret())
+  .update(cartId)
+  .digest('base64url');
+
+// Minimal Cookie header parser (name=value pairs, values may be URI-encoded)
+const parseCookies = (header = '') => Object.fromEntries(header
+  .split(';')
+  .map(pair => pair.trim().split('='))
+  .filter(([name, ...value]) => name && value.length > 0)
+  .map(([name, ...value]) => {
+    try {
+      return [name, decodeURIComponent(value.join('='))];
+    } catch (error) {
+      return [name, value.join('=')];
+    }
+  }));
+
+// Cart price of artwork `a`: the current price, or the customer's accepted
+// offer when lower (needs ARTWORK_SALE_JOIN and offerPriceJoin)
+const CART_PRICE_SQL = `LEAST(${ARTWORK_CURRENT_PRICE_SQL}, offer.price)`;
+
+const EMPTY_SUMMARY = { itemCount: 0, subtotal: 0, discountAmount: 0, total: 0, unavailableCount: 0 };
+
+class CartService {
+
+  // Guest cart id from the signed cookie; null when missing or tampered with
+  static getGuestCartId(req) {
+    const value = parseCookies(req.headers.cookie)[CART_COOKIE];
+    if (!value) {
+      return null;
+    }
+
+    const separator = value.lastIndexOf('.');
+    const cartId = value.slice(0, separator);
+    const signature = value.slice(separator + 1);
+    if (separator <= 0 || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(signCartId(cartId));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+      ? cartId
+      : null;
+  }
+
+  // The frontend is served from another origin in production, hence SameSite=None
+  static cookieOptions() {
+    const production = process.env.NODE_ENV === 'production';
+    return {
+      httpOnly: true,
+      secure: production,
+      sameSite: production ? 'none' : 'lax',
+      path: '/'
+    };
+  }
+
+  static setGuestCookie(res, cartId) {
+    res.cookie(CART_COOKIE, `${cartId}.${signCartId(cartId)}`, {
+      ...this.cookieOptions(),
+      maxAge: CART_COOKIE_MAX_AGE
+    });
+  }
+
+  static clearGuestCookie(res) {
+    res.clearCookie(CART_COOKIE, this.cookieOptions());
+  }
+
+  // The user's cart id, created on first use
+  static async getUserCartId(client, userId) {
+    const result = await client.query(`
+      INSERT INTO carts (id, "userId") VALUES ($1, $2)
+      ON CONFLICT ("userId") DO UPDATE SET "updatedAt" = NOW()
+      RETURNING id
+    `, [generateId('cart'), userId]);
+
+    return result.rows[0].id;
+  }
+
+  // Cart of the request: the user's cart when authenticated (see `authenticate`
+  // in server.js), the guest cart from the cookie otherwise. With `create`, a
+  // guest cart is started (and its cookie set) when there is none yet.
+  static async resolveCartId(req, res, { create = false } = {}) {
+    if (req.userId) {
+      return this.getUserCartId({ query }, req.userId);
+    }
+
+    const guestCartId = this.getGuestCartId(req);
+    if (guestCartId) {
+      const result = await query('SELECT id FROM carts WHERE id = $1 AND "userId" IS NULL', [guestCartId]);
+      if (result.rows.length > 0) {
+        return guestCartId;
+      }
+    }
+
+    if (!create) {
+      return null;
+    }
+
+    const cartId = generateId('cart');
+    await query('INSERT INTO carts (id) VALUES ($1)', [cartId]);
+    this.setGuestCookie(res, cartId);
+    return cartId;
+  }
+
+  // Cart with every item checked against the artwork's current status and
+  // price, and its coupon against the available items.
+  // `client` runs the queries inside a caller's transaction (checkout).
+  static async getCart(cartId, client = { query }) {
+    if (!cartId) {
+      return { id: null, items: [], coupon: null, summary: { ...EMPTY_SUMMARY } };
+    }
+
+    const cart = await client.query('SELECT "userId", "couponId" FROM carts WHERE id = $1', [cartId]);
+    const { userId = null, couponId = null } = cart.rows[0] || {};
+
+    const result = await client.query(`
+      SELECT ci.id, ci."artworkId", ci.quantity, ci."unitPrice", ci."createdAt" AS "addedAt",
+        a.name, a.price AS "listPrice", ${CART_PRICE_SQL} AS price, a."originalPrice",
+        a."categoryId", a.status, a."isActive", sale.name AS "saleName", offer.price AS "offerPrice",
+        (
+          SELECT i.url FROM artwork_images i
+          WHERE i."artworkId" = a.id
+          ORDER BY i."isPrimary" DESC, i."createdAt" ASC
+          LIMIT 1
+        ) AS "imageUrl"
+      FROM cart_items ci
+      JOIN artworks a ON a.id = ci."artworkId"
+      ${ARTWORK_SALE_JOIN}
+      ${offerPriceJoin('$2')}
+      WHERE ci."cartId" = $1
+      ORDER BY ci."createdAt" ASC, ci.id ASC
+    `, [cartId, userId]);
+
+    const summary = { ...EMPTY_SUMMARY };
+    const repriced = [];
+
+    const items = result.rows.map(row => {
+      const price = Number(row.price);
+      const available = row.isActive && row.status === 'AVAILABLE';
+      const issues = [];
+
+      if (!available) {
+        issues.push(CART_ITEM_ISSUES.UNAVAILABLE);
+      }
+
+      if (Number(row.unitPrice) !== price) {
+        issues.push(CART_ITEM_ISSUES.PRICE_CHANGED);
+        repriced.push(row.id);
+      }
+
+      if (available) {
+        summary.itemCount += row.quantity;
+        summary.subtotal += price * row.quantity;
+      } else {
+        summary.unavailableCount += 1;
+      }
+
+      return {
+        id: row.id,
+        artworkId: row.artworkId,
+        name: row.name,
+        imageUrl: row.imageUrl,
+        categoryId: row.categoryId,
+        quantity: row.quantity,
+        price,
+        // On sale or at an offer price, the struck-through price is the regular one
+        originalPrice: row.saleName || row.offerPrice !== null
+          ? Math.max(Number(row.listPrice), Number(row.originalPrice) || 0)
+          : (row.originalPrice === null ? null : Number(row.originalPrice)),
+        saleName: row.saleName,
+        offerPrice: row.offerPrice,
+        previousPrice: issues.includes(CART_ITEM_ISSUES.PRICE_CHANGED) ? Number(row.unitPrice) : undefined,
+        status: row.isActive ? row.status : 'UNAVAILABLE',
+        available,
+        lineTotal: available ? price * row.quantity : 0,
+        issues,
+        addedAt: row.addedAt
+      };
+    });
+
+    // Price changes are reported once: the new price becomes the reference
+    if (repriced.length > 0) {
+      await client.query(`
+        UPDATE cart_items ci SET "unitPrice" = ${CART_PRICE_SQL}, "updatedAt" = NOW()
+        FROM artworks a
+        ${ARTWORK_SALE_JOIN}
+        ${offerPriceJoin('$2')}
+        WHERE a.id = ci."artworkId" AND ci.id = ANY($1::text[])
+      `, [repriced, userId]);
+    }
+
+    summary.subtotal = Math.round(summary.subtotal * 100) / 100;
+
+    const coupon = couponId
+      ? await CouponService.describeForCart(couponId, items.filter(item => item.available), userId, client)
+      : null;
+    summary.discountAmount = coupon?.discountAmount || 0;
+    summary.total = Math.round((summary.subtotal - summary.discountAmount) * 100) / 100;
+
+    return { id: cartId, items, coupon, summary };
+  }
+
+  // Artworks can only be added while they are for sale; the price is the one
+  // the owner of `cartId` pays
+  static async assertAvailable(client, artworkId, cartId = null) {
+    const result = await client.query(`
+      SELECT a.id, ${CART_PRICE_SQL} AS price, a.status
+      FROM artworks a
+      ${ARTWORK_SALE_JOIN}
+      ${offerPriceJoin('(SELECT "userId" FROM carts WHERE id = $2)')}
+      WHERE a.id = $1 AND a."isActive" = true
+    `, [artworkId, cartId]);
+
+    if (result.rows.length === 0) {
+      throw createCartError('Artwork not found', 404);
+    }
+
+    if (result.rows[0].status !== 'AVAILABLE') {
+      throw createCartError('Artwork is not available for purchase', 409);
+    }
+
+    return result.rows[0];
+  }
+
+  // Adds an artwork (or more of it, up to the maximum quantity)
+  static async addItem(cartId, artworkId, quantity = 1) {
+    const maxQuantity = getMaxQuantity();
+    if (quantity > maxQuantity) {
+      throw createCartError(`Quantity cannot exceed ${maxQuantity}`, 400);
+    }
+
+    const artwork = await this.assertAvailable({ query }, artworkId, cartId);
+
+    await query(`
+      INSERT INTO cart_items (id, "cartId", "artworkId", quantity, "unitPrice")
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT ("cartId", "artworkId") DO UPDATE SET
+        quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, $6),
+        "unitPrice" = EXCLUDED."unitPrice",
+        "updatedAt" = NOW()
+    `, [generateId('cartitem'), cartId, artworkId, quantity, artwork.price, maxQuantity]);
+
+    await this.touch(cartId);
+  }
+
+  static async updateItem(cartId, artworkId, quantity) {
+    const maxQuantity = getMaxQuantity();
+    if (quantity > maxQuantity) {
+      throw createCartError(`Quantity cannot exceed ${maxQuantity}`, 400);
+    }
+
+    const result = await query(`
+      UPDATE cart_items SET quantity = $3, "updatedAt" = NOW()
+      WHERE "cartId" = $1 AND "artworkId" = $2
+      RETURNING id
+    `, [cartId, artworkId, quantity]);
+
+    if (result.rows.length === 0) {
+      throw createCartError('Item not found in cart', 404);
+    }
+
+    await this.touch(cartId);
+  }
+
+  static async removeItem(cartId, artworkId) {
+    const result = await query(
+      'DELETE FROM cart_items WHERE "cartId" = $1 AND "artworkId" = $2 RETURNING id',
+      [cartId, artworkId]
+    );
+
+    if (result.rows.length === 0) {
+      throw createCartError('Item not found in cart', 404);
+    }
+
+    await this.touch(cartId);
+  }
+
+  static async clear(cartId) {
+    await query('DELETE FROM cart_items WHERE "cartId" = $1', [cartId]);
+    await this.touch(cartId);
+  }
+
+  static async touch(cartId) {
+    await query('UPDATE carts SET "updatedAt" = NOW() WHERE id = $1', [cartId]);
+  }
+
+  // Moves the items of the request's guest cart into the user's cart, then
+  // deletes the guest cart and its cookie. Artworks in both carts keep the
+  // larger quantity (adding them twice would usually be a mistake); the guest
+  // coupon is kept unless the user's cart already has one.
+  static async mergeGuestCart(req, res, userId) {
+    const guestCartId = this.getGuestCartId(req);
+    if (!guestCartId) {
+      return { merged: 0 };
+    }
+
+    const merged = await transaction(async (client) => {
+      const guest = await client.query(
+        'SELECT id, "couponId" FROM carts WHERE id = $1 AND "userId" IS NULL FOR UPDATE',
+        [guestCartId]
+      );
+
+      if (guest.rows.length === 0) {
+        return 0;
+      }
+
+      const userCartId = await this.getUserCartId(client, userId);
+      const items = await client.query(
+        'SELECT "artworkId", quantity, "unitPrice", "createdAt" FROM cart_items WHERE "cartId" = $1',
+        [guestCartId]
+      );
+
+      for (const item of items.rows) {
+        await client.query(`
+          INSERT INTO cart_items (id, "cartId", "artworkId", quantity, "unitPrice", "createdAt")
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT ("cartId", "artworkId") DO UPDATE SET
+            quantity = GREATEST(cart_items.quantity, EXCLUDED.quantity),
+            "updatedAt" = NOW()
+        `, [generateId('cartitem'), userCartId, item.artworkId, item.quantity, item.unitPrice, item.createdAt]);
+      }
+
+      if (guest.rows[0].couponId) {
+        await client.query(
+          'UPDATE carts SET "couponId" = COALESCE("couponId", $2) WHERE id = $1',
+          [userCartId, guest.rows[0].couponId]
+        );
+      }
+
+      await client.query('DELETE FROM carts WHERE id = $1', [guestCartId]);
+      return items.rows.length;
+    });
+
+    this.clearGuestCookie(res);
+    return { merged };
+  }
+}
+
+export default CartService;
@@ -0,0 +1,115 @@
+/**
+ * 🔖 ELOUARATE ART - Category Sale Service
+ * Automatic sales on every artwork of a category
+ *
+ * While a sale runs (active, between startsAt and endsAt) the artworks of its
+ * category show a computed `salePrice`, and carts and checkout charge it.
+ * The artwork's own `price` is never touched, so the sale ends by itself.
+ * When several sales overlap, the lowest price wins. Prices are computed by
+ * artwork_active_sale() in migrations/011_promotions.sql.
+ */
+
+import { query, generateId } from '../lib/database.js';
+import { CATEGORY_SALE_FIELDS } from '../middleware/security.js';
+
+const createSaleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Running sale of artwork `a` as "salePrice", "saleName", "saleEndsAt"
+export const ARTWORK_SALE_JOIN = 'LEFT JOIN LATERAL artwork_active_sale(a.price, a."categoryId") sale ON true';
+export const ARTWORK_SALE_COLUMNS = 'sale."salePrice", sale.name AS "saleName", sale."endsAt" AS "saleEndsAt"';
+
+// What the customer pays for artwork `a` right now (needs ARTWORK_SALE_JOIN)
+export const ARTWORK_CURRENT_PRICE_SQL = 'COALESCE(sale."salePrice", a.price)';
+
+const SALE_COLUMNS = `
+  s.id, s.name, s."categoryId", c.name AS "categoryName", s."discountType", s.value,
+  s."startsAt", s."endsAt", s."isActive", s."createdAt", s."updatedAt",
+  (s."isActive" AND s."startsAt" <= NOW() AND (s."endsAt" IS NULL OR s."endsAt" > NOW())) AS running
+`;
+
+// NUMERIC columns arrive as strings from pg
+const formatSale = (row) => ({ ...row, value: Number(row.value) });
+
+const toSaleWriteError = (error) => {
+  if (error.code === '23503') {
+    return createSaleError('Category not found', 400);
+  }
+  if (error.constraint === 'category_sales_percentage_check') {
+    return createSaleError('A percentage discount cannot exceed 100', 400);
+  }
+  if (error.constraint === 'category_sales_window_check') {
+    return createSaleError('End date must be after the start date', 400);
+  }
+  return error;
+};
+
+class CategorySaleService {
+
+  static async list() {
+    const result = await query(`
+      SELECT ${SALE_COLUMNS}
+      FROM category_sales s
+      JOIN categories c ON c.id = s."categoryId"
+      ORDER BY s."startsAt" DESC, s.id DESC
+    `);
+    return result.rows.map(formatSale);
+  }
+
+  static async getById(id) {
+    const result = await query(`
+      SELECT ${SALE_COLUMNS}
+      FROM category_sales s
+      JOIN categories c ON c.id = s."categoryId"
+      WHERE s.id = $1
+    `, [id]);
+    return result.rows[0] ? formatSale(result.rows[0]) : null;
+  }
+
+  static async create(data) {
+    const fields = CATEGORY_SALE_FIELDS.filter(field => data[field] !== undefined);
+    const params = [generateId('sale'), ...fields.map(field => data[field])];
+    const columns = fields.map(field => `"${field}"`).join(', ');
+    const values = fields.map((field, index) => `$${index + 2}`).join(', ');
+
+    try {
+      const result = await query(
+        `INSERT INTO category_sales (id, ${columns}) VALUES ($1, ${values}) RETURNING id`,
+        params
+      );
+      return this.getById(result.rows[0].id);
+    } catch (error) {
+      throw toSaleWriteError(error);
+    }
+  }
+
+  // Partial update; null when the sale does not exist
+  static async update(id, data) {
+    // Column names come from the whitelist, values are always parameterized
+    const fields = CATEGORY_SALE_FIELDS.filter(field => data[field] !== undefined);
+    const params = fields.map(field => data[field]);
+    const setClause = fields.map((field, index) => `"${field}" = $${index + 1}`).join(', ');
+
+    params.push(id);
+    try {
+      const result = await query(
+        `UPDATE category_sales SET ${setClause}, "updatedAt" = NOW() WHERE id = $${params.length} RETURNING id`,
+        params
+      );
+      return result.rows[0] ? this.getById(id) : null;
+    } catch (error) {
+      throw toSaleWriteError(error);
+    }
+  }
+
+  // Nothing refers to a sale (orders keep the price they were charged)
+  static async remove(id) {
+    const result = await query('DELETE FROM category_sales WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+}
+
+export default CategorySaleService;
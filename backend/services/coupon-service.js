@@ -0,0 +1,261 @@
+/**
+ * 🏷️ ELOUARATE ART - Coupon Service
+ * Admin-managed discount codes applied to carts and redeemed at checkout
+ *
+ * A coupon takes a percentage or a fixed amount off the cart items it applies
+ * to (all of them, or only those in `categoryIds` / `artworkIds`). It can
+ * require a minimum order, run within a validity window and be limited in
+ * total uses and uses per customer.
+ *
+ * The cart keeps the code the customer entered and re-checks it on every
+ * read. Checkout locks the coupon row, checks it once more and records the
+ * redemption in the same transaction as the order, so limits hold under
+ * concurrent checkouts. Cancelling the order gives the use back.
+ */
+
+import { query, generateId, lockRows } from '../lib/database.js';
+import { COUPON_FIELDS } from '../middleware/security.js';
+
+const COUPON_AMOUNT_FIELDS = ['value', 'minOrderAmount'];
+
+const createCouponError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// NUMERIC columns arrive as strings from pg
+const formatCoupon = (row) => ({
+  ...row,
+  ...Object.fromEntries(COUPON_AMOUNT_FIELDS.map(field => [field, row[field] === null ? null : Number(row[field])]))
+});
+
+// Postgres constraint errors of admin writes → 400/409
+const toCouponWriteError = (error) => {
+  if (error.code === '23505') {
+    return createCouponError('A coupon with this code already exists', 409);
+  }
+  if (error.constraint === 'coupons_percentage_check') {
+    return createCouponError('A percentage discount cannot exceed 100', 400);
+  }
+  if (error.constraint === 'coupons_window_check') {
+    return createCouponError('End date must be after the start date', 400);
+  }
+  return error;
+};
+
+class CouponService {
+
+  static async list() {
+    const result = await query('SELECT * FROM coupons ORDER BY "createdAt" DESC, id DESC');
+    return result.rows.map(formatCoupon);
+  }
+
+  static async getById(id) {
+    const result = await query('SELECT * FROM coupons WHERE id = $1', [id]);
+    return result.rows[0] ? formatCoupon(result.rows[0]) : null;
+  }
+
+  static async create(data) {
+    await this.assertTargetsExist(data);
+
+    const fields = COUPON_FIELDS.filter(field => data[field] !== undefined);
+    const params = [generateId('coupon'), ...fields.map(field => data[field])];
+    const columns = fields.map(field => `"${field}"`).join(', ');
+    const values = fields.map((field, index) => `$${index + 2}`).join(', ');
+
+    try {
+      const result = await query(
+        `INSERT INTO coupons (id, ${columns}) VALUES ($1, ${values}) RETURNING *`,
+        params
+      );
+      return formatCoupon(result.rows[0]);
+    } catch (error) {
+      throw toCouponWriteError(error);
+    }
+  }
+
+  // Partial update; null when the coupon does not exist
+  static async update(id, data) {
+    await this.assertTargetsExist(data);
+
+    // Column names come from the whitelist, values are always parameterized
+    const fields = COUPON_FIELDS.filter(field => data[field] !== undefined);
+    const params = fields.map(field => data[field]);
+    const setClause = fields.map((field, index) => `"${field}" = $${index + 1}`).join(', ');
+
+    params.push(id);
+    try {
+      const result = await query(
+        `UPDATE coupons SET ${setClause}, "updatedAt" = NOW() WHERE id = $${params.length} RETURNING *`,
+        params
+      );
+      return result.rows[0] ? formatCoupon(result.rows[0]) : null;
+    } catch (error) {
+      throw toCouponWriteError(error);
+    }
+  }
+
+  // Coupons are deactivated rather than deleted: redemptions point at them
+  static async deactivate(id) {
+    return this.update(id, { isActive: false });
+  }
+
+  static async assertTargetsExist({ categoryIds, artworkIds }) {
+    for (const [table, ids, label] of [['categories', categoryIds, 'Category'], ['artworks', artworkIds, 'Artwork']]) {
+      if (!ids?.length) continue;
+
+      const found = await query(`SELECT id FROM ${table} WHERE id = ANY($1::text[])`, [ids]);
+      const known = new Set(found.rows.map(row => row.id));
+      const missing = ids.filter(id => !known.has(id));
+      if (missing.length > 0) {
+        throw createCouponError(`${label} not found: ${missing.join(', ')}`, 400);
+      }
+    }
+  }
+
+  // Checks `coupon` against the available cart `items` ({ artworkId,
+  // categoryId, lineTotal }) of `userId` (null for guests, whose per-customer
+  // limit is checked at checkout). Returns { discountAmount, eligibleSubtotal }
+  // or { error } with the reason it cannot be used.
+  static async evaluate(coupon, items, userId = null, client = { query }) {
+    const now = new Date();
+
+    if (!coupon || !coupon.isActive) {
+      return { error: 'This coupon is no longer available' };
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+      return { error: 'This coupon is not valid yet' };
+    }
+    if (coupon.endsAt && new Date(coupon.endsAt) <= now) {
+      return { error: 'This coupon has expired' };
+    }
+    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+      return { error: 'This coupon has reached its usage limit' };
+    }
+
+    if (userId && coupon.maxUsesPerUser !== null) {
+      const used = await client.query(
+        'SELECT COUNT(*)::int AS total FROM coupon_redemptions WHERE "couponId" = $1 AND "userId" = $2',
+        [coupon.id, userId]
+      );
+      if (used.rows[0].total >= coupon.maxUsesPerUser) {
+        return { error: 'You have already used this coupon' };
+      }
+    }
+
+    const subtotal = roundAmount(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const minOrderAmount = coupon.minOrderAmount === null ? null : Number(coupon.minOrderAmount);
+    if (minOrderAmount !== null && subtotal < minOrderAmount) {
+      return { error: `This coupon requires an order of at least ${minOrderAmount}` };
+    }
+
+    const restricted = coupon.categoryIds.length > 0 || coupon.artworkIds.length > 0;
+    const eligible = restricted
+      ? items.filter(item => coupon.artworkIds.includes(item.artworkId) || coupon.categoryIds.includes(item.categoryId))
+      : items;
+    const eligibleSubtotal = roundAmount(eligible.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    if (eligibleSubtotal <= 0) {
+      return { error: 'This coupon does not apply to the artworks in your cart' };
+    }
+
+    const value = Number(coupon.value);
+    const discountAmount = coupon.discountType === 'PERCENTAGE'
+      ? roundAmount(eligibleSubtotal * value / 100)
+      : Math.min(value, eligibleSubtotal);
+
+    return { discountAmount, eligibleSubtotal };
+  }
+
+  // Coupon shown with the cart: { code, description, discountType, value,
+  // discountAmount, error? }; a coupon that stopped applying stays attached
+  // with its reason and no discount, so the customer can fix the cart
+  static async describeForCart(couponId, items, userId, client = { query }) {
+    const result = await client.query('SELECT * FROM coupons WHERE id = $1', [couponId]);
+    const coupon = result.rows[0];
+    if (!coupon) {
+      return null;
+    }
+
+    const outcome = await this.evaluate(coupon, items, userId, client);
+    return {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      value: Number(coupon.value),
+      discountAmount: outcome.discountAmount || 0,
+      ...(outcome.error ? { error: outcome.error } : {})
+    };
+  }
+
+  // Attaches the coupon with `code` to the cart when it applies to the cart
+  // right now; 404 for unknown codes, 400 with the reason otherwise
+  static async applyToCart(cart, code, userId = null) {
+    if (!cart.id || cart.items.every(item => !item.available)) {
+      throw createCouponError('Your cart is empty', 400);
+    }
+
+    const result = await query('SELECT * FROM coupons WHERE code = $1 AND "isActive" = true', [code]);
+    if (result.rows.length === 0) {
+      throw createCouponError('Coupon not found', 404);
+    }
+
+    const coupon = result.rows[0];
+    const outcome = await this.evaluate(coupon, cart.items.filter(item => item.available), userId);
+    if (outcome.error) {
+      throw createCouponError(outcome.error, 400);
+    }
+
+    await query('UPDATE carts SET "couponId" = $2, "updatedAt" = NOW() WHERE id = $1', [cart.id, coupon.id]);
+  }
+
+  static async removeFromCart(cartId) {
+    await query('UPDATE carts SET "couponId" = NULL, "updatedAt" = NOW() WHERE id = $1', [cartId]);
+  }
+
+  // Checkout: locks the coupon (concurrent checkouts with it wait here) and
+  // checks it against the order's items; 409 when it no longer applies.
+  // Returns { coupon, discountAmount } for recordRedemption.
+  static async lockForCheckout(client, couponId, items, userId) {
+    const [coupon] = await lockRows(client, 'coupons', [couponId], { columns: '*' });
+    const outcome = await this.evaluate(coupon, items, userId, client);
+
+    if (outcome.error) {
+      throw createCouponError(`Coupon ${coupon.code} cannot be used: ${outcome.error}`, 409);
+    }
+
+    return { coupon, discountAmount: outcome.discountAmount };
+  }
+
+  static async recordRedemption(client, { coupon, discountAmount }, orderId, userId) {
+    await client.query(`
+      INSERT INTO coupon_redemptions (id, "couponId", "orderId", "userId", amount)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [generateId('redemption'), coupon.id, orderId, userId, discountAmount]);
+
+    await client.query(
+      'UPDATE coupons SET "usedCount" = "usedCount" + 1, "updatedAt" = NOW() WHERE id = $1',
+      [coupon.id]
+    );
+  }
+
+  // A cancelled order gives its coupon use back
+  static async releaseRedemption(client, orderId) {
+    const released = await client.query(
+      'DELETE FROM coupon_redemptions WHERE "orderId" = $1 RETURNING "couponId"',
+      [orderId]
+    );
+
+    for (const { couponId } of released.rows) {
+      await client.query(
+        'UPDATE coupons SET "usedCount" = GREATEST("usedCount" - 1, 0), "updatedAt" = NOW() WHERE id = $1',
+        [couponId]
+      );
+    }
+  }
+}
+
+export default CouponService;
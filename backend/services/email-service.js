@@ -1,10 +1,20 @@
 import crypto from 'crypto';
 
-// Email service for sending password reset emails
+// Customer-provided text (names, addresses) must not become markup
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+// Email service for sending password reset and order emails
 class EmailService {
   constructor() {
     this.from = process.env.SMTP_FROM || 'noreply@elouarate.com';
-    this.adminEmail = 'marouan.mounib33@gmail.com';
+    this.adminEmail = process.env.ADMIN_NOTIFICATION_EMAIL || 'marouan.mounib33@gmail.com';
     
     // Email templates
     this.templates = {
@@ -158,64 +168,1003 @@ class EmailService {
           </body>
           </html>
         `
-      }
-    };
-  }
+      },
 
-  // Simulate email sending (in production, integrate with actual email service)
-  async sendEmail(to, subject, html) {
-    console.log('📧 Simulating email send:');
-    console.log(`To: ${to}`);
-    console.log(`Subject: ${subject}`);
-    console.log(`HTML: ${html.substring(0, 200)}...`);
-    
-    // In production, you would use nodemailer or another email service
-    // For now, we'll just log the email content
-    
-    // Simulate sending to your email for testing
-    if (to === this.adminEmail) {
-      console.log('✅ Email would be sent to admin email');
-    }
-    
-    return {
-      success: true,
-      messageId: `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      to,
-      subject
-    };
-  }
+      userPasswordReset: {
+        subject: 'ELOUARATE ART - Reset your password',
+        html: (resetLink, firstName, expiresInMinutes) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Reset Your Password - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .warning { background-color: #fed7d7; border: 1px solid #feb2b2; border-radius: 8px; padding: 15px; margin: 20px 0; color: #742a2a; }
+              .expiry { color: #e53e3e; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">Reset your password</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(firstName)}</strong>,<br><br>
+                  
+                  We received a request to reset the password of your ELOUARATE ART account. Click the button below to choose a new one:
+                </div>
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${resetLink}" class="button">Choose a new password</a>
+                </div>
+                
+                <div class="warning">
+                  This link can be used once and expires in <span class="expiry">${expiresInMinutes} minutes</span>.
+                </div>
+                
+                <div class="message">
+                  If you didn't ask to reset your password, you can ignore this email: your password will remain unchanged.
+                  <br><br>
+                  If you're having trouble clicking the button, copy and paste this link into your browser:<br>
+                  <code style="background-color: #f7fafc; padding: 5px; border-radius: 3px; word-break: break-all;">${resetLink}</code>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
 
-  // Send password reset email
-  async sendPasswordResetEmail(adminData, resetToken) {
-    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/reset-password?token=${resetToken}`;
-    
-    const html = this.templates.passwordReset.html(resetLink, adminData.username);
-    
-    return await this.sendEmail(
-      adminData.email,
-      this.templates.passwordReset.subject,
-      html
-    );
-  }
+      userPasswordResetSuccess: {
+        subject: 'ELOUARATE ART - Your password was changed',
+        html: (firstName, resetTime) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Password Changed - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .warning { background-color: #fed7d7; border: 1px solid #feb2b2; border-radius: 8px; padding: 15px; margin: 20px 0; color: #742a2a; }
+              .expiry { color: #e53e3e; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">Your password was changed</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(firstName)}</strong>,<br><br>
+                  
+                  The password of your ELOUARATE ART account was reset on <strong>${resetTime}</strong>. For your security, you have been signed out of every device; sign in again with your new password.
+                </div>
+                
+                <div class="warning">
+                  If you did not reset your password, please contact us immediately.
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
 
-  // Send password reset success email
-  async sendPasswordResetSuccessEmail(adminData) {
-    const resetTime = new Date().toLocaleString('en-US', {
-      timeZone: 'Africa/Casablanca',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      timeZoneName: 'short'
-    });
-    
-    const html = this.templates.passwordResetSuccess.html(adminData.username, resetTime);
-    
-    return await this.sendEmail(
-      adminData.email,
-      this.templates.passwordResetSuccess.subject,
-      html
+      orderPaid: {
+        subject: (orderNumber) => `ELOUARATE ART - Payment received for order ${orderNumber}`,
+        html: (customerName, orderNumber, invoiceNumber, lines, total, currency) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Payment Received - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .items { width: 100%; border-collapse: collapse; margin: 20px 0; }
+              .items td { padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #2d3748; font-size: 15px; }
+              .items .amount { text-align: right; white-space: nowrap; }
+              .total td { font-weight: bold; border-bottom: none; color: #667eea; font-size: 17px; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">Thank you for your purchase</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(customerName)}</strong>,<br><br>
+                  
+                  We received your payment for order <strong>${escapeHtml(orderNumber)}</strong>. Your artwork is now being prepared for shipping; we will let you know when it is on its way.
+                </div>
+                
+                <table class="items">
+                  ${lines.map(line => `
+                  <tr>
+                    <td>${escapeHtml(line.name)}${line.quantity > 1 ? ` × ${line.quantity}` : ''}</td>
+                    <td class="amount">${formatMoney(line.lineTotal, currency)}</td>
+                  </tr>`).join('')}
+                  <tr class="total">
+                    <td>Total paid</td>
+                    <td class="amount">${formatMoney(total, currency)}</td>
+                  </tr>
+                </table>
+                
+                <div class="message">
+                  Your invoice <strong>${escapeHtml(invoiceNumber)}</strong> is attached to this email.
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      offerUpdate: {
+        subject: (artworkName) => `ELOUARATE ART - Update on your offer for ${artworkName}`,
+        html: (customerName, title, text, note, link) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Your Offer - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .note { background-color: #f7fafc; border-left: 4px solid #667eea; padding: 15px 20px; margin: 20px 0; color: #4a5568; font-style: italic; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">${escapeHtml(title)}</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(customerName)}</strong>,<br><br>
+                  
+                  ${text}
+                </div>
+                
+                ${note ? `<div class="note">${escapeHtml(note)}</div>` : ''}
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${link}" class="button">View your offer</a>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      offerActivity: {
+        subject: (title, artworkName) => `ELOUARATE ART - ${title}: ${artworkName}`,
+        html: (title, text, note, link) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Offer Activity - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .note { background-color: #f7fafc; border-left: 4px solid #667eea; padding: 15px 20px; margin: 20px 0; color: #4a5568; font-style: italic; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Admin Notification</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">${escapeHtml(title)}</h1>
+                
+                <div class="message">${text}</div>
+                
+                ${note ? `<div class="note">${escapeHtml(note)}</div>` : ''}
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${link}" class="button">Review the offer</a>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      auctionResult: {
+        subject: (title, artworkName) => `ELOUARATE ART - ${title}: ${artworkName}`,
+        html: (customerName, title, text, link, buttonLabel) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Auction Result - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">${escapeHtml(title)}</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(customerName)}</strong>,<br><br>
+                  
+                  ${text}
+                </div>
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${link}" class="button">${escapeHtml(buttonLabel)}</a>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      auctionClosed: {
+        subject: (title, artworkName) => `ELOUARATE ART - ${title}: ${artworkName}`,
+        html: (title, text, link) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Auction Closed - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Admin Notification</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">${escapeHtml(title)}</h1>
+                
+                <div class="message">${text}</div>
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${link}" class="button">Review the auction</a>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      inquiryReply: {
+        subject: (artworkName) => `ELOUARATE ART - Reply to your question about ${artworkName}`,
+        html: (customerName, artworkName, reply, link) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Inquiry Reply - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .note { background-color: #f7fafc; border-left: 4px solid #667eea; padding: 15px 20px; margin: 20px 0; color: #4a5568; white-space: pre-line; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">The gallery replied</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(customerName)}</strong>,<br><br>
+                  
+                  Here is our reply to your question about <strong>${escapeHtml(artworkName)}</strong>:
+                </div>
+                
+                <div class="note">${escapeHtml(reply)}</div>
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${link}" class="button">View the conversation</a>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+
+      inquiryActivity: {
+        subject: (title, artworkName) => `ELOUARATE ART - ${title}: ${artworkName}`,
+        html: (title, text, body, link) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Inquiry Activity - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .note { background-color: #f7fafc; border-left: 4px solid #667eea; padding: 15px 20px; margin: 20px 0; color: #4a5568; white-space: pre-line; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Admin Notification</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">${escapeHtml(title)}</h1>
+                
+                <div class="message">${text}</div>
+                
+                ${body ? `<div class="note">${escapeHtml(body)}</div>` : ''}
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${link}" class="button">Open the inquiry</a>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+      emailVerification: {
+        subject: 'ELOUARATE ART - Please verify your email address',
+        html: (verifyLink, firstName, expiresInHours) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Verify Your Email - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .expiry { color: #e53e3e; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">Welcome to ELOUARATE ART</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(firstName)}</strong>,<br><br>
+                  
+                  Thank you for creating an account. Please confirm that this is your email address:
+                </div>
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${verifyLink}" class="button">Verify my email</a>
+                </div>
+                
+                <div class="message">
+                  This link expires in <span class="expiry">${expiresInHours} hours</span>. If you did not create an account, you can ignore this email.
+                  <br><br>
+                  If you're having trouble clicking the button, copy and paste this link into your browser:<br>
+                  <code style="background-color: #f7fafc; padding: 5px; border-radius: 3px; word-break: break-all;">${verifyLink}</code>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      },
+      magicLink: {
+        subject: 'ELOUARATE ART - Your sign-in link',
+        html: (signInLink, firstName, expiresInMinutes) => `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Sign In - ELOUARATE ART</title>
+            <style>
+              body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f7fafc; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; }
+              .logo { color: white; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+              .subtitle { color: rgba(255,255,255,0.9); font-size: 16px; }
+              .content { padding: 40px 30px; }
+              .title { color: #2d3748; font-size: 24px; font-weight: bold; margin-bottom: 20px; }
+              .message { color: #4a5568; font-size: 16px; line-height: 1.6; margin-bottom: 30px; }
+              .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 15px 30px; border-radius: 8px; font-weight: bold; }
+              .expiry { color: #e53e3e; font-weight: bold; }
+              .footer { background-color: #f7fafc; padding: 30px; text-align: center; color: #718096; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <div class="logo">🎨 ELOUARATE ART</div>
+                <div class="subtitle">Premium Moroccan Art Gallery</div>
+              </div>
+              
+              <div class="content">
+                <h1 class="title">Sign in to ELOUARATE ART</h1>
+                
+                <div class="message">
+                  Hello <strong>${escapeHtml(firstName)}</strong>,<br><br>
+                  
+                  Use the button below to sign in to your account, no password needed:
+                </div>
+                
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${signInLink}" class="button">Sign in</a>
+                </div>
+                
+                <div class="message">
+                  This link works once and expires in <span class="expiry">${expiresInMinutes} minutes</span>. If you did not ask to sign in, you can ignore this email; nobody can sign in without it.
+                  <br><br>
+                  If you're having trouble clicking the button, copy and paste this link into your browser:<br>
+                  <code style="background-color: #f7fafc; padding: 5px; border-radius: 3px; word-break: break-all;">${signInLink}</code>
+                </div>
+              </div>
+              
+              <div class="footer">
+                <p><strong>ELOUARATE ART</strong><br>
+                Premium Moroccan Art Gallery<br>
+                This is an automated message, please do not reply to this email.</p>
+                
+                <p style="margin-top: 20px; font-size: 12px; color: #a0aec0;">
+                  © 2024 ELOUARATE ART. All rights reserved.
+                </p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      }
+    };
+  }
+
+  // Simulate email sending (in production, integrate with actual email service)
+  // attachments: [{ filename, content (Buffer), contentType }] (nodemailer format)
+  async sendEmail(to, subject, html, { attachments = [] } = {}) {
+    console.log('📧 Simulating email send:');
+    console.log(`To: ${to}`);
+    console.log(`Subject: ${subject}`);
+    console.log(`HTML: ${html.substring(0, 200)}...`);
+    attachments.forEach(attachment => {
+      console.log(`Attachment: ${attachment.filename} (${attachment.contentType}, ${attachment.content.length} bytes)`);
+    });
+    
+    // In production, you would use nodemailer or another email service
+    // For now, we'll just log the email content
+    
+    // Simulate sending to your email for testing
+    if (to === this.adminEmail) {
+      console.log('✅ Email would be sent to admin email');
+    }
+    
+    return {
+      success: true,
+      messageId: `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      to,
+      subject,
+      attachments: attachments.map(attachment => attachment.filename)
+    };
+  }
+
+  // Send password reset email
+  async sendPasswordResetEmail(adminData, resetToken) {
+    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/reset-password?token=${resetToken}`;
+    
+    const html = this.templates.passwordReset.html(resetLink, adminData.username);
+    
+    return await this.sendEmail(
+      adminData.email,
+      this.templates.passwordReset.subject,
+      html
+    );
+  }
+
+  // Send password reset success email
+  async sendPasswordResetSuccessEmail(adminData) {
+    const resetTime = new Date().toLocaleString('en-US', {
+      timeZone: 'Africa/Casablanca',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+    
+    const html = this.templates.passwordResetSuccess.html(adminData.username, resetTime);
+    
+    return await this.sendEmail(
+      adminData.email,
+      this.templates.passwordResetSuccess.subject,
+      html
+    );
+  }
+
+  // Send a customer their password reset link (see AuthenticationService.initiatePasswordReset)
+  async sendUserPasswordResetEmail(user, resetToken, expiresInMinutes) {
+    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/reset-password?token=${resetToken}`;
+
+    return await this.sendEmail(
+      user.email,
+      this.templates.userPasswordReset.subject,
+      this.templates.userPasswordReset.html(resetLink, user.firstName || user.email, expiresInMinutes)
+    );
+  }
+
+  // Tell a customer their password was reset
+  async sendUserPasswordResetSuccessEmail(user) {
+    const resetTime = new Date().toLocaleString('en-US', {
+      timeZone: 'Africa/Casablanca',
+      dateStyle: 'long',
+      timeStyle: 'short'
+    });
+
+    return await this.sendEmail(
+      user.email,
+      this.templates.userPasswordResetSuccess.subject,
+      this.templates.userPasswordResetSuccess.html(user.firstName || user.email, resetTime)
+    );
+  }
+
+  // Send the email verification link to a new customer (see
+  // AuthenticationService.sendVerificationEmail)
+  async sendEmailVerificationEmail(user, token, expiresInHours) {
+    const verifyLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/verify-email?token=${token}`;
+
+    return await this.sendEmail(
+      user.email,
+      this.templates.emailVerification.subject,
+      this.templates.emailVerification.html(verifyLink, user.firstName || user.email, expiresInHours)
+    );
+  }
+
+  // Send a passwordless sign-in link (see AuthenticationService.requestMagicLink)
+  async sendMagicLinkEmail(user, token, expiresInMinutes) {
+    const signInLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/magic-link?token=${token}`;
+
+    return await this.sendEmail(
+      user.email,
+      this.templates.magicLink.subject,
+      this.templates.magicLink.html(signInLink, user.firstName || user.email, expiresInMinutes)
+    );
+  }
+
+  // Send the order-paid email with the invoice PDF attached
+  async sendOrderPaidEmail(invoice, invoicePdf) {
+    const { customer, order, lines, totals } = invoice.data;
+
+    const html = this.templates.orderPaid.html(
+      customer.name || customer.email,
+      order.orderNumber,
+      invoice.invoiceNumber,
+      lines,
+      totals.total,
+      order.currency
+    );
+
+    return await this.sendEmail(
+      customer.email,
+      this.templates.orderPaid.subject(order.orderNumber),
+      html,
+      {
+        attachments: [{
+          filename: `${invoice.invoiceNumber}.pdf`,
+          content: invoicePdf,
+          contentType: 'application/pdf'
+        }]
+      }
+    );
+  }
+
+  // Tell the customer the gallery answered their offer (see OfferService)
+  async sendOfferUpdateEmail(offer, event) {
+    const artwork = `<strong>${escapeHtml(offer.artworkName)}</strong>`;
+    const amount = event.amount === null ? '' : formatMoney(event.amount, offer.currency);
+    const until = offer.acceptedUntil && new Date(offer.acceptedUntil).toLocaleString('en-US', {
+      timeZone: 'Africa/Casablanca',
+      dateStyle: 'long',
+      timeStyle: 'short'
+    });
+
+    const [title, text] = {
+      ACCEPTED: ['Your offer was accepted', `Good news: your offer of <strong>${amount}</strong> for ${artwork} was accepted. This price is reserved for you until <strong>${until}</strong>; add the artwork to your cart and check out to complete your purchase.`],
+      COUNTERED: ['The gallery made a counter-offer', `The gallery answered your offer for ${artwork} with a counter-offer of <strong>${amount}</strong>. You can accept it, make another offer or withdraw.`],
+      REJECTED: ['Your offer was declined', `Thank you for your interest in ${artwork}. Unfortunately the gallery has declined your offer.`]
+    }[event.type];
+
+    return await this.sendEmail(
+      offer.customerEmail,
+      this.templates.offerUpdate.subject(offer.artworkName),
+      this.templates.offerUpdate.html(
+        offer.customerName || offer.customerEmail,
+        title,
+        text,
+        event.message,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}/offers/${offer.id}`
+      )
+    );
+  }
+
+  // Tell the gallery a customer made, answered or withdrew an offer
+  async sendOfferActivityEmail(offer, event) {
+    const customer = `<strong>${escapeHtml(offer.customerName || offer.customerEmail)}</strong> (${escapeHtml(offer.customerEmail)})`;
+    const artwork = `<strong>${escapeHtml(offer.artworkName)}</strong>`;
+    const amount = event.amount === null ? '' : formatMoney(event.amount, offer.currency);
+    const listed = formatMoney(offer.artworkPrice, offer.currency);
+
+    const [title, text] = {
+      OFFERED: ['New offer', `${customer} offered <strong>${amount}</strong> for ${artwork} (listed at ${listed}).`],
+      COUNTERED: ['New counter-offer', `${customer} answered your counter-offer for ${artwork} with <strong>${amount}</strong> (listed at ${listed}).`],
+      ACCEPTED: ['Counter-offer accepted', `${customer} accepted your counter-offer of <strong>${amount}</strong> for ${artwork}.`],
+      WITHDRAWN: ['Offer withdrawn', `${customer} withdrew their offer for ${artwork}.`]
+    }[event.type];
+
+    return await this.sendEmail(
+      this.adminEmail,
+      this.templates.offerActivity.subject(title, offer.artworkName),
+      this.templates.offerActivity.html(
+        title,
+        text,
+        event.message,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/offers/${offer.id}`
+      )
+    );
+  }
+
+  // Tell the winner of an auction to pay for their order (see AuctionService)
+  async sendAuctionWonEmail(auction, bidder, order) {
+    const payBy = new Date(order.reservationExpiresAt).toLocaleString('en-US', {
+      timeZone: 'Africa/Casablanca',
+      dateStyle: 'long',
+      timeStyle: 'short'
+    });
+    const text = `Congratulations, you won the auction for <strong>${escapeHtml(auction.artworkName)}</strong> with a bid of <strong>${formatMoney(auction.currentPrice, auction.currency)}</strong>. Your order <strong>${escapeHtml(order.orderNumber)}</strong> is waiting for payment until <strong>${payBy}</strong>; the gallery will contact you to arrange shipping.`;
+
+    return await this.sendEmail(
+      bidder.email,
+      this.templates.auctionResult.subject('You won', auction.artworkName),
+      this.templates.auctionResult.html(
+        bidder.name || bidder.email,
+        'You won the auction',
+        text,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}/orders/${order.id}`,
+        'Pay for your order'
+      )
+    );
+  }
+
+  // Tell an outbid bidder how the auction ended
+  async sendAuctionLostEmail(auction, bidder, sold) {
+    const artwork = `<strong>${escapeHtml(auction.artworkName)}</strong>`;
+    const text = sold
+      ? `The auction for ${artwork} has ended and another collector placed the winning bid of ${formatMoney(auction.currentPrice, auction.currency)}. Thank you for taking part.`
+      : `The auction for ${artwork} has ended without reaching its reserve price, so the artwork was not sold. Thank you for taking part.`;
+
+    return await this.sendEmail(
+      bidder.email,
+      this.templates.auctionResult.subject('Auction ended', auction.artworkName),
+      this.templates.auctionResult.html(
+        bidder.name || bidder.email,
+        'The auction has ended',
+        text,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}/auctions/${auction.id}`,
+        'View the auction'
+      )
+    );
+  }
+
+  // Tell the gallery how an auction ended
+  async sendAuctionClosedEmail(auction, winner, order) {
+    const artwork = `<strong>${escapeHtml(auction.artworkName)}</strong>`;
+    let title;
+    let text;
+    if (auction.status === 'FAILED') {
+      title = 'Auction needs attention';
+      text = `The auction for ${artwork} closed at <strong>${formatMoney(auction.currentPrice, auction.currency)}</strong> and its reserve was met, but the winner's order could not be created: ${escapeHtml(auction.closeError)}. Winner: <strong>${escapeHtml(winner?.name || winner?.email || 'unknown')}</strong>${winner ? ` (${escapeHtml(winner.email)})` : ''}. No bidder has been emailed.`;
+    } else if (order) {
+      title = 'Auction sold';
+      text = `The auction for ${artwork} closed at <strong>${formatMoney(auction.currentPrice, auction.currency)}</strong> after ${auction.bidCount} bid(s). Winner: <strong>${escapeHtml(winner.name || winner.email)}</strong> (${escapeHtml(winner.email)}), order <strong>${escapeHtml(order.orderNumber)}</strong> is awaiting payment.`;
+    } else if (auction.bidCount > 0) {
+      title = 'Auction unsold';
+      text = `The auction for ${artwork} closed at ${formatMoney(auction.currentPrice, auction.currency)}, below its reserve of ${formatMoney(auction.reservePrice, auction.currency)}. The artwork is back on sale.`;
+    } else {
+      title = 'Auction unsold';
+      text = `The auction for ${artwork} closed without any bids. The artwork is back on sale.`;
+    }
+
+    return await this.sendEmail(
+      this.adminEmail,
+      this.templates.auctionClosed.subject(title, auction.artworkName),
+      this.templates.auctionClosed.html(
+        title,
+        text,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/auctions/${auction.id}`
+      )
+    );
+  }
+
+  // Tell the customer the gallery answered their inquiry (see InquiryService).
+  // `link` is the path of the conversation on the storefront.
+  async sendInquiryReplyEmail(inquiry, message, link) {
+    return await this.sendEmail(
+      inquiry.email,
+      this.templates.inquiryReply.subject(inquiry.artworkName),
+      this.templates.inquiryReply.html(
+        inquiry.name,
+        inquiry.artworkName,
+        message.body,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}${link}`
+      )
+    );
+  }
+
+  // Tell the gallery (or the assigned admin) about a customer message
+  async sendInquiryReceivedEmail(inquiry, message, to) {
+    const isFollowUp = inquiry.messages.length > 1;
+    const title = isFollowUp ? 'New message on an inquiry' : 'New inquiry';
+    const text = `<strong>${escapeHtml(inquiry.name)}</strong> (${escapeHtml(inquiry.email)}) ${isFollowUp ? 'wrote again' : 'asked'} about <strong>${escapeHtml(inquiry.artworkName)}</strong>${inquiry.userId ? '' : ' as a guest'}:`;
+
+    return await this.sendEmail(
+      to,
+      this.templates.inquiryActivity.subject(title, inquiry.artworkName),
+      this.templates.inquiryActivity.html(
+        title,
+        text,
+        message.body,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/inquiries/${inquiry.id}`
+      )
+    );
+  }
+
+  // Tell an admin an inquiry was assigned to them
+  async sendInquiryAssignedEmail(inquiry, to) {
+    const text = `The inquiry from <strong>${escapeHtml(inquiry.name)}</strong> about <strong>${escapeHtml(inquiry.artworkName)}</strong> is now assigned to you (status: ${inquiry.status}).`;
+
+    return await this.sendEmail(
+      to,
+      this.templates.inquiryActivity.subject('Inquiry assigned to you', inquiry.artworkName),
+      this.templates.inquiryActivity.html(
+        'Inquiry assigned to you',
+        text,
+        null,
+        `${process.env.FRONTEND_URL || 'http://localhost:8080'}/admin/inquiries/${inquiry.id}`
+      )
     );
   }
 
@@ -0,0 +1,143 @@
+/**
+ * ✉️ ELOUARATE ART - Email Verification Service
+ * Verification links for accounts registered through the main API (server.js)
+ *
+ * Same storage as AuthenticationService (services/auth-pro.js), so a link
+ * works whichever API sent it: the sha256 of the token in
+ * users."emailVerificationToken", its expiry in metadata.emailVerification.
+ * The resend throttle (one email per minute, 5 per hour) is kept there too.
+ */
+
+import { query } from '../lib/database.js';
+import emailService from './email-service.js';
+
+const VERIFICATION_TTL_HOURS = 24;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_EMAILS_PER_HOUR = 5;
+
+const createVerificationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class EmailVerificationService {
+
+  // Emails a new link, replacing any previous one; 404, 409 when already
+  // verified, 429 when throttled
+  static async send(userId) {
+    const result = await query(
+      'SELECT id, email, "firstName", "isEmailVerified", metadata FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      throw createVerificationError('User not found', 404);
+    }
+    if (user.isEmailVerified) {
+      throw createVerificationError('Email is already verified', 409);
+    }
+
+    const previous = user.metadata?.emailVerification || {};
+    const now = Date.now();
+    const lastSentAt = previous.sentAt ? new Date(previous.sentAt).getTime() : 0;
+
+    const waitMs = lastSentAt + RESEND_INTERVAL_MS - now;
+    if (waitMs > 0) {
+      throw createVerificationError(`Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another verification email`, 429);
+    }
+
+    // Emails sent in the current hour-long window
+    const windowStartedAt = previous.windowStartedAt ? new Date(previous.windowStartedAt).getTime() : 0;
+    const inWindow = now - windowStartedAt < 60 * 60 * 1000;
+    const sentInWindow = inWindow ? previous.sentInWindow || 0 : 0;
+    if (sentInWindow >= MAX_EMAILS_PER_HOUR) {
+      throw createVerificationError('Too many verification emails requested. Please try again in 1 hour', 429);
+    }
+
+    const token = emailService.generateResetToken();
+    const expiresAt = new Date(now + VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+    await query(
+      `UPDATE users
+       SET "emailVerificationToken" = $2,
+           metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('emailVerification', $3::jsonb),
+           "updatedAt" = NOW()
+       WHERE id = $1`,
+      [user.id, emailService.hashResetToken(token), JSON.stringify({
+        expiresAt: expiresAt.toISOString(),
+        sentAt: new Date(now).toISOString(),
+        windowStartedAt: new Date(inWindow ? windowStartedAt : now).toISOString(),
+        sentInWindow: sentInWindow + 1
+      })]
+    );
+
+    await emailService.sendEmailVerificationEmail(user, token, VERIFICATION_TTL_HOURS);
+
+    return { email: user.email, expiresAt };
+  }
+
+  // For users who cannot sign in yet (login requires a verified email): same
+  // answer whether the address exists, the email is sent in the background
+  static async resendByEmail(email) {
+    const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+
+    const result = normalizedEmail && await query(
+      'SELECT id FROM users WHERE lower(email) = $1 AND "isActive" = true AND "isEmailVerified" = false',
+      [normalizedEmail]
+    );
+
+    if (result && result.rows[0]) {
+      this.send(result.rows[0].id).catch(error => {
+        if (!error.statusCode) {
+          console.error(`Verification email for ${normalizedEmail} failed:`, error);
+        }
+      });
+    }
+
+    return { message: 'If this address belongs to an unverified account, a new verification link has been sent' };
+  }
+
+  // Consumes a link (single use)
+  static async verify(token) {
+    if (!token || typeof token !== 'string') {
+      throw createVerificationError('Verification token is required', 400);
+    }
+
+    const result = await query(
+      `SELECT id, email, metadata->'emailVerification' AS "emailVerification"
+       FROM users WHERE "emailVerificationToken" = $1`,
+      [emailService.hashResetToken(token)]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      throw createVerificationError('Invalid or already used verification link', 400);
+    }
+    if (!user.emailVerification || new Date(user.emailVerification.expiresAt) < new Date()) {
+      throw createVerificationError('Verification link has expired, please request a new one', 400);
+    }
+
+    // Conditional on the token still being there, so a link works only once
+    const updated = await query(
+      `UPDATE users
+       SET "isEmailVerified" = true,
+           "emailVerificationToken" = NULL,
+           metadata = (COALESCE(metadata, '{}'::jsonb) - 'emailVerification')
+             || jsonb_build_object('emailVerifiedAt', to_jsonb(NOW())),
+           "updatedAt" = NOW()
+       WHERE id = $1 AND "emailVerificationToken" = $2`,
+      [user.id, emailService.hashResetToken(token)]
+    );
+
+    if (updated.rowCount === 0) {
+      throw createVerificationError('Invalid or already used verification link', 400);
+    }
+
+    console.log(`✅ Email verified: ${user.email} (${user.id})`);
+    return { email: user.email, isEmailVerified: true };
+  }
+}
+
+export default EmailVerificationService;
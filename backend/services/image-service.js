@@ -0,0 +1,556 @@
+/**
+ * 🖼️ ELOUARATE ART - Image Variant Service
+ * Responsive variants (thumbnail → zoom) in AVIF, WebP and JPEG with sharp
+ *
+ * Files go through lib/storage.js (local disk or an S3-compatible bucket).
+ * Originals are stored under their upload filename, variants under
+ * variants/<imageId>/<variant>.<format>, where imageId is the original
+ * filename without its extension, next to a manifest.json describing the
+ * original. Missing variants (older uploads, a new format) are generated on
+ * first request and kept in storage as a cache.
+ *
+ * Variants are public and carry the configured watermark; originals are only
+ * handed out through signed URLs (see /api/images/:filename in api/index.js).
+ *
+ * On upload the original is re-encoded without EXIF/GPS data and analysed:
+ * dimensions, dominant color palette (with CIELAB values for color search),
+ * blurhash and a tiny LQIP data URI, stored on the image record. Only the
+ * WebP/JPEG variants up to `detail` are rendered before the upload answers;
+ * AVIF and `zoom` follow in the background, one upload at a time.
+ */
+
+import sharp from 'sharp';
+import path from 'path';
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import { encode as encodeBlurhash } from 'blurhash';
+import { rgbToHex, rgbToLab, deltaE } from '../lib/color.js';
+import getStorage from '../lib/storage.js';
+
+const VARIANTS_PREFIX = 'variants';
+
+// Target widths, smallest first
+export const IMAGE_VARIANTS = [
+  { name: 'thumbnail', width: 320 },
+  { name: 'card', width: 640 },
+  { name: 'detail', width: 1280 },
+  { name: 'zoom', width: 2400 }
+];
+
+// Preferred first; JPEG is the fallback every browser understands
+export const IMAGE_FORMATS = ['avif', 'webp', 'jpeg'];
+
+const FORMAT_OPTIONS = {
+  avif: { quality: 55, effort: 4 },
+  webp: { quality: 80 },
+  jpeg: { quality: 82, progressive: true, mozjpeg: true }
+};
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+};
+
+// Image record fields filled from the upload analysis
+export const IMAGE_METADATA_FIELDS = ['width', 'height', 'aspectRatio', 'dominantColors', 'blurhash', 'lqip'];
+
+// Palette: up to 5 colors, at least ΔE 15 apart
+const PALETTE_SIZE = 5;
+const PALETTE_MIN_DISTANCE = 15;
+
+// Re-encoding settings for cleaned originals (kept close to lossless)
+const ORIGINAL_FORMAT_OPTIONS = {
+  jpeg: { quality: 95, chromaSubsampling: '4:4:4' },
+  webp: { quality: 95 },
+  avif: { quality: 80 },
+  png: {},
+  gif: {},
+  tiff: {}
+};
+
+export const WATERMARK_POSITIONS = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Upload filenames and image ids: no path separators, no leading dot
+const SAFE_NAME = /^[\w-][\w.-]*$/;
+
+// Generations in progress, so concurrent requests share one sharp pipeline
+const pending = new Map();
+
+// Slow to encode and rarely needed right after an upload: rendered in the background
+const isDeferredVariant = (variant, format) => variant.name === 'zoom' || format === 'avif';
+
+// Background renders of all uploads run one after another
+let backgroundRenders = Promise.resolve();
+
+const createImageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Read on first use (env is loaded by the app after this module is imported)
+let watermarkConfig = null;
+
+const getWatermarkConfig = () => {
+  if (watermarkConfig) {
+    return watermarkConfig;
+  }
+
+  const position = process.env.WATERMARK_POSITION || 'bottom-right';
+  const opacity = Number.parseFloat(process.env.WATERMARK_OPACITY ?? '0.35');
+
+  watermarkConfig = {
+    enabled: process.env.WATERMARK_ENABLED !== 'false',
+    text: process.env.WATERMARK_TEXT || '© ELOUARATE ART',
+    logoPath: process.env.WATERMARK_LOGO_PATH || null,
+    position: WATERMARK_POSITIONS.includes(position) ? position : 'bottom-right',
+    opacity: Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 0.35
+  };
+
+  // Part of variant filenames, so changing the watermark re-renders variants
+  watermarkConfig.signature = watermarkConfig.enabled
+    ? crypto.createHash('sha1').update(JSON.stringify(watermarkConfig)).digest('hex').slice(0, 8)
+    : 'plain';
+
+  return watermarkConfig;
+};
+
+class ImageService {
+
+  static getImageId(filename) {
+    return path.basename(filename, path.extname(filename));
+  }
+
+  static getMimeType(format) {
+    return MIME_TYPES[format];
+  }
+
+  // "jpg" → "jpeg"; null for unsupported formats
+  static normalizeFormat(format) {
+    const value = String(format || '').toLowerCase();
+    const normalized = value === 'jpg' ? 'jpeg' : value;
+    return IMAGE_FORMATS.includes(normalized) ? normalized : null;
+  }
+
+  // Best format the browser accepts when ?fmt= is not given
+  static negotiateFormat(acceptHeader = '') {
+    if (acceptHeader.includes('image/avif')) return 'avif';
+    if (acceptHeader.includes('image/webp')) return 'webp';
+    return 'jpeg';
+  }
+
+  // Smallest variant at least as wide as requested (the largest one otherwise)
+  static closestVariant(requestedWidth) {
+    const width = Number.parseInt(requestedWidth, 10);
+
+    if (!Number.isFinite(width) || width <= 0) {
+      return IMAGE_VARIANTS.find(variant => variant.name === 'detail');
+    }
+
+    return IMAGE_VARIANTS.find(variant => variant.width >= width) || IMAGE_VARIANTS[IMAGE_VARIANTS.length - 1];
+  }
+
+  // Rendered size of a variant (variants never upscale the original)
+  static variantSize(variant, original = {}) {
+    if (!original.width || !original.height) {
+      return { width: variant.width, height: null };
+    }
+
+    const width = Math.min(variant.width, original.width);
+    return { width, height: Math.round(original.height * (width / original.width)) };
+  }
+
+  // srcset-ready description of an image's variants. `imageRef` is the image
+  // id, or the upload filename for images stored before variants existed.
+  // `original` is { width, height } when known (exact `w` descriptors).
+  static describeVariants(imageRef, original = {}) {
+    const variants = [];
+    const srcset = {};
+
+    for (const format of IMAGE_FORMATS) {
+      const entries = [];
+      const seenWidths = new Set();
+
+      for (const variant of IMAGE_VARIANTS) {
+        const size = this.variantSize(variant, original);
+        const url = `/api/images/${imageRef}?w=${variant.width}&fmt=${format}`;
+
+        variants.push({
+          name: variant.name,
+          format,
+          mimeType: MIME_TYPES[format],
+          width: size.width,
+          height: size.height,
+          url
+        });
+
+        // Small originals make several variants identical; list each width once
+        if (!seenWidths.has(size.width)) {
+          seenWidths.add(size.width);
+          entries.push(`${url} ${size.width}w`);
+        }
+      }
+
+      srcset[format] = entries.join(', ');
+    }
+
+    return {
+      variants,
+      srcset,
+      fallback: `/api/images/${imageRef}?w=1280&fmt=jpeg`
+    };
+  }
+
+  static variantKey(imageId, variantName, format) {
+    const { signature } = getWatermarkConfig();
+    return `${VARIANTS_PREFIX}/${imageId}/${variantName}.${signature}.${format}`;
+  }
+
+  static manifestKey(imageId) {
+    return `${VARIANTS_PREFIX}/${imageId}/manifest.json`;
+  }
+
+  // Full-size SVG overlay with the watermark text or logo
+  static async buildWatermark(width, height) {
+    const { text, logoPath, position, opacity } = getWatermarkConfig();
+    const margin = Math.round(Math.min(width, height) * 0.04);
+    const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+
+    // Top-left corner of a box of the given size at the configured position
+    const place = (boxWidth, boxHeight) => ({
+      x: horizontal === 'left' ? margin
+        : horizontal === 'right' ? width - boxWidth - margin
+          : Math.round((width - boxWidth) / 2),
+      y: vertical === 'top' ? margin
+        : vertical === 'bottom' ? height - boxHeight - margin
+          : Math.round((height - boxHeight) / 2)
+    });
+
+    let mark;
+
+    if (logoPath) {
+      const logo = await fs.readFile(logoPath);
+      const logoMeta = await sharp(logo).metadata();
+      const logoWidth = Math.round(width * 0.2);
+      const logoHeight = Math.round(logoMeta.height * (logoWidth / logoMeta.width));
+      const { x, y } = place(logoWidth, logoHeight);
+
+      mark = `<image x="${x}" y="${y}" width="${logoWidth}" height="${logoHeight}" opacity="${opacity}"
+        href="data:image/${logoMeta.format};base64,${logo.toString('base64')}" />`;
+    } else {
+      // The text width is unknown, so anchor it on the side it is aligned to
+      const fontSize = Math.max(12, Math.round(width * 0.035));
+      const { y } = place(0, fontSize);
+      const x = horizontal === 'left' ? margin : horizontal === 'right' ? width - margin : Math.round(width / 2);
+      const anchor = horizontal === 'left' ? 'start' : horizontal === 'right' ? 'end' : 'middle';
+
+      mark = `<text x="${x}" y="${y + Math.round(fontSize * 0.85)}" text-anchor="${anchor}"
+        font-family="sans-serif" font-size="${fontSize}" font-weight="bold"
+        fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity * 0.5}"
+        stroke-width="${Math.max(1, Math.round(fontSize / 24))}">${escapeXml(text)}</text>`;
+    }
+
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${mark}</svg>`);
+  }
+
+  static async readManifest(imageId) {
+    try {
+      const manifest = await getStorage().get(this.manifestKey(imageId));
+      return manifest ? JSON.parse(manifest.toString('utf8')) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Finds the original for "<imageId>" (manifest) or "<filename.ext>" (older
+  // uploads without variants). Returns { imageId, originalKey } or null.
+  static async resolveOriginal(idOrFilename) {
+    if (!SAFE_NAME.test(idOrFilename)) {
+      return null;
+    }
+
+    const storage = getStorage();
+    if (path.extname(idOrFilename) && await storage.exists(idOrFilename)) {
+      return { imageId: this.getImageId(idOrFilename), originalKey: idOrFilename };
+    }
+
+    const manifest = await this.readManifest(idOrFilename);
+    if (manifest && await storage.exists(manifest.original)) {
+      return { imageId: idOrFilename, originalKey: manifest.original };
+    }
+
+    return null;
+  }
+
+  // Renders one variant from the original's bytes and stores it. Returns the
+  // encoded variant.
+  static async renderVariant(original, imageId, variant, format) {
+    let pipeline = sharp(original, { failOn: 'none' })
+      .rotate()
+      .resize({ width: variant.width, withoutEnlargement: true });
+
+    // The overlay needs the resized dimensions, so resize first (raw pixels, no re-encoding)
+    if (getWatermarkConfig().enabled) {
+      const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+      pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .composite([{ input: await this.buildWatermark(info.width, info.height), top: 0, left: 0 }]);
+    }
+
+    const body = await pipeline[format](FORMAT_OPTIONS[format]).toBuffer();
+
+    await getStorage().put(this.variantKey(imageId, variant.name, format), body, { contentType: MIME_TYPES[format] });
+    return body;
+  }
+
+  // Variant bytes ({ body, variant, format }), generating it first when missing
+  static async getVariant(idOrFilename, { width, format }) {
+    const source = await this.resolveOriginal(idOrFilename);
+    if (!source) {
+      throw createImageError('Image not found', 404);
+    }
+
+    const storage = getStorage();
+    const variant = this.closestVariant(width);
+    const key = this.variantKey(source.imageId, variant.name, format);
+
+    const stored = await storage.get(key);
+    if (stored) {
+      return { body: stored, variant, format };
+    }
+
+    const body = await this.renderShared(source.imageId, variant, format, () => storage.get(source.originalKey));
+    return { body, variant, format, generated: true };
+  }
+
+  // renderVariant, joining a render of the same variant already in progress
+  static renderShared(imageId, variant, format, loadOriginal) {
+    const key = this.variantKey(imageId, variant.name, format);
+
+    if (!pending.has(key)) {
+      pending.set(key, loadOriginal()
+        .then(original => this.renderVariant(original, imageId, variant, format))
+        .finally(() => pending.delete(key)));
+    }
+
+    return pending.get(key);
+  }
+
+  // Queues variants of an upload for after the response. The original is read
+  // again when their turn comes; variants requested meanwhile are skipped, and
+  // any left out (deleted upload, process stopped) render on first request.
+  static scheduleVariants(filename, variants) {
+    const storage = getStorage();
+    const imageId = this.getImageId(filename);
+
+    backgroundRenders = backgroundRenders.then(async () => {
+      for (const [variant, format] of variants) {
+        if (!await storage.exists(filename)) {
+          return;
+        }
+        if (await storage.exists(this.variantKey(imageId, variant.name, format))) {
+          continue;
+        }
+        await this.renderShared(imageId, variant, format, () => storage.get(filename));
+      }
+    }).catch(error => {
+      console.error(`Background variants of ${filename} failed:`, error);
+    });
+  }
+
+  // Re-encodes an original without EXIF/GPS/XMP (sharp drops metadata unless
+  // asked to keep it). The EXIF orientation is applied to the pixels first.
+  // Formats sharp cannot write back (e.g. SVG) are returned untouched.
+  static async stripMetadata(buffer) {
+    const { format, pages } = await sharp(buffer, { failOn: 'none' }).metadata();
+
+    if (!ORIGINAL_FORMAT_OPTIONS[format]) {
+      return buffer;
+    }
+
+    // Animated GIF/WebP keep their frames (rotation does not apply to them)
+    const animated = pages > 1;
+    const image = sharp(buffer, { failOn: 'none', animated });
+
+    return (animated ? image : image.rotate())
+      .toFormat(format, ORIGINAL_FORMAT_OPTIONS[format])
+      .toBuffer();
+  }
+
+  // Most common colors, merged until they are visibly different
+  static async extractPalette(buffer) {
+    const { data, info } = await sharp(buffer, { failOn: 'none' })
+      .resize(64, 64, { fit: 'inside' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // 4 bits per channel buckets, averaging the real colors inside each
+    const buckets = new Map();
+    for (let i = 0; i < data.length; i += info.channels) {
+      const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+      const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+      const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+      bucket.r += r;
+      bucket.g += g;
+      bucket.b += b;
+      bucket.count += 1;
+      buckets.set(key, bucket);
+    }
+
+    const pixelCount = info.width * info.height;
+    const palette = [];
+
+    for (const bucket of [...buckets.values()].sort((x, y) => y.count - x.count)) {
+      const rgb = { r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count };
+      const lab = rgbToLab(rgb);
+      const similar = palette.find(color => deltaE(color.lab, lab) < PALETTE_MIN_DISTANCE);
+
+      if (similar) {
+        similar.count += bucket.count;
+      } else if (palette.length < PALETTE_SIZE) {
+        palette.push({ rgb, lab, count: bucket.count });
+      }
+    }
+
+    return palette
+      .sort((x, y) => y.count - x.count)
+      .map(color => ({
+        hex: rgbToHex(color.rgb),
+        ratio: Number((color.count / pixelCount).toFixed(3)),
+        lab: {
+          l: Number(color.lab.l.toFixed(2)),
+          a: Number(color.lab.a.toFixed(2)),
+          b: Number(color.lab.b.toFixed(2))
+        }
+      }));
+  }
+
+  // Dimensions, palette and placeholders of a (cleaned) original
+  static async analyze(buffer) {
+    const { width, height } = await sharp(buffer, { failOn: 'none' }).metadata();
+
+    const small = await sharp(buffer, { failOn: 'none' })
+      .resize(32, 32, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // More horizontal components for landscape images and vice versa
+    const [componentsX, componentsY] = width >= height ? [4, 3] : [3, 4];
+
+    const lqip = await sharp(buffer, { failOn: 'none' })
+      .resize(16, 16, { fit: 'inside' })
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    return {
+      width,
+      height,
+      aspectRatio: Number((width / height).toFixed(4)),
+      dominantColors: await this.extractPalette(buffer),
+      blurhash: encodeBlurhash(new Uint8ClampedArray(small.data), small.info.width, small.info.height, componentsX, componentsY),
+      lqip: `data:image/webp;base64,${lqip.toString('base64')}`
+    };
+  }
+
+  // Full upload pipeline: strips the metadata of the uploaded bytes, stores
+  // the cleaned original under `filename`, analyses it and renders the
+  // variants. Without `buffer` the original already in storage is processed.
+  static async processUpload(filename, buffer = null) {
+    const storage = getStorage();
+    const upload = buffer || await storage.get(filename);
+
+    if (!upload) {
+      throw createImageError('Image not found', 404);
+    }
+
+    const cleaned = await this.stripMetadata(upload);
+    const { format } = await sharp(cleaned, { failOn: 'none' }).metadata();
+    await storage.put(filename, cleaned, { contentType: `image/${format}` });
+
+    const metadata = await this.analyze(cleaned);
+    const variants = await this.createVariants(filename, metadata, cleaned);
+
+    return { ...variants, ...metadata, size: cleaned.length };
+  }
+
+  // Stored analysis of an upload (from its manifest), as image record fields
+  static async getStoredMetadata(filename) {
+    const manifest = await this.readManifest(this.getImageId(filename));
+    return this.pickMetadata(manifest || {});
+  }
+
+  static pickMetadata(source) {
+    return Object.fromEntries(IMAGE_METADATA_FIELDS
+      .filter(field => source[field] !== undefined)
+      .map(field => [field, source[field]]));
+  }
+
+  // Generates the variants of a freshly stored original (the deferred ones
+  // are queued) and records its dimensions (and upload analysis) in the
+  // manifest. Returns the srcset description.
+  static async createVariants(filename, analysis = {}, buffer = null) {
+    const storage = getStorage();
+    const imageId = this.getImageId(filename);
+    const original = buffer || await storage.get(filename);
+    const metadata = await sharp(original, { failOn: 'none' }).metadata();
+
+    // EXIF orientations 5-8 are stored rotated by 90°
+    const rotated = metadata.orientation >= 5;
+    const size = {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+
+    await storage.put(this.manifestKey(imageId), JSON.stringify({
+      original: filename,
+      ...this.pickMetadata(analysis),
+      ...size,
+      createdAt: new Date().toISOString()
+    }, null, 2), { contentType: 'application/json' });
+
+    // One at a time: encoding is CPU heavy
+    const deferred = [];
+    for (const variant of IMAGE_VARIANTS) {
+      for (const format of IMAGE_FORMATS) {
+        if (isDeferredVariant(variant, format)) {
+          deferred.push([variant, format]);
+        } else {
+          await this.renderVariant(original, imageId, variant, format);
+        }
+      }
+    }
+    this.scheduleVariants(filename, deferred);
+
+    return { imageId, ...size, ...this.describeVariants(imageId, size) };
+  }
+
+  // Storage key of the untouched original (signed downloads only)
+  static async getOriginal(filename) {
+    const source = await this.resolveOriginal(filename);
+    if (!source) {
+      throw createImageError('Image not found', 404);
+    }
+    return source.originalKey;
+  }
+
+  // Removes the variants of an image (the original is left alone)
+  static async deleteVariants(filename) {
+    await getStorage().deletePrefix(`${VARIANTS_PREFIX}/${this.getImageId(filename)}`);
+  }
+
+  // Removes an upload and its variants
+  static async deleteUpload(filename) {
+    await getStorage().delete(filename);
+    await this.deleteVariants(filename);
+  }
+}
+
+export default ImageService;
@@ -0,0 +1,318 @@
+/**
+ * 💬 ELOUARATE ART - Inquiry Service
+ * Questions about artworks, kept as conversations with the gallery
+ *
+ * Signed-in customers and guests can ask about an artwork. Guests first solve
+ * a small arithmetic challenge (createChallenge); each solved challenge opens
+ * one inquiry. They then follow the conversation with an access token signed
+ * from the inquiry id, which is returned once and included in reply emails.
+ *
+ *   NEW (gallery's turn) → ANSWERED (admin replied) → CLOSED
+ *
+ * A customer message puts the inquiry back to NEW, closed or not. Admins can
+ * assign an inquiry to one of them; notifications about it then go to that
+ * admin rather than the gallery address.
+ */
+
+import crypto from 'crypto';
+import { query, transaction, generateId, lockRows } from '../lib/database.js';
+import emailService from './email-service.js';
+
+export const INQUIRY_STATUSES = ['NEW', 'ANSWERED', 'CLOSED'];
+
+// How long a guest has to answer a challenge
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+const createInquiryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSigningSecret = () => process.env.INQUIRY_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const sign = (value) => crypto.createHmac('sha256', getSigningSecret()).update(value).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const INQUIRY_COLUMNS = `
+  q.id, q."artworkId", a.name AS "artworkName", q."userId", q.name, q.email, q.status,
+  q."assignedTo", NULLIF(concat_ws(' ', s."firstName", s."lastName"), '') AS "assignedToName",
+  q."lastMessageAt", q."createdAt", q."updatedAt"
+`;
+
+const INQUIRY_JOINS = `
+  JOIN artworks a ON a.id = q."artworkId"
+  LEFT JOIN users s ON s.id = q."assignedTo"
+`;
+
+class InquiryService {
+
+  // Challenge for guests: { question, token }. The token carries the expiry
+  // and a nonce, signed together with the expected answer.
+  static createChallenge() {
+    const a = crypto.randomInt(2, 10);
+    const b = crypto.randomInt(2, 10);
+    const payload = Buffer.from(JSON.stringify({
+      nonce: crypto.randomBytes(12).toString('base64url'),
+      expiresAt: Date.now() + CHALLENGE_TTL_MS
+    })).toString('base64url');
+
+    return {
+      question: `What is ${a} + ${b}?`,
+      token: `${payload}.${sign(`${payload}.${a + b}`)}`,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+    };
+  }
+
+  // Nonce of a correctly answered, unexpired challenge; 400 otherwise
+  static verifyChallenge(token, answer) {
+    const [payload, signature] = String(token || '').split('.');
+    const normalized = String(answer ?? '').trim();
+
+    if (!payload || !signature || !/^\d{1,3}$/.test(normalized) || !safeEqual(signature, sign(`${payload}.${Number(normalized)}`))) {
+      throw createInquiryError('Incorrect answer to the challenge', 400);
+    }
+
+    const { nonce, expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (expiresAt < Date.now()) {
+      throw createInquiryError('The challenge has expired, please try again', 400);
+    }
+    return nonce;
+  }
+
+  // Guest access token of an inquiry (stable, so every email can carry it)
+  static getAccessToken(inquiryId) {
+    return sign(`inquiry:${inquiryId}`);
+  }
+
+  // Opens an inquiry about an active artwork. `user` is the signed-in
+  // customer, or null for a guest, who gives a name, an email and the solved
+  // challenge. Guests get their `accessToken` back.
+  static async create(artworkId, { user, name, email, message, challengeToken, challengeAnswer }) {
+    const nonce = user ? null : this.verifyChallenge(challengeToken, challengeAnswer);
+
+    const artwork = await query('SELECT id FROM artworks WHERE id = $1 AND "isActive" = true', [artworkId]);
+    if (artwork.rows.length === 0) {
+      throw createInquiryError('Artwork not found', 404);
+    }
+
+    const inquiryId = generateId('inquiry');
+    await transaction(async (client) => {
+      try {
+        await client.query(`
+          INSERT INTO inquiries (id, "artworkId", "userId", name, email, "challengeNonce")
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          inquiryId,
+          artworkId,
+          user?.id ?? null,
+          user ? [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email : name,
+          user ? user.email : email,
+          nonce
+        ]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw createInquiryError('This challenge was already used, please request a new one', 400);
+        }
+        throw error;
+      }
+
+      await this.addMessage(client, inquiryId, { author: 'customer', userId: user?.id ?? null, body: message });
+    });
+
+    const inquiry = await this.getThread(inquiryId);
+    this.notify(inquiry, 'customer');
+    return user ? inquiry : { ...inquiry, accessToken: this.getAccessToken(inquiryId) };
+  }
+
+  // Inquiry with its messages; null when it does not exist
+  static async getThread(inquiryId, client = { query }) {
+    const result = await client.query(`SELECT ${INQUIRY_COLUMNS} FROM inquiries q ${INQUIRY_JOINS} WHERE q.id = $1`, [inquiryId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const messages = await client.query(`
+      SELECT m.id, m.author, m.body, m."createdAt",
+        CASE WHEN m.author = 'admin' THEN u."firstName" END AS "authorName"
+      FROM inquiry_messages m
+      LEFT JOIN users u ON u.id = m."userId"
+      WHERE m."inquiryId" = $1
+      ORDER BY m."createdAt" ASC, m.id ASC
+    `, [inquiryId]);
+
+    return { ...result.rows[0], messages: messages.rows };
+  }
+
+  // Thread for its customer: the owner's account, or a guest's access token
+  static async getForCustomer(inquiryId, { userId, accessToken }) {
+    const inquiry = await this.getThread(inquiryId);
+    const allowed = inquiry && (
+      (userId && inquiry.userId === userId) ||
+      (accessToken && safeEqual(accessToken, this.getAccessToken(inquiryId)))
+    );
+    if (!allowed) {
+      return null;
+    }
+
+    // Which admin handles it is internal
+    const { assignedTo, assignedToName, ...thread } = inquiry;
+    return thread;
+  }
+
+  static async listForUser(userId) {
+    const result = await query(`
+      SELECT ${INQUIRY_COLUMNS} FROM inquiries q ${INQUIRY_JOINS}
+      WHERE q."userId" = $1
+      ORDER BY q."lastMessageAt" DESC, q.id DESC
+    `, [userId]);
+    return result.rows.map(({ assignedTo, assignedToName, ...inquiry }) => inquiry);
+  }
+
+  // Admin inbox, most recent activity first. `assignedTo` takes a user id,
+  // or 'none' for unassigned inquiries.
+  static async list({ status, assignedTo } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`q.status = $${params.length}`);
+    }
+    if (assignedTo === 'none') {
+      conditions.push('q."assignedTo" IS NULL');
+    } else if (assignedTo) {
+      params.push(assignedTo);
+      conditions.push(`q."assignedTo" = $${params.length}`);
+    }
+
+    const result = await query(`
+      SELECT ${INQUIRY_COLUMNS},
+        (SELECT COUNT(*)::int FROM inquiry_messages m WHERE m."inquiryId" = q.id) AS "messageCount"
+      FROM inquiries q ${INQUIRY_JOINS}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY q."lastMessageAt" DESC, q.id DESC
+      LIMIT 200
+    `, params);
+    return result.rows;
+  }
+
+  // Follow-up from the customer (see getForCustomer for access); reopens the
+  // inquiry for the gallery
+  static async addCustomerMessage(inquiryId, access, body) {
+    const inquiry = await this.getForCustomer(inquiryId, access);
+    if (!inquiry) {
+      throw createInquiryError('Inquiry not found', 404);
+    }
+
+    await transaction(async (client) => {
+      await lockRows(client, 'inquiries', [inquiryId]);
+      await this.addMessage(client, inquiryId, { author: 'customer', userId: access.userId ?? null, body });
+      await client.query(`UPDATE inquiries SET status = 'NEW', "updatedAt" = NOW() WHERE id = $1`, [inquiryId]);
+    });
+
+    this.notify(await this.getThread(inquiryId), 'customer');
+    return this.getForCustomer(inquiryId, access);
+  }
+
+  // Admin reply; the customer is emailed. Null when the inquiry does not exist.
+  static async reply(inquiryId, admin, body) {
+    const found = await transaction(async (client) => {
+      const [inquiry] = await lockRows(client, 'inquiries', [inquiryId]);
+      if (!inquiry) {
+        return false;
+      }
+
+      await this.addMessage(client, inquiryId, { author: 'admin', userId: admin.id, body });
+      await client.query(`UPDATE inquiries SET status = 'ANSWERED', "updatedAt" = NOW() WHERE id = $1`, [inquiryId]);
+      return true;
+    });
+
+    if (!found) {
+      return null;
+    }
+
+    const inquiry = await this.getThread(inquiryId);
+    this.notify(inquiry, 'admin');
+    return inquiry;
+  }
+
+  // Status and/or assignment; `assignedTo` must be an admin (null unassigns).
+  // A new assignee is emailed. Null when the inquiry does not exist.
+  static async update(inquiryId, { status, assignedTo }, changedBy) {
+    if (status && !INQUIRY_STATUSES.includes(status)) {
+      throw createInquiryError(`Status must be one of: ${INQUIRY_STATUSES.join(', ')}`, 400);
+    }
+    if (assignedTo) {
+      const assignee = await query(`SELECT id FROM users WHERE id = $1 AND role = 'ADMIN'`, [assignedTo]);
+      if (assignee.rows.length === 0) {
+        throw createInquiryError('Inquiries can only be assigned to an admin', 400);
+      }
+    }
+
+    const result = await query(`
+      UPDATE inquiries q SET
+        status = COALESCE($2, q.status),
+        "assignedTo" = CASE WHEN $3::boolean THEN $4 ELSE q."assignedTo" END,
+        "updatedAt" = NOW()
+      FROM (SELECT "assignedTo" FROM inquiries WHERE id = $1) previous
+      WHERE q.id = $1
+      RETURNING previous."assignedTo" AS "previousAssignee"
+    `, [inquiryId, status ?? null, assignedTo !== undefined, assignedTo ?? null]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const inquiry = await this.getThread(inquiryId);
+    if (assignedTo && assignedTo !== result.rows[0].previousAssignee && assignedTo !== changedBy) {
+      this.sendSafely(inquiry, () => this.getAssigneeEmail(inquiry).then(email => emailService.sendInquiryAssignedEmail(inquiry, email)));
+    }
+    return inquiry;
+  }
+
+  static async addMessage(client, inquiryId, { author, userId, body }) {
+    await client.query(`
+      INSERT INTO inquiry_messages (id, "inquiryId", author, "userId", body)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [generateId('inqmsg'), inquiryId, author, userId, body]);
+
+    await client.query('UPDATE inquiries SET "lastMessageAt" = NOW() WHERE id = $1', [inquiryId]);
+  }
+
+  // The assigned admin's address, or the gallery's
+  static async getAssigneeEmail(inquiry) {
+    if (!inquiry.assignedTo) {
+      return emailService.adminEmail;
+    }
+    const result = await query('SELECT email FROM users WHERE id = $1', [inquiry.assignedTo]);
+    return result.rows[0]?.email || emailService.adminEmail;
+  }
+
+  // Emails the other side about the latest message
+  static notify(inquiry, author) {
+    const message = inquiry.messages[inquiry.messages.length - 1];
+
+    if (author === 'admin') {
+      const link = inquiry.userId
+        ? `/account/inquiries/${inquiry.id}`
+        : `/inquiries/${inquiry.id}?token=${this.getAccessToken(inquiry.id)}`;
+      this.sendSafely(inquiry, () => emailService.sendInquiryReplyEmail(inquiry, message, link));
+    } else {
+      this.sendSafely(inquiry, () => this.getAssigneeEmail(inquiry)
+        .then(email => emailService.sendInquiryReceivedEmail(inquiry, message, email)));
+    }
+  }
+
+  // Email failures are logged, never surfaced to the request
+  static sendSafely(inquiry, send) {
+    send().catch(error => console.error(`💬 Inquiry email for ${inquiry.id} failed:`, error));
+  }
+}
+
+export default InquiryService;
@@ -0,0 +1,362 @@
+/**
+ * 🧾 ELOUARATE ART - Invoice Service
+ * Numbered invoices for paid orders, rendered as branded PDFs
+ *
+ * An invoice is issued when an order becomes PAID (inside the same
+ * transaction), or on first download for orders paid before invoicing
+ * existed. Numbers look like INV-2026-000042: one gapless sequence per year,
+ * taken from invoice_sequences under a row lock.
+ *
+ * The invoice stores a snapshot of the seller, customer, artworks and totals,
+ * so later edits to an artwork or to the gallery's details never change an
+ * invoice already sent. Amounts are tax-inclusive; INVOICE_TAX_RATE only
+ * splits the total into net amount and tax.
+ */
+
+import PDFDocument from 'pdfkit';
+import { query, transaction, generateId } from '../lib/database.js';
+import emailService from './email-service.js';
+
+// Orders that were paid at some point
+const INVOICEABLE_STATUSES = ['PAID', 'PACKED', 'SHIPPED', 'DELIVERED', 'REFUNDED'];
+
+// Same identity as the email templates
+const BRAND = {
+  gradientFrom: '#667eea',
+  gradientTo: '#764ba2',
+  title: '#2d3748',
+  text: '#4a5568',
+  muted: '#718096',
+  border: '#e2e8f0',
+  background: '#f7fafc'
+};
+
+const createInvoiceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+export const getInvoiceTaxRate = () => parseFloat(process.env.INVOICE_TAX_RATE) || 0;
+
+// Legal details printed on every invoice
+const getSellerDetails = () => ({
+  name: process.env.INVOICE_SELLER_NAME || 'ELOUARATE ART',
+  address: process.env.INVOICE_SELLER_ADDRESS || null,
+  email: process.env.INVOICE_SELLER_EMAIL || process.env.SMTP_FROM || null,
+  phone: process.env.INVOICE_SELLER_PHONE || null,
+  taxId: process.env.INVOICE_SELLER_TAX_ID || null,
+  registration: process.env.INVOICE_SELLER_REGISTRATION || null
+});
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', {
+  timeZone: 'Africa/Casablanca',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// "24x36 inches · Oil on Canvas · 2023"
+const describeArtwork = (line) => [line.dimensions, line.medium, line.year].filter(Boolean).join(' · ');
+
+class InvoiceService {
+
+  // Next number of the year's sequence; must run in the issuing transaction
+  static async nextInvoiceNumber(client, issuedAt) {
+    const year = issuedAt.getUTCFullYear();
+    const result = await client.query(`
+      INSERT INTO invoice_sequences (year, "lastNumber") VALUES ($1, 1)
+      ON CONFLICT (year) DO UPDATE SET "lastNumber" = invoice_sequences."lastNumber" + 1
+      RETURNING "lastNumber"
+    `, [year]);
+
+    const prefix = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+    return `${prefix}-${year}-${String(result.rows[0].lastNumber).padStart(6, '0')}`;
+  }
+
+  // Issues the order's invoice unless it has one. The caller holds the order
+  // row lock (OrderService.transition, getForOrder), so an order never gets two.
+  static async issue(client, orderId) {
+    const existing = await client.query('SELECT * FROM invoices WHERE "orderId" = $1', [orderId]);
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    const orderResult = await client.query(`
+      SELECT o.*, u."firstName", u."lastName"
+      FROM orders o
+      LEFT JOIN users u ON u.id = o."userId"
+      WHERE o.id = $1
+    `, [orderId]);
+    const order = orderResult.rows[0];
+
+    const items = await client.query(`
+      SELECT oi."artworkName", oi.quantity, oi.price, oi."lineTotal", a.dimensions, a.medium, a.year
+      FROM order_items oi
+      LEFT JOIN artworks a ON a.id = oi."artworkId"
+      WHERE oi."orderId" = $1
+      ORDER BY oi."createdAt" ASC, oi.id ASC
+    `, [orderId]);
+
+    const total = Number(order.totalAmount);
+    const taxRate = getInvoiceTaxRate();
+    const taxAmount = roundAmount(total * taxRate / (100 + taxRate));
+    const address = order.shippingAddress || {};
+
+    const issuedAt = new Date();
+    const data = {
+      seller: getSellerDetails(),
+      customer: {
+        name: address.fullName || [order.firstName, order.lastName].filter(Boolean).join(' '),
+        email: order.customerEmail,
+        address
+      },
+      order: {
+        orderNumber: order.orderNumber,
+        placedAt: order.createdAt,
+        currency: order.currency
+      },
+      lines: items.rows.map(item => ({
+        name: item.artworkName,
+        dimensions: item.dimensions,
+        medium: item.medium,
+        year: item.year,
+        quantity: item.quantity,
+        unitPrice: Number(item.price),
+        lineTotal: Number(item.lineTotal)
+      })),
+      totals: {
+        subtotal: Number(order.subtotal),
+        shippingCost: Number(order.shippingCost),
+        discountAmount: Number(order.discountAmount),
+        total,
+        taxRate,
+        taxAmount,
+        netAmount: roundAmount(total - taxAmount)
+      }
+    };
+
+    const inserted = await client.query(`
+      INSERT INTO invoices (id, "invoiceNumber", "orderId", data, "issuedAt")
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [generateId('invoice'), await this.nextInvoiceNumber(client, issuedAt), orderId, JSON.stringify(data), issuedAt]);
+
+    return inserted.rows[0];
+  }
+
+  // Invoice of an order (see GET /api/orders/:id/invoice.pdf); 409 until it is paid
+  static async getForOrder(order) {
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw createInvoiceError('The invoice is available once the order is paid', 409);
+    }
+
+    const existing = await query('SELECT * FROM invoices WHERE "orderId" = $1', [order.id]);
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    return transaction(async (client) => {
+      await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [order.id]);
+      return this.issue(client, order.id);
+    });
+  }
+
+  // A4 PDF of the invoice snapshot
+  static renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `Invoice ${invoice.invoiceNumber}`, Author: invoice.data.seller.name }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      drawInvoice(doc, invoice);
+      doc.end();
+    });
+  }
+
+  // Order-paid email with the invoice attached. Called after the payment
+  // transaction committed; failures are logged, never thrown at the payer.
+  static async sendOrderPaidEmail(orderId) {
+    try {
+      const invoice = await query('SELECT * FROM invoices WHERE "orderId" = $1', [orderId]);
+      if (invoice.rows.length === 0) {
+        return null;
+      }
+
+      const pdf = await this.renderPdf(invoice.rows[0]);
+      return await emailService.sendOrderPaidEmail(invoice.rows[0], pdf);
+    } catch (error) {
+      console.error(`Order paid email error (order ${orderId}):`, error);
+      return null;
+    }
+  }
+}
+
+// =============================================================================
+// PDF LAYOUT
+// =============================================================================
+
+// INVOICE_FONT_PATH / INVOICE_FONT_BOLD_PATH: a TTF covering the names on
+// invoices (the built-in Helvetica has no Arabic glyphs)
+const useFonts = (doc) => {
+  const regular = process.env.INVOICE_FONT_PATH;
+  const bold = process.env.INVOICE_FONT_BOLD_PATH || regular;
+
+  if (regular) {
+    doc.registerFont('Regular', regular);
+    doc.registerFont('Bold', bold);
+    return { regular: 'Regular', bold: 'Bold' };
+  }
+
+  return { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+};
+
+const drawInvoice = (doc, invoice) => {
+  const { seller, customer, order, lines, totals } = invoice.data;
+  const fonts = useFonts(doc);
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  // Gradients are page resources, so each page needs its own
+  const brandGradient = (x1, y1, x2, y2) => doc
+    .linearGradient(x1, y1, x2, y2)
+    .stop(0, BRAND.gradientFrom)
+    .stop(1, BRAND.gradientTo);
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 120).fill(brandGradient(0, 0, doc.page.width, 120));
+
+  doc.fillColor('white').font(fonts.bold).fontSize(26).text('ELOUARATE ART', left, 40);
+  doc.font(fonts.regular).fontSize(12).fillColor('white', 0.9).text('Premium Moroccan Art Gallery', left, 74);
+  doc.fillOpacity(1).font(fonts.bold).fontSize(20).text('INVOICE', left, 40, { width, align: 'right' });
+  doc.font(fonts.regular).fontSize(11).text(invoice.invoiceNumber, left, 68, { width, align: 'right' });
+
+  // Seller and invoice details
+  let y = 150;
+  doc.fillColor(BRAND.title).font(fonts.bold).fontSize(11).text(seller.name, left, y);
+  doc.fillColor(BRAND.text).font(fonts.regular).fontSize(9);
+  [seller.address, seller.email, seller.phone].filter(Boolean).forEach(line => doc.text(line, { width: width / 2 }));
+
+  const details = [
+    ['Invoice date', formatDate(invoice.issuedAt)],
+    ['Order', order.orderNumber],
+    ['Order date', formatDate(order.placedAt)],
+    ['Status', 'Paid']
+  ];
+  details.forEach(([label, value], index) => {
+    const rowY = y + index * 15;
+    doc.fillColor(BRAND.muted).font(fonts.regular).fontSize(9).text(label, left + width / 2, rowY, { width: width / 4 });
+    doc.fillColor(BRAND.title).font(fonts.bold).text(value, left + (width * 3) / 4, rowY, { width: width / 4, align: 'right' });
+  });
+
+  // Customer
+  y = Math.max(doc.y, y + details.length * 15) + 25;
+  doc.fillColor(BRAND.muted).font(fonts.bold).fontSize(9).text('BILL TO', left, y);
+  doc.fillColor(BRAND.title).font(fonts.bold).fontSize(11).text(customer.name || customer.email, left, y + 14);
+  doc.fillColor(BRAND.text).font(fonts.regular).fontSize(9);
+  const { address } = customer;
+  [
+    address.line1,
+    address.line2,
+    [address.postalCode, address.city].filter(Boolean).join(' '),
+    [address.region, address.country].filter(Boolean).join(', '),
+    customer.email
+  ].filter(Boolean).forEach(line => doc.text(line));
+
+  // Artworks
+  const columns = { qty: left + width * 0.5, unit: left + width * 0.58, amount: left + width * 0.79 };
+  const drawTableHeader = (top) => {
+    doc.rect(left, top, width, 22).fill(BRAND.background);
+    doc.fillColor(BRAND.muted).font(fonts.bold).fontSize(8);
+    doc.text('ARTWORK', left + 8, top + 7);
+    doc.text('QTY', columns.qty, top + 7, { width: columns.unit - columns.qty - 8, align: 'right' });
+    doc.text('UNIT PRICE', columns.unit, top + 7, { width: columns.amount - columns.unit - 8, align: 'right' });
+    doc.text('AMOUNT', columns.amount, top + 7, { width: right - columns.amount - 8, align: 'right' });
+    return top + 30;
+  };
+
+  y = drawTableHeader(doc.y + 25);
+  for (const line of lines) {
+    const description = describeArtwork(line);
+    if (y > doc.page.height - 220) {
+      doc.addPage();
+      y = drawTableHeader(doc.page.margins.top);
+    }
+
+    doc.fillColor(BRAND.title).font(fonts.bold).fontSize(10).text(line.name, left + 8, y, { width: columns.qty - left - 16 });
+    if (description) {
+      doc.fillColor(BRAND.muted).font(fonts.regular).fontSize(8).text(description, { width: columns.qty - left - 16 });
+    }
+    const rowBottom = doc.y;
+
+    doc.fillColor(BRAND.text).font(fonts.regular).fontSize(10);
+    doc.text(String(line.quantity), columns.qty, y, { width: columns.unit - columns.qty - 8, align: 'right' });
+    doc.text(formatMoney(line.unitPrice, order.currency), columns.unit, y, { width: columns.amount - columns.unit - 8, align: 'right' });
+    doc.text(formatMoney(line.lineTotal, order.currency), columns.amount, y, { width: right - columns.amount - 8, align: 'right' });
+
+    y = rowBottom + 10;
+    doc.moveTo(left, y - 5).lineTo(right, y - 5).lineWidth(0.5).strokeColor(BRAND.border).stroke();
+  }
+
+  // Totals
+  const totalRows = [
+    ['Subtotal', totals.subtotal],
+    ['Shipping', totals.shippingCost],
+    ...(totals.discountAmount > 0 ? [['Discount', -totals.discountAmount]] : [])
+  ];
+  y += 5;
+  if (y > doc.page.height - 250) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+
+  const labelX = left + width * 0.5;
+  const labelWidth = width * 0.2;
+  const valueX = labelX + labelWidth;
+  const valueWidth = right - valueX - 8;
+
+  totalRows.forEach(([label, amount]) => {
+    doc.fillColor(BRAND.text).font(fonts.regular).fontSize(10).text(label, labelX, y, { width: labelWidth });
+    doc.text(formatMoney(amount, order.currency), valueX, y, { width: valueWidth, align: 'right' });
+    y += 16;
+  });
+
+  doc.rect(labelX - 8, y, right - labelX + 8, 26).fill(brandGradient(labelX - 8, y, right, y + 26));
+  doc.fillColor('white').font(fonts.bold).fontSize(12).text('Total paid', labelX, y + 8, { width: labelWidth });
+  doc.text(formatMoney(totals.total, order.currency), valueX, y + 8, { width: valueWidth, align: 'right' });
+  y += 34;
+
+  doc.fillColor(BRAND.muted).font(fonts.regular).fontSize(8);
+  doc.text(
+    totals.taxRate > 0
+      ? `Amounts include VAT ${totals.taxRate}%: ${formatMoney(totals.taxAmount, order.currency)} (net ${formatMoney(totals.netAmount, order.currency)})`
+      : 'No VAT charged',
+    labelX, y, { width: right - labelX - 8, align: 'right' }
+  );
+
+  // Footer with the legal details
+  const legal = [
+    seller.name,
+    seller.taxId && `Tax ID ${seller.taxId}`,
+    seller.registration
+  ].filter(Boolean).join(' · ');
+  const footerY = doc.page.height - doc.page.margins.bottom - 40;
+  doc.moveTo(left, footerY).lineTo(right, footerY).lineWidth(0.5).strokeColor(BRAND.border).stroke();
+  doc.fillColor(BRAND.muted).font(fonts.regular).fontSize(8);
+  doc.text(legal, left, footerY + 10, { width, align: 'center', lineBreak: false });
+  doc.text('Thank you for supporting Moroccan art.', left, footerY + 22, { width, align: 'center', lineBreak: false });
+};
+
+export default InvoiceService;
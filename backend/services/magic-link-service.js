@@ -0,0 +1,106 @@
+/**
+ * 🔗 ELOUARATE ART - Magic Link Service
+ * Passwordless customer sign-in of the main API (server.js)
+ *
+ * Same storage as AuthenticationService (services/auth-pro.js), so a link
+ * works whichever API sent it: the sha256 of the token, its request time and
+ * expiry in metadata.magicLink. Admins sign in with their password (and
+ * second factor) only.
+ */
+
+import { query } from '../lib/database.js';
+import emailService from './email-service.js';
+
+const LINK_TTL_MS = 10 * 60 * 1000;
+
+const createMagicLinkError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class MagicLinkService {
+
+  // Same answer whether the account exists or not: the lookup is the only
+  // awaited work, the link is issued in the background
+  static async request(email) {
+    const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+
+    const result = normalizedEmail && await query(
+      `SELECT id, email, "firstName" FROM users
+       WHERE lower(email) = $1 AND "isActive" = true AND role <> 'ADMIN'`,
+      [normalizedEmail]
+    );
+
+    if (result && result.rows[0]) {
+      const user = result.rows[0];
+      this.issue(user).catch(error => {
+        console.error(`Magic link for ${user.email} failed:`, error);
+      });
+    }
+
+    return { message: 'If an account exists for this email, a sign-in link has been sent' };
+  }
+
+  // Single-use link, replacing any previous one
+  static async issue(user) {
+    const token = emailService.generateResetToken();
+    await query(
+      `UPDATE users
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('magicLink', $2::jsonb),
+           "updatedAt" = NOW()
+       WHERE id = $1`,
+      [user.id, JSON.stringify({
+        tokenHash: emailService.hashResetToken(token),
+        requestedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + LINK_TTL_MS).toISOString()
+      })]
+    );
+
+    await emailService.sendMagicLinkEmail(user, token, LINK_TTL_MS / (60 * 1000));
+    console.log(`🔗 Magic link requested: ${user.email} (${user.id})`);
+  }
+
+  // Consumes a link and returns its user, to be signed in by the caller.
+  // Following the link also proves the email address.
+  static async complete(token) {
+    if (!token || typeof token !== 'string') {
+      throw createMagicLinkError('Sign-in token is required', 400);
+    }
+
+    const tokenHash = emailService.hashResetToken(token);
+    const result = await query(
+      `SELECT id, email, "firstName", "lastName", role, metadata->'magicLink'->>'expiresAt' AS "expiresAt"
+       FROM users
+       WHERE metadata->'magicLink'->>'tokenHash' = $1 AND "isActive" = true`,
+      [tokenHash]
+    );
+    const { expiresAt, ...user } = result.rows[0] || {};
+
+    if (!user.id || user.role === 'ADMIN') {
+      throw createMagicLinkError('Invalid or already used sign-in link', 400);
+    }
+    if (new Date(expiresAt) < new Date()) {
+      throw createMagicLinkError('Sign-in link has expired, please request a new one', 400);
+    }
+
+    // Conditional on the token still being there, so a link works only once
+    const updated = await query(
+      `UPDATE users
+       SET "isEmailVerified" = true,
+           "emailVerificationToken" = NULL,
+           metadata = COALESCE(metadata, '{}'::jsonb) - 'magicLink',
+           "updatedAt" = NOW()
+       WHERE id = $1 AND metadata->'magicLink'->>'tokenHash' = $2`,
+      [user.id, tokenHash]
+    );
+
+    if (updated.rowCount === 0) {
+      throw createMagicLinkError('Invalid or already used sign-in link', 400);
+    }
+
+    return { ...user, isEmailVerified: true };
+  }
+}
+
+export default MagicLinkService;
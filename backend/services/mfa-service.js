@@ -0,0 +1,357 @@
+/**
+ * 🔐 ELOUARATE ART - MFA Service
+ * TOTP two-factor authentication for admin and customer accounts
+ *
+ * Enrollment: startEnrollment returns a secret and its otpauth:// URI (shown
+ * as a QR code); the factor is enabled once confirmEnrollment receives a
+ * valid code, which also hands out the one-time backup codes.
+ *
+ * Login: after the password, the login endpoints answer with a short-lived
+ * challenge token instead of the session tokens; completeChallenge checks
+ * the code against it. When MFA is required for all admins, an admin without
+ * a factor gets an 'enroll' challenge and sets it up before signing in.
+ * Customers opt in; once they have, their password and magic-link logins ask
+ * for the code too (a password reset signs nobody in, the next login asks).
+ *
+ * Used by the admin logins (services/auth-pro.js and routes/admin.js) and the
+ * customer logins (server.js, services/auth-pro.js); the callers check the
+ * first factor, this service only knows account ids.
+ */
+
+import crypto from 'crypto';
+import { query, transaction, generateId } from '../lib/database.js';
+import { generateSecret, verifyCode as verifyTotp, buildOtpAuthUri } from '../lib/totp.js';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+// Wrong codes over all challenges of an account: new challenges cannot
+// reset the count
+const MAX_ACCOUNT_FAILURES = 10;
+const ACCOUNT_FAILURE_WINDOW = '15 minutes';
+const BACKUP_CODE_COUNT = 10;
+
+const ADMIN_MFA_SETTING = 'adminMfaRequired';
+
+const createMfaError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getIssuer = () => process.env.MFA_ISSUER || 'ELOUARATE ART';
+
+// Secrets are stored encrypted: a database dump alone cannot generate codes.
+// The JWT_SECRET fallback is for development; production refuses MFA without
+// a key of its own rather than tie every secret to another setting.
+const getEncryptionKey = () => {
+  if (!process.env.MFA_ENCRYPTION_KEY && process.env.NODE_ENV === 'production') {
+    console.error('MFA_ENCRYPTION_KEY is not set: two-factor authentication is unavailable');
+    throw createMfaError('Two-factor authentication is currently unavailable', 503);
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key')
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Backup codes are compared without dashes, spaces or case
+const normalizeBackupCode = (code) => String(code ?? '').replace(/[\s-]/g, '').toLowerCase();
+
+// "3f9a1-c07b2"
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+class MfaService {
+
+  // =============================================================================
+  // FACTORS
+  // =============================================================================
+
+  static async getFactor(userId, client = { query }) {
+    const result = await client.query('SELECT * FROM mfa_factors WHERE "userId" = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  static async isEnabled(userId) {
+    const factor = await this.getFactor(userId);
+    return Boolean(factor?.enabledAt);
+  }
+
+  static async getStatus(userId) {
+    const [factor, required] = await Promise.all([this.getFactor(userId), this.isRequiredForAdmins()]);
+
+    return {
+      enabled: Boolean(factor?.enabledAt),
+      enabledAt: factor?.enabledAt || null,
+      backupCodesRemaining: factor?.enabledAt ? factor.backupCodes.length : 0,
+      requiredForAdmins: required
+    };
+  }
+
+  // New secret for { id, email }; replaces an unconfirmed one
+  static async startEnrollment(account) {
+    if (await this.isEnabled(account.id)) {
+      throw createMfaError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = generateSecret();
+    await query(
+      `INSERT INTO mfa_factors ("userId", secret)
+       VALUES ($1, $2)
+       ON CONFLICT ("userId") DO UPDATE
+       SET secret = EXCLUDED.secret, "lastUsedStep" = NULL, "backupCodes" = '[]', "updatedAt" = NOW()
+       WHERE mfa_factors."enabledAt" IS NULL`,
+      [account.id, encryptSecret(secret)]
+    );
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: account.email, issuer: getIssuer() })
+    };
+  }
+
+  // Enables the pending factor when the code matches; returns the backup
+  // codes (shown once), or null for a wrong code
+  static async confirmEnrollment(userId, code) {
+    return transaction(async (client) => {
+      const result = await client.query('SELECT * FROM mfa_factors WHERE "userId" = $1 FOR UPDATE', [userId]);
+      const factor = result.rows[0];
+
+      if (!factor) {
+        throw createMfaError('Start two-factor setup first', 404);
+      }
+      if (factor.enabledAt) {
+        throw createMfaError('Two-factor authentication is already enabled', 409);
+      }
+
+      const step = verifyTotp(decryptSecret(factor.secret), code);
+      if (step === null) {
+        return null;
+      }
+
+      const backupCodes = generateBackupCodes();
+      await client.query(
+        `UPDATE mfa_factors
+         SET "enabledAt" = NOW(), "lastUsedStep" = $2, "backupCodes" = $3, "updatedAt" = NOW()
+         WHERE "userId" = $1`,
+        [userId, step, JSON.stringify(backupCodes.map(backupCode => hashValue(normalizeBackupCode(backupCode))))]
+      );
+
+      return backupCodes;
+    });
+  }
+
+  // 'totp' or 'backup_code' when the code is accepted, null otherwise. Each
+  // TOTP code and each backup code works once.
+  static async verifyCode(userId, code) {
+    return transaction(async (client) => {
+      const result = await client.query('SELECT * FROM mfa_factors WHERE "userId" = $1 FOR UPDATE', [userId]);
+      const factor = result.rows[0];
+
+      if (!factor?.enabledAt) {
+        return null;
+      }
+
+      const step = verifyTotp(decryptSecret(factor.secret), code, { afterStep: Number(factor.lastUsedStep ?? -1) });
+      if (step !== null) {
+        await client.query(
+          'UPDATE mfa_factors SET "lastUsedStep" = $2, "updatedAt" = NOW() WHERE "userId" = $1',
+          [userId, step]
+        );
+        return 'totp';
+      }
+
+      const codeHash = hashValue(normalizeBackupCode(code));
+      if (normalizeBackupCode(code) && factor.backupCodes.includes(codeHash)) {
+        await client.query(
+          `UPDATE mfa_factors SET "backupCodes" = "backupCodes" - $2::text, "updatedAt" = NOW() WHERE "userId" = $1`,
+          [userId, codeHash]
+        );
+        console.log(`🔐 Backup code used by ${userId} (${factor.backupCodes.length - 1} left)`);
+        return 'backup_code';
+      }
+
+      return null;
+    });
+  }
+
+  // Replaces all backup codes; needs a current code
+  static async regenerateBackupCodes(userId, code) {
+    if (!await this.verifyCode(userId, code)) {
+      throw createMfaError('Invalid authentication code', 400);
+    }
+
+    const backupCodes = generateBackupCodes();
+    await query(
+      'UPDATE mfa_factors SET "backupCodes" = $2, "updatedAt" = NOW() WHERE "userId" = $1',
+      [userId, JSON.stringify(backupCodes.map(backupCode => hashValue(normalizeBackupCode(backupCode))))]
+    );
+
+    return backupCodes;
+  }
+
+  // Callers re-check the password first; this checks the second factor.
+  // `admin: false` for customer accounts, which the admin policy leaves free.
+  static async disable(userId, code, { admin = true } = {}) {
+    if (admin && await this.isRequiredForAdmins()) {
+      throw createMfaError('Two-factor authentication is required for all admins', 409);
+    }
+    if (!await this.isEnabled(userId)) {
+      throw createMfaError('Two-factor authentication is not enabled', 404);
+    }
+    if (!await this.verifyCode(userId, code)) {
+      throw createMfaError('Invalid authentication code', 400);
+    }
+
+    await query('DELETE FROM mfa_factors WHERE "userId" = $1', [userId]);
+    console.log(`🔓 Two-factor authentication disabled for ${userId}`);
+  }
+
+  // =============================================================================
+  // ADMIN POLICY
+  // =============================================================================
+
+  static async isRequiredForAdmins() {
+    const result = await query('SELECT value FROM app_settings WHERE key = $1', [ADMIN_MFA_SETTING]);
+    return result.rows[0]?.value === true;
+  }
+
+  // Callers re-check the password first; this checks the admin's own second
+  // factor, in both directions: turning enforcement on must not lock out the
+  // person flipping it, turning it off must not be possible with a stolen
+  // session alone
+  static async setRequiredForAdmins(required, adminId, code) {
+    if (!await this.isEnabled(adminId)) {
+      throw createMfaError('Enable two-factor authentication on your own account first', 409);
+    }
+    if (!await this.verifyCode(adminId, code)) {
+      throw createMfaError('Invalid authentication code', 400);
+    }
+
+    await query(
+      `INSERT INTO app_settings (key, value, "updatedBy")
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, "updatedBy" = EXCLUDED."updatedBy", "updatedAt" = NOW()`,
+      [ADMIN_MFA_SETTING, JSON.stringify(Boolean(required)), adminId]
+    );
+
+    console.log(`🔐 Admin MFA ${required ? 'required' : 'optional'} (changed by ${adminId})`);
+    return Boolean(required);
+  }
+
+  // =============================================================================
+  // LOGIN CHALLENGES
+  // =============================================================================
+
+  // 429 once the account collected too many wrong codes lately
+  static async assertAccountNotLocked(userId, client = { query }) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(attempts), 0)::int AS failures FROM mfa_challenges
+       WHERE "userId" = $1 AND "createdAt" > NOW() - INTERVAL '${ACCOUNT_FAILURE_WINDOW}'`,
+      [userId]
+    );
+
+    if (result.rows[0].failures >= MAX_ACCOUNT_FAILURES) {
+      throw createMfaError(`Too many invalid codes, please try again in ${ACCOUNT_FAILURE_WINDOW}`, 429);
+    }
+  }
+
+  // Second step of a login whose password was correct: { mfaToken, expiresAt }
+  static async createChallenge(userId, purpose) {
+    getEncryptionKey(); // no challenge that could never be answered
+    await this.assertAccountNotLocked(userId);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+
+    await query(
+      `INSERT INTO mfa_challenges (id, "tokenHash", "userId", purpose, "expiresAt")
+       VALUES ($1, $2, $3, $4, $5)`,
+      [generateId('mfa'), hashValue(token), userId, purpose, expiresAt]
+    );
+
+    return { mfaToken: token, expiresAt };
+  }
+
+  // Challenges are of no interest once expired for a day (run by the server's
+  // sweeper); the account failure window is much shorter
+  static async purgeExpiredChallenges() {
+    const result = await query(`DELETE FROM mfa_challenges WHERE "expiresAt" < NOW() - INTERVAL '1 day'`);
+    return result.rowCount;
+  }
+
+  // Account id of a usable challenge; 401 otherwise
+  static async peekChallenge(token, purpose) {
+    const result = await query(
+      `SELECT "userId" FROM mfa_challenges
+       WHERE "tokenHash" = $1 AND purpose = $2 AND "consumedAt" IS NULL
+         AND "expiresAt" > NOW() AND attempts < $3`,
+      [hashValue(String(token || '')), purpose, MAX_CHALLENGE_ATTEMPTS]
+    );
+
+    if (!result.rows[0]) {
+      throw createMfaError('Two-factor challenge is invalid or has expired, please log in again', 401);
+    }
+    return result.rows[0].userId;
+  }
+
+  // Runs `check(userId)` against the challenge and consumes it when check
+  // returns something truthy, which is returned along with the account id.
+  // Failed attempts count even though the request fails.
+  static async completeChallenge(token, purpose, check) {
+    const outcome = await transaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM mfa_challenges WHERE "tokenHash" = $1 AND purpose = $2 FOR UPDATE`,
+        [hashValue(String(token || '')), purpose]
+      );
+      const challenge = result.rows[0];
+
+      if (!challenge || challenge.consumedAt || challenge.expiresAt < new Date()) {
+        throw createMfaError('Two-factor challenge is invalid or has expired, please log in again', 401);
+      }
+      if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        throw createMfaError('Too many invalid codes, please log in again', 429);
+      }
+
+      // One attempt at a time per account, so parallel requests on several
+      // challenges cannot get past the account limit
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [challenge.userId]);
+      await this.assertAccountNotLocked(challenge.userId, client);
+
+      const checked = await check(challenge.userId);
+      if (!checked) {
+        await client.query('UPDATE mfa_challenges SET attempts = attempts + 1 WHERE id = $1', [challenge.id]);
+        return null;
+      }
+
+      await client.query('UPDATE mfa_challenges SET "consumedAt" = NOW() WHERE id = $1', [challenge.id]);
+      return { userId: challenge.userId, result: checked };
+    });
+
+    if (!outcome) {
+      throw createMfaError('Invalid authentication code', 400);
+    }
+    return outcome;
+  }
+}
+
+export default MfaService;
@@ -0,0 +1,276 @@
+/**
+ * 🤝 ELOUARATE ART - Offer Service
+ * Make-an-offer negotiations between collectors and the gallery
+ *
+ * A logged-in customer offers an amount below the asking price. The gallery
+ * accepts, rejects or counters; a counter-offer goes back to the customer,
+ * who can accept it, counter again or withdraw:
+ *
+ *   PENDING ⇄ COUNTERED        (PENDING = gallery's turn)
+ *      ↓          ↓
+ *   ACCEPTED   REJECTED / WITHDRAWN
+ *      ↓
+ *   COMPLETED  (paid at the accepted price)
+ *
+ * An accepted offer is a private price for that customer only, valid for
+ * OFFER_ACCEPTANCE_HOURS: their cart and checkout charge it instead of the
+ * public price. Past that it reads as EXPIRED. Every step is kept in
+ * offer_events and the other side is emailed.
+ */
+
+import { query, transaction, generateId, lockRows } from '../lib/database.js';
+import emailService from './email-service.js';
+import { getStoreCurrency } from './order-service.js';
+import { ARTWORK_SALE_JOIN, ARTWORK_CURRENT_PRICE_SQL } from './category-sale-service.js';
+
+export const OFFER_STATUSES = ['PENDING', 'COUNTERED', 'ACCEPTED', 'REJECTED', 'WITHDRAWN', 'COMPLETED', 'EXPIRED'];
+
+// Who may do what, from which status, and where it leads
+export const OFFER_ACTIONS = {
+  admin: {
+    accept: { from: ['PENDING'], to: 'ACCEPTED', event: 'ACCEPTED' },
+    counter: { from: ['PENDING'], to: 'COUNTERED', event: 'COUNTERED' },
+    reject: { from: ['PENDING', 'COUNTERED'], to: 'REJECTED', event: 'REJECTED' }
+  },
+  customer: {
+    accept: { from: ['COUNTERED'], to: 'ACCEPTED', event: 'ACCEPTED' },
+    counter: { from: ['COUNTERED'], to: 'PENDING', event: 'COUNTERED' },
+    withdraw: { from: ['PENDING', 'COUNTERED'], to: 'WITHDRAWN', event: 'WITHDRAWN' }
+  }
+};
+
+// How long an accepted price can be checked out
+export const getOfferAcceptanceHours = () => parseInt(process.env.OFFER_ACCEPTANCE_HOURS) || 48;
+
+// Private price of artwork `a` for the user in `userSql` (an SQL expression),
+// as offer.price; NULL without a running accepted offer
+export const offerPriceJoin = (userSql) => `LEFT JOIN LATERAL (
+  SELECT MIN(o."acceptedAmount")::DOUBLE PRECISION AS price
+  FROM offers o
+  WHERE o."artworkId" = a.id AND o."userId" = ${userSql}
+    AND o.status = 'ACCEPTED' AND o."acceptedUntil" > NOW()
+) offer ON true`;
+
+const OFFER_COLUMNS = `
+  o.id, o."artworkId", o."userId",
+  CASE WHEN o.status = 'ACCEPTED' AND o."acceptedUntil" <= NOW() THEN 'EXPIRED' ELSE o.status END AS status,
+  o.amount, o.currency, o."acceptedAmount", o."acceptedUntil", o."orderId", o."createdAt", o."updatedAt",
+  a.name AS "artworkName", a.price AS "artworkPrice", a.status AS "artworkStatus",
+  u.email AS "customerEmail", concat_ws(' ', u."firstName", u."lastName") AS "customerName"
+`;
+
+const OFFER_JOINS = `
+  JOIN artworks a ON a.id = o."artworkId"
+  JOIN users u ON u.id = o."userId"
+`;
+
+const createOfferError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// NUMERIC columns arrive as strings from pg
+const toAmount = (value) => (value === null || value === undefined ? null : Number(value));
+
+const formatOffer = (row, events) => ({
+  ...row,
+  amount: toAmount(row.amount),
+  acceptedAmount: toAmount(row.acceptedAmount),
+  artworkPrice: toAmount(row.artworkPrice),
+  ...(events ? { events: events.map(event => ({ ...event, amount: toAmount(event.amount) })) } : {})
+});
+
+class OfferService {
+
+  // New offer from `user` on an available artwork; 409 while another of
+  // their offers on it is still being negotiated
+  static async create(user, artworkId, { amount, message = null }) {
+    const offerId = await transaction(async (client) => {
+      await lockRows(client, 'artworks', [artworkId]);
+      const artwork = await client.query(`
+        SELECT a.id, a.status, a."isActive", ${ARTWORK_CURRENT_PRICE_SQL} AS price
+        FROM artworks a
+        ${ARTWORK_SALE_JOIN}
+        WHERE a.id = $1
+      `, [artworkId]);
+
+      if (artwork.rows.length === 0 || !artwork.rows[0].isActive) {
+        throw createOfferError('Artwork not found', 404);
+      }
+      if (artwork.rows[0].status !== 'AVAILABLE') {
+        throw createOfferError('Artwork is not available for purchase', 409);
+      }
+      if (amount >= Number(artwork.rows[0].price)) {
+        throw createOfferError('Your offer must be below the asking price', 400);
+      }
+
+      const id = generateId('offer');
+      try {
+        await client.query(`
+          INSERT INTO offers (id, "artworkId", "userId", status, amount, currency)
+          VALUES ($1, $2, $3, 'PENDING', $4, $5)
+        `, [id, artworkId, user.id, amount, getStoreCurrency()]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw createOfferError('You already have an offer in progress on this artwork', 409);
+        }
+        throw error;
+      }
+
+      await this.recordEvent(client, id, { type: 'OFFERED', actor: 'customer', amount, message, createdBy: user.id });
+      return id;
+    });
+
+    const offer = await this.getOffer(offerId);
+    this.notify(offer, 'customer');
+    return offer;
+  }
+
+  // Offer with its history; null when it does not exist
+  static async getOffer(offerId, client = { query }) {
+    const result = await client.query(`SELECT ${OFFER_COLUMNS} FROM offers o ${OFFER_JOINS} WHERE o.id = $1`, [offerId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const events = await client.query(`
+      SELECT type, actor, amount, message, "createdAt"
+      FROM offer_events
+      WHERE "offerId" = $1
+      ORDER BY "createdAt" ASC, id ASC
+    `, [offerId]);
+
+    return formatOffer(result.rows[0], events.rows);
+  }
+
+  static async listForUser(userId) {
+    const result = await query(`
+      SELECT ${OFFER_COLUMNS} FROM offers o ${OFFER_JOINS}
+      WHERE o."userId" = $1
+      ORDER BY o."updatedAt" DESC, o.id DESC
+    `, [userId]);
+    return result.rows.map(row => formatOffer(row));
+  }
+
+  // Admin inbox, most recently active first; `status` narrows it
+  static async list({ status } = {}) {
+    const params = [];
+    let where = '';
+    if (status === 'EXPIRED') {
+      where = `WHERE o.status = 'ACCEPTED' AND o."acceptedUntil" <= NOW()`;
+    } else if (status === 'ACCEPTED') {
+      where = `WHERE o.status = 'ACCEPTED' AND o."acceptedUntil" > NOW()`;
+    } else if (status) {
+      params.push(status);
+      where = 'WHERE o.status = $1';
+    }
+
+    const result = await query(`
+      SELECT ${OFFER_COLUMNS} FROM offers o ${OFFER_JOINS}
+      ${where}
+      ORDER BY o."updatedAt" DESC, o.id DESC
+      LIMIT 200
+    `, params);
+    return result.rows.map(row => formatOffer(row));
+  }
+
+  // Applies an `action` of OFFER_ACTIONS[actor] (409 when the offer is not
+  // in a status that allows it). `amount` is the counter-offer; `validHours`
+  // lets the gallery shorten or extend an acceptance.
+  static async respond(offerId, actor, action, { userId, amount, message = null, validHours } = {}) {
+    const rule = OFFER_ACTIONS[actor]?.[action];
+    if (!rule) {
+      throw createOfferError(`Unknown offer action: ${action}`, 400);
+    }
+
+    await transaction(async (client) => {
+      const [offer] = await lockRows(client, 'offers', [offerId], { columns: '*' });
+      if (!offer || (actor === 'customer' && offer.userId !== userId)) {
+        throw createOfferError('Offer not found', 404);
+      }
+
+      if (!rule.from.includes(offer.status)) {
+        throw createOfferError(`Cannot ${action} an offer that is ${offer.status}`, 409);
+      }
+
+      if (action === 'counter') {
+        const artwork = await client.query(`
+          SELECT ${ARTWORK_CURRENT_PRICE_SQL} AS price FROM artworks a ${ARTWORK_SALE_JOIN} WHERE a.id = $1
+        `, [offer.artworkId]);
+        if (amount >= Number(artwork.rows[0].price)) {
+          throw createOfferError('A counter-offer must be below the asking price', 400);
+        }
+      }
+
+      let accepted = null;
+      if (rule.to === 'ACCEPTED') {
+        const artwork = await client.query('SELECT status, "isActive" FROM artworks WHERE id = $1', [offer.artworkId]);
+        if (artwork.rows[0]?.status !== 'AVAILABLE' || !artwork.rows[0]?.isActive) {
+          throw createOfferError('Artwork is no longer available', 409);
+        }
+
+        const hours = validHours || getOfferAcceptanceHours();
+        accepted = { amount: Number(offer.amount), until: new Date(Date.now() + hours * 60 * 60 * 1000) };
+      }
+
+      await client.query(`
+        UPDATE offers
+        SET status = $2, amount = COALESCE($3, amount), "acceptedAmount" = $4, "acceptedUntil" = $5, "updatedAt" = NOW()
+        WHERE id = $1
+      `, [offerId, rule.to, amount ?? null, accepted?.amount ?? null, accepted?.until ?? null]);
+
+      await this.recordEvent(client, offerId, {
+        type: rule.event,
+        actor,
+        amount: amount ?? accepted?.amount ?? null,
+        message,
+        createdBy: userId
+      });
+    });
+
+    const offer = await this.getOffer(offerId);
+    this.notify(offer, actor);
+    return offer;
+  }
+
+  // Order paid: the accepted offers it was bought with are completed
+  static async completeForOrder(client, orderId) {
+    const completed = await client.query(`
+      UPDATE offers o SET status = 'COMPLETED', "orderId" = $1, "updatedAt" = NOW()
+      FROM orders ord, order_items oi
+      WHERE ord.id = $1 AND oi."orderId" = ord.id
+        AND o."userId" = ord."userId" AND o."artworkId" = oi."artworkId"
+        AND o.status = 'ACCEPTED' AND o."acceptedAmount" = oi.price
+      RETURNING o.id, o."acceptedAmount"
+    `, [orderId]);
+
+    for (const offer of completed.rows) {
+      await this.recordEvent(client, offer.id, { type: 'COMPLETED', actor: 'system', amount: offer.acceptedAmount });
+    }
+  }
+
+  static async recordEvent(client, offerId, { type, actor, amount = null, message = null, createdBy = null }) {
+    await client.query(`
+      INSERT INTO offer_events (id, "offerId", type, actor, amount, message, "createdBy")
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [generateId('offerevent'), offerId, type, actor, amount, message, createdBy]);
+  }
+
+  // Emails the other side about the latest step. Runs in the background:
+  // failures are logged, never surfaced to the request.
+  static async notify(offer, actor) {
+    try {
+      const event = offer.events[offer.events.length - 1];
+      if (actor === 'admin') {
+        await emailService.sendOfferUpdateEmail(offer, event);
+      } else {
+        await emailService.sendOfferActivityEmail(offer, event);
+      }
+    } catch (error) {
+      console.error(`🤝 Offer email for ${offer.id} failed:`, error);
+    }
+  }
+}
+
+export default OfferService;
@@ -0,0 +1,335 @@
+/**
+ * 📦 ELOUARATE ART - Order Service
+ * Checkout and the order lifecycle
+ *
+ * Checkout turns the customer's cart into an order that keeps a snapshot of
+ * each artwork (name, price, image) so later edits never change past orders.
+ *
+ * Orders follow a fixed state machine, enforced here for every caller:
+ *
+ *   PENDING → PAID → PACKED → SHIPPED → DELIVERED
+ *      ↓        └───────┴────────┴──────────┴──→ REFUNDED
+ *   CANCELLED
+ *
+ * Every change, including the initial PENDING, is written to
+ * order_status_history (see GET /api/orders/:id/timeline).
+ *
+ * A PENDING order reserves its artworks until reservationExpiresAt; payment
+ * sells them, cancellation or expiry (expireReservations) releases them
+ * together with the use of its coupon.
+ */
+
+import { query, transaction, generateId, lockRows } from '../lib/database.js';
+import CartService from './cart-service.js';
+import ReservationService from './reservation-service.js';
+import InvoiceService from './invoice-service.js';
+import ShippingService from './shipping-service.js';
+import CouponService from './coupon-service.js';
+import OfferService from './offer-service.js';
+
+export const ORDER_STATUSES = ['PENDING', 'PAID', 'PACKED', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'];
+
+// Allowed next statuses; CANCELLED and REFUNDED are final
+export const ORDER_TRANSITIONS = {
+  PENDING: ['PAID', 'CANCELLED'],
+  PAID: ['PACKED', 'REFUNDED'],
+  PACKED: ['SHIPPED', 'REFUNDED'],
+  SHIPPED: ['DELIVERED', 'REFUNDED'],
+  DELIVERED: ['REFUNDED'],
+  CANCELLED: [],
+  REFUNDED: []
+};
+
+const ORDER_AMOUNT_FIELDS = ['subtotal', 'shippingCost', 'discountAmount', 'totalAmount'];
+
+export const getStoreCurrency = () => (process.env.STORE_CURRENCY || 'EUR').toUpperCase();
+
+const createOrderError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// EA-20261019-7KQ2ZD: date for support conversations, random part against guessing
+const generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const random = Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, '0');
+  return `EA-${date}-${random}`;
+};
+
+// NUMERIC columns arrive as strings from pg
+const formatOrder = (row, items = []) => ({
+  ...row,
+  ...Object.fromEntries(ORDER_AMOUNT_FIELDS.map(field => [field, Number(row[field])])),
+  items: items.map(item => ({
+    ...item,
+    price: Number(item.price),
+    lineTotal: Number(item.lineTotal)
+  })),
+  nextStatuses: ORDER_TRANSITIONS[row.status] || []
+});
+
+class OrderService {
+
+  static canTransition(fromStatus, toStatus) {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  static async recordHistory(client, orderId, fromStatus, toStatus, { changedBy = null, note = null, metadata = null } = {}) {
+    await client.query(`
+      INSERT INTO order_status_history (id, "orderId", "fromStatus", "toStatus", note, "changedBy", metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [generateId('orderhist'), orderId, fromStatus, toStatus, note, changedBy, metadata ? JSON.stringify(metadata) : null]);
+  }
+
+  // Creates a PENDING order from the user's cart, priced with the shipping
+  // quote for the address's country and the cart's coupon (redeemed in the
+  // same transaction), reserves its artworks and empties the cart. Refuses (409, with the affected items in `details`) when
+  // an artwork is no longer available or its price changed since the cart was
+  // last read.
+  static async checkout(user, { shippingAddress, notes = null }) {
+    const outcome = await transaction(async (client) => {
+      const cartId = await CartService.getUserCartId(client, user.id);
+
+      // Concurrent checkouts of the same cart or artwork wait here for each
+      // other, so the second one sees the first one's reservation
+      const [lockedCart] = await lockRows(client, 'carts', [cartId], { columns: 'id, "couponId"' });
+      const cartArtworks = await client.query('SELECT "artworkId" FROM cart_items WHERE "cartId" = $1', [cartId]);
+      await lockRows(client, 'artworks', cartArtworks.rows.map(row => row.artworkId));
+
+      const cart = await CartService.getCart(cartId, client);
+
+      if (cart.items.length === 0) {
+        throw createOrderError('Your cart is empty', 400);
+      }
+
+      // Conflicts are returned rather than thrown so the transaction commits
+      // the cart prices getCart just refreshed; otherwise they would roll back
+      // and every retry would be refused for the same price change
+      const unavailable = cart.items.filter(item => !item.available);
+      if (unavailable.length > 0) {
+        return {
+          conflict: createOrderError('Some artworks in your cart are no longer available', 409, {
+            items: unavailable.map(item => ({ artworkId: item.artworkId, name: item.name, status: item.status }))
+          })
+        };
+      }
+
+      const repriced = cart.items.filter(item => item.previousPrice !== undefined);
+      if (repriced.length > 0) {
+        return {
+          conflict: createOrderError('Prices changed since you last viewed your cart', 409, {
+            items: repriced.map(item => ({ artworkId: item.artworkId, name: item.name, previousPrice: item.previousPrice, price: item.price }))
+          })
+        };
+      }
+
+      const subtotal = cart.summary.subtotal;
+      const shipping = await ShippingService.quoteCart(cart, shippingAddress.country, client);
+      const shippingCost = shipping.total;
+      const coupon = lockedCart.couponId
+        ? await CouponService.lockForCheckout(client, lockedCart.couponId, cart.items, user.id)
+        : null;
+      const discountAmount = coupon ? coupon.discountAmount : 0;
+      const orderId = generateId('order');
+      const reservationExpiresAt = ReservationService.getExpiry();
+
+      await client.query(`
+        INSERT INTO orders (
+          id, "orderNumber", "userId", status, currency, subtotal, "shippingCost", "discountAmount",
+          "totalAmount", "couponCode", "shippingAddress", "shippingZone", "customerEmail", notes,
+          "reservationExpiresAt", "createdAt", "updatedAt"
+        )
+        VALUES ($1, $2, $3, 'PENDING', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+      `, [
+        orderId, generateOrderNumber(), user.id, getStoreCurrency(), subtotal, shippingCost, discountAmount,
+        roundAmount(subtotal + shippingCost - discountAmount), coupon?.coupon.code || null,
+        JSON.stringify(shippingAddress), shipping.zone, user.email, notes, reservationExpiresAt
+      ]);
+
+      for (const item of cart.items) {
+        await client.query(`
+          INSERT INTO order_items (id, "orderId", "artworkId", quantity, price, "lineTotal", "artworkName", "imageUrl")
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [generateId('orderitem'), orderId, item.artworkId, item.quantity, item.price, item.lineTotal, item.name, item.imageUrl]);
+      }
+
+      if (coupon) {
+        await CouponService.recordRedemption(client, coupon, orderId, user.id);
+      }
+
+      await ReservationService.reserve(client, orderId, cart.items.map(item => item.artworkId), reservationExpiresAt);
+      await this.recordHistory(client, orderId, null, 'PENDING', { changedBy: user.id, note: 'Order placed' });
+      await client.query('DELETE FROM cart_items WHERE "cartId" = $1', [cartId]);
+      await client.query('UPDATE carts SET "couponId" = NULL, "updatedAt" = NOW() WHERE id = $1', [cartId]);
+
+      return { order: await this.getOrder(orderId, client) };
+    });
+
+    if (outcome.conflict) {
+      throw outcome.conflict;
+    }
+    return outcome.order;
+  }
+
+  // Creates a PENDING order for one artwork sold outside the cart (auction
+  // winners) at `price` and reserves it until `reservationExpiresAt`. There is
+  // no address yet, so shipping is left at 0 and arranged with the customer.
+  // Runs in the caller's transaction, with the artwork row locked there.
+  static async createForArtwork(client, { user, artworkId, price, note, reservationExpiresAt }) {
+    const artwork = await client.query(`
+      SELECT a.name, (
+        SELECT i.url FROM artwork_images i
+        WHERE i."artworkId" = a.id
+        ORDER BY i."isPrimary" DESC, i."createdAt" ASC
+        LIMIT 1
+      ) AS "imageUrl"
+      FROM artworks a
+      WHERE a.id = $1
+    `, [artworkId]);
+    const orderId = generateId('order');
+
+    await client.query(`
+      INSERT INTO orders (
+        id, "orderNumber", "userId", status, currency, subtotal, "shippingCost", "discountAmount",
+        "totalAmount", "customerEmail", notes, "reservationExpiresAt", "createdAt", "updatedAt"
+      )
+      VALUES ($1, $2, $3, 'PENDING', $4, $5, 0, 0, $5, $6, $7, $8, NOW(), NOW())
+    `, [orderId, generateOrderNumber(), user.id, getStoreCurrency(), price, user.email, note, reservationExpiresAt]);
+
+    await client.query(`
+      INSERT INTO order_items (id, "orderId", "artworkId", quantity, price, "lineTotal", "artworkName", "imageUrl")
+      VALUES ($1, $2, $3, 1, $4, $4, $5, $6)
+    `, [generateId('orderitem'), orderId, artworkId, price, artwork.rows[0].name, artwork.rows[0].imageUrl]);
+
+    await ReservationService.reserve(client, orderId, [artworkId], reservationExpiresAt);
+    await this.recordHistory(client, orderId, null, 'PENDING', { note });
+
+    return this.getOrder(orderId, client);
+  }
+
+  // Order with its items; null when it does not exist
+  static async getOrder(orderId, client = { query }) {
+    const result = await client.query(`
+      SELECT id, "orderNumber", "userId", status, currency, subtotal, "shippingCost", "discountAmount",
+        "totalAmount", "couponCode", "shippingAddress", "shippingZone", "customerEmail", notes, "trackingNumber",
+        "reservationExpiresAt", "createdAt", "updatedAt"
+      FROM orders
+      WHERE id = $1
+    `, [orderId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const items = await client.query(`
+      SELECT id, "artworkId", "artworkName", "imageUrl", quantity, price, "lineTotal"
+      FROM order_items
+      WHERE "orderId" = $1
+      ORDER BY "createdAt" ASC, id ASC
+    `, [orderId]);
+
+    return formatOrder(result.rows[0], items.rows);
+  }
+
+  // Status changes, oldest first. `actor` tells who made each change without
+  // exposing staff accounts to customers.
+  static async getTimeline(orderId) {
+    const result = await query(`
+      SELECT h."fromStatus", h."toStatus" AS status, h.note, h.metadata, h."createdAt",
+        CASE
+          WHEN h."changedBy" IS NULL THEN 'system'
+          WHEN u.role = 'ADMIN' THEN 'admin'
+          ELSE 'customer'
+        END AS actor
+      FROM order_status_history h
+      LEFT JOIN users u ON u.id = h."changedBy"
+      WHERE h."orderId" = $1
+      ORDER BY h."createdAt" ASC, h.id ASC
+    `, [orderId]);
+
+    return result.rows;
+  }
+
+  // Moves an order to `toStatus` (409 when the state machine does not allow
+  // it) and records the change. Runs in its own transaction unless `client`
+  // is given, so payment and reservation code can change the status atomically
+  // with their own writes.
+  static async transition(orderId, toStatus, { client, changedBy = null, note = null, metadata = null, trackingNumber } = {}) {
+    if (!client) {
+      return transaction(transactionClient => this.transition(orderId, toStatus, {
+        client: transactionClient, changedBy, note, metadata, trackingNumber
+      }));
+    }
+
+    if (!ORDER_STATUSES.includes(toStatus)) {
+      throw createOrderError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+    }
+
+    const current = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (current.rows.length === 0) {
+      throw createOrderError('Order not found', 404);
+    }
+
+    const fromStatus = current.rows[0].status;
+    if (!this.canTransition(fromStatus, toStatus)) {
+      const allowed = ORDER_TRANSITIONS[fromStatus] || [];
+      throw createOrderError(
+        `Cannot change order status from ${fromStatus} to ${toStatus}` +
+          (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${fromStatus} is final)`),
+        409
+      );
+    }
+
+    await client.query(`
+      UPDATE orders
+      SET status = $2, "trackingNumber" = COALESCE($3, "trackingNumber"), "updatedAt" = NOW()
+      WHERE id = $1
+    `, [orderId, toStatus, trackingNumber ?? null]);
+
+    if (toStatus === 'PAID') {
+      await ReservationService.convert(client, orderId);
+      await InvoiceService.issue(client, orderId);
+      await OfferService.completeForOrder(client, orderId);
+    } else if (toStatus === 'CANCELLED') {
+      await ReservationService.release(client, orderId);
+      await CouponService.releaseRedemption(client, orderId);
+    }
+
+    await this.recordHistory(client, orderId, fromStatus, toStatus, {
+      changedBy,
+      note,
+      metadata: trackingNumber ? { ...metadata, trackingNumber } : metadata
+    });
+
+    return this.getOrder(orderId, client);
+  }
+
+  // Cancels PENDING orders whose reservation expired, putting their artworks
+  // back on sale. Orders locked by a payment in progress are skipped and
+  // picked up by a later run. Returns the number of cancelled orders.
+  static async expireReservations({ limit = 50 } = {}) {
+    return transaction(async (client) => {
+      const expired = await client.query(`
+        SELECT id FROM orders
+        WHERE status = 'PENDING' AND "reservationExpiresAt" < NOW()
+        ORDER BY "reservationExpiresAt" ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `, [limit]);
+
+      for (const order of expired.rows) {
+        await this.transition(order.id, 'CANCELLED', { client, note: 'Reservation expired before payment' });
+      }
+
+      return expired.rows.length;
+    });
+  }
+}
+
+export default OrderService;
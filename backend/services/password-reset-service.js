@@ -0,0 +1,128 @@
+/**
+ * 🔑 ELOUARATE ART - Password Reset Service
+ * Customer password resets of the main API (server.js)
+ *
+ * Same storage as AuthenticationService (services/auth-pro.js), so a link
+ * works whichever API sent it: the sha256 of the token, its request time and
+ * expiry in metadata.passwordReset. Admins reset through routes/admin.js.
+ */
+
+import bcryptjs from 'bcryptjs';
+import { query } from '../lib/database.js';
+import { validatePassword } from '../middleware/security.js';
+import emailService from './email-service.js';
+import SessionService from './session-service.js';
+
+const RESET_TTL_MS = 15 * 60 * 1000;
+const RESET_INTERVAL_MS = 60 * 1000; // between reset emails
+
+const createResetError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PasswordResetService {
+
+  // The answer never tells whether the account exists: the lookup is the only
+  // awaited work, the link is issued in the background
+  static async initiate(email) {
+    const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+
+    const result = normalizedEmail && await query(
+      `SELECT id, email, "firstName", metadata->'passwordReset' AS "passwordReset"
+       FROM users WHERE lower(email) = $1 AND "isActive" = true AND role <> 'ADMIN'`,
+      [normalizedEmail]
+    );
+
+    if (result && result.rows[0]) {
+      const user = result.rows[0];
+      this.issue(user).catch(error => {
+        console.error(`Password reset for ${user.email} failed:`, error);
+      });
+    }
+
+    return { message: 'If an account exists for this email, a password reset link has been sent' };
+  }
+
+  // Emails a single-use link, replacing any previous one (one email per minute)
+  static async issue(user) {
+    const previous = user.passwordReset;
+    if (previous && Date.now() - new Date(previous.requestedAt).getTime() < RESET_INTERVAL_MS) {
+      return;
+    }
+
+    const token = emailService.generateResetToken();
+    await query(
+      `UPDATE users
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('passwordReset', $2::jsonb),
+           "updatedAt" = NOW()
+       WHERE id = $1`,
+      [user.id, JSON.stringify({
+        tokenHash: emailService.hashResetToken(token),
+        requestedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + RESET_TTL_MS).toISOString()
+      })]
+    );
+
+    await emailService.sendUserPasswordResetEmail(user, token, RESET_TTL_MS / (60 * 1000));
+    console.log(`🔑 Password reset requested: ${user.email} (${user.id})`);
+  }
+
+  // Sets the new password, consumes the link and signs the user out
+  // everywhere. Following the emailed link also proves the email address.
+  static async complete(token, newPassword) {
+    if (!token || typeof token !== 'string') {
+      throw createResetError('Reset token is required', 400);
+    }
+
+    const passwordCheck = validatePassword(newPassword);
+    if (!passwordCheck.valid) {
+      throw createResetError(passwordCheck.error, 400);
+    }
+
+    const tokenHash = emailService.hashResetToken(token);
+    const result = await query(
+      `SELECT id, email, "firstName", metadata->'passwordReset'->>'expiresAt' AS "expiresAt"
+       FROM users
+       WHERE metadata->'passwordReset'->>'tokenHash' = $1 AND "isActive" = true`,
+      [tokenHash]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      throw createResetError('Invalid or already used reset link', 400);
+    }
+    if (new Date(user.expiresAt) < new Date()) {
+      throw createResetError('Reset link has expired, please request a new one', 400);
+    }
+
+    // Conditional on the token still being there, so a link works only once
+    const updated = await query(
+      `UPDATE users
+       SET password = $3,
+           "isEmailVerified" = true,
+           "emailVerificationToken" = NULL,
+           metadata = (COALESCE(metadata, '{}'::jsonb) - 'passwordReset')
+             || jsonb_build_object('passwordChanged', to_jsonb(NOW())),
+           "updatedAt" = NOW()
+       WHERE id = $1 AND metadata->'passwordReset'->>'tokenHash' = $2`,
+      [user.id, tokenHash, await bcryptjs.hash(newPassword, 12)]
+    );
+
+    if (updated.rowCount === 0) {
+      throw createResetError('Invalid or already used reset link', 400);
+    }
+
+    await SessionService.revokeAll(user.id, 'password_changed');
+
+    emailService.sendUserPasswordResetSuccessEmail(user).catch(error => {
+      console.error(`Password reset confirmation for ${user.email} failed:`, error);
+    });
+
+    console.log(`✅ Password reset completed: ${user.email} (${user.id})`);
+    return { message: 'Password reset successfully. Please log in with your new password.' };
+  }
+}
+
+export default PasswordResetService;
@@ -0,0 +1,295 @@
+/**
+ * 💳 ELOUARATE ART - Payment Service
+ * Pays, confirms and refunds orders through the configured payment provider
+ *
+ * Every order payment is a row in `payments` tied to one provider intent.
+ * The order moves to PAID (and its artworks to SOLD) when the payment
+ * succeeds, whether the confirmation call or the provider's webhook reports
+ * it first; both paths are idempotent.
+ *
+ * Webhook events are stored in `payment_events` in the same transaction as
+ * their effects, so a redelivered event is acknowledged without side effects
+ * and a failed one is retried by the provider.
+ */
+
+import { query, transaction, generateId } from '../lib/database.js';
+import { getPaymentProvider, PAYMENT_STATUSES, PAYMENT_EVENTS } from '../lib/payments.js';
+import OrderService from './order-service.js';
+import InvoiceService from './invoice-service.js';
+
+// Payments that can still be confirmed (a declined card can be retried with
+// another one); reused instead of opening a new intent
+const OPEN_PAYMENT_STATUSES = [
+  PAYMENT_STATUSES.REQUIRES_PAYMENT,
+  PAYMENT_STATUSES.REQUIRES_ACTION,
+  PAYMENT_STATUSES.PROCESSING,
+  PAYMENT_STATUSES.FAILED
+];
+
+const REFUNDABLE_PAYMENT_STATUSES = [PAYMENT_STATUSES.SUCCEEDED, 'PARTIALLY_REFUNDED'];
+
+const createPaymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// NUMERIC columns arrive as strings from pg; the client secret is only handed
+// out when the payment is started
+const formatPayment = ({ clientSecret, ...row }) => ({
+  ...row,
+  amount: Number(row.amount),
+  refundedAmount: Number(row.refundedAmount)
+});
+
+class PaymentService {
+
+  static async getPayments(orderId) {
+    const result = await query(
+      'SELECT * FROM payments WHERE "orderId" = $1 ORDER BY "createdAt" DESC, id DESC',
+      [orderId]
+    );
+    return result.rows.map(formatPayment);
+  }
+
+  // Opens (or reuses) a payment for a PENDING order and returns what the
+  // frontend needs to collect the card: { clientSecret, publishableKey, ... }
+  static async startPayment(order) {
+    if (order.status !== 'PENDING') {
+      throw createPaymentError(`Order is ${order.status} and cannot be paid`, 409);
+    }
+    if (order.reservationExpiresAt && new Date(order.reservationExpiresAt) < new Date()) {
+      throw createPaymentError('The reservation of this order expired, please check out again', 409);
+    }
+
+    const provider = getPaymentProvider();
+    const existing = await query(`
+      SELECT * FROM payments
+      WHERE "orderId" = $1 AND provider = $2 AND status = ANY($3::text[]) AND amount = $4 AND currency = $5
+      ORDER BY "createdAt" DESC
+      LIMIT 1
+    `, [order.id, provider.name, OPEN_PAYMENT_STATUSES, order.totalAmount, order.currency]);
+
+    let payment = existing.rows[0];
+    if (!payment) {
+      const intent = await provider.createIntent({
+        amount: order.totalAmount,
+        currency: order.currency,
+        orderId: order.id,
+        customerEmail: order.customerEmail,
+        idempotencyKey: `order-${order.id}-${order.totalAmount}-${order.currency}`
+      });
+
+      const inserted = await query(`
+        INSERT INTO payments (id, "orderId", provider, "providerIntentId", "clientSecret", amount, currency, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (provider, "providerIntentId") DO UPDATE SET "updatedAt" = NOW()
+        RETURNING *
+      `, [generateId('payment'), order.id, provider.name, intent.id, intent.clientSecret, order.totalAmount, order.currency, intent.status]);
+      payment = inserted.rows[0];
+    }
+
+    return {
+      ...formatPayment(payment),
+      clientSecret: payment.clientSecret,
+      publishableKey: provider.publishableKey
+    };
+  }
+
+  // Confirms the order's open payment server-side (offline provider, saved
+  // cards). Card-based frontends confirm with the provider directly and
+  // let the webhook report the outcome. The order-paid email is sent in the
+  // background once the payment is committed.
+  static async confirmPayment(order, { paymentMethod } = {}) {
+    const provider = getPaymentProvider();
+    const open = await query(`
+      SELECT * FROM payments
+      WHERE "orderId" = $1 AND provider = $2 AND status = ANY($3::text[])
+      ORDER BY "createdAt" DESC
+      LIMIT 1
+    `, [order.id, provider.name, OPEN_PAYMENT_STATUSES]);
+
+    if (open.rows.length === 0) {
+      throw createPaymentError('This order has no payment to confirm', 409);
+    }
+
+    const intent = await provider.confirmIntent(open.rows[0].providerIntentId, { paymentMethod });
+
+    const { payment, paid } = await transaction(async (client) => {
+      const locked = await this.lockPayment(client, provider.name, intent.id);
+      const orderPaid = await this.applyIntentStatus(client, locked, intent.status, { failureMessage: intent.failureMessage });
+      return { payment: await this.lockPayment(client, provider.name, intent.id), paid: orderPaid };
+    });
+
+    if (paid) {
+      InvoiceService.sendOrderPaidEmail(order.id);
+    }
+
+    return formatPayment(payment);
+  }
+
+  // Refunds the order's payment, all of it unless `amount` is given. The order
+  // becomes REFUNDED once the whole payment has been refunded.
+  static async refundOrder(order, { amount, changedBy = null, note = null } = {}) {
+    const provider = getPaymentProvider();
+    const paid = await query(`
+      SELECT * FROM payments
+      WHERE "orderId" = $1 AND status = ANY($2::text[])
+      ORDER BY "createdAt" DESC
+      LIMIT 1
+    `, [order.id, REFUNDABLE_PAYMENT_STATUSES]);
+
+    if (paid.rows.length === 0) {
+      throw createPaymentError('This order has no payment to refund', 409);
+    }
+
+    const payment = paid.rows[0];
+    if (payment.provider !== provider.name) {
+      throw createPaymentError(`This payment was made with ${payment.provider}, which is no longer configured`, 409);
+    }
+
+    const remaining = roundAmount(Number(payment.amount) - Number(payment.refundedAmount));
+    if (amount !== undefined && amount > remaining) {
+      throw createPaymentError(`Refund cannot exceed ${remaining} ${payment.currency}`, 400);
+    }
+
+    const refund = await provider.refund(payment.providerIntentId, {
+      amount,
+      currency: payment.currency,
+      idempotencyKey: `refund-${payment.id}-${Number(payment.refundedAmount)}-${amount ?? remaining}`
+    });
+
+    return transaction(async (client) => {
+      const locked = await this.lockPayment(client, payment.provider, payment.providerIntentId);
+      await this.applyRefund(client, locked, roundAmount(Number(payment.refundedAmount) + refund.amount), {
+        changedBy,
+        note,
+        metadata: { refundId: refund.id, amount: refund.amount }
+      });
+      return formatPayment(await this.lockPayment(client, payment.provider, payment.providerIntentId));
+    });
+  }
+
+  // Verifies and applies a provider webhook. Returns { duplicate } so the
+  // route can acknowledge redeliveries; signature problems throw 400.
+  static async handleWebhook(rawBody, headers) {
+    const provider = getPaymentProvider();
+    const event = provider.verifyWebhook(rawBody, headers);
+
+    const result = await transaction(async (client) => {
+      const payment = event.intentId ? await this.lockPayment(client, provider.name, event.intentId) : null;
+
+      // The webhook can arrive before startPayment has committed the payment:
+      // answer non-2xx without recording the event so the provider retries it.
+      // Intents of other apps on the same account are retried too, until the
+      // provider gives up.
+      if (!payment && event.intentId && event.type) {
+        throw createPaymentError(`Unknown payment intent ${event.intentId}, retry later`, 409);
+      }
+
+      const recorded = await client.query(`
+        INSERT INTO payment_events (id, provider, "eventId", type, "paymentId", payload)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (provider, "eventId") DO NOTHING
+        RETURNING id
+      `, [generateId('payevent'), provider.name, event.id, event.type || 'ignored', payment?.id || null, JSON.stringify(event.payload)]);
+
+      if (recorded.rows.length === 0) {
+        return { duplicate: true, type: event.type };
+      }
+
+      // Events this shop does not handle
+      if (!payment || !event.type) {
+        return { duplicate: false, type: event.type, ignored: true };
+      }
+
+      let paid = false;
+      if (event.type === PAYMENT_EVENTS.SUCCEEDED) {
+        paid = await this.applyIntentStatus(client, payment, PAYMENT_STATUSES.SUCCEEDED, { eventId: event.id });
+      } else if (event.type === PAYMENT_EVENTS.FAILED) {
+        await this.applyIntentStatus(client, payment, PAYMENT_STATUSES.FAILED, { failureMessage: event.failureMessage });
+      } else if (event.type === PAYMENT_EVENTS.REFUNDED) {
+        await this.applyRefund(client, payment, event.refundedAmount, { metadata: { eventId: event.id } });
+      }
+
+      return { duplicate: false, type: event.type, orderId: payment.orderId, paid };
+    });
+
+    if (result.paid) {
+      InvoiceService.sendOrderPaidEmail(result.orderId);
+    }
+
+    return result;
+  }
+
+  static async lockPayment(client, provider, intentId) {
+    const result = await client.query(
+      'SELECT * FROM payments WHERE provider = $1 AND "providerIntentId" = $2 FOR UPDATE',
+      [provider, intentId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Records the intent's status and marks the order PAID on success; returns
+  // whether the order was paid by this call. A payment that arrives after the
+  // order was cancelled (expired reservation) or whose artworks were sold
+  // meanwhile is kept as SUCCEEDED with `lastError`, for an admin to refund.
+  static async applyIntentStatus(client, payment, status, { failureMessage = null, eventId = null } = {}) {
+    // Succeeded and refunded payments never go back
+    if (!OPEN_PAYMENT_STATUSES.includes(payment.status)) {
+      return false;
+    }
+
+    await client.query(`
+      UPDATE payments SET status = $2, "lastError" = $3, "updatedAt" = NOW() WHERE id = $1
+    `, [payment.id, status, status === PAYMENT_STATUSES.FAILED ? failureMessage : null]);
+
+    if (status !== PAYMENT_STATUSES.SUCCEEDED) {
+      return false;
+    }
+
+    await client.query('SAVEPOINT mark_order_paid');
+    try {
+      await OrderService.transition(payment.orderId, 'PAID', {
+        client,
+        note: 'Payment received',
+        metadata: { provider: payment.provider, intentId: payment.providerIntentId, ...(eventId ? { eventId } : {}) }
+      });
+      await client.query('RELEASE SAVEPOINT mark_order_paid');
+      return true;
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        throw error;
+      }
+
+      await client.query('ROLLBACK TO SAVEPOINT mark_order_paid');
+      await client.query('UPDATE payments SET "lastError" = $2 WHERE id = $1', [payment.id, error.message]);
+      console.error(`💳 Payment ${payment.id} succeeded but order ${payment.orderId} cannot be marked paid: ${error.message}`);
+      return false;
+    }
+  }
+
+  // `refundedAmount` is the total refunded so far, so replays change nothing
+  static async applyRefund(client, payment, refundedAmount, { changedBy = null, note = null, metadata = null } = {}) {
+    const total = roundAmount(Math.max(Number(payment.refundedAmount), refundedAmount));
+    const fullyRefunded = total >= Number(payment.amount);
+
+    await client.query(`
+      UPDATE payments SET "refundedAmount" = $2, status = $3, "updatedAt" = NOW() WHERE id = $1
+    `, [payment.id, total, fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED']);
+
+    const order = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [payment.orderId]);
+    if (fullyRefunded && OrderService.canTransition(order.rows[0]?.status, 'REFUNDED')) {
+      await OrderService.transition(payment.orderId, 'REFUNDED', {
+        client,
+        changedBy,
+        note: note || 'Payment refunded',
+        metadata: { provider: payment.provider, intentId: payment.providerIntentId, ...metadata }
+      });
+    }
+  }
+}
+
+export default PaymentService;
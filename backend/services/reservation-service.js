@@ -0,0 +1,87 @@
+/**
+ * ⏳ ELOUARATE ART - Reservation Service
+ * Holds one-off artworks for the order being paid
+ *
+ * Checkout reserves the order's artworks (status RESERVED, reservedByOrderId,
+ * reservedUntil). Payment turns them SOLD; a cancelled order, or one whose
+ * reservation expired (see OrderService.expireReservations), puts them back
+ * on sale.
+ *
+ * Every function takes the client of the caller's transaction and expects the
+ * artwork rows to be locked there (lockRows in lib/database.js), so two
+ * checkouts of the same piece are serialized.
+ */
+
+import { lockRows } from '../lib/database.js';
+
+const createReservationError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+// How long a checkout holds its artworks while the customer pays
+export const getReservationTtlMinutes = () => parseInt(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+class ReservationService {
+
+  static getExpiry(from = new Date()) {
+    return new Date(from.getTime() + getReservationTtlMinutes() * 60 * 1000);
+  }
+
+  // Reserves every artwork for the order, or none (409) when one is not AVAILABLE
+  static async reserve(client, orderId, artworkIds, expiresAt) {
+    const result = await client.query(`
+      UPDATE artworks
+      SET status = 'RESERVED', "reservedByOrderId" = $1, "reservedUntil" = $3, "updatedAt" = NOW()
+      WHERE id = ANY($2::text[]) AND status = 'AVAILABLE' AND "isActive" = true
+      RETURNING id
+    `, [orderId, artworkIds, expiresAt]);
+
+    if (result.rows.length !== artworkIds.length) {
+      const reserved = new Set(result.rows.map(row => row.id));
+      throw createReservationError('Some artworks in your cart are no longer available', 409, {
+        items: artworkIds.filter(id => !reserved.has(id)).map(artworkId => ({ artworkId }))
+      });
+    }
+  }
+
+  // Payment received: the order's artworks are sold. Artworks still on sale
+  // (orders placed before reservations existed) are sold too; artworks sold
+  // or reserved for someone else in the meantime refuse the payment (409).
+  static async convert(client, orderId) {
+    const items = await client.query('SELECT "artworkId" FROM order_items WHERE "orderId" = $1', [orderId]);
+    const artworkIds = items.rows.map(row => row.artworkId);
+    const artworks = await lockRows(client, 'artworks', artworkIds, { columns: 'id, status, "reservedByOrderId"' });
+
+    const conflicts = artworks.filter(artwork => artwork.reservedByOrderId !== orderId && artwork.status !== 'AVAILABLE');
+    if (conflicts.length > 0) {
+      throw createReservationError('Some artworks of this order are no longer reserved for it', 409, {
+        items: conflicts.map(artwork => ({ artworkId: artwork.id, status: artwork.status }))
+      });
+    }
+
+    await client.query(`
+      UPDATE artworks
+      SET status = 'SOLD', "reservedByOrderId" = NULL, "reservedUntil" = NULL, "updatedAt" = NOW()
+      WHERE id = ANY($1::text[])
+    `, [artworkIds]);
+  }
+
+  // Puts the artworks still held by the order back on sale
+  static async release(client, orderId) {
+    const result = await client.query(`
+      UPDATE artworks
+      SET status = 'AVAILABLE', "reservedByOrderId" = NULL, "reservedUntil" = NULL, "updatedAt" = NOW()
+      WHERE "reservedByOrderId" = $1 AND status = 'RESERVED'
+      RETURNING id
+    `, [orderId]);
+
+    return result.rows.map(row => row.id);
+  }
+}
+
+export default ReservationService;
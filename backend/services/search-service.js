@@ -0,0 +1,81 @@
+/**
+ * 🔎 ELOUARATE ART - Artwork Search Service
+ * PostgreSQL full-text search (tsvector + unaccent) with ranking and highlighting
+ *
+ * The search document lives in artworks."searchVector" and is kept in sync by
+ * triggers (see migrations/002_artwork_search.sql). Queries use the web search
+ * syntax: "exact phrase", -excluded, OR.
+ */
+
+// Text search configuration created by the migration (French stemming + unaccent)
+export const TEXT_SEARCH_CONFIG = 'artwork_search';
+
+const MAX_QUERY_LENGTH = 200;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+// Highlights are HTML, so the text is escaped before ts_headline adds the
+// <mark> tags; the parser keeps entities like &lt; whole and never marks them
+const escapeHtmlSql = (expression) => [
+  ['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["''", '&#39;']
+].reduce((sql, [from, to]) => `replace(${sql}, '${from}', '${to}')`, expression);
+
+class SearchService {
+
+  // Normalizes the raw ?q= value; returns null when there is nothing to search
+  static normalizeQuery(raw) {
+    if (typeof raw !== 'string') {
+      return null;
+    }
+
+    const trimmed = raw.trim().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+    return trimmed.length > 0 ? trimmed : null;
+  }
+
+  // SQL fragments for the artworks listing.
+  // `paramIndex` is the $n placeholder that holds the normalized query text.
+  static buildArtworkSearch(paramIndex) {
+    const tsquery = `websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', $${paramIndex})`;
+
+    return {
+      where: `a."searchVector" @@ ${tsquery}`,
+      select: `
+        ts_rank_cd(a."searchVector", ${tsquery}) AS rank,
+        ts_headline('${TEXT_SEARCH_CONFIG}', ${escapeHtmlSql('a.name')}, ${tsquery}, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS "nameHighlight",
+        ts_headline('${TEXT_SEARCH_CONFIG}', ${escapeHtmlSql("coalesce(a.description, '')")}, ${tsquery}, '${HEADLINE_OPTIONS}') AS "descriptionHighlight"`,
+      orderBy: 'rank DESC, a."createdAt" DESC'
+    };
+  }
+
+  // Rebuilds every artwork's search vector in batches (after changing the
+  // text search configuration or restoring data with triggers disabled)
+  static async reindex(queryFunction, { batchSize = 500, onProgress = () => {} } = {}) {
+    let lastId = '';
+    let total = 0;
+
+    while (true) {
+      const batch = await queryFunction(
+        'SELECT id FROM artworks WHERE id > $1 ORDER BY id LIMIT $2',
+        [lastId, batchSize]
+      );
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      const ids = batch.rows.map(row => row.id);
+      await queryFunction(
+        'UPDATE artworks a SET "searchVector" = build_artwork_search_vector(a) WHERE a.id = ANY($1::text[])',
+        [ids]
+      );
+
+      total += ids.length;
+      lastId = ids[ids.length - 1];
+      onProgress(total);
+    }
+
+    return { reindexed: total };
+  }
+}
+
+export default SearchService;
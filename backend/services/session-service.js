@@ -0,0 +1,210 @@
+/**
+ * 🔑 ELOUARATE ART - Session Service
+ * Signed-in sessions of the main API (server.js)
+ *
+ * Same auth_sessions table and rules as AuthenticationService
+ * (services/auth-pro.js): one row per device, every access and refresh token
+ * carries its session id (`sid`) and stops working once the session is
+ * revoked. A refresh token works once: presenting an older one means it
+ * leaked, so the whole session is revoked. Tokens carry this API's audience,
+ * so tokens signed with the same secret elsewhere are refused.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { query } from '../lib/database.js';
+
+export const TOKEN_AUDIENCE = 'elouarate-api';
+
+const ACCESS_TOKEN_EXPIRES_IN = '24h';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // refresh token lifetime, moves forward with every refresh
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000; // how precise lastUsedAt is
+
+const createSessionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+// "Chrome on Windows" from a user agent, for the sessions list
+export const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([marker]) => userAgent.includes(marker))?.[1];
+
+  const os = [
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Android', 'Android'],
+    ['Windows', 'Windows'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([marker]) => userAgent.includes(marker))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+class SessionService {
+
+  // Access/refresh pair of a session
+  static signTokens(user, sessionId, refreshTokenId) {
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role || 'USER', sid: sessionId, type: 'access' },
+      getSecret(),
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN, audience: TOKEN_AUDIENCE }
+    );
+
+    const refreshToken = jwt.sign(
+      { userId: user.id, sid: sessionId, type: 'refresh', jti: refreshTokenId },
+      getSecret(),
+      { expiresIn: SESSION_TTL_MS / 1000, audience: TOKEN_AUDIENCE }
+    );
+
+    return { token, refreshToken };
+  }
+
+  // Opens a session for { id, email, role } and returns its tokens
+  static async start(user, { ipAddress = null, userAgent = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshTokenId = crypto.randomUUID();
+
+    await query(
+      `INSERT INTO auth_sessions (id, "userId", "refreshTokenId", device, "ipAddress", "userAgent", "expiresAt")
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [sessionId, user.id, refreshTokenId, describeDevice(userAgent || ''), ipAddress, userAgent, new Date(Date.now() + SESSION_TTL_MS)]
+    );
+
+    // Sessions over for a month are of no interest anymore
+    await query(
+      `DELETE FROM auth_sessions WHERE "userId" = $1 AND "expiresAt" < NOW() - INTERVAL '30 days'`,
+      [user.id]
+    );
+
+    return this.signTokens(user, sessionId, refreshTokenId);
+  }
+
+  // Decoded token of the given type; 401 when invalid, expired or issued
+  // without a session (before sessions existed)
+  static verify(token, type = 'access') {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, getSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+      throw createSessionError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token', 401);
+    }
+
+    if (!decoded.sid) {
+      throw createSessionError('Session has expired, please log in again', 401);
+    }
+    if (decoded.type !== type) {
+      throw createSessionError('Invalid token', 401);
+    }
+
+    return decoded;
+  }
+
+  // 401 unless the session exists, is not revoked and has not expired
+  static async assertActive(sessionId) {
+    const result = await query(
+      'SELECT "revokedAt", "expiresAt", "lastUsedAt" FROM auth_sessions WHERE id = $1',
+      [sessionId]
+    );
+    const session = result.rows[0];
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      throw createSessionError('Session has been revoked, please log in again', 401);
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      query('UPDATE auth_sessions SET "lastUsedAt" = NOW() WHERE id = $1', [sessionId])
+        .catch(error => console.error('Session touch error:', error));
+    }
+  }
+
+  // Rotates the refresh token of a session and returns a new pair
+  static async refresh(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+    const decoded = this.verify(refreshToken, 'refresh');
+
+    const userResult = await query(
+      'SELECT id, email, role, "isActive" FROM users WHERE id = $1',
+      [decoded.userId]
+    );
+    const user = userResult.rows[0];
+
+    if (!user || !user.isActive) {
+      throw createSessionError('User not found or inactive', 401);
+    }
+
+    const refreshTokenId = crypto.randomUUID();
+    const rotated = await query(
+      `UPDATE auth_sessions SET
+         "refreshTokenId" = $4,
+         "lastUsedAt" = NOW(),
+         "expiresAt" = $5,
+         "ipAddress" = COALESCE($6, "ipAddress"),
+         "userAgent" = COALESCE($7, "userAgent")
+       WHERE id = $1 AND "userId" = $2 AND "refreshTokenId" = $3
+         AND "revokedAt" IS NULL AND "expiresAt" > NOW()`,
+      [decoded.sid, user.id, decoded.jti, refreshTokenId, new Date(Date.now() + SESSION_TTL_MS), ipAddress, userAgent]
+    );
+
+    if (rotated.rowCount === 0) {
+      const revoked = await this.revoke(user.id, { sessionId: decoded.sid, reason: 'refresh_token_reuse' });
+      if (revoked > 0) {
+        console.warn(`🚨 Refresh token reuse for user ${user.id}, session ${decoded.sid} revoked`);
+      }
+      throw createSessionError('Session has been revoked, please log in again', 401);
+    }
+
+    return this.signTokens(user, decoded.sid, refreshTokenId);
+  }
+
+  // Revokes one session of the user, or all of them; returns how many were open
+  static async revoke(userId, { sessionId = null, reason }) {
+    const result = await query(
+      `UPDATE auth_sessions SET "revokedAt" = NOW(), "revokedReason" = $3
+       WHERE "userId" = $1 AND ($2::text IS NULL OR id = $2) AND "revokedAt" IS NULL`,
+      [userId, sessionId, reason]
+    );
+    return result.rowCount;
+  }
+
+  // Signs the user out everywhere (logout-all, password reset)
+  static async revokeAll(userId, reason = 'logout_all') {
+    const revoked = await this.revoke(userId, { reason });
+
+    // Tokens issued up to this second are refused as well (whole epoch
+    // seconds, like the iat claim), whichever session they claim
+    await query(
+      `UPDATE users
+       SET metadata = COALESCE(metadata, '{}'::jsonb)
+         || jsonb_build_object('tokensValidAfter', floor(extract(epoch FROM NOW()))::bigint)
+       WHERE id = $1`,
+      [userId]
+    );
+
+    console.log(`✅ All devices logged out for user: ${userId} (${revoked} session(s))`);
+    return revoked;
+  }
+
+  // Open sessions, most recently used first; `current` marks the caller's
+  static async list(userId, currentSessionId = null) {
+    const result = await query(
+      `SELECT id, device, "ipAddress", "userAgent", "createdAt", "lastUsedAt", "expiresAt"
+       FROM auth_sessions
+       WHERE "userId" = $1 AND "revokedAt" IS NULL AND "expiresAt" > NOW()
+       ORDER BY "lastUsedAt" DESC`,
+      [userId]
+    );
+    return result.rows.map(session => ({ ...session, current: session.id === currentSessionId }));
+  }
+}
+
+export default SessionService;
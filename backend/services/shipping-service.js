@@ -0,0 +1,308 @@
+/**
+ * 🚚 ELOUARATE ART - Shipping Service
+ * Rule-based shipping quotes for the cart and checkout
+ *
+ * The destination country picks a zone (Morocco, EU, rest of the world).
+ * A shipment costs the zone's base rate plus a rate per billable kilogram,
+ * where each artwork is billed on the greater of its weight and its
+ * volumetric weight once packed. Canvases longer than the crating limit
+ * travel in a wooden crate, charged per crate even when the order ships
+ * free; free shipping applies from the zone's threshold on the subtotal.
+ *
+ * Amounts are in the store currency. The defaults below can be overridden
+ * with the SHIPPING_RULES environment variable (JSON, merged per zone),
+ * read and checked once when the server starts.
+ */
+
+import { query } from '../lib/database.js';
+import { normalizeCountryCode, COUNTRY_CODES } from '../lib/countries.js';
+import { getStoreCurrency } from './order-service.js';
+import { ARTWORK_SALE_JOIN, ARTWORK_CURRENT_PRICE_SQL } from './category-sale-service.js';
+
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+export const DEFAULT_SHIPPING_RULES = {
+  zones: {
+    MA: { label: 'Morocco', countries: ['MA'], baseRate: 15, perKg: 1.5, crateSurcharge: 40, freeShippingThreshold: 500 },
+    EU: { label: 'European Union', countries: EU_COUNTRIES, baseRate: 45, perKg: 4, crateSurcharge: 120, freeShippingThreshold: 2500 },
+    WORLD: { label: 'Rest of the world', countries: [], baseRate: 90, perKg: 9, crateSurcharge: 180, freeShippingThreshold: null }
+  },
+  // Countries not listed in any zone
+  defaultZone: 'WORLD',
+  // Longest side (cm) above which an artwork is crated
+  crateAboveCm: 100,
+  packaging: {
+    // Added to every side for corners, foam and cardboard
+    paddingCm: 10,
+    // Carrier divisor: cm³ per kilogram of volumetric weight
+    volumetricDivisor: 5000,
+    // Used when an artwork has no depth or weight on record
+    defaultDepthCm: 4,
+    weightPerSquareMeterKg: 4,
+    minWeightKg: 1,
+    // Artworks without any dimensions on record
+    fallbackWeightKg: 5
+  }
+};
+
+const createShippingError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Carriers bill by the half kilogram
+const roundUpHalfKg = (value) => Math.ceil(value * 2) / 2;
+
+const toCm = (value, unit) => (value === null || value === undefined
+  ? null
+  : Number(value) * (unit === 'in' ? 2.54 : 1));
+
+// Problems of a rules object, one sentence each (empty when usable)
+const findRuleProblems = (rules) => {
+  const problems = [];
+  const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const isPositive = (value) => isAmount(value) && value > 0;
+  const zoneOfCountry = new Map();
+
+  if (!rules.zones || typeof rules.zones !== 'object' || Array.isArray(rules.zones)) {
+    return ['zones must be an object keyed by zone code'];
+  }
+
+  for (const [code, zone] of Object.entries(rules.zones)) {
+    if (!zone || typeof zone !== 'object') {
+      problems.push(`zone ${code} must be an object`);
+      continue;
+    }
+    if (typeof zone.label !== 'string' || !zone.label.trim()) {
+      problems.push(`zone ${code} needs a label`);
+    }
+    for (const field of ['baseRate', 'perKg', 'crateSurcharge']) {
+      if (!isAmount(zone[field])) {
+        problems.push(`zone ${code} ${field} must be a number of at least 0`);
+      }
+    }
+    if (zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined
+      && !isAmount(zone.freeShippingThreshold)) {
+      problems.push(`zone ${code} freeShippingThreshold must be null or a number of at least 0`);
+    }
+    if (!Array.isArray(zone.countries)) {
+      problems.push(`zone ${code} countries must be a list of country codes`);
+      continue;
+    }
+    for (const country of zone.countries) {
+      if (typeof country !== 'string' || !COUNTRY_CODES.has(country)) {
+        problems.push(`zone ${code} lists ${JSON.stringify(country)}, which is not an ISO 3166-1 alpha-2 code`);
+      } else if (zoneOfCountry.has(country) && zoneOfCountry.get(country) !== code) {
+        problems.push(`${country} is listed in zones ${zoneOfCountry.get(country)} and ${code}`);
+      } else {
+        zoneOfCountry.set(country, code);
+      }
+    }
+  }
+
+  if (!rules.zones[rules.defaultZone]) {
+    problems.push(`defaultZone ${rules.defaultZone} is not one of the zones`);
+  }
+  if (!isPositive(rules.crateAboveCm)) {
+    problems.push('crateAboveCm must be a number above 0');
+  }
+  for (const [field, value] of Object.entries(rules.packaging || {})) {
+    const valid = field === 'paddingCm' ? isAmount(value) : isPositive(value);
+    if (!valid) {
+      problems.push(`packaging ${field} must be a number ${field === 'paddingCm' ? 'of at least 0' : 'above 0'}`);
+    }
+  }
+
+  return problems;
+};
+
+// Defaults with SHIPPING_RULES merged over them, zone by zone; 500 when the
+// variable is not valid JSON or the merged rules are unusable
+const loadShippingRules = () => {
+  if (!process.env.SHIPPING_RULES) {
+    return DEFAULT_SHIPPING_RULES;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.SHIPPING_RULES);
+  } catch (error) {
+    throw createShippingError(`SHIPPING_RULES is not valid JSON: ${error.message}`, 500);
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw createShippingError('SHIPPING_RULES must be a JSON object', 500);
+  }
+
+  const zones = { ...DEFAULT_SHIPPING_RULES.zones };
+  for (const [code, zone] of Object.entries(overrides.zones || {})) {
+    zones[code] = { ...zones[code], ...zone };
+  }
+
+  const rules = {
+    ...DEFAULT_SHIPPING_RULES,
+    ...overrides,
+    zones,
+    packaging: { ...DEFAULT_SHIPPING_RULES.packaging, ...overrides.packaging }
+  };
+
+  const problems = findRuleProblems(rules);
+  if (problems.length > 0) {
+    throw createShippingError(`SHIPPING_RULES is invalid: ${problems.join('; ')}`, 500);
+  }
+
+  return rules;
+};
+
+let shippingRules = null;
+
+// Rules in effect, read from the environment once. The server calls this on
+// startup so a bad SHIPPING_RULES stops it instead of failing every quote.
+export const getShippingRules = () => {
+  if (!shippingRules) {
+    shippingRules = loadShippingRules();
+  }
+  return shippingRules;
+};
+
+class ShippingService {
+
+  // Zone code of a destination country (ISO 3166-1 alpha-2)
+  static getZone(country, rules = getShippingRules()) {
+    const code = Object.keys(rules.zones).find(zone => rules.zones[zone].countries?.includes(country));
+    return code || rules.defaultZone;
+  }
+
+  // Packed size and billable weight of one artwork
+  static measure(artwork, rules = getShippingRules()) {
+    const { packaging } = rules;
+    const width = toCm(artwork.width, artwork.dimensionUnit);
+    const height = toCm(artwork.height, artwork.dimensionUnit);
+
+    if (!width || !height) {
+      const weightKg = artwork.weightKg ? Number(artwork.weightKg) : packaging.fallbackWeightKg;
+      return {
+        dimensionsCm: null,
+        weightKg,
+        billableWeightKg: roundUpHalfKg(weightKg),
+        crated: false,
+        estimated: !artwork.weightKg
+      };
+    }
+
+    const depth = toCm(artwork.depth, artwork.dimensionUnit) || packaging.defaultDepthCm;
+    const weightKg = artwork.weightKg
+      ? Number(artwork.weightKg)
+      : Math.max(packaging.minWeightKg, (width * height / 10000) * packaging.weightPerSquareMeterKg);
+    const volumetricKg = (width + packaging.paddingCm) * (height + packaging.paddingCm) * (depth + packaging.paddingCm)
+      / packaging.volumetricDivisor;
+
+    return {
+      dimensionsCm: { width: roundAmount(width), height: roundAmount(height), depth: roundAmount(depth) },
+      weightKg: roundAmount(weightKg),
+      billableWeightKg: roundUpHalfKg(Math.max(weightKg, volumetricKg)),
+      crated: Math.max(width, height) > rules.crateAboveCm,
+      estimated: !artwork.weightKg || !artwork.depth
+    };
+  }
+
+  // Quote for [{ artworkId, quantity }] shipped to `country`, an ISO 3166-1
+  // alpha-2 code (400 otherwise; countries outside every zone use the
+  // default zone). Unknown or hidden artworks are refused (404, ids in
+  // `details`). `subtotal` replaces the one computed from public prices
+  // (carts with private offer prices).
+  // `client` runs the lookup inside a caller's transaction (checkout).
+  static async quote({ country: destination, items, subtotal: knownSubtotal }, client = { query }) {
+    const country = normalizeCountryCode(destination);
+    if (!country) {
+      throw createShippingError('Country must be a two-letter ISO country code such as MA or FR', 400);
+    }
+
+    const rules = getShippingRules();
+    const zoneCode = this.getZone(country, rules);
+    const zone = rules.zones[zoneCode];
+
+    if (!zone) {
+      throw createShippingError(`Shipping zone ${zoneCode} is not configured`, 500);
+    }
+
+    const ids = [...new Set(items.map(item => item.artworkId))];
+    const result = await client.query(`
+      SELECT a.id, a.name, ${ARTWORK_CURRENT_PRICE_SQL} AS price,
+        a.width, a.height, a.depth, a."dimensionUnit", a."weightKg"
+      FROM artworks a
+      ${ARTWORK_SALE_JOIN}
+      WHERE a.id = ANY($1::text[]) AND a."isActive" = true
+    `, [ids]);
+    const artworks = new Map(result.rows.map(row => [row.id, row]));
+
+    const missing = ids.filter(id => !artworks.has(id));
+    if (missing.length > 0) {
+      throw createShippingError('Artwork not found', 404, { artworkIds: missing });
+    }
+
+    let subtotal = 0;
+    let billableWeightKg = 0;
+    let crates = 0;
+
+    const quotedItems = items.map(({ artworkId, quantity = 1 }) => {
+      const artwork = artworks.get(artworkId);
+      const measured = this.measure(artwork, rules);
+
+      subtotal += Number(artwork.price) * quantity;
+      billableWeightKg += measured.billableWeightKg * quantity;
+      crates += measured.crated ? quantity : 0;
+
+      return { artworkId, name: artwork.name, quantity, ...measured };
+    });
+
+    subtotal = roundAmount(knownSubtotal ?? subtotal);
+    const threshold = zone.freeShippingThreshold ?? null;
+    const freeShipping = threshold !== null && subtotal >= threshold;
+
+    const breakdown = {
+      base: freeShipping ? 0 : roundAmount(zone.baseRate),
+      weight: freeShipping ? 0 : roundAmount(billableWeightKg * zone.perKg),
+      crating: roundAmount(crates * zone.crateSurcharge)
+    };
+
+    return {
+      country,
+      zone: zoneCode,
+      zoneLabel: zone.label,
+      currency: getStoreCurrency(),
+      items: quotedItems,
+      billableWeightKg,
+      subtotal,
+      breakdown,
+      freeShipping,
+      freeShippingThreshold: threshold,
+      amountToFreeShipping: threshold === null || freeShipping ? null : roundAmount(threshold - subtotal),
+      total: roundAmount(breakdown.base + breakdown.weight + breakdown.crating)
+    };
+  }
+
+  // Quote for the available items of a cart (see CartService.getCart)
+  static async quoteCart(cart, country, client = { query }) {
+    const items = cart.items
+      .filter(item => item.available)
+      .map(item => ({ artworkId: item.artworkId, quantity: item.quantity }));
+
+    if (items.length === 0) {
+      throw createShippingError('Your cart is empty', 400);
+    }
+
+    return this.quote({ country, items, subtotal: cart.summary.subtotal }, client);
+  }
+}
+
+export default ShippingService;